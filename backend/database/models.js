@@ -1,15 +1,30 @@
-import { query } from './connection.js';
+import { query, transaction } from './connection.js';
+import invoiceCalculator from '../modules/invoice/calculator.js';
+import invoiceNumbering from '../modules/invoice/numbering.js';
+import currencyManager from '../modules/billing/currency.js';
+import taxEngine from '../modules/tax/tax-engine.js';
+import creditNoteCalculator from '../modules/invoice/credit-note-calculator.js';
+import invoiceLifecycle from '../modules/invoice/lifecycle.js';
+import paymentTermsCalculator from '../modules/billing/payment-terms.js';
+import prorationCalculator from '../modules/billing/proration.js';
+
+// Customer fields the customer can change through the portal
+const CUSTOMER_CONTACT_FIELDS = ['billing_contact_name', 'billing_email', 'phone', 'address', 'city', 'state', 'zip_code'];
 
 // ==================== CUSTOMER MODEL ====================
 export const Customer = {
     // Create a new customer
     create: async (customerData) => {
-        const { name, email, phone, address, city, state, zip_code, country, tax_id } = customerData;
+        const {
+            name, email, phone, address, city, state, zip_code, country, tax_id, currency, billing_contact_name, billing_email
+        } = customerData;
         const result = await query(
-            `INSERT INTO customers (name, email, phone, address, city, state, zip_code, country, tax_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `INSERT INTO customers (name, email, phone, address, city, state, zip_code, country, tax_id, currency,
+                              billing_contact_name, billing_email)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
        RETURNING *`,
-            [name, email, phone, address, city, state, zip_code, country || 'USA', tax_id]
+            [name, email, phone, address, city, state, zip_code, country || 'USA', tax_id,
+                (currency || currencyManager.baseCurrency).toUpperCase(), billing_contact_name || null, billing_email || null]
         );
         return result.rows[0];
     },
@@ -26,6 +41,18 @@ export const Customer = {
         return result.rows[0];
     },
 
+    // Find an active customer by its account or billing email (case-insensitive)
+    findActiveByAnyEmail: async (email) => {
+        const result = await query(
+            `SELECT * FROM customers
+       WHERE is_active = true AND (LOWER(email) = LOWER($1) OR LOWER(billing_email) = LOWER($1))
+       ORDER BY (LOWER(email) = LOWER($1)) DESC
+       LIMIT 1`,
+            [email]
+        );
+        return result.rows[0];
+    },
+
     // Get all customers
     findAll: async () => {
         const result = await query('SELECT * FROM customers WHERE is_active = true ORDER BY created_at DESC');
@@ -34,14 +61,54 @@ export const Customer = {
 
     // Update customer
     update: async (id, customerData) => {
-        const { name, email, phone, address, city, state, zip_code, country, tax_id } = customerData;
+        const {
+            name, email, phone, address, city, state, zip_code, country, tax_id, currency, billing_contact_name, billing_email
+        } = customerData;
         const result = await query(
             `UPDATE customers 
        SET name = $1, email = $2, phone = $3, address = $4, city = $5, 
-           state = $6, zip_code = $7, country = $8, tax_id = $9
-       WHERE id = $10
+           state = $6, zip_code = $7, country = $8, tax_id = $9, currency = COALESCE($10, currency),
+           billing_contact_name = COALESCE($11, billing_contact_name), billing_email = COALESCE($12, billing_email)
+       WHERE id = $13
+       RETURNING *`,
+            [name, email, phone, address, city, state, zip_code, country, tax_id,
+                currency ? currency.toUpperCase() : null, billing_contact_name || null, billing_email || null, id]
+        );
+        return result.rows[0];
+    },
+
+    // Update the billing contact and address fields present in contactData
+    // (the fields a customer may change through the portal)
+    updateBillingContact: async (id, contactData) => {
+        const fields = CUSTOMER_CONTACT_FIELDS.filter(field => contactData[field] !== undefined);
+        if (fields.length === 0) {
+            return Customer.findById(id);
+        }
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+        const result = await query(
+            `UPDATE customers SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $${fields.length + 1}
        RETURNING *`,
-            [name, email, phone, address, city, state, zip_code, country, tax_id, id]
+            [...fields.map(field => contactData[field] === '' ? null : contactData[field]), id]
+        );
+        return result.rows[0];
+    },
+
+    // Assign a dunning policy (null falls back to the default policy)
+    setDunningPolicy: async (id, policyId) => {
+        const result = await query(
+            'UPDATE customers SET dunning_policy_id = $1 WHERE id = $2 RETURNING *',
+            [policyId || null, id]
+        );
+        return result.rows[0];
+    },
+
+    // Assign payment terms (null falls back to the default terms)
+    setPaymentTerms: async (id, termsId) => {
+        const result = await query(
+            'UPDATE customers SET payment_terms_id = $1 WHERE id = $2 RETURNING *',
+            [termsId || null, id]
         );
         return result.rows[0];
     },
@@ -61,18 +128,26 @@ export const Contract = {
     // Create a new contract
     create: async (contractData) => {
         const {
-            customer_id, contract_number, service_description, amount,
-            billing_frequency, start_date, end_date, tax_rate, discount_percentage, next_billing_date
+            customer_id, contract_number, service_description, amount, currency,
+            billing_frequency, start_date, end_date, tax_rate, discount_percentage, next_billing_date,
+            billing_anchor_day, auto_renew, renewal_term_months, renewal_notice_days, renewal_uplift_percentage,
+            numbering_series_id, tax_category, dunning_policy_id, payment_terms_id
         } = contractData;
 
         const result = await query(
             `INSERT INTO contracts 
        (customer_id, contract_number, service_description, amount, billing_frequency, 
-        start_date, end_date, tax_rate, discount_percentage, next_billing_date)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        start_date, end_date, tax_rate, discount_percentage, next_billing_date, billing_anchor_day,
+        auto_renew, renewal_term_months, renewal_notice_days, renewal_uplift_percentage, numbering_series_id, currency,
+        tax_category, dunning_policy_id, payment_terms_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
        RETURNING *`,
             [customer_id, contract_number, service_description, amount, billing_frequency,
-                start_date, end_date, tax_rate || 0, discount_percentage || 0, next_billing_date]
+                start_date, end_date, tax_rate || 0, discount_percentage || 0, next_billing_date || start_date,
+                billing_anchor_day || null, auto_renew || false, renewal_term_months || 12,
+                renewal_notice_days ?? 30, renewal_uplift_percentage || 0, numbering_series_id || null,
+                currency ? currency.toUpperCase() : null, tax_category || 'standard', dunning_policy_id || null,
+                payment_terms_id || null]
         );
         return result.rows[0];
     },
@@ -80,7 +155,7 @@ export const Contract = {
     // Find contract by ID
     findById: async (id) => {
         const result = await query(
-            `SELECT c.*, cu.name as customer_name, cu.email as customer_email
+            `SELECT c.*, cu.name as customer_name, cu.email as customer_email, cu.currency as customer_currency
        FROM contracts c
        JOIN customers cu ON c.customer_id = cu.id
        WHERE c.id = $1`,
@@ -92,17 +167,109 @@ export const Contract = {
     // Get contracts due for billing
     findDueForBilling: async () => {
         const result = await query(
-            `SELECT c.*, cu.name as customer_name, cu.email as customer_email, cu.address, 
+            `SELECT c.*, cu.name as customer_name, cu.email as customer_email, cu.currency as customer_currency, cu.address, 
               cu.city, cu.state, cu.zip_code, cu.tax_id
        FROM contracts c
        JOIN customers cu ON c.customer_id = cu.id
        WHERE c.is_active = true 
+         AND c.status = 'active'
          AND c.next_billing_date <= CURRENT_DATE
+         AND (c.end_date IS NULL OR c.next_billing_date <= c.end_date)
        ORDER BY c.next_billing_date ASC`
         );
         return result.rows;
     },
 
+    // Get auto-renewing contracts whose renewal notice is due and not yet sent for this term
+    findRenewalNoticesDue: async () => {
+        const result = await query(
+            `SELECT c.*, cu.name as customer_name, COALESCE(cu.billing_email, cu.email) as customer_email,
+              cu.currency as customer_currency
+       FROM contracts c
+       JOIN customers cu ON c.customer_id = cu.id
+       WHERE c.is_active = true
+         AND c.status = 'active'
+         AND c.auto_renew = true
+         AND c.renewal_notice_sent_at IS NULL
+         AND c.end_date IS NOT NULL
+         AND c.end_date >= CURRENT_DATE
+         AND c.end_date - c.renewal_notice_days <= CURRENT_DATE
+       ORDER BY c.end_date ASC`
+        );
+        return result.rows;
+    },
+
+    // Get active contracts whose end date has passed
+    findEnded: async () => {
+        const result = await query(
+            `SELECT c.*, cu.name as customer_name, cu.email as customer_email, cu.currency as customer_currency
+       FROM contracts c
+       JOIN customers cu ON c.customer_id = cu.id
+       WHERE c.is_active = true
+         AND c.status = 'active'
+         AND c.end_date IS NOT NULL
+         AND c.end_date < CURRENT_DATE
+       ORDER BY c.end_date ASC`
+        );
+        return result.rows;
+    },
+
+    // Record that the renewal notice for the current term went out
+    markRenewalNoticeSent: async (id) => {
+        const result = await query(
+            'UPDATE contracts SET renewal_notice_sent_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Update contract status
+    updateStatus: async (id, status) => {
+        const result = await query(
+            'UPDATE contracts SET status = $1 WHERE id = $2 RETURNING *',
+            [status, id]
+        );
+        return result.rows[0];
+    },
+
+    // Extend a contract into its next term, applying the price uplift
+    // The amount change is recorded so proration can settle it if it lands mid-period
+    renew: async (id, renewal) => {
+        const { end_date, amount, uplift_factor, effective_date, next_billing_date, billing_anchor_day } = renewal;
+
+        return transaction(async (client) => {
+            const current = await client.query('SELECT amount FROM contracts WHERE id = $1 FOR UPDATE', [id]);
+            if (!current.rows[0]) {
+                return null;
+            }
+
+            if (parseFloat(current.rows[0].amount) !== parseFloat(amount)) {
+                await client.query(
+                    `INSERT INTO contract_changes (contract_id, effective_date, old_amount, new_amount, reason, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+                    [id, effective_date, current.rows[0].amount, amount, 'Renewal price uplift', 'system']
+                );
+            }
+
+            if (uplift_factor !== 1) {
+                await client.query(
+                    'UPDATE contract_items SET unit_price = ROUND(unit_price * $1, 4) WHERE contract_id = $2 AND is_active = true',
+                    [uplift_factor, id]
+                );
+            }
+
+            const result = await client.query(
+                `UPDATE contracts
+       SET end_date = $1, amount = $2, next_billing_date = $3, billing_anchor_day = $4,
+           renewal_notice_sent_at = NULL, renewal_count = renewal_count + 1
+       WHERE id = $5
+       RETURNING *`,
+                [end_date, amount, next_billing_date, billing_anchor_day, id]
+            );
+            return result.rows[0];
+        });
+    },
+
     // Update next billing date
     updateNextBillingDate: async (id, nextDate) => {
         const result = await query(
@@ -119,203 +286,2129 @@ export const Contract = {
             [customerId]
         );
         return result.rows;
-    }
-};
+    },
 
-// ==================== INVOICE MODEL ====================
-export const Invoice = {
-    // Create a new invoice
-    create: async (invoiceData) => {
-        const {
-            invoice_number, customer_id, contract_id, issue_date, due_date,
-            subtotal, tax_amount, discount_amount, total_amount, status
-        } = invoiceData;
+    // List contracts with optional filters
+    findAll: async (filters = {}, limit = 100, offset = 0) => {
+        let queryText = `SELECT c.*, cu.name as customer_name, cu.email as customer_email, cu.currency as customer_currency
+       FROM contracts c
+       JOIN customers cu ON c.customer_id = cu.id
+       WHERE c.is_active = true`;
+        const params = [];
+        let paramCount = 1;
 
-        const result = await query(
-            `INSERT INTO invoices 
-       (invoice_number, customer_id, contract_id, issue_date, due_date, 
-        subtotal, tax_amount, discount_amount, total_amount, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       RETURNING *`,
-            [invoice_number, customer_id, contract_id, issue_date, due_date,
-                subtotal, tax_amount, discount_amount, total_amount, status || 'pending']
-        );
-        return result.rows[0];
-    },
+        if (filters.customer_id) {
+            queryText += ` AND c.customer_id = $${paramCount}`;
+            params.push(filters.customer_id);
+            paramCount++;
+        }
 
-    // Find invoice by ID with customer details
-    findById: async (id) => {
-        const result = await query(
-            `SELECT i.*, 
-              c.name as customer_name, c.email as customer_email, c.phone as customer_phone,
-              c.address, c.city, c.state, c.zip_code, c.tax_id,
-              ct.service_description, ct.contract_number
-       FROM invoices i
-       JOIN customers c ON i.customer_id = c.id
-       JOIN contracts ct ON i.contract_id = ct.id
-       WHERE i.id = $1`,
-            [id]
-        );
-        return result.rows[0];
+        if (filters.status) {
+            queryText += ` AND c.status = $${paramCount}`;
+            params.push(filters.status);
+            paramCount++;
+        }
+
+        if (filters.billing_frequency) {
+            queryText += ` AND c.billing_frequency = $${paramCount}`;
+            params.push(filters.billing_frequency);
+            paramCount++;
+        }
+
+        if (filters.auto_renew !== undefined) {
+            queryText += ` AND c.auto_renew = $${paramCount}`;
+            params.push(filters.auto_renew);
+            paramCount++;
+        }
+
+        if (filters.search) {
+            queryText += ` AND (c.contract_number ILIKE $${paramCount} OR c.service_description ILIKE $${paramCount} OR cu.name ILIKE $${paramCount})`;
+            params.push(`%${filters.search}%`);
+            paramCount++;
+        }
+
+        queryText += ` ORDER BY c.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+        params.push(limit, offset);
+
+        const result = await query(queryText, params);
+        return result.rows;
     },
 
-    // Get all invoices with pagination
-    findAll: async (limit = 100, offset = 0) => {
+    // Update contract terms; only the fields present in termsData are changed
+    // The amount is not updated here: use changeAmount so the change can be prorated
+    update: async (id, termsData) => {
+        const fields = [
+            'service_description', 'billing_frequency', 'end_date', 'tax_rate', 'discount_percentage',
+            'billing_anchor_day', 'auto_renew', 'renewal_term_months', 'renewal_notice_days', 'renewal_uplift_percentage',
+            'numbering_series_id', 'tax_category', 'dunning_policy_id', 'payment_terms_id'
+        ].filter(field => termsData[field] !== undefined);
+
+        if (fields.length === 0) {
+            return Contract.findById(id);
+        }
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
         const result = await query(
-            `SELECT i.*, c.name as customer_name, c.email as customer_email
-       FROM invoices i
-       JOIN customers c ON i.customer_id = c.id
-       ORDER BY i.created_at DESC
-       LIMIT $1 OFFSET $2`,
-            [limit, offset]
+            `UPDATE contracts SET ${assignments.join(', ')} WHERE id = $${fields.length + 1} AND is_active = true RETURNING *`,
+            [...fields.map(field => termsData[field]), id]
         );
-        return result.rows;
+        return result.rows[0];
     },
 
-    // Update invoice status
-    updateStatus: async (id, status) => {
+    // Pause billing; no invoices are raised while paused
+    pause: async (id) => {
         const result = await query(
-            'UPDATE invoices SET status = $1 WHERE id = $2 RETURNING *',
-            [status, id]
+            `UPDATE contracts SET status = 'paused', paused_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+            [id]
         );
         return result.rows[0];
     },
 
-    // Update PDF URL and Cloudinary ID
-    updatePdfInfo: async (id, pdfUrl, cloudinaryPublicId) => {
+    // Resume billing; periods missed while paused are not billed
+    // Billing restarts today, prorated up to the contract's usual billing day
+    resume: async (id) => {
         const result = await query(
-            'UPDATE invoices SET pdf_url = $1, cloudinary_public_id = $2 WHERE id = $3 RETURNING *',
-            [pdfUrl, cloudinaryPublicId, id]
+            `UPDATE contracts
+       SET status = 'active', paused_at = NULL,
+           billing_anchor_day = CASE WHEN next_billing_date < CURRENT_DATE
+               THEN COALESCE(billing_anchor_day, EXTRACT(DAY FROM next_billing_date)::INTEGER)
+               ELSE billing_anchor_day END,
+           next_billing_date = GREATEST(next_billing_date, CURRENT_DATE)
+       WHERE id = $1 AND status = 'paused'
+       RETURNING *`,
+            [id]
         );
         return result.rows[0];
     },
 
-    // Update AI validation info
-    updateAiValidation: async (id, validationStatus, anomalyScore) => {
+    // Terminate a contract on a given date and stop it from renewing
+    // Termination in the future keeps billing up to that date; the renewal manager closes it then
+    terminate: async (id, terminationDate, reason = null) => {
         const result = await query(
-            'UPDATE invoices SET ai_validation_status = $1, ai_anomaly_score = $2 WHERE id = $3 RETURNING *',
-            [validationStatus, anomalyScore, id]
+            `UPDATE contracts
+       SET end_date = $1, auto_renew = false, terminated_at = CURRENT_TIMESTAMP, termination_reason = $2,
+           paused_at = NULL,
+           status = CASE WHEN $1::DATE <= CURRENT_DATE OR status = 'paused' THEN 'terminated' ELSE status END
+       WHERE id = $3 AND status IN ('active', 'paused')
+       RETURNING *`,
+            [terminationDate, reason, id]
         );
         return result.rows[0];
     },
 
-    // Get overdue invoices
-    findOverdue: async () => {
+    // Change the recurring amount, recording the change for proration on the next invoice
+    // Throws an error with code CONTRACT_HAS_ITEMS for contracts billed from their items (change the
+    // items instead), or CHANGE_DATE_OUT_OF_RANGE when the effective date is outside what the next
+    // invoice can prorate (prorationCalculator.getChangeWindow)
+    changeAmount: async (id, newAmount, effectiveDate, reason = null, createdBy = null) => {
+        return transaction(async (client) => {
+            const current = await client.query('SELECT * FROM contracts WHERE id = $1 FOR UPDATE', [id]);
+            if (!current.rows[0]) {
+                return null;
+            }
+
+            const items = await client.query(
+                'SELECT 1 FROM contract_items WHERE contract_id = $1 AND is_active = true LIMIT 1',
+                [id]
+            );
+            if (items.rows.length > 0) {
+                const error = new Error('This contract is billed from its items; change the items instead of the amount');
+                error.code = 'CONTRACT_HAS_ITEMS';
+                throw error;
+            }
+
+            const window = prorationCalculator.getChangeWindow(current.rows[0]);
+            const effective = prorationCalculator.formatDate(prorationCalculator.toDate(effectiveDate));
+            if (window && ((window.from && effective < window.from) || effective > window.to)) {
+                const error = new Error(window.from
+                    ? `effective_date must be between ${window.from} and ${window.to}`
+                    : `effective_date must be on or before ${window.to}`);
+                error.code = 'CHANGE_DATE_OUT_OF_RANGE';
+                error.window = window;
+                throw error;
+            }
+
+            const change = await client.query(
+                `INSERT INTO contract_changes (contract_id, effective_date, old_amount, new_amount, reason, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+                [id, effectiveDate, current.rows[0].amount, newAmount, reason, createdBy]
+            );
+
+            const contract = await client.query(
+                'UPDATE contracts SET amount = $1 WHERE id = $2 RETURNING *',
+                [newAmount, id]
+            );
+
+            return { contract: contract.rows[0], change: change.rows[0] };
+        });
+    }
+};
+
+// ==================== CONTRACT CHANGE MODEL ====================
+export const ContractChange = {
+    // Get price changes not yet settled on an invoice, oldest first
+    findUninvoiced: async (contractId) => {
         const result = await query(
-            `SELECT i.*, c.name as customer_name, c.email as customer_email
-       FROM invoices i
-       JOIN customers c ON i.customer_id = c.id
-       WHERE i.status IN ('sent', 'pending') 
-         AND i.due_date < CURRENT_DATE
-       ORDER BY i.due_date ASC`
+            'SELECT * FROM contract_changes WHERE contract_id = $1 AND invoice_id IS NULL ORDER BY effective_date ASC, created_at ASC',
+            [contractId]
         );
         return result.rows;
     },
 
-    // Get invoices by status
-    findByStatus: async (status) => {
+    // Get the change history of a contract
+    findByContractId: async (contractId) => {
         const result = await query(
-            `SELECT i.*, c.name as customer_name, c.email as customer_email
-       FROM invoices i
-       JOIN customers c ON i.customer_id = c.id
-       WHERE i.status = $1
-       ORDER BY i.created_at DESC`,
-            [status]
+            'SELECT * FROM contract_changes WHERE contract_id = $1 ORDER BY effective_date DESC, created_at DESC',
+            [contractId]
         );
         return result.rows;
     }
 };
 
-// ==================== PAYMENT MODEL ====================
-export const Payment = {
-    // Record a payment
-    create: async (paymentData) => {
-        const { invoice_id, payment_date, amount, payment_method, transaction_id, notes } = paymentData;
+// ==================== CONTRACT ITEM MODEL ====================
+export const ContractItem = {
+    // Add a billable service to a contract
+    create: async (itemData) => {
+        const {
+            contract_id, description, quantity, unit_price, tax_rate, tax_category, discount_percentage, sort_order
+        } = itemData;
         const result = await query(
-            `INSERT INTO payments (invoice_id, payment_date, amount, payment_method, transaction_id, notes)
-       VALUES ($1, $2, $3, $4, $5, $6)
+            `INSERT INTO contract_items
+       (contract_id, description, quantity, unit_price, tax_rate, tax_category, discount_percentage, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-            [invoice_id, payment_date, amount, payment_method, transaction_id, notes]
+            [contract_id, description, quantity || 1, unit_price, tax_rate, tax_category || null,
+                discount_percentage, sort_order || 0]
         );
         return result.rows[0];
     },
 
-    // Get payments for an invoice
-    findByInvoiceId: async (invoiceId) => {
+    // Get active items for a contract
+    findByContractId: async (contractId) => {
         const result = await query(
-            'SELECT * FROM payments WHERE invoice_id = $1 ORDER BY payment_date DESC',
-            [invoiceId]
+            'SELECT * FROM contract_items WHERE contract_id = $1 AND is_active = true ORDER BY sort_order ASC, created_at ASC',
+            [contractId]
         );
         return result.rows;
+    }
+};
+
+// ==================== NUMBERING SERIES MODEL ====================
+export const NumberingSeries = {
+    // Create a numbering series; a new default replaces the previous one for its document type
+    create: async (seriesData) => {
+        const { code, name, document_type, prefix, padding, reset_period, legal_entity, is_default } = seriesData;
+
+        return transaction(async (client) => {
+            if (is_default) {
+                await client.query(
+                    'UPDATE numbering_series SET is_default = false WHERE document_type = $1 AND is_default = true',
+                    [document_type || 'invoice']
+                );
+            }
+
+            const result = await client.query(
+                `INSERT INTO numbering_series
+       (code, name, document_type, prefix, padding, reset_period, legal_entity, is_default)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+                [code, name, document_type || 'invoice', prefix || '', padding || 5, reset_period || 'yearly',
+                    legal_entity || null, is_default || false]
+            );
+            return result.rows[0];
+        });
     },
 
-    // Get all payments
+    // Get all series with the last number issued in each period
     findAll: async () => {
         const result = await query(
-            `SELECT p.*, i.invoice_number, c.name as customer_name
-       FROM payments p
-       JOIN invoices i ON p.invoice_id = i.id
-       JOIN customers c ON i.customer_id = c.id
-       ORDER BY p.payment_date DESC`
+            `SELECT s.*,
+              (SELECT json_agg(json_build_object('period_key', nc.period_key, 'last_number', nc.last_number)
+                               ORDER BY nc.period_key DESC)
+               FROM numbering_counters nc WHERE nc.series_id = s.id) as counters
+       FROM numbering_series s
+       ORDER BY s.document_type ASC, s.is_default DESC, s.code ASC`
         );
         return result.rows;
+    },
+
+    // Find series by ID
+    findById: async (id) => {
+        const result = await query('SELECT * FROM numbering_series WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+
+    // Find active series by code
+    findByCode: async (code) => {
+        const result = await query(
+            'SELECT * FROM numbering_series WHERE code = $1 AND is_active = true',
+            [code]
+        );
+        return result.rows[0];
+    },
+
+    // Update descriptive fields; prefix, padding and reset rules are fixed once numbers may exist
+    update: async (id, seriesData) => {
+        const { name, legal_entity, is_active, is_default } = seriesData;
+
+        return transaction(async (client) => {
+            const current = await client.query('SELECT * FROM numbering_series WHERE id = $1 FOR UPDATE', [id]);
+            if (!current.rows[0]) {
+                return null;
+            }
+
+            if (is_default) {
+                await client.query(
+                    'UPDATE numbering_series SET is_default = false WHERE document_type = $1 AND is_default = true AND id <> $2',
+                    [current.rows[0].document_type, id]
+                );
+            }
+
+            const result = await client.query(
+                `UPDATE numbering_series
+       SET name = COALESCE($1, name), legal_entity = COALESCE($2, legal_entity),
+           is_active = COALESCE($3, is_active), is_default = COALESCE($4, is_default)
+       WHERE id = $5
+       RETURNING *`,
+                [name ?? null, legal_entity ?? null, is_active ?? null, is_default ?? null, id]
+            );
+            return result.rows[0];
+        });
+    },
+
+    // Pick the series for a new document: explicit code, then the contract's series, then the default
+    resolve: async (client, documentType, seriesCode = null, contractId = null) => {
+        if (seriesCode) {
+            const result = await client.query(
+                'SELECT * FROM numbering_series WHERE code = $1 AND document_type = $2 AND is_active = true',
+                [seriesCode, documentType]
+            );
+            if (!result.rows[0]) {
+                throw new Error(`Numbering series ${seriesCode} not found`);
+            }
+            return result.rows[0];
+        }
+
+        if (contractId) {
+            const result = await client.query(
+                `SELECT s.* FROM contracts c
+       JOIN numbering_series s ON s.id = c.numbering_series_id
+       WHERE c.id = $1 AND s.document_type = $2 AND s.is_active = true`,
+                [contractId, documentType]
+            );
+            if (result.rows[0]) {
+                return result.rows[0];
+            }
+        }
+
+        const result = await client.query(
+            'SELECT * FROM numbering_series WHERE document_type = $1 AND is_default = true AND is_active = true',
+            [documentType]
+        );
+        if (!result.rows[0]) {
+            throw new Error(`No default numbering series configured for ${documentType}`);
+        }
+        return result.rows[0];
+    },
+
+    // Take the next number in a series; must run inside the transaction that stores the document
+    // The counter row stays locked until commit, so concurrent allocations queue and a rollback frees the number
+    allocate: async (client, series, issueDate) => {
+        const periodKey = invoiceNumbering.periodKey(series, issueDate);
+        const result = await client.query(
+            `INSERT INTO numbering_counters (series_id, period_key, last_number)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (series_id, period_key)
+       DO UPDATE SET last_number = numbering_counters.last_number + 1, updated_at = CURRENT_TIMESTAMP
+       RETURNING last_number`,
+            [series.id, periodKey]
+        );
+        const sequence = result.rows[0].last_number;
+
+        return {
+            series_id: series.id,
+            sequence_number: sequence,
+            number: invoiceNumbering.formatNumber(series, sequence, issueDate)
+        };
     }
 };
 
-// ==================== AUDIT LOG MODEL ====================
-export const AuditLog = {
-    // Create audit log entry
-    create: async (logData) => {
-        const { action_type, entity_type, entity_id, user_type, user_id, description, metadata, ip_address } = logData;
+// ==================== TAX RULE MODEL ====================
+export const TaxRule = {
+    // Create a tax rule; country and state are stored as upper-case codes
+    create: async (ruleData) => {
+        const { country, state, tax_category, name, rate, is_compound, priority, effective_from, effective_to } = ruleData;
         const result = await query(
-            `INSERT INTO audit_logs 
-       (action_type, entity_type, entity_id, user_type, user_id, description, metadata, ip_address)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `INSERT INTO tax_rules
+       (country, state, tax_category, name, rate, is_compound, priority, effective_from, effective_to)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, CURRENT_DATE), $9)
        RETURNING *`,
-            [action_type, entity_type, entity_id, user_type || 'system', user_id, description,
-                metadata ? JSON.stringify(metadata) : null, ip_address]
+            [taxEngine.normalizeCountry(country), taxEngine.normalizeState(state), tax_category || 'standard', name,
+                rate, is_compound || false, priority || 0, effective_from || null, effective_to || null]
         );
         return result.rows[0];
     },
 
-    // Get audit logs with filters
-    findAll: async (filters = {}, limit = 100) => {
-        let queryText = 'SELECT * FROM audit_logs WHERE 1=1';
+    // Find tax rule by ID
+    findById: async (id) => {
+        const result = await query('SELECT * FROM tax_rules WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+
+    // Get active rules with optional filters
+    findAll: async (filters = {}) => {
+        let queryText = 'SELECT * FROM tax_rules WHERE is_active = true';
         const params = [];
         let paramCount = 1;
 
-        if (filters.entity_type) {
-            queryText += ` AND entity_type = $${paramCount}`;
-            params.push(filters.entity_type);
+        if (filters.country) {
+            queryText += ` AND country = $${paramCount}`;
+            params.push(taxEngine.normalizeCountry(filters.country));
             paramCount++;
         }
 
-        if (filters.action_type) {
-            queryText += ` AND action_type = $${paramCount}`;
-            params.push(filters.action_type);
+        if (filters.state) {
+            queryText += ` AND state = $${paramCount}`;
+            params.push(taxEngine.normalizeState(filters.state));
             paramCount++;
         }
 
-        queryText += ` ORDER BY created_at DESC LIMIT $${paramCount}`;
-        params.push(limit);
+        if (filters.tax_category) {
+            queryText += ` AND tax_category = $${paramCount}`;
+            params.push(filters.tax_category);
+            paramCount++;
+        }
+
+        queryText += ' ORDER BY country ASC, state ASC NULLS FIRST, tax_category ASC, priority ASC';
 
         const result = await query(queryText, params);
         return result.rows;
-    }
-};
+    },
 
-// ==================== AI VALIDATION LOG MODEL ====================
-export const AIValidationLog = {
-    // Create validation log
-    create: async (logData) => {
-        const { invoice_id, anomaly_score, validation_status, flags, suggestions, ai_response } = logData;
+    // Update a rule; only the fields present in ruleData are changed
+    update: async (id, ruleData) => {
+        const fields = ['name', 'rate', 'is_compound', 'priority', 'effective_from', 'effective_to']
+            .filter(field => ruleData[field] !== undefined);
+
+        if (fields.length === 0) {
+            return TaxRule.findById(id);
+        }
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
         const result = await query(
-            `INSERT INTO ai_validation_logs 
-       (invoice_id, anomaly_score, validation_status, flags, suggestions, ai_response)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
-            [invoice_id, anomaly_score, validation_status,
-                flags ? JSON.stringify(flags) : null, suggestions, ai_response]
+            `UPDATE tax_rules SET ${assignments.join(', ')} WHERE id = $${fields.length + 1} AND is_active = true RETURNING *`,
+            [...fields.map(field => ruleData[field]), id]
+        );
+        return result.rows[0];
+    },
+
+    // Retire a rule (invoices keep the taxes they were issued with)
+    deactivate: async (id) => {
+        const result = await query(
+            'UPDATE tax_rules SET is_active = false WHERE id = $1 AND is_active = true RETURNING *',
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Rules in force for a country and state on a date (country-wide rules and the state's own)
+    findForJurisdiction: async (country, state, onDate, client = null) => {
+        const runner = client || { query };
+        const result = await runner.query(
+            `SELECT * FROM tax_rules
+       WHERE is_active = true AND country = $1 AND (state IS NULL OR state = $2)
+         AND effective_from <= $3 AND (effective_to IS NULL OR effective_to >= $3)
+       ORDER BY priority ASC`,
+            [taxEngine.normalizeCountry(country), taxEngine.normalizeState(state), onDate]
+        );
+        return result.rows;
+    }
+};
+
+// ==================== TAX EXEMPTION MODEL ====================
+export const TaxExemption = {
+    // Record an exemption certificate for a customer
+    create: async (exemptionData) => {
+        const { customer_id, certificate_number, country, state, reason, valid_from, valid_to } = exemptionData;
+        const result = await query(
+            `INSERT INTO tax_exemptions (customer_id, certificate_number, country, state, reason, valid_from, valid_to)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_DATE), $7)
+       RETURNING *`,
+            [customer_id, certificate_number, taxEngine.normalizeCountry(country), taxEngine.normalizeState(state),
+                reason || null, valid_from || null, valid_to || null]
+        );
+        return result.rows[0];
+    },
+
+    // Get a customer's certificates, newest first
+    findByCustomerId: async (customerId) => {
+        const result = await query(
+            'SELECT * FROM tax_exemptions WHERE customer_id = $1 ORDER BY valid_from DESC, created_at DESC',
+            [customerId]
+        );
+        return result.rows;
+    },
+
+    // Certificate covering the customer's country and state on a date, if any
+    findActive: async (customerId, country, state, onDate, client = null) => {
+        const runner = client || { query };
+        const result = await runner.query(
+            `SELECT * FROM tax_exemptions
+       WHERE customer_id = $1 AND revoked_at IS NULL AND country = $2 AND (state IS NULL OR state = $3)
+         AND valid_from <= $4 AND (valid_to IS NULL OR valid_to >= $4)
+       ORDER BY valid_from DESC
+       LIMIT 1`,
+            [customerId, taxEngine.normalizeCountry(country), taxEngine.normalizeState(state), onDate]
+        );
+        return result.rows[0];
+    },
+
+    // Revoke a certificate
+    revoke: async (id, customerId) => {
+        const result = await query(
+            `UPDATE tax_exemptions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND customer_id = $2 AND revoked_at IS NULL
+       RETURNING *`,
+            [id, customerId]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== EXCHANGE RATE MODEL ====================
+export const ExchangeRate = {
+    // Create or replace the rate for a currency on a date
+    upsert: async (rateData) => {
+        const { currency, base_currency, rate, effective_date, source } = rateData;
+        const result = await query(
+            `INSERT INTO exchange_rates (currency, base_currency, rate, effective_date, source)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (currency, base_currency, effective_date)
+       DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source
+       RETURNING *`,
+            [currency.toUpperCase(), (base_currency || currencyManager.baseCurrency).toUpperCase(), rate,
+                effective_date || new Date().toISOString().split('T')[0], source || 'manual']
+        );
+        return result.rows[0];
+    },
+
+    // Get rates, newest first
+    findAll: async (filters = {}, limit = 100) => {
+        let queryText = 'SELECT * FROM exchange_rates WHERE 1=1';
+        const params = [];
+        let paramCount = 1;
+
+        if (filters.currency) {
+            queryText += ` AND currency = $${paramCount}`;
+            params.push(filters.currency.toUpperCase());
+            paramCount++;
+        }
+
+        if (filters.base_currency) {
+            queryText += ` AND base_currency = $${paramCount}`;
+            params.push(filters.base_currency.toUpperCase());
+            paramCount++;
+        }
+
+        queryText += ` ORDER BY effective_date DESC, currency ASC LIMIT $${paramCount}`;
+        params.push(limit);
+
+        const result = await query(queryText, params);
+        return result.rows;
+    },
+
+    // Rate in force on a date (the latest one effective on or before it)
+    findRate: async (currency, baseCurrency, onDate, client = null) => {
+        const runner = client || { query };
+        const result = await runner.query(
+            `SELECT * FROM exchange_rates
+       WHERE currency = $1 AND base_currency = $2 AND effective_date <= $3
+       ORDER BY effective_date DESC
+       LIMIT 1`,
+            [currency, baseCurrency, onDate]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== PAYMENT TERMS MODEL ====================
+const PAYMENT_TERMS_FIELDS = ['code', 'name', 'due_type', 'due_days', 'discount_percentage', 'discount_days', 'is_default', 'is_active'];
+
+export const PaymentTerms = {
+    // Create payment terms; new default terms replace the previous default
+    create: async (termsData) => {
+        const fields = PAYMENT_TERMS_FIELDS.filter(field => termsData[field] !== undefined);
+
+        return transaction(async (client) => {
+            if (termsData.is_default) {
+                await client.query('UPDATE payment_terms SET is_default = false WHERE is_default = true');
+            }
+
+            const result = await client.query(
+                `INSERT INTO payment_terms (${fields.join(', ')})
+       VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+                fields.map(field => field === 'code' ? termsData.code.toUpperCase() : termsData[field])
+            );
+            return result.rows[0];
+        });
+    },
+
+    // Get all payment terms
+    findAll: async () => {
+        const result = await query('SELECT * FROM payment_terms ORDER BY is_default DESC, is_active DESC, name ASC');
+        return result.rows;
+    },
+
+    // Find payment terms by ID
+    findById: async (id) => {
+        const result = await query('SELECT * FROM payment_terms WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+
+    // Update payment terms; only the fields present in termsData are changed
+    // Invoices already issued keep the due date and discount they were given
+    update: async (id, termsData) => {
+        const fields = PAYMENT_TERMS_FIELDS.filter(field => termsData[field] !== undefined);
+
+        return transaction(async (client) => {
+            if (termsData.is_default) {
+                await client.query('UPDATE payment_terms SET is_default = false WHERE is_default = true AND id <> $1', [id]);
+            }
+
+            const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+            const result = await client.query(
+                `UPDATE payment_terms SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+                [...fields.map(field => field === 'code' ? termsData.code.toUpperCase() : termsData[field]), id]
+            );
+            return result.rows[0];
+        });
+    },
+
+    // Terms for a new invoice: the ones given, else the contract's, the customer's or the default
+    // Inactive terms are passed over
+    resolve: async (client, termsId, contractId, customerId) => {
+        const runner = client || { query };
+        const result = await runner.query(
+            `SELECT pt.* FROM payment_terms pt
+       LEFT JOIN contracts ct ON ct.id = $2
+       LEFT JOIN customers cu ON cu.id = $3
+       WHERE pt.is_active = true
+         AND (pt.id = $1 OR pt.id = ct.payment_terms_id OR pt.id = cu.payment_terms_id OR pt.is_default = true)
+       ORDER BY CASE
+           WHEN pt.id = $1 THEN 1
+           WHEN pt.id = ct.payment_terms_id THEN 2
+           WHEN pt.id = cu.payment_terms_id THEN 3
+           ELSE 4
+       END
+       LIMIT 1`,
+            [termsId || null, contractId || null, customerId || null]
+        );
+        return result.rows[0] || null;
+    }
+};
+
+// ==================== INVOICE MODEL ====================
+export const Invoice = {
+    // Create a new invoice with its line items
+    // Totals are always derived from the lines, never taken from the caller, and the
+    // invoice number is allocated from its numbering series in the same transaction.
+    // The invoice is in the contract's currency (or the customer's) and keeps the rate to the base currency.
+    // Taxes come from the customer's jurisdiction, exemption certificates and reverse charge (see tax-engine).
+    // Without a due_date, the due date and any early-payment discount come from the payment terms
+    // (payment_terms_id, else the contract's, the customer's or the default terms).
+    // Every invoice starts as pending; later statuses only come through the lifecycle.
+    // Runs in its own transaction, or in the caller's when a client is given.
+    create: async (invoiceData, client = null) => {
+        const {
+            series_code, customer_id, contract_id, line_items, created_by,
+            usage_record_ids, contract_change_ids, fee_for_invoice_id, payment_terms_id
+        } = invoiceData;
+        const issue_date = invoiceData.issue_date || new Date().toISOString().split('T')[0];
+
+        const insert = async (client) => {
+            let currency = invoiceData.currency;
+            if (!currency) {
+                const contract = await client.query(
+                    `SELECT COALESCE(ct.currency, cu.currency) as currency
+       FROM contracts ct JOIN customers cu ON cu.id = ct.customer_id
+       WHERE ct.id = $1`,
+                    [contract_id]
+                );
+                currency = contract.rows[0]?.currency || currencyManager.baseCurrency;
+            }
+            currency = currency.toUpperCase();
+
+            const baseCurrency = currencyManager.baseCurrency;
+            let exchangeRate = 1;
+            if (currency !== baseCurrency) {
+                const rate = await ExchangeRate.findRate(currency, baseCurrency, issue_date, client);
+                if (!rate) {
+                    throw new Error(`No exchange rate from ${currency} to ${baseCurrency} on ${issue_date}`);
+                }
+                exchangeRate = rate.rate;
+            }
+
+            const customerResult = await client.query('SELECT * FROM customers WHERE id = $1', [customer_id]);
+            const customer = customerResult.rows[0];
+            if (!customer) {
+                throw new Error(`Customer ${customer_id} not found`);
+            }
+
+            const taxed = taxEngine.applyTaxes(line_items, {
+                customer,
+                rules: await TaxRule.findForJurisdiction(customer.country, customer.state, issue_date, client),
+                exemption: await TaxExemption.findActive(customer.id, customer.country, customer.state, issue_date, client)
+            });
+            const totals = invoiceCalculator.calculateTotals(taxed.line_items, currency);
+
+            // An explicit due date without terms (e.g. late-fee invoices) offers no discount
+            const terms = invoiceData.due_date && !payment_terms_id
+                ? null
+                : await PaymentTerms.resolve(client, payment_terms_id, contract_id, customer_id);
+            const schedule = paymentTermsCalculator.schedule(terms, issue_date);
+            const due_date = invoiceData.due_date || schedule.due_date;
+            const discountAmount = paymentTermsCalculator.discountAmount(totals.total_amount, schedule.discount_percentage, currency);
+
+            const series = await NumberingSeries.resolve(client, 'invoice', series_code, contract_id);
+            const numbering = await NumberingSeries.allocate(client, series, issue_date);
+
+            const result = await client.query(
+                `INSERT INTO invoices 
+       (invoice_number, numbering_series_id, sequence_number, customer_id, contract_id, issue_date, due_date, 
+        subtotal, tax_amount, discount_amount, total_amount, currency, base_currency, exchange_rate,
+        tax_treatment, tax_note, tax_breakdown, status, fee_for_invoice_id,
+        payment_terms_id, payment_terms_name, early_payment_discount_date, early_payment_discount_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+       RETURNING *`,
+                [numbering.number, numbering.series_id, numbering.sequence_number, customer_id, contract_id, issue_date, due_date,
+                    totals.subtotal, totals.tax_amount, totals.discount_amount, totals.total_amount,
+                    currency, baseCurrency, exchangeRate, taxed.tax_treatment, taxed.tax_note,
+                    JSON.stringify(totals.tax_breakdown), 'pending', fee_for_invoice_id || null,
+                    terms?.id || null, terms?.name || null, discountAmount > 0 ? schedule.discount_date : null, discountAmount]
+            );
+            const invoice = result.rows[0];
+
+            await InvoiceStatusHistory.record(client, invoice.id, null, invoice.status, created_by || 'system', 'invoice created');
+            invoice.line_items = await InvoiceLineItem.createMany(invoice.id, totals.line_items, client);
+
+            // Usage rated onto this invoice must never be billed twice: if another invoice has claimed
+            // any of the records since they were rated, nothing is stored
+            if (usage_record_ids && usage_record_ids.length > 0) {
+                const claimed = await client.query(
+                    `UPDATE usage_records SET invoice_id = $1
+       WHERE id = ANY($2::uuid[]) AND contract_id = $3 AND invoice_id IS NULL`,
+                    [invoice.id, usage_record_ids, contract_id]
+                );
+                if (claimed.rowCount !== new Set(usage_record_ids).size) {
+                    const error = new Error('Some of the rated usage records have already been invoiced');
+                    error.code = 'USAGE_ALREADY_BILLED';
+                    throw error;
+                }
+            }
+
+            // Price changes settled by proration lines on this invoice; like usage, each is settled once
+            if (contract_change_ids && contract_change_ids.length > 0) {
+                const settled = await client.query(
+                    `UPDATE contract_changes SET invoice_id = $1
+       WHERE id = ANY($2::uuid[]) AND contract_id = $3 AND invoice_id IS NULL`,
+                    [invoice.id, contract_change_ids, contract_id]
+                );
+                if (settled.rowCount !== new Set(contract_change_ids).size) {
+                    const error = new Error('Some of the price changes have already been settled on another invoice');
+                    error.code = 'CHANGE_ALREADY_SETTLED';
+                    throw error;
+                }
+            }
+
+            return invoice;
+        };
+
+        return client ? insert(client) : transaction(insert);
+    },
+
+    // Find invoice by ID with customer details
+    findById: async (id) => {
+        const result = await query(
+            `SELECT i.*, 
+              c.name as customer_name, COALESCE(c.billing_email, c.email) as customer_email, c.phone as customer_phone,
+              c.billing_contact_name,
+              c.address, c.city, c.state, c.zip_code, c.country, c.tax_id,
+              ct.service_description, ct.contract_number
+       FROM invoices i
+       JOIN customers c ON i.customer_id = c.id
+       JOIN contracts ct ON i.contract_id = ct.id
+       WHERE i.id = $1`,
+            [id]
+        );
+
+        const invoice = result.rows[0];
+        if (invoice) {
+            invoice.line_items = await InvoiceLineItem.findByInvoiceId(id);
+        }
+        return invoice;
+    },
+
+    // Find invoice by its number or ID (payment references carry either)
+    findByReference: async (reference) => {
+        const result = await query(
+            'SELECT * FROM invoices WHERE invoice_number = $1 OR id::text = $1',
+            [String(reference)]
+        );
+        return result.rows[0];
+    },
+
+    // Get a customer's issued invoices, newest first (drafts and cancelled invoices are left out)
+    findByCustomerId: async (customerId, limit = 100, offset = 0) => {
+        const result = await query(
+            `SELECT * FROM invoices
+       WHERE customer_id = $1 AND status = ANY($2)
+       ORDER BY issue_date DESC, created_at DESC
+       LIMIT $3 OFFSET $4`,
+            [customerId, invoiceLifecycle.getIssuedStatuses(), limit, offset]
+        );
+        return result.rows;
+    },
+
+    // Get all invoices with pagination
+    findAll: async (limit = 100, offset = 0) => {
+        const result = await query(
+            `SELECT i.*, c.name as customer_name, c.email as customer_email
+       FROM invoices i
+       JOIN customers c ON i.customer_id = c.id
+       ORDER BY i.created_at DESC
+       LIMIT $1 OFFSET $2`,
+            [limit, offset]
+        );
+        return result.rows;
+    },
+
+    // Move an invoice to a new status and record the change
+    // Changes the lifecycle does not allow throw an error with code INVOICE_TRANSITION_INVALID;
+    // returns null when the invoice does not exist. The previous status is returned as previous_status.
+    updateStatus: async (id, status, changedBy = 'system', reason = null) => {
+        return transaction(async (client) => {
+            const current = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [id]);
+            const invoice = current.rows[0];
+            if (!invoice) {
+                return null;
+            }
+
+            if (!invoiceLifecycle.canTransition(invoice.status, status)) {
+                const error = new Error(`Cannot change invoice ${invoice.invoice_number} from ${invoice.status} to ${status}`);
+                error.code = 'INVOICE_TRANSITION_INVALID';
+                error.details = [`${invoice.status} -> ${status} is not an allowed status change`];
+                throw error;
+            }
+
+            const result = await client.query(
+                'UPDATE invoices SET status = $1 WHERE id = $2 RETURNING *',
+                [status, id]
+            );
+            await InvoiceStatusHistory.record(client, id, invoice.status, status, changedBy, reason);
+
+            return { ...result.rows[0], previous_status: invoice.status };
+        });
+    },
+
+    // Move sent and partially paid invoices whose due date has passed to overdue, recording each change
+    // Returns the invoices changed, each with the previous_status it moved from
+    markOverdue: async () => {
+        return transaction(async (client) => {
+            const result = await client.query(
+                `UPDATE invoices i SET status = 'overdue'
+       FROM (
+         SELECT id, status FROM invoices
+         WHERE status IN ('sent', 'partially_paid') AND due_date < CURRENT_DATE AND balance_due > 0
+         FOR UPDATE
+       ) previous
+       WHERE i.id = previous.id
+       RETURNING i.*, previous.status as previous_status`
+            );
+
+            for (const invoice of result.rows) {
+                await InvoiceStatusHistory.record(client, invoice.id, invoice.previous_status, 'overdue', 'scheduler', 'due date passed');
+            }
+            return result.rows;
+        });
+    },
+
+    // Update PDF URL and Cloudinary ID
+    updatePdfInfo: async (id, pdfUrl, cloudinaryPublicId) => {
+        const result = await query(
+            'UPDATE invoices SET pdf_url = $1, cloudinary_public_id = $2 WHERE id = $3 RETURNING *',
+            [pdfUrl, cloudinaryPublicId, id]
+        );
+        return result.rows[0];
+    },
+
+    // Update AI validation info
+    updateAiValidation: async (id, validationStatus, anomalyScore) => {
+        const result = await query(
+            'UPDATE invoices SET ai_validation_status = $1, ai_anomaly_score = $2 WHERE id = $3 RETURNING *',
+            [validationStatus, anomalyScore, id]
+        );
+        return result.rows[0];
+    },
+
+    // Get overdue invoices that still have a balance to pay
+    // Only issued invoices: drafts (including ones held back by AI validation) are never dunned
+    findOverdue: async () => {
+        const result = await query(
+            `SELECT i.*, c.name as customer_name, c.email as customer_email
+       FROM invoices i
+       JOIN customers c ON i.customer_id = c.id
+       WHERE i.status IN ('sent', 'overdue', 'partially_paid')
+         AND i.balance_due > 0
+         AND i.due_date < CURRENT_DATE
+       ORDER BY i.due_date ASC`
+        );
+        return result.rows;
+    },
+
+    // Record the dunning stage an invoice has reached
+    setDunningStage: async (id, stageId) => {
+        const result = await query(
+            'UPDATE invoices SET dunning_stage_id = $1, dunning_stage_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+            [stageId, id]
+        );
+        return result.rows[0];
+    },
+
+    // Hand an invoice over to collections
+    flagForCollections: async (id) => {
+        const result = await query(
+            `UPDATE invoices SET collections_flagged_at = COALESCE(collections_flagged_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING *`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Get issued invoices that still have a balance to pay (candidates for bank reconciliation)
+    findOpen: async (currency = null) => {
+        const params = [];
+        let sql = `SELECT i.id, i.invoice_number, i.customer_id, i.issue_date, i.due_date, i.status, i.currency,
+              i.total_amount, i.balance_due, c.name as customer_name
+       FROM invoices i
+       JOIN customers c ON i.customer_id = c.id
+       WHERE i.status IN ('sent', 'overdue', 'partially_paid')
+         AND i.balance_due > 0`;
+
+        if (currency) {
+            params.push(currency);
+            sql += ' AND i.currency = $1';
+        }
+
+        sql += ' ORDER BY i.due_date ASC';
+        const result = await query(sql, params);
+        return result.rows;
+    },
+
+    // Get invoices by status
+    findByStatus: async (status) => {
+        const result = await query(
+            `SELECT i.*, c.name as customer_name, c.email as customer_email
+       FROM invoices i
+       JOIN customers c ON i.customer_id = c.id
+       WHERE i.status = $1
+       ORDER BY i.created_at DESC`,
+            [status]
+        );
+        return result.rows;
+    }
+};
+
+// ==================== INVOICE STATUS HISTORY MODEL ====================
+export const InvoiceStatusHistory = {
+    // Record a status change (inside the transaction that makes it)
+    record: async (client, invoiceId, fromStatus, toStatus, changedBy = 'system', reason = null) => {
+        const result = await client.query(
+            `INSERT INTO invoice_status_history (invoice_id, from_status, to_status, changed_by, reason)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+            [invoiceId, fromStatus, toStatus, changedBy, reason]
+        );
+        return result.rows[0];
+    },
+
+    // Status history of an invoice, oldest first
+    findByInvoiceId: async (invoiceId) => {
+        const result = await query(
+            'SELECT * FROM invoice_status_history WHERE invoice_id = $1 ORDER BY created_at ASC',
+            [invoiceId]
+        );
+        return result.rows;
+    }
+};
+
+// ==================== INVOICE LINE ITEM MODEL ====================
+export const InvoiceLineItem = {
+    // Insert calculated lines for an invoice (optionally inside a transaction)
+    createMany: async (invoiceId, lineItems, client = null) => {
+        const run = client ? (text, params) => client.query(text, params) : query;
+        const created = [];
+
+        for (const item of lineItems) {
+            const result = await run(
+                `INSERT INTO invoice_line_items
+       (invoice_id, item_type, description, quantity, unit_price, tax_category, tax_rate, tax_details,
+        discount_percentage, subtotal, discount_amount, tax_amount, total_amount, period_start, period_end, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+       RETURNING *`,
+                [invoiceId, item.item_type, item.description, item.quantity, item.unit_price, item.tax_category,
+                    item.tax_rate, JSON.stringify(item.tax_details || []), item.discount_percentage, item.subtotal,
+                    item.discount_amount, item.tax_amount, item.total_amount, item.period_start, item.period_end,
+                    item.sort_order]
+            );
+            created.push(result.rows[0]);
+        }
+
+        return created;
+    },
+
+    // Get lines for an invoice in display order
+    findByInvoiceId: async (invoiceId) => {
+        const result = await query(
+            'SELECT * FROM invoice_line_items WHERE invoice_id = $1 ORDER BY sort_order ASC',
+            [invoiceId]
+        );
+        return result.rows;
+    }
+};
+
+// ==================== CREDIT NOTE MODEL ====================
+export const CreditNote = {
+    // Issue a credit note against an invoice
+    // The invoice row is locked so concurrent credits cannot exceed it; the number is allocated from the
+    // credit_note series and the invoice's credited amount is raised in the same transaction.
+    // Throws an error with code CREDIT_NOTE_INVALID (and details) when the credit does not fit the invoice.
+    create: async (creditData) => {
+        const { invoice_id, type, reason, lines, series_code, created_by } = creditData;
+        const issue_date = creditData.issue_date || new Date().toISOString().split('T')[0];
+
+        return transaction(async (client) => {
+            const invoiceResult = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [invoice_id]);
+            const invoice = invoiceResult.rows[0];
+            if (!invoice) {
+                return null;
+            }
+
+            const rejected = (details) => {
+                const error = new Error(`Cannot credit invoice ${invoice.invoice_number}: ${details.join('; ')}`);
+                error.code = 'CREDIT_NOTE_INVALID';
+                error.details = details;
+                return error;
+            };
+
+            if (['cancelled', 'credited'].includes(invoice.status)) {
+                throw rejected([`invoice is ${invoice.status}`]);
+            }
+
+            const invoiceLines = await client.query(
+                'SELECT * FROM invoice_line_items WHERE invoice_id = $1 ORDER BY sort_order ASC',
+                [invoice.id]
+            );
+            const creditedResult = await client.query(
+                `SELECT cl.invoice_line_item_id, SUM(cl.subtotal - cl.discount_amount) as net_amount
+       FROM credit_note_line_items cl
+       JOIN credit_notes cn ON cn.id = cl.credit_note_id
+       WHERE cn.invoice_id = $1 AND cl.invoice_line_item_id IS NOT NULL
+       GROUP BY cl.invoice_line_item_id`,
+                [invoice.id]
+            );
+            const creditedByLine = Object.fromEntries(
+                creditedResult.rows.map(row => [row.invoice_line_item_id, row.net_amount])
+            );
+
+            const { totals, errors } = creditNoteCalculator.build(
+                invoice, invoiceLines.rows, { type, lines }, creditedByLine
+            );
+            if (errors.length > 0) {
+                throw rejected(errors);
+            }
+
+            const series = await NumberingSeries.resolve(client, 'credit_note', series_code);
+            const numbering = await NumberingSeries.allocate(client, series, issue_date);
+
+            const result = await client.query(
+                `INSERT INTO credit_notes
+       (credit_note_number, numbering_series_id, sequence_number, invoice_id, customer_id, credit_type, reason,
+        issue_date, subtotal, tax_amount, discount_amount, total_amount, currency, base_currency, exchange_rate,
+        tax_treatment, tax_note, tax_breakdown, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+       RETURNING *`,
+                [numbering.number, numbering.series_id, numbering.sequence_number, invoice.id, invoice.customer_id,
+                    type, reason, issue_date, totals.subtotal, totals.tax_amount, totals.discount_amount,
+                    totals.total_amount, invoice.currency, invoice.base_currency, invoice.exchange_rate,
+                    invoice.tax_treatment, invoice.tax_note, JSON.stringify(totals.tax_breakdown), created_by || null]
+            );
+            const creditNote = result.rows[0];
+
+            creditNote.line_items = [];
+            for (const item of totals.line_items) {
+                const line = await client.query(
+                    `INSERT INTO credit_note_line_items
+       (credit_note_id, invoice_line_item_id, item_type, description, quantity, unit_price, tax_category, tax_rate,
+        tax_details, discount_percentage, subtotal, discount_amount, tax_amount, total_amount, period_start,
+        period_end, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+       RETURNING *`,
+                    [creditNote.id, item.invoice_line_item_id, item.item_type, item.description, item.quantity,
+                        item.unit_price, item.tax_category, item.tax_rate, JSON.stringify(item.tax_details),
+                        item.discount_percentage, item.subtotal, item.discount_amount, item.tax_amount,
+                        item.total_amount, item.period_start, item.period_end, item.sort_order]
+                );
+                creditNote.line_items.push(line.rows[0]);
+            }
+
+            // The open balance drops by the credit; anything already paid beyond it becomes customer credit
+            await client.query(
+                'UPDATE invoices SET credited_amount = LEAST(total_amount, credited_amount + $1) WHERE id = $2',
+                [totals.total_amount, invoice.id]
+            );
+            creditNote.invoice = await Payment.settle(client, invoice.id, created_by);
+
+            return creditNote;
+        });
+    },
+
+    // Find credit note by ID with customer and invoice details
+    findById: async (id) => {
+        const result = await query(
+            `SELECT cn.*,
+              c.name as customer_name, COALESCE(c.billing_email, c.email) as customer_email,
+              c.billing_contact_name, c.address, c.city, c.state, c.zip_code,
+              c.country, c.tax_id,
+              i.invoice_number, i.issue_date as invoice_issue_date, i.total_amount as invoice_total_amount,
+              i.credited_amount as invoice_credited_amount, i.balance_due as invoice_balance_due
+       FROM credit_notes cn
+       JOIN customers c ON cn.customer_id = c.id
+       JOIN invoices i ON cn.invoice_id = i.id
+       WHERE cn.id = $1`,
+            [id]
+        );
+
+        const creditNote = result.rows[0];
+        if (creditNote) {
+            const lines = await query(
+                'SELECT * FROM credit_note_line_items WHERE credit_note_id = $1 ORDER BY sort_order ASC',
+                [id]
+            );
+            creditNote.line_items = lines.rows;
+        }
+        return creditNote;
+    },
+
+    // Get credit notes with optional filters
+    findAll: async (filters = {}, limit = 100, offset = 0) => {
+        let queryText = `SELECT cn.*, c.name as customer_name, i.invoice_number
+       FROM credit_notes cn
+       JOIN customers c ON cn.customer_id = c.id
+       JOIN invoices i ON cn.invoice_id = i.id
+       WHERE 1=1`;
+        const params = [];
+        let paramCount = 1;
+
+        if (filters.invoice_id) {
+            queryText += ` AND cn.invoice_id = $${paramCount}`;
+            params.push(filters.invoice_id);
+            paramCount++;
+        }
+
+        if (filters.customer_id) {
+            queryText += ` AND cn.customer_id = $${paramCount}`;
+            params.push(filters.customer_id);
+            paramCount++;
+        }
+
+        queryText += ` ORDER BY cn.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+        params.push(limit, offset);
+
+        const result = await query(queryText, params);
+        return result.rows;
+    },
+
+    // Get credit notes issued against an invoice
+    findByInvoiceId: async (invoiceId) => {
+        const result = await query(
+            'SELECT * FROM credit_notes WHERE invoice_id = $1 ORDER BY created_at ASC',
+            [invoiceId]
+        );
+        return result.rows;
+    },
+
+    // Update PDF URL and Cloudinary ID
+    updatePdfInfo: async (id, pdfUrl, cloudinaryPublicId) => {
+        const result = await query(
+            'UPDATE credit_notes SET pdf_url = $1, cloudinary_public_id = $2 WHERE id = $3 RETURNING *',
+            [pdfUrl, cloudinaryPublicId, id]
+        );
+        return result.rows[0];
+    },
+
+    // Mark credit note as emailed to the customer
+    markSent: async (id) => {
+        const result = await query(
+            "UPDATE credit_notes SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+            [id]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== USAGE PRICE MODEL ====================
+export const UsagePrice = {
+    // Create or replace the price for a metric on a contract
+    upsert: async (priceData) => {
+        const {
+            contract_id, metric_code, description, unit_name, pricing_model,
+            unit_price, tiers, included_quantity, tax_rate, tax_category
+        } = priceData;
+        const result = await query(
+            `INSERT INTO usage_prices
+       (contract_id, metric_code, description, unit_name, pricing_model, unit_price, tiers, included_quantity,
+        tax_rate, tax_category)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (contract_id, metric_code) DO UPDATE
+       SET description = EXCLUDED.description, unit_name = EXCLUDED.unit_name,
+           pricing_model = EXCLUDED.pricing_model, unit_price = EXCLUDED.unit_price,
+           tiers = EXCLUDED.tiers, included_quantity = EXCLUDED.included_quantity,
+           tax_rate = EXCLUDED.tax_rate, tax_category = EXCLUDED.tax_category, is_active = true
+       RETURNING *`,
+            [contract_id, metric_code, description, unit_name || 'units', pricing_model,
+                unit_price ?? null, tiers ? JSON.stringify(tiers) : null, included_quantity || 0, tax_rate ?? null,
+                tax_category || null]
+        );
+        return result.rows[0];
+    },
+
+    // Get active metric prices for a contract
+    findByContractId: async (contractId) => {
+        const result = await query(
+            'SELECT * FROM usage_prices WHERE contract_id = $1 AND is_active = true ORDER BY metric_code ASC',
+            [contractId]
+        );
+        return result.rows;
+    },
+
+    // Find the active price for one metric
+    findByContractAndMetric: async (contractId, metricCode) => {
+        const result = await query(
+            'SELECT * FROM usage_prices WHERE contract_id = $1 AND metric_code = $2 AND is_active = true',
+            [contractId, metricCode]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== USAGE RECORD MODEL ====================
+export const UsageRecord = {
+    // Record usage (optionally inside a transaction); a repeated idempotency key on the same
+    // contract returns the original record
+    create: async (recordData, client = null) => {
+        const runner = client || { query };
+        const { contract_id, metric_code, quantity, recorded_at, idempotency_key, metadata } = recordData;
+        const result = await runner.query(
+            `INSERT INTO usage_records (contract_id, metric_code, quantity, recorded_at, idempotency_key, metadata)
+       VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP), $5, $6)
+       ON CONFLICT (contract_id, idempotency_key) DO NOTHING
+       RETURNING *`,
+            [contract_id, metric_code, quantity, recorded_at || null, idempotency_key || null,
+                metadata ? JSON.stringify(metadata) : null]
+        );
+
+        if (result.rows[0]) {
+            return { ...result.rows[0], duplicate: false };
+        }
+
+        const existing = await runner.query(
+            'SELECT * FROM usage_records WHERE contract_id = $1 AND idempotency_key = $2',
+            [contract_id, idempotency_key]
+        );
+        return { ...existing.rows[0], duplicate: true };
+    },
+
+    // Record a batch of usage: all of it or none
+    createMany: async (records) => {
+        return transaction(async (client) => {
+            const created = [];
+            for (const record of records) {
+                created.push(await UsageRecord.create(record, client));
+            }
+            return created;
+        });
+    },
+
+    // Get usage records for a contract with optional filters
+    findByContractId: async (contractId, filters = {}, limit = 500) => {
+        let queryText = 'SELECT * FROM usage_records WHERE contract_id = $1';
+        const params = [contractId];
+        let paramCount = 2;
+
+        if (filters.metric_code) {
+            queryText += ` AND metric_code = $${paramCount}`;
+            params.push(filters.metric_code);
+            paramCount++;
+        }
+
+        if (filters.from) {
+            queryText += ` AND recorded_at >= $${paramCount}`;
+            params.push(filters.from);
+            paramCount++;
+        }
+
+        if (filters.to) {
+            queryText += ` AND recorded_at < $${paramCount}`;
+            params.push(filters.to);
+            paramCount++;
+        }
+
+        if (filters.unbilled) {
+            queryText += ' AND invoice_id IS NULL';
+        }
+
+        queryText += ` ORDER BY recorded_at DESC LIMIT $${paramCount}`;
+        params.push(limit);
+
+        const result = await query(queryText, params);
+        return result.rows;
+    },
+
+    // Get unbilled usage recorded before the end of a billing period, totalled per metric
+    findUnbilledTotals: async (contractId, periodEnd) => {
+        const result = await query(
+            `SELECT metric_code, SUM(quantity) as total_quantity, array_agg(id) as record_ids
+       FROM usage_records
+       WHERE contract_id = $1 AND invoice_id IS NULL AND recorded_at < $2
+       GROUP BY metric_code
+       ORDER BY metric_code ASC`,
+            [contractId, periodEnd]
+        );
+        return result.rows;
+    }
+};
+
+// ==================== PAYMENT MODEL ====================
+export const Payment = {
+    // Record a payment and update the invoice balance
+    // Any amount beyond the balance due is moved to the customer's credit.
+    // Returns null when the invoice does not exist; throws an error with code PAYMENT_INVALID otherwise.
+    create: async (paymentData) => {
+        const { invoice_id, payment_date, amount, payment_method, transaction_id, notes, created_by } = paymentData;
+
+        return transaction(async (client) => {
+            const invoiceResult = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [invoice_id]);
+            const invoice = invoiceResult.rows[0];
+            if (!invoice) {
+                return null;
+            }
+
+            if (invoice.status === 'cancelled') {
+                const error = new Error(`Cannot record a payment on cancelled invoice ${invoice.invoice_number}`);
+                error.code = 'PAYMENT_INVALID';
+                error.details = ['invoice is cancelled'];
+                throw error;
+            }
+
+            const result = await client.query(
+                `INSERT INTO payments (invoice_id, payment_date, amount, payment_method, transaction_id, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+                [invoice_id, payment_date, amount, payment_method, transaction_id, notes]
+            );
+            const payment = result.rows[0];
+
+            payment.invoice = await Payment.settle(client, invoice_id, created_by);
+
+            const settled = await client.query('SELECT unapplied_amount FROM payments WHERE id = $1', [payment.id]);
+            payment.unapplied_amount = settled.rows[0].unapplied_amount;
+
+            return payment;
+        });
+    },
+
+    // Recalculate an invoice's amount paid and status from its payments (inside a transaction)
+    // Payments beyond what is payable (total less credit notes and any early-payment discount earned)
+    // are moved to customer credit, newest first.
+    // A status change is recorded in the invoice's status history.
+    settle: async (client, invoiceId, createdBy = null) => {
+        const invoiceResult = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId]);
+        const invoice = invoiceResult.rows[0];
+        const currency = invoice.currency;
+
+        const payments = await client.query(
+            'SELECT * FROM payments WHERE invoice_id = $1 ORDER BY created_at DESC',
+            [invoiceId]
+        );
+        const applied = (payment) => parseFloat(payment.amount) - parseFloat(payment.unapplied_amount);
+
+        // Paying in full by the discount date earns the early-payment discount
+        const discountTaken = paymentTermsCalculator.discountEarned(
+            invoice,
+            payments.rows.map(payment => ({ payment_date: payment.payment_date, applied: applied(payment) }))
+        );
+
+        const payable = currencyManager.round(
+            parseFloat(invoice.total_amount) - parseFloat(invoice.credited_amount) - discountTaken,
+            currency
+        );
+        let amountPaid = currencyManager.round(payments.rows.reduce((sum, payment) => sum + applied(payment), 0), currency);
+        let excess = currencyManager.round(amountPaid - payable, currency);
+
+        for (const payment of payments.rows) {
+            if (excess <= 0) {
+                break;
+            }
+            const moved = Math.min(excess, applied(payment));
+            if (moved <= 0) {
+                continue;
+            }
+
+            await client.query(
+                'UPDATE payments SET unapplied_amount = unapplied_amount + $1 WHERE id = $2',
+                [moved, payment.id]
+            );
+            await client.query(
+                `INSERT INTO customer_credits (customer_id, currency, amount, entry_type, invoice_id, payment_id, notes, created_by)
+       VALUES ($1, $2, $3, 'overpayment', $4, $5, $6, $7)`,
+                [invoice.customer_id, currency, moved, invoiceId, payment.id,
+                    `Overpayment of invoice ${invoice.invoice_number}`, createdBy]
+            );
+
+            excess = currencyManager.round(excess - moved, currency);
+            amountPaid = currencyManager.round(amountPaid - moved, currency);
+        }
+
+        const status = invoiceLifecycle.settledStatus({ ...invoice, discount_taken: discountTaken }, amountPaid);
+        const result = await client.query(
+            'UPDATE invoices SET amount_paid = $1, discount_taken = $2, status = $3 WHERE id = $4 RETURNING *',
+            [amountPaid, discountTaken, status, invoiceId]
+        );
+        if (status !== invoice.status) {
+            await InvoiceStatusHistory.record(client, invoiceId, invoice.status, status, createdBy || 'settlement',
+                'payments and credit notes');
+        }
+        return result.rows[0];
+    },
+
+    // Find payment by the provider's transaction ID
+    findByTransactionId: async (transactionId) => {
+        const result = await query('SELECT * FROM payments WHERE transaction_id = $1', [transactionId]);
+        return result.rows[0];
+    },
+
+    // Get payments for an invoice
+    findByInvoiceId: async (invoiceId) => {
+        const result = await query(
+            'SELECT * FROM payments WHERE invoice_id = $1 ORDER BY payment_date DESC',
+            [invoiceId]
+        );
+        return result.rows;
+    },
+
+    // Get a customer's payments across all their invoices
+    findByCustomerId: async (customerId) => {
+        const result = await query(
+            `SELECT p.*, i.invoice_number, i.currency
+       FROM payments p
+       JOIN invoices i ON p.invoice_id = i.id
+       WHERE i.customer_id = $1
+       ORDER BY p.payment_date DESC`,
+            [customerId]
+        );
+        return result.rows;
+    },
+
+    // Get all payments
+    findAll: async () => {
+        const result = await query(
+            `SELECT p.*, i.invoice_number, i.currency, c.name as customer_name
+       FROM payments p
+       JOIN invoices i ON p.invoice_id = i.id
+       JOIN customers c ON i.customer_id = c.id
+       ORDER BY p.payment_date DESC`
+        );
+        return result.rows;
+    }
+};
+
+// ==================== PAYMENT LINK MODEL ====================
+export const PaymentLink = {
+    // Store a new payment link (the token itself is never stored)
+    create: async (linkData) => {
+        const { invoice_id, token_hash, expires_at, created_by } = linkData;
+        const result = await query(
+            `INSERT INTO payment_links (invoice_id, token_hash, expires_at, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, invoice_id, expires_at, created_by, created_at`,
+            [invoice_id, token_hash, expires_at, created_by || null]
+        );
+        return result.rows[0];
+    },
+
+    // Find an unexpired, unrevoked link by token hash
+    findActiveByTokenHash: async (tokenHash) => {
+        const result = await query(
+            `SELECT * FROM payment_links
+       WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+            [tokenHash]
+        );
+        return result.rows[0];
+    },
+
+    // Count a page view
+    recordView: async (id) => {
+        await query(
+            'UPDATE payment_links SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [id]
+        );
+    },
+
+    // Revoke every active link of an invoice
+    revokeForInvoice: async (invoiceId) => {
+        const result = await query(
+            `UPDATE payment_links SET revoked_at = CURRENT_TIMESTAMP
+       WHERE invoice_id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+            [invoiceId]
+        );
+        return result.rowCount;
+    }
+};
+
+// ==================== CUSTOMER CREDIT MODEL ====================
+export const CustomerCredit = {
+    // Available credit per currency for a customer
+    getBalances: async (customerId, client = null) => {
+        const runner = client || { query };
+        const result = await runner.query(
+            `SELECT currency, SUM(amount) as balance
+       FROM customer_credits
+       WHERE customer_id = $1
+       GROUP BY currency
+       HAVING SUM(amount) <> 0
+       ORDER BY currency ASC`,
+            [customerId]
+        );
+        return result.rows;
+    },
+
+    // Credit ledger entries for a customer, newest first
+    findByCustomerId: async (customerId, limit = 100) => {
+        const result = await query(
+            `SELECT cc.*, i.invoice_number
+       FROM customer_credits cc
+       LEFT JOIN invoices i ON cc.invoice_id = i.id
+       WHERE cc.customer_id = $1
+       ORDER BY cc.created_at DESC
+       LIMIT $2`,
+            [customerId, limit]
+        );
+        return result.rows;
+    },
+
+    // Pay an invoice from the customer's credit in the invoice currency
+    // Applies `amount`, or as much as the credit and the balance due allow when it is omitted.
+    // Returns null when the invoice does not exist; throws an error with code PAYMENT_INVALID otherwise.
+    apply: async (invoiceId, amount = null, createdBy = null) => {
+        return transaction(async (client) => {
+            const invoiceResult = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId]);
+            const invoice = invoiceResult.rows[0];
+            if (!invoice) {
+                return null;
+            }
+
+            const rejected = (details) => {
+                const error = new Error(`Cannot apply credit to invoice ${invoice.invoice_number}: ${details.join('; ')}`);
+                error.code = 'PAYMENT_INVALID';
+                error.details = details;
+                return error;
+            };
+
+            if (['cancelled', 'credited', 'paid'].includes(invoice.status)) {
+                throw rejected([`invoice is ${invoice.status}`]);
+            }
+
+            // Serialise credit use per customer so the balance cannot be spent twice
+            await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [invoice.customer_id]);
+            const balances = await CustomerCredit.getBalances(invoice.customer_id, client);
+            const available = parseFloat(balances.find(row => row.currency === invoice.currency)?.balance || 0);
+            const balanceDue = parseFloat(invoice.balance_due);
+            const toApply = currencyManager.round(
+                amount === null ? Math.min(available, balanceDue) : parseFloat(amount),
+                invoice.currency
+            );
+
+            const errors = [];
+            if (!(toApply > 0)) {
+                errors.push(`no ${invoice.currency} credit available`);
+            }
+            if (toApply > available) {
+                errors.push(`only ${currencyManager.format(available, invoice.currency)} of credit is available`);
+            }
+            if (toApply > balanceDue) {
+                errors.push(`the balance due is ${currencyManager.format(balanceDue, invoice.currency)}`);
+            }
+            if (errors.length > 0) {
+                throw rejected(errors);
+            }
+
+            const paymentResult = await client.query(
+                `INSERT INTO payments (invoice_id, payment_date, amount, payment_method, notes)
+       VALUES ($1, CURRENT_DATE, $2, 'customer_credit', $3)
+       RETURNING *`,
+                [invoice.id, toApply, 'Applied from customer credit']
+            );
+            const payment = paymentResult.rows[0];
+
+            await client.query(
+                `INSERT INTO customer_credits (customer_id, currency, amount, entry_type, invoice_id, payment_id, notes, created_by)
+       VALUES ($1, $2, $3, 'applied', $4, $5, $6, $7)`,
+                [invoice.customer_id, invoice.currency, -toApply, invoice.id, payment.id,
+                    `Applied to invoice ${invoice.invoice_number}`, createdBy]
+            );
+
+            payment.invoice = await Payment.settle(client, invoice.id, createdBy);
+            return payment;
+        });
+    }
+};
+
+// ==================== BANK STATEMENT MODEL ====================
+export const BankStatement = {
+    // Store an imported statement and its lines
+    // Throws the unique violation (23505) when the same file was imported before
+    create: async (statementData) => {
+        const { filename, format, file_hash, account_identifier, currency, statement_date, lines, imported_by } = statementData;
+
+        return transaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO bank_statements
+       (filename, format, file_hash, account_identifier, currency, statement_date, line_count, imported_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+                [filename || null, format, file_hash, account_identifier, currency, statement_date, lines.length, imported_by || null]
+            );
+            const statement = result.rows[0];
+
+            statement.lines = [];
+            for (const line of lines) {
+                const lineResult = await client.query(
+                    `INSERT INTO bank_statement_lines
+       (statement_id, line_number, booking_date, amount, currency, reference, counterparty_name, bank_reference, transaction_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+                    [statement.id, line.line_number, line.booking_date, line.amount, line.currency,
+                        line.reference, line.counterparty_name, line.bank_reference, line.transaction_key]
+                );
+                statement.lines.push(lineResult.rows[0]);
+            }
+
+            return statement;
+        });
+    },
+
+    // Find statement by ID
+    findById: async (id) => {
+        const result = await query('SELECT * FROM bank_statements WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+
+    // Get imported statements, newest first
+    findAll: async (limit = 100, offset = 0) => {
+        const result = await query(
+            'SELECT * FROM bank_statements ORDER BY created_at DESC LIMIT $1 OFFSET $2',
+            [limit, offset]
+        );
+        return result.rows;
+    },
+
+    // Recount matched and to-review lines
+    refreshCounts: async (id) => {
+        const result = await query(
+            `UPDATE bank_statements s
+       SET matched_count = (SELECT COUNT(*) FROM bank_statement_lines WHERE statement_id = s.id AND status = 'matched'),
+           review_count = (SELECT COUNT(*) FROM bank_statement_lines WHERE statement_id = s.id AND status IN ('review', 'unmatched'))
+       WHERE s.id = $1
+       RETURNING *`,
+            [id]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== BANK STATEMENT LINE MODEL ====================
+export const BankStatementLine = {
+    // Find line by ID
+    findById: async (id) => {
+        const result = await query(
+            `SELECT l.*, s.filename, i.invoice_number
+       FROM bank_statement_lines l
+       JOIN bank_statements s ON l.statement_id = s.id
+       LEFT JOIN invoices i ON l.invoice_id = i.id
+       WHERE l.id = $1`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Get the lines of a statement in file order
+    findByStatementId: async (statementId) => {
+        const result = await query(
+            `SELECT l.*, i.invoice_number
+       FROM bank_statement_lines l
+       LEFT JOIN invoices i ON l.invoice_id = i.id
+       WHERE l.statement_id = $1
+       ORDER BY l.line_number ASC`,
+            [statementId]
+        );
+        return result.rows;
+    },
+
+    // Get lines waiting for a person: 'review' (has candidates) and/or 'unmatched'
+    findForReview: async (status = null, limit = 100) => {
+        const statuses = status ? [status] : ['review', 'unmatched'];
+        const result = await query(
+            `SELECT l.*, s.filename
+       FROM bank_statement_lines l
+       JOIN bank_statements s ON l.statement_id = s.id
+       WHERE l.status = ANY($1)
+       ORDER BY l.booking_date ASC, l.line_number ASC
+       LIMIT $2`,
+            [statuses, limit]
+        );
+        return result.rows;
+    },
+
+    // Record the reconciliation outcome of a line
+    // reviewed_by is set when a person made the decision rather than the matcher
+    updateOutcome: async (id, outcome) => {
+        const { status, invoice_id, payment_id, match_score, match_reasons, candidates, reviewed_by } = outcome;
+        const result = await query(
+            `UPDATE bank_statement_lines
+       SET status = $1,
+           invoice_id = $2,
+           payment_id = $3,
+           match_score = $4,
+           match_reasons = COALESCE($5, match_reasons),
+           candidates = COALESCE($6, candidates),
+           reviewed_by = $7,
+           reviewed_at = CASE WHEN $7::text IS NOT NULL THEN CURRENT_TIMESTAMP ELSE reviewed_at END
+       WHERE id = $8
+       RETURNING *`,
+            [
+                status,
+                invoice_id || null,
+                payment_id || null,
+                match_score ?? null,
+                match_reasons ? JSON.stringify(match_reasons) : null,
+                candidates ? JSON.stringify(candidates) : null,
+                reviewed_by || null,
+                id
+            ]
+        );
+        return result.rows[0];
+    },
+
+    // Store the AI's suggested match for a line
+    setAiSuggestion: async (id, suggestion) => {
+        const result = await query(
+            'UPDATE bank_statement_lines SET ai_suggestion = $1 WHERE id = $2 RETURNING *',
+            [JSON.stringify(suggestion), id]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== DUNNING POLICY MODEL ====================
+const DUNNING_STAGE_COLUMNS = [
+    'stage_order', 'name', 'day_offset', 'action', 'template', 'tone', 'repeat_interval_days', 'late_fee_rule_id'
+];
+
+// Policies with their stages in order
+const DUNNING_POLICY_SELECT = `SELECT p.*,
+              COALESCE(json_agg(s ORDER BY s.stage_order) FILTER (WHERE s.id IS NOT NULL), '[]') as stages
+       FROM dunning_policies p
+       LEFT JOIN dunning_stages s ON s.policy_id = p.id`;
+
+export const DunningPolicy = {
+    // Create a policy with its stages; a new default replaces the previous one
+    create: async (policyData) => {
+        const { name, description, is_default, stages } = policyData;
+
+        return transaction(async (client) => {
+            if (is_default) {
+                await client.query('UPDATE dunning_policies SET is_default = false WHERE is_default = true');
+            }
+
+            const result = await client.query(
+                `INSERT INTO dunning_policies (name, description, is_default)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+                [name, description || null, is_default || false]
+            );
+            const policy = result.rows[0];
+
+            policy.stages = await DunningPolicy.insertStages(client, policy.id, stages || []);
+            return policy;
+        });
+    },
+
+    // Insert the stages of a policy (inside a transaction), numbered in the order given
+    insertStages: async (client, policyId, stages) => {
+        const inserted = [];
+        for (const [index, stage] of stages.entries()) {
+            const values = DUNNING_STAGE_COLUMNS.map(column =>
+                column === 'stage_order' ? index + 1 : (stage[column] ?? null)
+            );
+            const result = await client.query(
+                `INSERT INTO dunning_stages (policy_id, ${DUNNING_STAGE_COLUMNS.join(', ')})
+       VALUES ($1, ${DUNNING_STAGE_COLUMNS.map((column, i) => `$${i + 2}`).join(', ')})
+       RETURNING *`,
+                [policyId, ...values]
+            );
+            inserted.push(result.rows[0]);
+        }
+        return inserted;
+    },
+
+    // Get all policies with their stages
+    findAll: async () => {
+        const result = await query(
+            `${DUNNING_POLICY_SELECT}
+       GROUP BY p.id
+       ORDER BY p.is_default DESC, p.name ASC`
+        );
+        return result.rows;
+    },
+
+    // Find policy by ID with its stages
+    findById: async (id) => {
+        const result = await query(
+            `${DUNNING_POLICY_SELECT}
+       WHERE p.id = $1
+       GROUP BY p.id`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Update a policy; only the fields present in policyData are changed
+    // Passing `stages` replaces all stages (invoices keep their progress by stage order)
+    update: async (id, policyData) => {
+        const fields = ['name', 'description', 'is_default', 'is_active'].filter(field => policyData[field] !== undefined);
+
+        const updated = await transaction(async (client) => {
+            if (policyData.is_default) {
+                await client.query('UPDATE dunning_policies SET is_default = false WHERE is_default = true AND id <> $1', [id]);
+            }
+
+            const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+            const result = await client.query(
+                `UPDATE dunning_policies SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+                [...fields.map(field => policyData[field]), id]
+            );
+            if (!result.rows[0]) {
+                return null;
+            }
+
+            if (policyData.stages) {
+                await client.query('DELETE FROM dunning_stages WHERE policy_id = $1', [id]);
+                await DunningPolicy.insertStages(client, id, policyData.stages);
+            }
+            return result.rows[0];
+        });
+
+        return updated ? DunningPolicy.findById(id) : null;
+    },
+
+    // Policy that applies to an invoice: the contract's, else the customer's, else the default
+    // Inactive policies are passed over
+    resolveForInvoice: async (invoiceId) => {
+        const result = await query(
+            `${DUNNING_POLICY_SELECT}
+       JOIN invoices i ON i.id = $1
+       JOIN customers cu ON cu.id = i.customer_id
+       LEFT JOIN contracts ct ON ct.id = i.contract_id
+       WHERE p.is_active = true
+         AND (p.id = ct.dunning_policy_id OR p.id = cu.dunning_policy_id OR p.is_default = true)
+       GROUP BY p.id, ct.dunning_policy_id, cu.dunning_policy_id
+       ORDER BY CASE WHEN p.id = ct.dunning_policy_id THEN 1 WHEN p.id = cu.dunning_policy_id THEN 2 ELSE 3 END
+       LIMIT 1`,
+            [invoiceId]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== INVOICE DUNNING EVENT MODEL ====================
+export const InvoiceDunningEvent = {
+    // Record a dunning stage run on an invoice
+    create: async (eventData) => {
+        const { invoice_id, policy_id, stage, outcome, days_overdue, details } = eventData;
+        const result = await query(
+            `INSERT INTO invoice_dunning_events
+       (invoice_id, policy_id, stage_id, stage_order, stage_name, action, outcome, days_overdue, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+            [invoice_id, policy_id, stage.id, stage.stage_order, stage.name, stage.action, outcome, days_overdue,
+                JSON.stringify(details || {})]
+        );
+        return result.rows[0];
+    },
+
+    // Dunning history of an invoice, oldest first
+    findByInvoiceId: async (invoiceId) => {
+        const result = await query(
+            'SELECT * FROM invoice_dunning_events WHERE invoice_id = $1 ORDER BY created_at ASC',
+            [invoiceId]
+        );
+        return result.rows;
+    },
+
+    // Latest completed stage of an invoice under a policy
+    findLastCompleted: async (invoiceId, policyId) => {
+        const result = await query(
+            `SELECT * FROM invoice_dunning_events
+       WHERE invoice_id = $1 AND policy_id = $2 AND outcome = 'completed'
+       ORDER BY created_at DESC
+       LIMIT 1`,
+            [invoiceId, policyId]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== LATE FEE RULE MODEL ====================
+const LATE_FEE_RULE_FIELDS = [
+    'name', 'description', 'fee_type', 'amount', 'rate', 'add_reference_rate', 'currency', 'recurrence',
+    'interval_days', 'grace_days', 'cap_amount', 'cap_percentage', 'application', 'is_active'
+];
+
+export const LateFeeRule = {
+    // Create a late fee rule
+    create: async (ruleData) => {
+        const fields = LATE_FEE_RULE_FIELDS.filter(field => ruleData[field] !== undefined);
+        const result = await query(
+            `INSERT INTO late_fee_rules (${fields.join(', ')})
+       VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+            fields.map(field => field === 'currency' && ruleData.currency ? ruleData.currency.toUpperCase() : ruleData[field])
+        );
+        return result.rows[0];
+    },
+
+    // Get all rules
+    findAll: async () => {
+        const result = await query('SELECT * FROM late_fee_rules ORDER BY is_active DESC, name ASC');
+        return result.rows;
+    },
+
+    // Find rule by ID
+    findById: async (id) => {
+        const result = await query('SELECT * FROM late_fee_rules WHERE id = $1', [id]);
+        return result.rows[0];
+    },
+
+    // Find several rules by ID
+    findByIds: async (ids) => {
+        const result = await query('SELECT * FROM late_fee_rules WHERE id = ANY($1::uuid[])', [ids]);
+        return result.rows;
+    },
+
+    // Update a rule; only the fields present in ruleData are changed
+    update: async (id, ruleData) => {
+        const fields = LATE_FEE_RULE_FIELDS.filter(field => ruleData[field] !== undefined);
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+        const result = await query(
+            `UPDATE late_fee_rules SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+            [...fields.map(field => field === 'currency' && ruleData.currency ? ruleData.currency.toUpperCase() : ruleData[field]), id]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== LATE FEE CHARGE MODEL ====================
+export const LateFeeCharge = {
+    // Record a late fee charge (optionally inside a transaction)
+    create: async (chargeData, client = null) => {
+        const runner = client || { query };
+        const {
+            invoice_id, rule_id, description, amount, currency, period_start, period_end,
+            applied_as, invoice_line_item_id, fee_invoice_id
+        } = chargeData;
+        const result = await runner.query(
+            `INSERT INTO late_fee_charges
+       (invoice_id, rule_id, description, amount, currency, period_start, period_end, applied_as,
+        invoice_line_item_id, fee_invoice_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+            [invoice_id, rule_id, description, amount, currency, period_start || null, period_end || null,
+                applied_as, invoice_line_item_id || null, fee_invoice_id || null]
+        );
+        return result.rows[0];
+    },
+
+    // Lock an invoice a fee is charged on and check it is still open: a payment or credit note
+    // may have settled it since it was picked as overdue
+    lockUnpaidInvoice: async (client, invoiceId) => {
+        const result = await client.query(
+            'SELECT status, balance_due FROM invoices WHERE id = $1 FOR UPDATE',
+            [invoiceId]
+        );
+        const invoice = result.rows[0];
+        return Boolean(invoice) && ['sent', 'overdue', 'partially_paid'].includes(invoice.status) &&
+            parseFloat(invoice.balance_due) > 0;
+    },
+
+    // Add a fee as a line on the overdue invoice itself and record the charge
+    // The line is tax exempt, so only the subtotal and total grow; the status is then re-settled.
+    // Returns nothing when the invoice has been settled in the meantime.
+    addToInvoice: async (chargeData) => {
+        const { invoice_id, description, amount } = chargeData;
+
+        return transaction(async (client) => {
+            if (!(await LateFeeCharge.lockUnpaidInvoice(client, invoice_id))) {
+                return null;
+            }
+
+            const order = await client.query(
+                'SELECT COALESCE(MAX(sort_order), 0) + 1 as next FROM invoice_line_items WHERE invoice_id = $1',
+                [invoice_id]
+            );
+            const [line] = await InvoiceLineItem.createMany(invoice_id, [{
+                item_type: 'late_fee',
+                description,
+                quantity: 1,
+                unit_price: amount,
+                tax_category: 'exempt',
+                tax_rate: 0,
+                tax_details: [],
+                discount_percentage: 0,
+                subtotal: amount,
+                discount_amount: 0,
+                tax_amount: 0,
+                total_amount: amount,
+                period_start: chargeData.period_start || null,
+                period_end: chargeData.period_end || null,
+                sort_order: order.rows[0].next
+            }], client);
+
+            await client.query(
+                'UPDATE invoices SET subtotal = subtotal + $1, total_amount = total_amount + $1 WHERE id = $2',
+                [amount, invoice_id]
+            );
+            const invoice = await Payment.settle(client, invoice_id);
+
+            const charge = await LateFeeCharge.create({
+                ...chargeData,
+                applied_as: 'invoice_line',
+                invoice_line_item_id: line.id
+            }, client);
+
+            return { charge, invoice };
+        });
+    },
+
+    // Charge a fee on a new invoice of its own and record the charge, both or neither
+    // Returns nothing when the overdue invoice has been settled in the meantime
+    addFeeInvoice: async (chargeData, invoiceData) => {
+        return transaction(async (client) => {
+            if (!(await LateFeeCharge.lockUnpaidInvoice(client, chargeData.invoice_id))) {
+                return null;
+            }
+
+            const feeInvoice = await Invoice.create(invoiceData, client);
+            const charge = await LateFeeCharge.create({
+                ...chargeData,
+                applied_as: 'fee_invoice',
+                fee_invoice_id: feeInvoice.id
+            }, client);
+
+            return { charge, invoice: feeInvoice };
+        });
+    },
+
+    // Charges on an invoice, oldest first, with the fee invoice number where there is one
+    findByInvoiceId: async (invoiceId) => {
+        const result = await query(
+            `SELECT lc.*, r.name as rule_name, fi.invoice_number as fee_invoice_number
+       FROM late_fee_charges lc
+       LEFT JOIN late_fee_rules r ON r.id = lc.rule_id
+       LEFT JOIN invoices fi ON fi.id = lc.fee_invoice_id
+       WHERE lc.invoice_id = $1
+       ORDER BY lc.created_at ASC`,
+            [invoiceId]
+        );
+        return result.rows;
+    }
+};
+
+// ==================== AUDIT LOG MODEL ====================
+export const AuditLog = {
+    // Create audit log entry
+    create: async (logData) => {
+        const { action_type, entity_type, entity_id, user_type, user_id, description, metadata, ip_address } = logData;
+        const result = await query(
+            `INSERT INTO audit_logs 
+       (action_type, entity_type, entity_id, user_type, user_id, description, metadata, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+            [action_type, entity_type, entity_id, user_type || 'system', user_id, description,
+                metadata ? JSON.stringify(metadata) : null, ip_address]
+        );
+        return result.rows[0];
+    },
+
+    // Get audit logs with filters
+    findAll: async (filters = {}, limit = 100) => {
+        let queryText = 'SELECT * FROM audit_logs WHERE 1=1';
+        const params = [];
+        let paramCount = 1;
+
+        if (filters.entity_type) {
+            queryText += ` AND entity_type = $${paramCount}`;
+            params.push(filters.entity_type);
+            paramCount++;
+        }
+
+        if (filters.action_type) {
+            queryText += ` AND action_type = $${paramCount}`;
+            params.push(filters.action_type);
+            paramCount++;
+        }
+
+        queryText += ` ORDER BY created_at DESC LIMIT $${paramCount}`;
+        params.push(limit);
+
+        const result = await query(queryText, params);
+        return result.rows;
+    }
+};
+
+// ==================== AI VALIDATION LOG MODEL ====================
+export const AIValidationLog = {
+    // Create validation log
+    create: async (logData) => {
+        const { invoice_id, anomaly_score, validation_status, flags, suggestions, ai_response } = logData;
+        const result = await query(
+            `INSERT INTO ai_validation_logs 
+       (invoice_id, anomaly_score, validation_status, flags, suggestions, ai_response)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+            [invoice_id, anomaly_score, validation_status,
+                flags ? JSON.stringify(flags) : null, suggestions, ai_response]
         );
         return result.rows[0];
     },
@@ -329,71 +2422,207 @@ export const AIValidationLog = {
         return result.rows;
     },
 
-    // Get all flagged validations
-    findFlagged: async () => {
-        const result = await query(
-            `SELECT v.*, i.invoice_number, c.name as customer_name
-       FROM ai_validation_logs v
-       JOIN invoices i ON v.invoice_id = i.id
-       JOIN customers c ON i.customer_id = c.id
-       WHERE v.validation_status = 'flagged'
-       ORDER BY v.validation_date DESC`
+    // Get all flagged validations
+    findFlagged: async () => {
+        const result = await query(
+            `SELECT v.*, i.invoice_number, c.name as customer_name
+       FROM ai_validation_logs v
+       JOIN invoices i ON v.invoice_id = i.id
+       JOIN customers c ON i.customer_id = c.id
+       WHERE v.validation_status = 'flagged'
+       ORDER BY v.validation_date DESC`
+        );
+        return result.rows;
+    }
+};
+
+// ==================== CLIENT QUERY MODEL ====================
+export const ClientQuery = {
+    // Create a client query
+    create: async (queryData) => {
+        const { customer_id, invoice_id, query_text, query_type, ai_response, escalated } = queryData;
+        const result = await query(
+            `INSERT INTO client_queries 
+       (customer_id, invoice_id, query_text, query_type, ai_response, escalated)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+            [customer_id, invoice_id, query_text, query_type || 'general', ai_response, escalated || false]
+        );
+        return result.rows[0];
+    },
+
+    // Mark query as resolved
+    resolve: async (id) => {
+        const result = await query(
+            'UPDATE client_queries SET resolved = true, resolved_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Get unresolved queries
+    findUnresolved: async () => {
+        const result = await query(
+            `SELECT q.*, c.name as customer_name, c.email as customer_email
+       FROM client_queries q
+       JOIN customers c ON q.customer_id = c.id
+       WHERE q.resolved = false
+       ORDER BY q.created_at DESC`
+        );
+        return result.rows;
+    }
+};
+
+// ==================== PORTAL USER MODEL ====================
+// Columns returned to callers (never the password hash)
+const PORTAL_USER_COLUMNS = 'id, customer_id, email, full_name, is_active, last_login, created_at, updated_at';
+
+export const PortalUser = {
+    // Create a portal login for a customer
+    create: async (userData) => {
+        const { customer_id, email, full_name, password_hash } = userData;
+        const result = await query(
+            `INSERT INTO portal_users (customer_id, email, full_name, password_hash)
+       VALUES ($1, LOWER($2), $3, $4)
+       RETURNING ${PORTAL_USER_COLUMNS}`,
+            [customer_id, email, full_name || null, password_hash || null]
+        );
+        return result.rows[0];
+    },
+
+    // Find an active portal user by ID
+    findById: async (id) => {
+        const result = await query(
+            `SELECT pu.id, pu.customer_id, pu.email, pu.full_name, pu.is_active, pu.last_login,
+              pu.created_at, pu.updated_at, c.name as customer_name
+       FROM portal_users pu
+       JOIN customers c ON pu.customer_id = c.id
+       WHERE pu.id = $1 AND pu.is_active = true AND c.is_active = true`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Find an active portal user by email, with the password hash for login
+    findByEmailForLogin: async (email) => {
+        const result = await query(
+            `SELECT pu.* FROM portal_users pu
+       JOIN customers c ON pu.customer_id = c.id
+       WHERE pu.email = LOWER($1) AND pu.is_active = true AND c.is_active = true`,
+            [email]
+        );
+        return result.rows[0];
+    },
+
+    // Find the password hash of a portal user
+    findPasswordHash: async (id) => {
+        const result = await query('SELECT password_hash FROM portal_users WHERE id = $1', [id]);
+        return result.rows[0] ? result.rows[0].password_hash : null;
+    },
+
+    // Get a customer's portal users
+    findByCustomerId: async (customerId) => {
+        const result = await query(
+            `SELECT ${PORTAL_USER_COLUMNS}, (password_hash IS NOT NULL) as has_password
+       FROM portal_users WHERE customer_id = $1 ORDER BY created_at ASC`,
+            [customerId]
+        );
+        return result.rows;
+    },
+
+    // Set a new password hash
+    setPassword: async (id, passwordHash) => {
+        await query(
+            'UPDATE portal_users SET password_hash = $1 WHERE id = $2',
+            [passwordHash, id]
         );
-        return result.rows;
-    }
-};
+    },
 
-// ==================== CLIENT QUERY MODEL ====================
-export const ClientQuery = {
-    // Create a client query
-    create: async (queryData) => {
-        const { customer_id, invoice_id, query_text, query_type, ai_response, escalated } = queryData;
+    // Activate or deactivate a portal user of a customer
+    setActive: async (id, customerId, isActive) => {
         const result = await query(
-            `INSERT INTO client_queries 
-       (customer_id, invoice_id, query_text, query_type, ai_response, escalated)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
-            [customer_id, invoice_id, query_text, query_type || 'general', ai_response, escalated || false]
+            `UPDATE portal_users SET is_active = $1 WHERE id = $2 AND customer_id = $3
+       RETURNING ${PORTAL_USER_COLUMNS}`,
+            [isActive, id, customerId]
         );
         return result.rows[0];
     },
 
-    // Mark query as resolved
-    resolve: async (id) => {
-        const result = await query(
-            'UPDATE client_queries SET resolved = true, resolved_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+    // Update last login
+    updateLastLogin: async (id) => {
+        await query(
+            'UPDATE portal_users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
             [id]
         );
+    }
+};
+
+// ==================== PORTAL LOGIN TOKEN MODEL ====================
+export const PortalLoginToken = {
+    // Store a new magic link token (the token itself is never stored)
+    create: async (tokenData) => {
+        const { portal_user_id, token_hash, expires_at } = tokenData;
+        const result = await query(
+            `INSERT INTO portal_login_tokens (portal_user_id, token_hash, expires_at)
+       VALUES ($1, $2, $3)
+       RETURNING id, portal_user_id, expires_at, created_at`,
+            [portal_user_id, token_hash, expires_at]
+        );
         return result.rows[0];
     },
 
-    // Get unresolved queries
-    findUnresolved: async () => {
+    // Use an unexpired, unused token; returns its portal_user_id, or nothing when the token
+    // is unknown, expired or already used (a token works once even under concurrent requests)
+    consume: async (tokenHash) => {
         const result = await query(
-            `SELECT q.*, c.name as customer_name, c.email as customer_email
-       FROM client_queries q
-       JOIN customers c ON q.customer_id = c.id
-       WHERE q.resolved = false
-       ORDER BY q.created_at DESC`
+            `UPDATE portal_login_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING portal_user_id`,
+            [tokenHash]
         );
-        return result.rows;
+        return result.rows[0];
     }
 };
 
 // ==================== ADMIN USER MODEL ====================
+// Columns returned to callers (never the password hash)
+const ADMIN_USER_COLUMNS = `id, username, email, full_name, role, is_active,
+       (totp_enabled_at IS NOT NULL) AS two_factor_enabled, locked_until, password_changed_at,
+       last_login, created_at, updated_at`;
+
 export const AdminUser = {
     // Create admin user
-    create: async (userData) => {
-        const { username, email, password_hash, full_name, role } = userData;
-        const result = await query(
-            `INSERT INTO admin_users (username, email, password_hash, full_name, role)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, username, email, full_name, role, created_at`,
-            [username, email, password_hash, full_name, role || 'admin']
+    create: async (userData, client = null) => {
+        const runner = client || { query };
+        const { username, email, password_hash, full_name, role, is_active } = userData;
+        const result = await runner.query(
+            `INSERT INTO admin_users (username, email, password_hash, full_name, role, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+            [username, email, password_hash, full_name, role, is_active !== false]
         );
         return result.rows[0];
     },
 
+    // Create the first owner (the bootstrap command); every later user comes from an invitation
+    // Throws an error with code OWNER_EXISTS when there already is an active owner
+    createInitialOwner: async (userData) => {
+        return transaction(async (client) => {
+            // Serialise bootstraps so two runs cannot both create an owner
+            await client.query('LOCK TABLE admin_users IN SHARE ROW EXCLUSIVE MODE');
+            const owners = await client.query(
+                "SELECT COUNT(*)::int AS count FROM admin_users WHERE role = 'owner' AND is_active = true"
+            );
+            if (owners.rows[0].count > 0) {
+                const error = new Error('An active owner already exists; invite further users instead');
+                error.code = 'OWNER_EXISTS';
+                throw error;
+            }
+
+            return AdminUser.create({ ...userData, role: 'owner', is_active: true }, client);
+        });
+    },
+
     // Find by username
     findByUsername: async (username) => {
         const result = await query(
@@ -403,12 +2632,136 @@ export const AdminUser = {
         return result.rows[0];
     },
 
-    // Find by email
+    // Find by email (case-insensitive)
     findByEmail: async (email) => {
         const result = await query(
-            'SELECT * FROM admin_users WHERE email = $1 AND is_active = true',
+            'SELECT * FROM admin_users WHERE LOWER(email) = LOWER($1) AND is_active = true',
+            [email]
+        );
+        return result.rows[0];
+    },
+
+    // Find by ID with the password hash (for checking the current password only)
+    findPasswordHash: async (id) => {
+        const result = await query(
+            'SELECT id, username, email, password_hash, is_active, failed_login_count, locked_until FROM admin_users WHERE id = $1',
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Whether any user, active or not, has this email (case-insensitive)
+    emailInUse: async (email) => {
+        const result = await query(
+            'SELECT 1 FROM admin_users WHERE LOWER(email) = LOWER($1)',
             [email]
         );
+        return result.rows.length > 0;
+    },
+
+    // Find by ID (including inactive users); never returns the password hash
+    findById: async (id) => {
+        const result = await query(
+            `SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = $1`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Get all users
+    findAll: async () => {
+        const result = await query(
+            `SELECT ${ADMIN_USER_COLUMNS} FROM admin_users ORDER BY is_active DESC, username ASC`
+        );
+        return result.rows;
+    },
+
+    // Change a user's role
+    // Throws an error with code LAST_OWNER when this would leave no active owner
+    updateRole: async (id, role) => {
+        return transaction(async (client) => {
+            await AdminUser.ensureOtherOwner(client, id, role === 'owner');
+
+            const result = await client.query(
+                `UPDATE admin_users SET role = $1 WHERE id = $2 RETURNING ${ADMIN_USER_COLUMNS}`,
+                [role, id]
+            );
+            return result.rows[0];
+        });
+    },
+
+    // Activate or deactivate a user
+    // Throws an error with code LAST_OWNER when this would leave no active owner
+    setActive: async (id, isActive) => {
+        return transaction(async (client) => {
+            await AdminUser.ensureOtherOwner(client, id, isActive);
+
+            const result = await client.query(
+                `UPDATE admin_users SET is_active = $1 WHERE id = $2 RETURNING ${ADMIN_USER_COLUMNS}`,
+                [isActive, id]
+            );
+            return result.rows[0];
+        });
+    },
+
+    // Unless the user stays an active owner, check another active owner remains
+    // Owner rows are locked so two concurrent demotions cannot both pass
+    ensureOtherOwner: async (client, id, staysOwner) => {
+        if (staysOwner) {
+            return;
+        }
+
+        const owners = await client.query(
+            "SELECT id FROM admin_users WHERE role = 'owner' AND is_active = true FOR UPDATE"
+        );
+        const ownerIds = owners.rows.map(row => row.id);
+        if (ownerIds.includes(id) && ownerIds.length === 1) {
+            const error = new Error('There must be at least one active owner');
+            error.code = 'LAST_OWNER';
+            throw error;
+        }
+    },
+
+    // Count a failed password or code; from the threshold-th failure on the account is locked
+    // for baseSeconds, doubling with each further failure up to maxSeconds
+    // Returns { failed_login_count, locked_until }
+    recordFailedLogin: async (id, { threshold, baseSeconds, maxSeconds }) => {
+        const result = await query(
+            `UPDATE admin_users SET
+           failed_login_count = failed_login_count + 1,
+           locked_until = CASE
+               WHEN failed_login_count + 1 >= $2 THEN CURRENT_TIMESTAMP
+                   + LEAST($3 * POWER(2, failed_login_count + 1 - $2), $4) * INTERVAL '1 second'
+               ELSE locked_until
+           END
+       WHERE id = $1
+       RETURNING failed_login_count, locked_until`,
+            [id, threshold, baseSeconds, maxSeconds]
+        );
+        return result.rows[0];
+    },
+
+    // Reset the failure count and lift any lockout
+    clearFailedLogins: async (id) => {
+        const result = await query(
+            `UPDATE admin_users SET failed_login_count = 0, locked_until = NULL
+       WHERE id = $1
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Set a new password hash; also lifts any lockout
+    setPassword: async (id, passwordHash, client = null) => {
+        const runner = client || { query };
+        const result = await runner.query(
+            `UPDATE admin_users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP,
+              failed_login_count = 0, locked_until = NULL
+       WHERE id = $2
+       RETURNING ${ADMIN_USER_COLUMNS}`,
+            [passwordHash, id]
+        );
         return result.rows[0];
     },
 
@@ -418,16 +2771,575 @@ export const AdminUser = {
             'UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
             [id]
         );
+    },
+
+    // Two-factor state, including the secret (for verifying codes only)
+    findTwoFactor: async (id) => {
+        const result = await query(
+            `SELECT id, username, is_active, totp_secret, totp_enabled_at, totp_last_step,
+              (SELECT COUNT(*)::int FROM admin_recovery_codes
+               WHERE admin_user_id = admin_users.id AND used_at IS NULL) AS recovery_codes_remaining
+       FROM admin_users WHERE id = $1`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Store a new, not yet confirmed TOTP secret; returns nothing when two-factor is already enabled
+    setPendingTotpSecret: async (id, secret) => {
+        const result = await query(
+            `UPDATE admin_users SET totp_secret = $1, totp_last_step = NULL
+       WHERE id = $2 AND totp_enabled_at IS NULL
+       RETURNING id`,
+            [secret, id]
+        );
+        return result.rows[0];
+    },
+
+    // Record a TOTP time step as used; returns nothing when that step (or a later one)
+    // was already used, so a code works once even under concurrent requests
+    useTotpStep: async (id, step, client = null) => {
+        const runner = client || { query };
+        const result = await runner.query(
+            `UPDATE admin_users SET totp_last_step = $1
+       WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+       RETURNING id`,
+            [step, id]
+        );
+        return result.rows[0];
+    },
+
+    // Confirm enrollment with the first accepted code and store fresh recovery codes
+    // Returns nothing when the step was already used or two-factor is already enabled
+    enableTwoFactor: async (id, step, recoveryCodeHashes) => {
+        return transaction(async (client) => {
+            const result = await client.query(
+                `UPDATE admin_users SET totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $1
+         WHERE id = $2 AND totp_secret IS NOT NULL AND totp_enabled_at IS NULL
+           AND (totp_last_step IS NULL OR totp_last_step < $1)
+         RETURNING ${ADMIN_USER_COLUMNS}`,
+                [step, id]
+            );
+            if (!result.rows[0]) {
+                return null;
+            }
+
+            await AdminRecoveryCode.replaceAll(id, recoveryCodeHashes, client);
+            return result.rows[0];
+        });
+    },
+
+    // Turn two-factor off and discard the secret and recovery codes
+    disableTwoFactor: async (id) => {
+        return transaction(async (client) => {
+            const result = await client.query(
+                `UPDATE admin_users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+         WHERE id = $1
+         RETURNING ${ADMIN_USER_COLUMNS}`,
+                [id]
+            );
+            await client.query('DELETE FROM admin_recovery_codes WHERE admin_user_id = $1', [id]);
+            return result.rows[0];
+        });
+    }
+};
+
+// ==================== ADMIN SESSION MODEL ====================
+const ADMIN_SESSION_COLUMNS = 'id, admin_user_id, ip_address, user_agent, expires_at, last_used_at, revoked_at, revoked_reason, created_at';
+
+export const AdminSession = {
+    // Create a session with its first refresh token (the token itself is never stored)
+    create: async (sessionData, tokenHash) => {
+        const { admin_user_id, ip_address, user_agent, expires_at } = sessionData;
+        return transaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO admin_sessions (admin_user_id, ip_address, user_agent, expires_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${ADMIN_SESSION_COLUMNS}`,
+                [admin_user_id, ip_address, user_agent, expires_at]
+            );
+            const session = result.rows[0];
+
+            await client.query(
+                'INSERT INTO admin_refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+                [session.id, tokenHash, expires_at]
+            );
+            return session;
+        });
+    },
+
+    // Find a session that is neither revoked nor expired
+    findActive: async (id) => {
+        const result = await query(
+            `SELECT ${ADMIN_SESSION_COLUMNS} FROM admin_sessions
+       WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Get a user's active sessions, most recently used first
+    findActiveByUser: async (adminUserId) => {
+        const result = await query(
+            `SELECT ${ADMIN_SESSION_COLUMNS} FROM admin_sessions
+       WHERE admin_user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+            [adminUserId]
+        );
+        return result.rows;
+    },
+
+    // Swap a refresh token for a new one
+    // Returns { status, session }: 'rotated'; 'reused' when the token was already used, in which
+    // case the whole session is revoked; or 'invalid' (unknown, expired, revoked or inactive user)
+    rotate: async (tokenHash, newTokenHash, expiresAt) => {
+        return transaction(async (client) => {
+            const found = await client.query(
+                `SELECT rt.id, rt.used_at, rt.expires_at, s.id AS session_id, s.revoked_at, au.is_active
+         FROM admin_refresh_tokens rt
+         JOIN admin_sessions s ON rt.session_id = s.id
+         JOIN admin_users au ON s.admin_user_id = au.id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt, s`,
+                [tokenHash]
+            );
+            const token = found.rows[0];
+            if (!token || token.revoked_at || !token.is_active) {
+                return { status: 'invalid' };
+            }
+
+            if (token.used_at) {
+                const revoked = await client.query(
+                    `UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse'
+           WHERE id = $1
+           RETURNING ${ADMIN_SESSION_COLUMNS}`,
+                    [token.session_id]
+                );
+                return { status: 'reused', session: revoked.rows[0] };
+            }
+
+            if (new Date(token.expires_at) <= new Date()) {
+                return { status: 'invalid' };
+            }
+
+            await client.query('UPDATE admin_refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [token.id]);
+            await client.query(
+                'INSERT INTO admin_refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+                [token.session_id, newTokenHash, expiresAt]
+            );
+            const updated = await client.query(
+                `UPDATE admin_sessions SET last_used_at = CURRENT_TIMESTAMP, expires_at = $1
+         WHERE id = $2
+         RETURNING ${ADMIN_SESSION_COLUMNS}`,
+                [expiresAt, token.session_id]
+            );
+            return { status: 'rotated', session: updated.rows[0] };
+        });
+    },
+
+    // Revoke one session; returns nothing when it was already revoked
+    revoke: async (id, reason) => {
+        const result = await query(
+            `UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+       WHERE id = $2 AND revoked_at IS NULL
+       RETURNING ${ADMIN_SESSION_COLUMNS}`,
+            [reason, id]
+        );
+        return result.rows[0];
+    },
+
+    // Revoke all of a user's sessions, optionally keeping one; returns how many were still active
+    revokeAllForUser: async (adminUserId, reason, exceptSessionId = null) => {
+        const result = await query(
+            `UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+       WHERE admin_user_id = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+            [reason, adminUserId, exceptSessionId]
+        );
+        return result.rowCount;
+    }
+};
+
+// ==================== ADMIN PASSWORD RESET MODEL ====================
+export const AdminPasswordReset = {
+    // Store a new reset token (the token itself is never stored); earlier unused links stop working
+    create: async (resetData) => {
+        const { admin_user_id, token_hash, expires_at } = resetData;
+        return transaction(async (client) => {
+            await client.query(
+                'DELETE FROM admin_password_resets WHERE admin_user_id = $1 AND used_at IS NULL',
+                [admin_user_id]
+            );
+
+            const result = await client.query(
+                `INSERT INTO admin_password_resets (admin_user_id, token_hash, expires_at)
+         VALUES ($1, $2, $3)
+         RETURNING id, admin_user_id, expires_at, created_at`,
+                [admin_user_id, token_hash, expires_at]
+            );
+            return result.rows[0];
+        });
+    },
+
+    // Find an unexpired, unused reset with its (active) user
+    findPending: async (tokenHash) => {
+        const result = await query(
+            `SELECT pr.id, pr.admin_user_id, pr.expires_at, au.username, au.email
+       FROM admin_password_resets pr
+       JOIN admin_users au ON pr.admin_user_id = au.id
+       WHERE pr.token_hash = $1 AND pr.used_at IS NULL AND pr.expires_at > CURRENT_TIMESTAMP
+         AND au.is_active = true`,
+            [tokenHash]
+        );
+        return result.rows[0];
+    },
+
+    // Use a reset token and set the new password in one transaction
+    // Returns the user, or nothing when the token is unknown, expired or already used
+    consume: async (tokenHash, passwordHash) => {
+        return transaction(async (client) => {
+            const used = await client.query(
+                `UPDATE admin_password_resets SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING admin_user_id`,
+                [tokenHash]
+            );
+            if (!used.rows[0]) {
+                return null;
+            }
+
+            return AdminUser.setPassword(used.rows[0].admin_user_id, passwordHash, client);
+        });
+    }
+};
+
+// ==================== ADMIN RECOVERY CODE MODEL ====================
+export const AdminRecoveryCode = {
+    // Replace a user's recovery codes (the codes themselves are never stored)
+    replaceAll: async (adminUserId, codeHashes, client = null) => {
+        const runner = client || { query };
+        await runner.query('DELETE FROM admin_recovery_codes WHERE admin_user_id = $1', [adminUserId]);
+        for (const codeHash of codeHashes) {
+            await runner.query(
+                'INSERT INTO admin_recovery_codes (admin_user_id, code_hash) VALUES ($1, $2)',
+                [adminUserId, codeHash]
+            );
+        }
+    },
+
+    // Use an unused recovery code; returns nothing when it is unknown or already used
+    consume: async (adminUserId, codeHash) => {
+        const result = await query(
+            `UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE id = (
+           SELECT id FROM admin_recovery_codes
+           WHERE admin_user_id = $1 AND code_hash = $2 AND used_at IS NULL
+           LIMIT 1
+           FOR UPDATE
+       ) AND used_at IS NULL
+       RETURNING id`,
+            [adminUserId, codeHash]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== SECURITY SETTINGS MODEL ====================
+export const SecuritySettings = {
+    // Get the dashboard security policy
+    get: async () => {
+        const result = await query('SELECT * FROM security_settings WHERE id = true');
+        return result.rows[0] || { require_two_factor: false };
+    },
+
+    // Update the policy (creating the row if the seed is missing)
+    update: async (settings, updatedBy) => {
+        const { require_two_factor } = settings;
+        const result = await query(
+            `INSERT INTO security_settings (id, require_two_factor, updated_by)
+       VALUES (true, $1, $2)
+       ON CONFLICT (id) DO UPDATE SET require_two_factor = EXCLUDED.require_two_factor,
+                                      updated_by = EXCLUDED.updated_by
+       RETURNING *`,
+            [require_two_factor, updatedBy]
+        );
+        return result.rows[0];
+    }
+};
+
+// ==================== ADMIN INVITATION MODEL ====================
+// Columns returned to callers (never the token hash), with the invitation's current state
+const ADMIN_INVITATION_COLUMNS = `ai.id, ai.email, ai.role, ai.invited_by, ai.expires_at, ai.accepted_at,
+       ai.accepted_user_id, ai.revoked_at, ai.created_at,
+       CASE
+           WHEN ai.accepted_at IS NOT NULL THEN 'accepted'
+           WHEN ai.revoked_at IS NOT NULL THEN 'revoked'
+           WHEN ai.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+           ELSE 'pending'
+       END AS status`;
+
+export const AdminInvitation = {
+    // Create an invitation (the token itself is never stored)
+    // Earlier pending invitations for the same email are revoked, so only the newest link works
+    create: async (invitationData) => {
+        const { email, role, token_hash, invited_by, expires_at } = invitationData;
+        return transaction(async (client) => {
+            await client.query(
+                `UPDATE admin_invitations SET revoked_at = CURRENT_TIMESTAMP
+         WHERE LOWER(email) = LOWER($1) AND accepted_at IS NULL AND revoked_at IS NULL`,
+                [email]
+            );
+
+            const result = await client.query(
+                `INSERT INTO admin_invitations (email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+                [email, role, token_hash, invited_by, expires_at]
+            );
+            const created = await client.query(
+                `SELECT ${ADMIN_INVITATION_COLUMNS} FROM admin_invitations ai WHERE ai.id = $1`,
+                [result.rows[0].id]
+            );
+            return created.rows[0];
+        });
+    },
+
+    // Find by ID
+    findById: async (id) => {
+        const result = await query(
+            `SELECT ${ADMIN_INVITATION_COLUMNS} FROM admin_invitations ai WHERE ai.id = $1`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Get all invitations, newest first, with who sent them
+    findAll: async () => {
+        const result = await query(
+            `SELECT ${ADMIN_INVITATION_COLUMNS}, au.username AS invited_by_username
+       FROM admin_invitations ai
+       LEFT JOIN admin_users au ON ai.invited_by = au.id
+       ORDER BY ai.created_at DESC`
+        );
+        return result.rows;
+    },
+
+    // Find an unexpired, unused and unrevoked invitation by token hash
+    findPendingByTokenHash: async (tokenHash) => {
+        const result = await query(
+            `SELECT ${ADMIN_INVITATION_COLUMNS}, au.full_name AS invited_by_name
+       FROM admin_invitations ai
+       LEFT JOIN admin_users au ON ai.invited_by = au.id
+       WHERE ai.token_hash = $1 AND ai.accepted_at IS NULL AND ai.revoked_at IS NULL
+         AND ai.expires_at > CURRENT_TIMESTAMP`,
+            [tokenHash]
+        );
+        return result.rows[0];
+    },
+
+    // Accept an invitation: create the user with the invited email and role and mark the
+    // invitation used, in one transaction. Returns { invitation, user }, or nothing when the
+    // token is unknown, expired, revoked or already used (it works once even under concurrent requests)
+    accept: async (tokenHash, userData) => {
+        return transaction(async (client) => {
+            const pending = await client.query(
+                `SELECT id, email, role FROM admin_invitations
+         WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+           AND expires_at > CURRENT_TIMESTAMP
+         FOR UPDATE`,
+                [tokenHash]
+            );
+            const invitation = pending.rows[0];
+            if (!invitation) {
+                return null;
+            }
+
+            const user = await AdminUser.create({
+                ...userData,
+                email: invitation.email,
+                role: invitation.role,
+                is_active: true
+            }, client);
+
+            await client.query(
+                `UPDATE admin_invitations SET accepted_at = CURRENT_TIMESTAMP, accepted_user_id = $1
+         WHERE id = $2`,
+                [user.id, invitation.id]
+            );
+
+            return { invitation, user };
+        });
+    },
+
+    // Revoke a pending invitation; returns nothing when it was already accepted or revoked
+    revoke: async (id) => {
+        const result = await query(
+            `UPDATE admin_invitations SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+            [id]
+        );
+        return result.rows[0] ? AdminInvitation.findById(id) : null;
+    }
+};
+
+// ==================== API KEY MODEL ====================
+// Columns returned to callers (never the key hash), with the key's current state
+const API_KEY_COLUMNS = `k.id, k.name, k.key_prefix, k.permissions, k.created_by, k.rotated_from, k.expires_at,
+       k.last_used_at, k.last_used_ip, k.revoked_at, k.revoked_reason, k.created_at,
+       CASE
+           WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+           WHEN k.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+           ELSE 'active'
+       END AS status`;
+
+export const ApiKey = {
+    // Create a key (the key itself is never stored)
+    create: async (keyData, client = null) => {
+        const runner = client || { query };
+        const { name, key_prefix, key_hash, permissions, created_by, rotated_from, expires_at } = keyData;
+        const result = await runner.query(
+            `INSERT INTO api_keys (name, key_prefix, key_hash, permissions, created_by, rotated_from, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+            [name, key_prefix, key_hash, JSON.stringify(permissions), created_by || null, rotated_from || null, expires_at || null]
+        );
+        const created = await runner.query(
+            `SELECT ${API_KEY_COLUMNS} FROM api_keys k WHERE k.id = $1`,
+            [result.rows[0].id]
+        );
+        return created.rows[0];
+    },
+
+    // Find by ID
+    findById: async (id) => {
+        const result = await query(
+            `SELECT ${API_KEY_COLUMNS} FROM api_keys k WHERE k.id = $1`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    // Get all keys, newest first, with who created them and whether that owner still vouches for them
+    findAll: async () => {
+        const result = await query(
+            `SELECT ${API_KEY_COLUMNS}, au.username AS created_by_username,
+       COALESCE(au.role = 'owner' AND au.is_active, false) AS creator_active
+       FROM api_keys k
+       LEFT JOIN admin_users au ON k.created_by = au.id
+       ORDER BY k.created_at DESC`
+        );
+        return result.rows;
+    },
+
+    // Find a key that is neither revoked nor expired by its hash
+    // A key only works while the owner who created (or last rotated) it is still an active owner
+    findActiveByHash: async (keyHash) => {
+        const result = await query(
+            `SELECT ${API_KEY_COLUMNS} FROM api_keys k
+       JOIN admin_users au ON k.created_by = au.id
+       WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+         AND au.role = 'owner' AND au.is_active = true`,
+            [keyHash]
+        );
+        return result.rows[0];
+    },
+
+    // Record a use; at most once a minute per key, so busy integrations do not write on every call
+    touch: async (id, ipAddress) => {
+        await query(
+            `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+            [id, ipAddress]
+        );
+    },
+
+    // Replace an active key with a new one (keyData: key_prefix, key_hash, created_by, expires_at).
+    // The old key is revoked, or with overlapUntil keeps working until then so integrations can
+    // switch over. Returns { previous, key }, or nothing when the old key is no longer active
+    rotate: async (id, keyData, overlapUntil = null) => {
+        return transaction(async (client) => {
+            const found = await client.query(
+                `SELECT id, name, permissions FROM api_keys
+         WHERE id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+         FOR UPDATE`,
+                [id]
+            );
+            const previous = found.rows[0];
+            if (!previous) {
+                return null;
+            }
+
+            const key = await ApiKey.create({
+                ...keyData,
+                name: previous.name,
+                permissions: previous.permissions,
+                rotated_from: previous.id
+            }, client);
+
+            if (overlapUntil) {
+                // LEAST ignores NULL, so a key without expiry gets one
+                await client.query('UPDATE api_keys SET expires_at = LEAST(expires_at, $2) WHERE id = $1', [id, overlapUntil]);
+            } else {
+                await client.query(
+                    `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'rotated' WHERE id = $1`,
+                    [id]
+                );
+            }
+
+            const updated = await client.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys k WHERE k.id = $1`, [id]);
+            return { previous: updated.rows[0], key };
+        });
+    },
+
+    // Revoke a key; returns nothing when it was already revoked
+    revoke: async (id, reason) => {
+        const result = await query(
+            `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+            [id, reason]
+        );
+        return result.rows[0] ? ApiKey.findById(id) : null;
     }
 };
 
 export default {
     Customer,
     Contract,
+    ContractChange,
+    ContractItem,
     Invoice,
+    InvoiceStatusHistory,
+    InvoiceLineItem,
+    CreditNote,
+    NumberingSeries,
+    TaxRule,
+    TaxExemption,
+    ExchangeRate,
+    PaymentTerms,
+    UsagePrice,
+    UsageRecord,
     Payment,
+    PaymentLink,
+    CustomerCredit,
+    BankStatement,
+    BankStatementLine,
+    DunningPolicy,
+    InvoiceDunningEvent,
+    LateFeeRule,
+    LateFeeCharge,
     AuditLog,
     AIValidationLog,
     ClientQuery,
-    AdminUser
+    PortalUser,
+    PortalLoginToken,
+    AdminUser,
+    AdminSession,
+    AdminPasswordReset,
+    AdminRecoveryCode,
+    SecuritySettings,
+    AdminInvitation,
+    ApiKey
 };
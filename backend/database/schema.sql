@@ -4,6 +4,85 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Late Fee Rules Table (fees and interest charged on overdue invoices once a dunning stage starts them)
+-- flat: amount per charge; percentage: rate % of the unpaid balance per charge;
+-- interest: rate % a year on the unpaid balance (plus the reference rate, e.g. the ECB rate for the EU late-payment rate)
+-- Caps limit the total charged per invoice under the rule
+CREATE TABLE late_fee_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    fee_type VARCHAR(20) NOT NULL CHECK (fee_type IN ('flat', 'percentage', 'interest')),
+    amount DECIMAL(10, 2) CHECK (amount > 0),
+    rate DECIMAL(7, 3) CHECK (rate >= 0),
+    add_reference_rate BOOLEAN NOT NULL DEFAULT false,
+    -- Only invoices in this currency are charged (needed for flat amounts in a specific currency)
+    currency CHAR(3),
+    recurrence VARCHAR(20) NOT NULL DEFAULT 'one_time' CHECK (recurrence IN ('one_time', 'recurring')),
+    interval_days INTEGER CHECK (interval_days > 0),
+    grace_days INTEGER NOT NULL DEFAULT 0 CHECK (grace_days >= 0),
+    cap_amount DECIMAL(10, 2) CHECK (cap_amount > 0),
+    cap_percentage DECIMAL(5, 2) CHECK (cap_percentage > 0),
+    application VARCHAR(20) NOT NULL DEFAULT 'fee_invoice' CHECK (application IN ('invoice_line', 'fee_invoice')),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (fee_type <> 'flat' OR amount IS NOT NULL),
+    CHECK (fee_type = 'flat' OR rate IS NOT NULL),
+    CHECK (recurrence <> 'recurring' OR interval_days IS NOT NULL)
+);
+
+-- Dunning Policies Table (how overdue invoices are chased; assigned per customer or contract, else the default)
+CREATE TABLE dunning_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Dunning Stages Table (escalation steps of a policy, run once the invoice is day_offset days overdue)
+-- A stage with a template emails the customer after its action; repeat_interval_days repeats the last stage reached
+CREATE TABLE dunning_stages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    policy_id UUID NOT NULL REFERENCES dunning_policies(id) ON DELETE CASCADE,
+    stage_order INTEGER NOT NULL CHECK (stage_order > 0),
+    name VARCHAR(100) NOT NULL,
+    day_offset INTEGER NOT NULL CHECK (day_offset > 0),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('email', 'late_fee', 'suspend_contract', 'flag_collections')),
+    template VARCHAR(30) CHECK (template IN ('reminder', 'final_notice', 'suspension_notice', 'collections_notice')),
+    tone VARCHAR(20) NOT NULL DEFAULT 'friendly' CHECK (tone IN ('friendly', 'firm', 'urgent', 'final')),
+    repeat_interval_days INTEGER CHECK (repeat_interval_days > 0),
+    -- late_fee stages start charging this rule; later charges follow the rule's recurrence
+    late_fee_rule_id UUID REFERENCES late_fee_rules(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (policy_id, stage_order),
+    CHECK (action <> 'email' OR template IS NOT NULL),
+    CHECK (action <> 'late_fee' OR late_fee_rule_id IS NOT NULL)
+);
+
+-- Payment Terms Table (how the due date and any early-payment discount are set from the issue date)
+-- net: due due_days after issue; due_on_receipt: due on the issue date;
+-- end_of_month: due due_days after the end of the issue month (EOM + N).
+-- discount_percentage off when paid within discount_days, counted the same way (2/10 Net 30)
+CREATE TABLE payment_terms (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(30) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    due_type VARCHAR(20) NOT NULL CHECK (due_type IN ('net', 'due_on_receipt', 'end_of_month')),
+    due_days INTEGER NOT NULL DEFAULT 0 CHECK (due_days >= 0),
+    discount_percentage DECIMAL(5, 2) CHECK (discount_percentage > 0 AND discount_percentage < 100),
+    discount_days INTEGER CHECK (discount_days >= 0),
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((discount_percentage IS NULL) = (discount_days IS NULL)),
+    CHECK (due_type <> 'due_on_receipt' OR (due_days = 0 AND discount_percentage IS NULL))
+);
+
 -- Customers Table
 CREATE TABLE customers (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -16,11 +95,87 @@ CREATE TABLE customers (
     zip_code VARCHAR(20),
     country VARCHAR(100) DEFAULT 'USA',
     tax_id VARCHAR(50),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    dunning_policy_id UUID REFERENCES dunning_policies(id) ON DELETE SET NULL,
+    payment_terms_id UUID REFERENCES payment_terms(id) ON DELETE SET NULL,
+    -- Billing contact: invoices, reminders and credit notes go to billing_email when set
+    billing_contact_name VARCHAR(255),
+    billing_email VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT true
 );
 
+-- Tax Rules Table (rates per country, optionally per state/province, and tax category)
+-- Compound taxes are charged on the amount plus the non-compound taxes before them
+CREATE TABLE tax_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    country CHAR(2) NOT NULL,
+    state VARCHAR(100),
+    tax_category VARCHAR(50) NOT NULL DEFAULT 'standard',
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(6, 3) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    is_compound BOOLEAN DEFAULT false,
+    priority INTEGER DEFAULT 0,
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    effective_to DATE,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tax Exemptions Table (exemption certificates; state NULL covers the whole country)
+CREATE TABLE tax_exemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    certificate_number VARCHAR(100) NOT NULL,
+    country CHAR(2) NOT NULL,
+    state VARCHAR(100),
+    reason TEXT,
+    valid_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    valid_to DATE,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Exchange Rates Table (local rate table: units of base_currency per 1 unit of currency)
+CREATE TABLE exchange_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    currency CHAR(3) NOT NULL,
+    base_currency CHAR(3) NOT NULL,
+    rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+    effective_date DATE NOT NULL,
+    source VARCHAR(50) DEFAULT 'manual',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(currency, base_currency, effective_date)
+);
+
+-- Numbering Series Table (legally sequential document numbers, e.g. one series per year or legal entity)
+CREATE TABLE numbering_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    document_type VARCHAR(20) NOT NULL DEFAULT 'invoice' CHECK (document_type IN ('invoice', 'credit_note')),
+    prefix VARCHAR(50) NOT NULL DEFAULT '',
+    padding INTEGER NOT NULL DEFAULT 5 CHECK (padding BETWEEN 1 AND 12),
+    reset_period VARCHAR(20) NOT NULL DEFAULT 'yearly' CHECK (reset_period IN ('never', 'yearly', 'monthly')),
+    legal_entity VARCHAR(255),
+    is_default BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Numbering Counters Table (last number issued per series and reset period)
+-- Incremented inside the transaction that creates the document, so a rollback never leaves a gap
+CREATE TABLE numbering_counters (
+    series_id UUID NOT NULL REFERENCES numbering_series(id) ON DELETE CASCADE,
+    period_key VARCHAR(10) NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (series_id, period_key)
+);
+
 -- Contracts Table
 CREATE TABLE contracts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -28,21 +183,69 @@ CREATE TABLE contracts (
     contract_number VARCHAR(50) UNIQUE NOT NULL,
     service_description TEXT NOT NULL,
     amount DECIMAL(10, 2) NOT NULL,
+    currency CHAR(3),
     billing_frequency VARCHAR(20) NOT NULL CHECK (billing_frequency IN ('monthly', 'quarterly', 'yearly', 'one-time')),
     start_date DATE NOT NULL,
     end_date DATE,
     tax_rate DECIMAL(5, 2) DEFAULT 0.00,
+    tax_category VARCHAR(50) NOT NULL DEFAULT 'standard',
     discount_percentage DECIMAL(5, 2) DEFAULT 0.00,
     next_billing_date DATE,
+    billing_anchor_day INTEGER CHECK (billing_anchor_day BETWEEN 1 AND 31),
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'paused', 'expired', 'terminated')),
+    auto_renew BOOLEAN DEFAULT false,
+    renewal_term_months INTEGER DEFAULT 12 CHECK (renewal_term_months > 0),
+    renewal_notice_days INTEGER DEFAULT 30 CHECK (renewal_notice_days >= 0),
+    renewal_uplift_percentage DECIMAL(5, 2) DEFAULT 0.00,
+    renewal_notice_sent_at TIMESTAMP,
+    renewal_count INTEGER DEFAULT 0,
+    paused_at TIMESTAMP,
+    terminated_at TIMESTAMP,
+    termination_reason TEXT,
+    numbering_series_id UUID REFERENCES numbering_series(id),
+    dunning_policy_id UUID REFERENCES dunning_policies(id) ON DELETE SET NULL,
+    -- Overrides the customer's payment terms
+    payment_terms_id UUID REFERENCES payment_terms(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT true
 );
 
+-- Contract Items Table (individual services billed under one contract)
+CREATE TABLE contract_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+    description TEXT NOT NULL,
+    quantity DECIMAL(12, 4) NOT NULL DEFAULT 1,
+    unit_price DECIMAL(12, 4) NOT NULL,
+    tax_rate DECIMAL(5, 2),
+    tax_category VARCHAR(50),
+    discount_percentage DECIMAL(5, 2),
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Contract Changes Table (mid-period price changes, credited/charged on the next invoice)
+CREATE TABLE contract_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+    effective_date DATE NOT NULL,
+    old_amount DECIMAL(10, 2) NOT NULL,
+    new_amount DECIMAL(10, 2) NOT NULL,
+    reason TEXT,
+    created_by VARCHAR(100),
+    invoice_id UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Invoices Table
 CREATE TABLE invoices (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     invoice_number VARCHAR(50) UNIQUE NOT NULL,
+    numbering_series_id UUID REFERENCES numbering_series(id),
+    sequence_number INTEGER,
     customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
     contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
     issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
@@ -51,27 +254,245 @@ CREATE TABLE invoices (
     tax_amount DECIMAL(10, 2) DEFAULT 0.00,
     discount_amount DECIMAL(10, 2) DEFAULT 0.00,
     total_amount DECIMAL(10, 2) NOT NULL,
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'validated', 'sent', 'paid', 'overdue', 'cancelled')),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    base_currency CHAR(3) NOT NULL DEFAULT 'USD',
+    exchange_rate DECIMAL(18, 8) NOT NULL DEFAULT 1,
+    tax_treatment VARCHAR(20) NOT NULL DEFAULT 'standard' CHECK (tax_treatment IN ('standard', 'reverse_charge', 'exempt')),
+    tax_note TEXT,
+    tax_breakdown JSONB NOT NULL DEFAULT '[]',
+    credited_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    -- Sum of applied payment amounts, kept in step with the payments table
+    amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    -- Early-payment discount the customer earned by paying in full by the discount date
+    discount_taken DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    balance_due DECIMAL(10, 2) GENERATED ALWAYS AS (total_amount - credited_amount - amount_paid - discount_taken) STORED,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'validated', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled', 'credited')),
     pdf_url TEXT,
     cloudinary_public_id VARCHAR(255),
     ai_validation_status VARCHAR(20) DEFAULT 'pending' CHECK (ai_validation_status IN ('pending', 'validated', 'flagged', 'failed')),
     ai_anomaly_score INTEGER DEFAULT 0,
+    -- Set on late-fee invoices: the overdue invoice the fee was charged for
+    fee_for_invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    -- Payment terms the due date was set from (name kept as printed), and the early-payment discount offered
+    payment_terms_id UUID REFERENCES payment_terms(id) ON DELETE SET NULL,
+    payment_terms_name VARCHAR(100),
+    early_payment_discount_date DATE,
+    early_payment_discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    -- Furthest dunning stage reached (history in invoice_dunning_events)
+    dunning_stage_id UUID REFERENCES dunning_stages(id) ON DELETE SET NULL,
+    dunning_stage_at TIMESTAMP,
+    collections_flagged_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invoice Status History Table (every status change, written with the change itself)
+-- Allowed changes are defined in modules/invoice/lifecycle.js
+CREATE TABLE invoice_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    -- Admin username, or the part of the system that made the change (scheduler, mailer, settlement)
+    changed_by VARCHAR(100) NOT NULL DEFAULT 'system',
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invoice Line Items Table (invoice totals are the sum of these lines)
+CREATE TABLE invoice_line_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) DEFAULT 'fixed' CHECK (item_type IN ('fixed', 'usage', 'proration', 'late_fee')),
+    description TEXT NOT NULL,
+    quantity DECIMAL(18, 4) NOT NULL DEFAULT 1,
+    unit_price DECIMAL(14, 6) NOT NULL,
+    tax_category VARCHAR(50) DEFAULT 'standard',
+    tax_rate DECIMAL(7, 3) DEFAULT 0.000,
+    tax_details JSONB NOT NULL DEFAULT '[]',
+    discount_percentage DECIMAL(5, 2) DEFAULT 0.00,
+    subtotal DECIMAL(10, 2) NOT NULL,
+    discount_amount DECIMAL(10, 2) DEFAULT 0.00,
+    tax_amount DECIMAL(10, 2) DEFAULT 0.00,
+    total_amount DECIMAL(10, 2) NOT NULL,
+    period_start DATE,
+    period_end DATE,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Credit Notes Table (full or partial corrections of an issued invoice, numbered from a credit_note series)
+-- Amounts are positive and reduce the invoice's open balance; currency and rate are the invoice's
+CREATE TABLE credit_notes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    credit_note_number VARCHAR(50) UNIQUE NOT NULL,
+    numbering_series_id UUID REFERENCES numbering_series(id),
+    sequence_number INTEGER,
+    invoice_id UUID NOT NULL REFERENCES invoices(id),
+    customer_id UUID NOT NULL REFERENCES customers(id),
+    credit_type VARCHAR(20) NOT NULL CHECK (credit_type IN ('full', 'partial')),
+    reason TEXT NOT NULL,
+    issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    subtotal DECIMAL(10, 2) NOT NULL,
+    tax_amount DECIMAL(10, 2) DEFAULT 0.00,
+    discount_amount DECIMAL(10, 2) DEFAULT 0.00,
+    total_amount DECIMAL(10, 2) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    base_currency CHAR(3) NOT NULL,
+    exchange_rate DECIMAL(18, 8) NOT NULL DEFAULT 1,
+    tax_treatment VARCHAR(20) NOT NULL DEFAULT 'standard',
+    tax_note TEXT,
+    tax_breakdown JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) DEFAULT 'issued' CHECK (status IN ('issued', 'sent')),
+    pdf_url TEXT,
+    cloudinary_public_id VARCHAR(255),
+    created_by VARCHAR(100),
+    sent_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Credit Note Line Items Table (each line credits part or all of an invoice line)
+CREATE TABLE credit_note_line_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    credit_note_id UUID NOT NULL REFERENCES credit_notes(id) ON DELETE CASCADE,
+    invoice_line_item_id UUID REFERENCES invoice_line_items(id),
+    item_type VARCHAR(20) DEFAULT 'fixed',
+    description TEXT NOT NULL,
+    quantity DECIMAL(18, 4) NOT NULL DEFAULT 1,
+    unit_price DECIMAL(14, 6) NOT NULL,
+    tax_category VARCHAR(50) DEFAULT 'standard',
+    tax_rate DECIMAL(7, 3) DEFAULT 0.000,
+    tax_details JSONB NOT NULL DEFAULT '[]',
+    discount_percentage DECIMAL(5, 2) DEFAULT 0.00,
+    subtotal DECIMAL(10, 2) NOT NULL,
+    discount_amount DECIMAL(10, 2) DEFAULT 0.00,
+    tax_amount DECIMAL(10, 2) DEFAULT 0.00,
+    total_amount DECIMAL(10, 2) NOT NULL,
+    period_start DATE,
+    period_end DATE,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Usage Prices Table (how each metered metric on a contract is charged)
+CREATE TABLE usage_prices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+    metric_code VARCHAR(50) NOT NULL,
+    description TEXT NOT NULL,
+    unit_name VARCHAR(50) DEFAULT 'units',
+    pricing_model VARCHAR(20) NOT NULL CHECK (pricing_model IN ('per_unit', 'tiered', 'volume')),
+    unit_price DECIMAL(14, 6),
+    tiers JSONB,
+    included_quantity DECIMAL(18, 4) DEFAULT 0,
+    tax_rate DECIMAL(5, 2),
+    tax_category VARCHAR(50),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (contract_id, metric_code)
+);
+
+-- Usage Records Table (raw metered usage; invoice_id is set once billed)
+CREATE TABLE usage_records (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+    metric_code VARCHAR(50) NOT NULL,
+    quantity DECIMAL(18, 4) NOT NULL,
+    recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    idempotency_key VARCHAR(100),
+    metadata JSONB,
+    invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Keys are the sender's and only need to be unique per contract
+    UNIQUE (contract_id, idempotency_key)
+);
+
 -- Payments Table
 CREATE TABLE payments (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
     payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
-    amount DECIMAL(10, 2) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    -- Part of the amount beyond the invoice balance, moved to the customer's credit
+    unapplied_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00 CHECK (unapplied_amount >= 0 AND unapplied_amount <= amount),
     payment_method VARCHAR(50),
     transaction_id VARCHAR(100),
     notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Payment Links Table (public "pay this invoice" pages; only a hash of the token is stored)
+CREATE TABLE payment_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer Credits Table (ledger: overpayments add credit, applying it to an invoice spends it)
+CREATE TABLE customer_credits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    currency CHAR(3) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount <> 0),
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('overpayment', 'applied')),
+    invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bank Statements Table (imported statement files; the file hash stops the same file being imported twice)
+CREATE TABLE bank_statements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    filename VARCHAR(255),
+    format VARCHAR(10) NOT NULL CHECK (format IN ('camt053', 'mt940', 'ofx', 'csv')),
+    file_hash CHAR(64) UNIQUE NOT NULL,
+    account_identifier VARCHAR(100),
+    currency CHAR(3) NOT NULL,
+    statement_date DATE,
+    line_count INTEGER NOT NULL DEFAULT 0,
+    matched_count INTEGER NOT NULL DEFAULT 0,
+    review_count INTEGER NOT NULL DEFAULT 0,
+    imported_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bank Statement Lines Table (one row per bank transaction and its reconciliation outcome)
+-- matched: a payment was recorded; review: candidates need a person to choose; unmatched: no candidate found
+CREATE TABLE bank_statement_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    statement_id UUID NOT NULL REFERENCES bank_statements(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    booking_date DATE NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    reference TEXT,
+    counterparty_name VARCHAR(255),
+    bank_reference VARCHAR(100),
+    -- Becomes the payment's transaction_id, so a transaction seen in two statements is recorded once
+    transaction_key VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'matched', 'review', 'unmatched', 'ignored')),
+    invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+    match_score INTEGER,
+    match_reasons JSONB NOT NULL DEFAULT '[]',
+    candidates JSONB NOT NULL DEFAULT '[]',
+    ai_suggestion JSONB,
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (statement_id, line_number)
+);
+
 -- AI Validation Logs Table
 CREATE TABLE ai_validation_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -120,13 +541,133 @@ CREATE TABLE admin_users (
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
     full_name VARCHAR(255),
-    role VARCHAR(50) DEFAULT 'admin',
+    -- Roles and their permissions are defined in modules/auth/access-control.js
+    role VARCHAR(50) NOT NULL CHECK (role IN ('owner', 'finance_manager', 'accountant', 'support', 'auditor')),
+    is_active BOOLEAN DEFAULT true,
+    -- TOTP two-factor: the base32 secret is set at enrollment and only used once totp_enabled_at is set;
+    -- totp_last_step is the last accepted time step, so a code cannot be replayed
+    totp_secret VARCHAR(64),
+    totp_enabled_at TIMESTAMP,
+    totp_last_step BIGINT,
+    -- Lockout: consecutive failed passwords or codes; past the threshold the account is locked
+    -- until locked_until, for a period that doubles with each further failure
+    failed_login_count INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP,
+    password_changed_at TIMESTAMP,
+    last_login TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin Invitations Table (dashboard accounts are created only by accepting one; only a hash of the token is stored)
+CREATE TABLE admin_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL CHECK (role IN ('owner', 'finance_manager', 'accountant', 'support', 'auditor')),
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    invited_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_user_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin Sessions Table (one row per dashboard login; access tokens carry the session id, so
+-- revoking the session is the revocation list checked on every request)
+CREATE TABLE admin_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    admin_user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin Refresh Tokens Table (each refresh rotates the token; a used token presented again
+-- revokes its whole session). Only a hash of the token is stored.
+CREATE TABLE admin_refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES admin_sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin Password Resets Table (one-time emailed reset links; only a hash of the token is stored)
+CREATE TABLE admin_password_resets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    admin_user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin Recovery Codes Table (one-time two-factor fallbacks; only a hash of each code is stored)
+CREATE TABLE admin_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    admin_user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Security Settings Table (a single row of dashboard-wide security policy, changed by owners)
+CREATE TABLE security_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    require_two_factor BOOLEAN NOT NULL DEFAULT false,
+    updated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- API Keys Table (machine-to-machine access for integrations; only a hash of each key is stored,
+-- plus its first characters so owners can tell keys apart). permissions is a JSON array of
+-- permission names from modules/auth/access-control.js; rotated_from links a key to the one it replaced
+CREATE TABLE api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    permissions JSONB NOT NULL DEFAULT '[]',
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    rotated_from UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Portal Users Table (customer logins for the self-service portal, separate from admin_users)
+-- password_hash is null until the user sets a password; magic links work either way
+CREATE TABLE portal_users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    full_name VARCHAR(255),
+    password_hash VARCHAR(255),
     is_active BOOLEAN DEFAULT true,
     last_login TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Portal Login Tokens Table (one-time magic links; only a hash of the token is stored)
+CREATE TABLE portal_login_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    portal_user_id UUID NOT NULL REFERENCES portal_users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Email Delivery Logs Table
 CREATE TABLE email_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -140,18 +681,81 @@ CREATE TABLE email_logs (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Late Fee Charges Table (every fee or interest charge, on the invoice itself or on a separate fee invoice)
+CREATE TABLE late_fee_charges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    rule_id UUID REFERENCES late_fee_rules(id) ON DELETE SET NULL,
+    description TEXT NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    currency CHAR(3) NOT NULL,
+    -- Interest period covered by the charge
+    period_start DATE,
+    period_end DATE,
+    applied_as VARCHAR(20) NOT NULL CHECK (applied_as IN ('invoice_line', 'fee_invoice')),
+    invoice_line_item_id UUID REFERENCES invoice_line_items(id) ON DELETE SET NULL,
+    fee_invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invoice Dunning Events Table (every dunning stage run on an invoice, including failed attempts)
+CREATE TABLE invoice_dunning_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    policy_id UUID REFERENCES dunning_policies(id) ON DELETE SET NULL,
+    stage_id UUID REFERENCES dunning_stages(id) ON DELETE SET NULL,
+    stage_order INTEGER NOT NULL,
+    stage_name VARCHAR(100) NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('completed', 'failed')),
+    days_overdue INTEGER NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create Indexes for Performance
 CREATE INDEX idx_customers_email ON customers(email);
 CREATE INDEX idx_contracts_customer_id ON contracts(customer_id);
 CREATE INDEX idx_contracts_next_billing_date ON contracts(next_billing_date);
+CREATE INDEX idx_contracts_end_date ON contracts(end_date) WHERE status = 'active';
+CREATE INDEX idx_contracts_status ON contracts(status);
+CREATE INDEX idx_contract_items_contract_id ON contract_items(contract_id);
+CREATE INDEX idx_contract_changes_contract_id ON contract_changes(contract_id) WHERE invoice_id IS NULL;
+CREATE INDEX idx_tax_rules_jurisdiction ON tax_rules(country, state) WHERE is_active = true;
+CREATE INDEX idx_tax_exemptions_customer_id ON tax_exemptions(customer_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_exchange_rates_lookup ON exchange_rates(currency, base_currency, effective_date DESC);
+CREATE UNIQUE INDEX idx_numbering_series_default ON numbering_series(document_type) WHERE is_default = true;
 CREATE INDEX idx_invoices_customer_id ON invoices(customer_id);
 CREATE INDEX idx_invoices_status ON invoices(status);
+CREATE INDEX idx_invoice_status_history_invoice_id ON invoice_status_history(invoice_id, created_at);
 CREATE INDEX idx_invoices_due_date ON invoices(due_date);
+CREATE INDEX idx_invoice_line_items_invoice_id ON invoice_line_items(invoice_id);
+CREATE INDEX idx_credit_notes_invoice_id ON credit_notes(invoice_id);
+CREATE INDEX idx_credit_notes_customer_id ON credit_notes(customer_id);
+CREATE INDEX idx_credit_note_line_items_credit_note_id ON credit_note_line_items(credit_note_id);
+CREATE INDEX idx_usage_records_contract_id ON usage_records(contract_id, recorded_at);
+CREATE INDEX idx_usage_records_unbilled ON usage_records(contract_id) WHERE invoice_id IS NULL;
 CREATE INDEX idx_payments_invoice_id ON payments(invoice_id);
+CREATE UNIQUE INDEX idx_payments_transaction_id ON payments(transaction_id) WHERE transaction_id IS NOT NULL;
+CREATE INDEX idx_payment_links_invoice_id ON payment_links(invoice_id);
+CREATE INDEX idx_customer_credits_customer_id ON customer_credits(customer_id, currency);
+CREATE INDEX idx_bank_statement_lines_status ON bank_statement_lines(status);
 CREATE INDEX idx_audit_logs_entity_type ON audit_logs(entity_type);
 CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
 CREATE INDEX idx_client_queries_customer_id ON client_queries(customer_id);
+CREATE INDEX idx_admin_invitations_email ON admin_invitations(email);
+CREATE INDEX idx_admin_sessions_user_id ON admin_sessions(admin_user_id);
+CREATE INDEX idx_admin_refresh_tokens_session_id ON admin_refresh_tokens(session_id);
+CREATE INDEX idx_admin_recovery_codes_user_id ON admin_recovery_codes(admin_user_id);
+CREATE INDEX idx_admin_password_resets_user_id ON admin_password_resets(admin_user_id);
+CREATE INDEX idx_api_keys_rotated_from ON api_keys(rotated_from);
+CREATE INDEX idx_portal_users_customer_id ON portal_users(customer_id);
+CREATE INDEX idx_portal_login_tokens_user_id ON portal_login_tokens(portal_user_id);
 CREATE INDEX idx_email_logs_invoice_id ON email_logs(invoice_id);
+CREATE UNIQUE INDEX idx_dunning_policies_default ON dunning_policies(is_default) WHERE is_default = true;
+CREATE UNIQUE INDEX idx_payment_terms_default ON payment_terms(is_default) WHERE is_default = true;
+CREATE INDEX idx_late_fee_charges_invoice_id ON late_fee_charges(invoice_id, rule_id);
+CREATE INDEX idx_invoice_dunning_events_invoice_id ON invoice_dunning_events(invoice_id, created_at);
 
 -- Create Updated At Trigger Function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -163,18 +767,84 @@ END;
 $$ language 'plpgsql';
 
 -- Apply Updated At Triggers
+CREATE TRIGGER update_late_fee_rules_updated_at BEFORE UPDATE ON late_fee_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_dunning_policies_updated_at BEFORE UPDATE ON dunning_policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payment_terms_updated_at BEFORE UPDATE ON payment_terms
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_customers_updated_at BEFORE UPDATE ON customers
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_tax_rules_updated_at BEFORE UPDATE ON tax_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_numbering_series_updated_at BEFORE UPDATE ON numbering_series
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_contracts_updated_at BEFORE UPDATE ON contracts
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_contract_items_updated_at BEFORE UPDATE ON contract_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_usage_prices_updated_at BEFORE UPDATE ON usage_prices
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_invoices_updated_at BEFORE UPDATE ON invoices
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_credit_notes_updated_at BEFORE UPDATE ON credit_notes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_admin_users_updated_at BEFORE UPDATE ON admin_users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_portal_users_updated_at BEFORE UPDATE ON portal_users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_security_settings_updated_at BEFORE UPDATE ON security_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Security policy (two-factor is optional until an owner requires it)
+INSERT INTO security_settings (id) VALUES (true);
+
+-- Default Numbering Series (INV-2024-00001 and CN-2024-00001, restarting every year)
+INSERT INTO numbering_series (code, name, document_type, prefix, padding, reset_period, is_default) VALUES
+('INV', 'Standard invoices', 'invoice', 'INV-{YYYY}-', 5, 'yearly', true),
+('CN', 'Credit notes', 'credit_note', 'CN-{YYYY}-', 5, 'yearly', true);
+
+-- Sample Late Fee Rules (EU Late Payment Directive: ECB reference rate + 8 points a year, and EUR 40 recovery costs)
+-- Not charged until a dunning policy has a late_fee stage using them
+INSERT INTO late_fee_rules (name, description, fee_type, amount, rate, add_reference_rate, currency, recurrence, interval_days, application) VALUES
+('EU statutory interest', 'Reference rate + 8% a year on the unpaid balance, charged monthly', 'interest', NULL, 8.000, true, NULL, 'recurring', 30, 'fee_invoice'),
+('EU recovery compensation', 'Fixed EUR 40 compensation for recovery costs', 'flat', 40.00, NULL, false, 'EUR', 'one_time', NULL, 'fee_invoice');
+
+-- Standard Payment Terms (Net 30 is the default)
+INSERT INTO payment_terms (code, name, due_type, due_days, discount_percentage, discount_days, is_default) VALUES
+('DUE_ON_RECEIPT', 'Due on receipt', 'due_on_receipt', 0, NULL, NULL, false),
+('NET15', 'Net 15', 'net', 15, NULL, NULL, false),
+('NET30', 'Net 30', 'net', 30, NULL, NULL, true),
+('NET60', 'Net 60', 'net', 60, NULL, NULL, false),
+('EOM', 'End of month', 'end_of_month', 0, NULL, NULL, false),
+('EOM15', 'End of month + 15', 'end_of_month', 15, NULL, NULL, false),
+('2_10_NET30', '2/10 Net 30', 'net', 30, 2.00, 10, false);
+
+-- Default Dunning Policy (reminders on days 3, 7, 10 and 14, every 5 days to day 30, then weekly)
+INSERT INTO dunning_policies (name, description, is_default) VALUES
+('Standard', 'Friendly reminders escalating to weekly urgent notices', true);
+
+INSERT INTO dunning_stages (policy_id, stage_order, name, day_offset, action, template, tone, repeat_interval_days) VALUES
+((SELECT id FROM dunning_policies WHERE name = 'Standard'), 1, 'First reminder', 3, 'email', 'reminder', 'friendly', NULL),
+((SELECT id FROM dunning_policies WHERE name = 'Standard'), 2, 'Second reminder', 7, 'email', 'reminder', 'friendly', NULL),
+((SELECT id FROM dunning_policies WHERE name = 'Standard'), 3, 'Third reminder', 10, 'email', 'reminder', 'firm', NULL),
+((SELECT id FROM dunning_policies WHERE name = 'Standard'), 4, 'Fourth reminder', 14, 'email', 'reminder', 'firm', NULL),
+((SELECT id FROM dunning_policies WHERE name = 'Standard'), 5, 'Urgent reminders', 15, 'email', 'reminder', 'urgent', 5),
+((SELECT id FROM dunning_policies WHERE name = 'Standard'), 6, 'Final notices', 35, 'email', 'final_notice', 'final', 7);
+
 -- Insert Sample Data for Testing
 
 -- Sample Customers
@@ -183,14 +853,40 @@ INSERT INTO customers (name, email, phone, address, city, state, zip_code, tax_i
 ('Global Solutions Inc', 'accounts@globalsolutions.com', '+1-555-0102', '200 Business Ave', 'New York', 'NY', '10001', '98-7654321'),
 ('Tech Innovators LLC', 'finance@techinnovators.com', '+1-555-0103', '300 Innovation Drive', 'Austin', 'TX', '78701', '45-6789012');
 
+-- Sample Tax Rules (US state sales tax, EU VAT with a reduced category, Canadian GST + Quebec QST)
+INSERT INTO tax_rules (country, state, tax_category, name, rate, is_compound, priority, effective_from) VALUES
+('US', 'CA', 'standard', 'California Sales Tax', 7.250, false, 0, '2024-01-01'),
+('US', 'NY', 'standard', 'New York Sales Tax', 4.000, false, 0, '2024-01-01'),
+('US', 'TX', 'standard', 'Texas Sales Tax', 6.250, false, 0, '2024-01-01'),
+('DE', NULL, 'standard', 'VAT', 19.000, false, 0, '2024-01-01'),
+('DE', NULL, 'reduced', 'VAT', 7.000, false, 0, '2024-01-01'),
+('FR', NULL, 'standard', 'TVA', 20.000, false, 0, '2024-01-01'),
+('FR', NULL, 'reduced', 'TVA', 5.500, false, 0, '2024-01-01'),
+('GB', NULL, 'standard', 'VAT', 20.000, false, 0, '2024-01-01'),
+('CA', NULL, 'standard', 'GST', 5.000, false, 0, '2024-01-01'),
+('CA', 'QC', 'standard', 'QST', 9.975, false, 1, '2024-01-01');
+
+-- Sample Exchange Rates (to USD)
+INSERT INTO exchange_rates (currency, base_currency, rate, effective_date) VALUES
+('EUR', 'USD', 1.08500000, '2024-01-01'),
+('GBP', 'USD', 1.27000000, '2024-01-01'),
+('JPY', 'USD', 0.00680000, '2024-01-01');
+
 -- Sample Contracts
 INSERT INTO contracts (customer_id, contract_number, service_description, amount, billing_frequency, start_date, next_billing_date, tax_rate, discount_percentage) VALUES
 ((SELECT id FROM customers WHERE email = 'billing@acme.com'), 'CNT-2024-001', 'Cloud Infrastructure Services', 5000.00, 'monthly', '2024-01-01', '2024-12-08', 8.50, 0.00),
 ((SELECT id FROM customers WHERE email = 'accounts@globalsolutions.com'), 'CNT-2024-002', 'Enterprise Software License', 15000.00, 'quarterly', '2024-01-01', '2024-12-15', 10.00, 5.00),
 ((SELECT id FROM customers WHERE email = 'finance@techinnovators.com'), 'CNT-2024-003', 'Consulting Services', 8000.00, 'monthly', '2024-06-01', '2024-12-10', 7.00, 0.00);
 
--- Sample Admin User (password: admin123)
-INSERT INTO admin_users (username, email, password_hash, full_name, role) VALUES
-('admin', 'admin@billeragi.com', '$2b$10$rKZN5qJYZ5YqZ5YqZ5YqZeO5YqZ5YqZ5YqZ5YqZ5YqZ5YqZ5YqZ5Y', 'System Administrator', 'admin');
+-- Sample Contract Items (Acme buys two services under one agreement)
+INSERT INTO contract_items (contract_id, description, quantity, unit_price, sort_order) VALUES
+((SELECT id FROM contracts WHERE contract_number = 'CNT-2024-001'), 'Managed Compute Instances', 10, 350.00, 0),
+((SELECT id FROM contracts WHERE contract_number = 'CNT-2024-001'), 'Object Storage (TB)', 3, 500.00, 1);
+
+-- Sample Usage Pricing (Acme pays for API calls beyond 100,000 per period, in tiers)
+INSERT INTO usage_prices (contract_id, metric_code, description, unit_name, pricing_model, tiers, included_quantity) VALUES
+((SELECT id FROM contracts WHERE contract_number = 'CNT-2024-001'), 'api_calls', 'API Calls', 'calls', 'tiered',
+ '[{"up_to": 1000000, "unit_price": 0.002}, {"up_to": null, "unit_price": 0.001}]', 100000);
 
--- Note: The password hash above is a placeholder. The actual hash will be generated when creating the first admin user through the API.
+-- No admin user is seeded: create the first owner with `npm run bootstrap:owner`,
+-- who then invites everyone else (POST /api/users/invitations)
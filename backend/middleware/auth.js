@@ -1,14 +1,134 @@
 import jwt from 'jsonwebtoken';
-import { logWarning } from '../modules/audit/logger.js';
+import { AdminUser, AdminSession, PortalUser, SecuritySettings } from '../database/models.js';
+import accessControl from '../modules/auth/access-control.js';
+import apiKeys from '../modules/auth/api-keys.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { limitPrincipal } from './rate-limit.js';
+import { logWarning, logError } from '../modules/audit/logger.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 /**
  * Authentication Middleware
- * Protects routes with JWT token verification
+ * Protects routes with JWT token verification, or API keys for integrations
  */
 
+// Admin and customer portal tokens are signed with the same secret; the audience
+// keeps a portal token from being accepted on admin routes and the other way round
+export const ADMIN_AUDIENCE = 'billeragi-admin';
+export const PORTAL_AUDIENCE = 'billeragi-portal';
+// Two-factor login challenges (between the password and the code) are never sessions
+export const TWO_FACTOR_AUDIENCE = 'billeragi-admin-2fa';
+
+/**
+ * Whether an admin access token's session is still open
+ * Sessions are the revocation list: logout, "log out everywhere" and deactivation revoke them,
+ * which ends their access tokens at once rather than at expiry
+ */
+const isSessionActive = async (payload) => {
+    return Boolean(payload.sid && await AdminSession.findActive(payload.sid));
+};
+
+/**
+ * Answer a failed access token verification
+ * Expired tokens get 401 with token_expired, so clients know to refresh
+ */
+const rejectToken = (err, res) => {
+    if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({
+            success: false,
+            error: 'Access token expired',
+            token_expired: true
+        });
+    }
+
+    logWarning('Invalid token attempt', { error: err.message });
+    return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired token'
+    });
+};
+
+const rejectSession = (res) => {
+    return res.status(401).json({
+        success: false,
+        error: 'Session has ended; sign in again'
+    });
+};
+
+/**
+ * Verify an admin access token and its session, then set req.user to the token's payload
+ * and apply the per-user rate limit
+ */
+const verifyAccessToken = (token, req, res, next) => {
+    jwt.verify(token, process.env.JWT_SECRET, { audience: ADMIN_AUDIENCE }, async (err, user) => {
+        if (err) {
+            return rejectToken(err, res);
+        }
+
+        try {
+            if (!(await isSessionActive(user))) {
+                return rejectSession(res);
+            }
+        } catch (error) {
+            logError('Session check failed', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Authentication failed'
+            });
+        }
+
+        req.user = user;
+        limitPrincipal(req, res, next);
+    });
+};
+
+/**
+ * Authenticate with an API key
+ * Sets req.user to { id, username: 'api_key:<name>', api_key_id, permissions } for the key,
+ * attributes admin actions in the request to it, audits the call once it is answered, and
+ * applies the per-key rate limit
+ */
+const authenticateApiKey = async (token, req, res, next) => {
+    let apiKey;
+    try {
+        apiKey = await apiKeys.authenticate(token, req.ip);
+    } catch (error) {
+        logError('API key check failed', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Authentication failed'
+        });
+    }
+
+    if (!apiKey) {
+        logWarning('Invalid API key attempt', { key_prefix: token.slice(0, 12) });
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid, expired or revoked API key'
+        });
+    }
+
+    req.user = {
+        id: apiKey.id,
+        username: `api_key:${apiKey.name}`,
+        api_key_id: apiKey.id,
+        permissions: apiKey.permissions
+    };
+
+    res.on('finish', () => {
+        auditManager.logApiKeyRequest(apiKey, req.method, req.originalUrl.split('?')[0], res.statusCode, req.ip)
+            .catch(error => logError('Failed to audit API key request', error));
+    });
+
+    auditManager.runAsApiKey(apiKey, () => limitPrincipal(req, res, next));
+};
+
+/**
+ * Admin authentication middleware
+ * Accepts an access token from a dashboard session or an API key (see modules/auth/api-keys.js)
+ */
 export const authenticateToken = (req, res, next) => {
     // Get token from header
     const authHeader = req.headers['authorization'];
@@ -21,41 +141,162 @@ export const authenticateToken = (req, res, next) => {
         });
     }
 
+    if (apiKeys.isApiKey(token)) {
+        return authenticateApiKey(token, req, res, next);
+    }
+
     // Verify token
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    verifyAccessToken(token, req, res, next);
+};
+
+/**
+ * Session authentication middleware
+ * Like authenticateToken but refuses API keys, for routes about the signed-in user's own
+ * account (password, two-factor, sessions)
+ */
+export const authenticateSession = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Access token required'
+        });
+    }
+
+    if (apiKeys.isApiKey(token)) {
+        return res.status(403).json({
+            success: false,
+            error: 'API keys cannot be used here'
+        });
+    }
+
+    verifyAccessToken(token, req, res, next);
+};
+
+/**
+ * Optional authentication middleware
+ * Adds user to request if token is valid, but doesn't block if missing
+ */
+export const optionalAuth = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        req.user = null;
+        return next();
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, { audience: ADMIN_AUDIENCE }, async (err, user) => {
+        try {
+            req.user = !err && await isSessionActive(user) ? user : null;
+        } catch (error) {
+            logError('Session check failed', error);
+            req.user = null;
+        }
+        next();
+    });
+};
+
+/**
+ * Two-factor enrollment authentication middleware
+ * Accepts a session token, or an 'enroll' challenge from a login that must set up two-factor
+ * before it gets a session. Sets req.user, and req.enrolling for a challenge.
+ */
+export const authenticateTwoFactorSetup = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Access token required'
+        });
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, { audience: [ADMIN_AUDIENCE, TWO_FACTOR_AUDIENCE] }, async (err, payload) => {
         if (err) {
-            logWarning('Invalid token attempt', { error: err.message });
+            return rejectToken(err, res);
+        }
+
+        const enrolling = payload.aud === TWO_FACTOR_AUDIENCE;
+        if (enrolling && payload.stage !== 'enroll') {
+            logWarning('Invalid token attempt', { error: 'Challenge is not for enrollment' });
             return res.status(403).json({
                 success: false,
                 error: 'Invalid or expired token'
             });
         }
 
-        req.user = user;
+        try {
+            if (!enrolling && !(await isSessionActive(payload))) {
+                return rejectSession(res);
+            }
+        } catch (error) {
+            logError('Session check failed', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Authentication failed'
+            });
+        }
+
+        req.user = payload;
+        req.enrolling = enrolling;
         next();
     });
 };
 
 /**
- * Optional authentication middleware
- * Adds user to request if token is valid, but doesn't block if missing
+ * Customer portal authentication middleware
+ * Accepts only portal tokens of active portal users of active customers and sets
+ * req.customer to { id, customer_id, email };
+ * portal routes must scope every lookup to req.customer.customer_id. Applies the per-user rate limit.
  */
-export const optionalAuth = (req, res, next) => {
+export const authenticateCustomer = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
-        req.user = null;
-        return next();
+        return res.status(401).json({
+            success: false,
+            error: 'Access token required'
+        });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, { audience: PORTAL_AUDIENCE }, async (err, payload) => {
         if (err) {
-            req.user = null;
-        } else {
-            req.user = user;
+            logWarning('Invalid portal token attempt', { error: err.message });
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid or expired token'
+            });
         }
-        next();
+
+        // Portal tokens live for hours; deactivating the portal user or the customer ends them at once
+        let user;
+        try {
+            user = await PortalUser.findById(payload.id);
+        } catch (error) {
+            logError('Portal user check failed', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Authentication failed'
+            });
+        }
+        if (!user || user.customer_id !== payload.customer_id) {
+            return res.status(401).json({
+                success: false,
+                error: 'Portal account is no longer active'
+            });
+        }
+
+        req.customer = {
+            id: user.id,
+            customer_id: user.customer_id,
+            email: user.email
+        };
+        limitPrincipal(req, res, next);
     });
 };
 
@@ -82,4 +323,73 @@ export const authorizeRole = (...allowedRoles) => {
     };
 };
 
-export default { authenticateToken, optionalAuth, authorizeRole };
+/**
+ * Permission-based authorization middleware (use after authenticateToken)
+ * The role is read from the database rather than the token, so role changes and
+ * deactivations apply to the user's next request. While an owner requires two-factor,
+ * users who have not enrolled are refused until they do (POST /api/auth/2fa/setup).
+ * API keys are checked against their own permissions instead.
+ */
+export const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        if (req.user.api_key_id) {
+            const missing = permissions.filter(permission => !req.user.permissions.includes(permission));
+            if (missing.length > 0) {
+                logWarning('Permission denied', { api_key_id: req.user.api_key_id, missing, path: req.originalUrl });
+                return res.status(403).json({
+                    success: false,
+                    error: 'Insufficient permissions',
+                    required: missing
+                });
+            }
+            return next();
+        }
+
+        try {
+            const user = await AdminUser.findById(req.user.id);
+            if (!user || !user.is_active) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Account is no longer active'
+                });
+            }
+
+            req.user.role = user.role;
+
+            if (!user.two_factor_enabled && (await SecuritySettings.get()).require_two_factor) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Two-factor authentication is required; set it up to continue',
+                    two_factor_setup_required: true
+                });
+            }
+
+            const missing = permissions.filter(permission => !accessControl.hasPermission(user.role, permission));
+            if (missing.length > 0) {
+                logWarning('Permission denied', { user_id: user.id, role: user.role, missing, path: req.originalUrl });
+                return res.status(403).json({
+                    success: false,
+                    error: 'Insufficient permissions',
+                    required: missing
+                });
+            }
+
+            next();
+        } catch (error) {
+            logError('Permission check failed', error);
+            res.status(500).json({
+                success: false,
+                error: 'Permission check failed'
+            });
+        }
+    };
+};
+
+export default { authenticateToken, authenticateSession, optionalAuth, authenticateTwoFactorSetup, authenticateCustomer, authorizeRole, requirePermission };
@@ -0,0 +1,89 @@
+import rateLimiter from '../modules/rate-limit/rate-limiter.js';
+import { logWarning, logError } from '../modules/audit/logger.js';
+
+/**
+ * Rate Limiting Middleware
+ * Buckets and their limits are configured in modules/rate-limit/rate-limiter.js. Limited
+ * responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers for the
+ * last bucket checked; refused ones get 429 with Retry-After. If the store fails, requests
+ * are let through rather than taking the API down with it.
+ */
+
+/**
+ * Middleware counting each request against a bucket
+ * identify(req) names who is counted; requests it returns nothing for are not limited
+ */
+export const rateLimit = (bucket, identify) => {
+    return async (req, res, next) => {
+        const identity = rateLimiter.enabled ? identify(req) : null;
+        if (!identity) {
+            return next();
+        }
+
+        let result;
+        try {
+            result = await rateLimiter.consume(bucket, identity);
+        } catch (error) {
+            logError('Rate limit check failed', error);
+            return next();
+        }
+
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(result.retry_after)
+        });
+
+        if (!result.allowed) {
+            logWarning('Rate limit exceeded', { bucket, identity, path: req.originalUrl });
+            res.set('Retry-After', String(result.retry_after));
+            return res.status(429).json({
+                success: false,
+                error: `Too many requests; try again in ${result.retry_after} seconds`,
+                retry_after: result.retry_after
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Who a request is counted as: its API key, dashboard user or portal user, else its IP
+ */
+const principalOf = (req) => {
+    if (req.user?.api_key_id) {
+        return `api_key:${req.user.api_key_id}`;
+    }
+    if (req.user?.id) {
+        return `user:${req.user.id}`;
+    }
+    if (req.customer?.id) {
+        return `portal_user:${req.customer.id}`;
+    }
+    return `ip:${req.ip}`;
+};
+
+// Every API request, per client IP
+export const limitByIp = rateLimit('ip', req => req.ip);
+
+// Sign-in, registration and password reset attempts, per client IP
+export const limitLogin = rateLimit('login', req => req.ip);
+
+// Access token refreshes, per client IP (looser than login: every open dashboard refreshes)
+export const limitRefresh = rateLimit('refresh', req => req.ip);
+
+// Calls that spend Gemini quota (use after authentication)
+export const limitAi = rateLimit('ai', principalOf);
+
+const limitUser = rateLimit('user', principalOf);
+const limitApiKey = rateLimit('api_key', principalOf);
+
+/**
+ * Per-user or per-key limit, applied by the authentication middleware once it knows who is calling
+ */
+export const limitPrincipal = (req, res, next) => {
+    return req.user?.api_key_id ? limitApiKey(req, res, next) : limitUser(req, res, next);
+};
+
+export default { rateLimit, limitByIp, limitLogin, limitRefresh, limitAi, limitPrincipal };
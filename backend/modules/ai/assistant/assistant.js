@@ -38,10 +38,13 @@ class ClientAssistant {
                 throw new Error(`Customer ${customerId} not found`);
             }
 
-            // Fetch invoice data if provided
+            // Fetch invoice data if provided; only the customer's own invoices are used
             let invoice = null;
             if (invoiceId) {
                 invoice = await Invoice.findById(invoiceId);
+                if (invoice && invoice.customer_id !== customerId) {
+                    throw new Error(`Invoice ${invoiceId} does not belong to customer ${customerId}`);
+                }
             }
 
             // Check if query needs escalation
@@ -61,7 +64,8 @@ class ClientAssistant {
                 };
             } else {
                 // Generate AI response
-                response = await this.generateResponse(queryText, invoice, customer);
+                const accountInvoices = await Invoice.findByCustomerId(customerId, 10);
+                response = await this.generateResponse(queryText, invoice, customer, accountInvoices);
                 needsEscalation = response.needs_escalation;
             }
 
@@ -113,9 +117,9 @@ class ClientAssistant {
     /**
      * Generate AI response to query
      */
-    async generateResponse(queryText, invoice, customer) {
+    async generateResponse(queryText, invoice, customer, accountInvoices = []) {
         try {
-            const prompt = buildQueryResponsePrompt(queryText, invoice, customer);
+            const prompt = buildQueryResponsePrompt(queryText, invoice, customer, accountInvoices);
 
             const result = await model.generateContent([
                 ASSISTANT_SYSTEM_PROMPT,
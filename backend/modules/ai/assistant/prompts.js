@@ -1,8 +1,12 @@
+import currencyManager from '../../billing/currency.js';
+
 /**
  * AI Assistant Prompts for Client Query Handling
  * Structured prompts for responding to client invoice questions
  */
 
+const money = (amount, currency, maxDecimals) => currencyManager.format(amount, currency, { maxDecimals });
+
 export const ASSISTANT_SYSTEM_PROMPT = `You are a professional billing assistant AI for BillerAGI. Your role is to:
 
 1. Answer client questions about their invoices clearly and professionally
@@ -18,21 +22,31 @@ Guidelines:
 - Never make promises about payment extensions or refunds without authorization
 - Keep responses concise but complete`;
 
-export const buildQueryResponsePrompt = (query, invoiceData, customerData) => {
+export const buildQueryResponsePrompt = (query, invoiceData, customerData, accountInvoices = []) => {
     const invoiceInfo = invoiceData ? `
 **INVOICE INFORMATION:**
 - Invoice Number: ${invoiceData.invoice_number}
 - Issue Date: ${invoiceData.issue_date}
 - Due Date: ${invoiceData.due_date}
 - Service Description: ${invoiceData.service_description}
-- Subtotal: $${invoiceData.subtotal}
-- Tax (${invoiceData.tax_rate || 0}%): $${invoiceData.tax_amount}
-- Discount: $${invoiceData.discount_amount}
-- Total Amount: $${invoiceData.total_amount}
+- Line Items:
+${(invoiceData.line_items || []).map(item => `  • ${item.description}: ${parseFloat(item.quantity)} × ${money(item.unit_price, invoiceData.currency, 6)} (tax ${item.tax_rate}%, discount ${item.discount_percentage}%) = ${money(item.total_amount, invoiceData.currency)}`).join('\n')}
+- Subtotal: ${money(invoiceData.subtotal, invoiceData.currency)}
+- Tax: ${money(invoiceData.tax_amount, invoiceData.currency)}
+- Discount: ${money(invoiceData.discount_amount, invoiceData.currency)}
+- Total Amount: ${money(invoiceData.total_amount, invoiceData.currency)}
 - Status: ${invoiceData.status}
-- Payment Status: ${invoiceData.payment_status || 'Unpaid'}
+- Credited: ${money(invoiceData.credited_amount || 0, invoiceData.currency)}
+- Amount Paid: ${money(invoiceData.amount_paid || 0, invoiceData.currency)}
+- Balance Due: ${money(invoiceData.balance_due ?? invoiceData.total_amount, invoiceData.currency)}
 ` : 'No specific invoice referenced.';
 
+    // The customer's other recent invoices, so account-level questions can be answered
+    const accountInfo = accountInvoices.length > 0 ? `
+**CUSTOMER'S RECENT INVOICES:**
+${accountInvoices.map(inv => `- ${inv.invoice_number}: issued ${inv.issue_date}, due ${inv.due_date}, total ${money(inv.total_amount, inv.currency)}, balance ${money(inv.balance_due, inv.currency)}, ${inv.status}`).join('\n')}
+` : '';
+
     return `A customer has the following question about their billing:
 
 **CUSTOMER QUERY:**
@@ -44,7 +58,7 @@ export const buildQueryResponsePrompt = (query, invoiceData, customerData) => {
 - Account Status: ${customerData.is_active ? 'Active' : 'Inactive'}
 
 ${invoiceInfo}
-
+${accountInfo}
 **YOUR TASK:**
 1. Analyze the query and determine if you can answer it with the available information
 2. Provide a clear, professional response
@@ -119,10 +133,10 @@ export const buildInvoiceExplanationPrompt = (invoiceData) => {
 **INVOICE DETAILS:**
 - Invoice Number: ${invoiceData.invoice_number}
 - Service: ${invoiceData.service_description}
-- Subtotal: $${invoiceData.subtotal}
-- Tax: $${invoiceData.tax_amount}
-- Discount: $${invoiceData.discount_amount}
-- Total: $${invoiceData.total_amount}
+- Subtotal: ${money(invoiceData.subtotal, invoiceData.currency)}
+- Tax: ${money(invoiceData.tax_amount, invoiceData.currency)}
+- Discount: ${money(invoiceData.discount_amount, invoiceData.currency)}
+- Total: ${money(invoiceData.total_amount, invoiceData.currency)}
 - Due Date: ${invoiceData.due_date}
 
 **YOUR TASK:**
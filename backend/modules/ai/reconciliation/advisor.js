@@ -0,0 +1,69 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import dotenv from 'dotenv';
+import { buildReconciliationPrompt, RECONCILIATION_SYSTEM_PROMPT } from './prompts.js';
+import { aiLogger } from '../../audit/logger.js';
+
+dotenv.config();
+
+// Initialize Gemini AI
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+
+/**
+ * AI Reconciliation Advisor
+ * Uses Gemini API to suggest which open invoice a bank line pays.
+ * Suggestions are advisory: a reviewer still confirms the match before a payment is recorded.
+ */
+
+class ReconciliationAdvisor {
+    /**
+     * Suggest an invoice for a bank statement line
+     * Returns { invoice_id, invoice_number, confidence, explanation }; invoice_id is null when no candidate fits
+     */
+    async suggestMatch(line, invoices) {
+        try {
+            aiLogger.info('Requesting reconciliation suggestion', { line_id: line.id, candidates: invoices.length });
+
+            const result = await model.generateContent([
+                RECONCILIATION_SYSTEM_PROMPT,
+                buildReconciliationPrompt(line, invoices)
+            ]);
+
+            const text = result.response.text();
+            const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+            const suggestion = JSON.parse(cleanedText);
+
+            // Only accept invoices that were offered, so a made-up number cannot be confirmed
+            const invoice = invoices.find(candidate => candidate.invoice_number === suggestion.invoice_number);
+
+            aiLogger.info('Reconciliation suggestion received', {
+                line_id: line.id,
+                invoice_number: invoice?.invoice_number || null,
+                confidence: suggestion.confidence
+            });
+
+            return {
+                invoice_id: invoice?.id || null,
+                invoice_number: invoice?.invoice_number || null,
+                confidence: invoice ? Math.max(0, Math.min(100, parseInt(suggestion.confidence) || 0)) : 0,
+                explanation: suggestion.explanation || ''
+            };
+        } catch (error) {
+            aiLogger.error('Reconciliation suggestion failed', {
+                line_id: line.id,
+                error: error.message
+            });
+
+            // Return a safe fallback
+            return {
+                invoice_id: null,
+                invoice_number: null,
+                confidence: 0,
+                explanation: 'AI suggestion failed - please match this line manually.'
+            };
+        }
+    }
+}
+
+// Export singleton instance
+export default new ReconciliationAdvisor();
@@ -0,0 +1,50 @@
+import currencyManager from '../../billing/currency.js';
+
+/**
+ * AI Reconciliation Prompts for Gemini API
+ * Asks which open invoice a bank transaction pays when the rule-based matcher was not sure
+ */
+
+const money = (amount, currency) => currencyManager.format(amount, currency);
+
+export const RECONCILIATION_SYSTEM_PROMPT = `You are an accounts receivable specialist matching incoming bank transfers to open invoices. Your role is to:
+
+1. Read the payment reference for invoice numbers, including mistyped, truncated or reformatted ones
+2. Compare the payer name with the customer names, allowing for abbreviations and legal suffixes
+3. Compare the amount with each invoice's balance due and total, allowing for bank fees and part payments
+4. Only suggest an invoice when the evidence points to it; otherwise suggest none
+
+Always respond in valid JSON format with the following structure:
+{
+  "invoice_number": "number of the invoice this transaction pays, or null",
+  "confidence": 0-100,
+  "explanation": ""
+}`;
+
+export const buildReconciliationPrompt = (line, invoices) => {
+    const candidates = invoices.map((invoice, i) =>
+        `${i + 1}. ${invoice.invoice_number} | customer: ${invoice.customer_name} | ` +
+        `total ${money(invoice.total_amount, invoice.currency)} | balance due ${money(invoice.balance_due, invoice.currency)} | ` +
+        `issued ${invoice.issue_date} | due ${invoice.due_date}`
+    ).join('\n');
+
+    return `Match this incoming bank transaction to one of the open invoices below.
+
+**BANK TRANSACTION:**
+- Booking Date: ${line.booking_date}
+- Amount: ${money(line.amount, line.currency)}
+- Payer: ${line.counterparty_name || 'Not provided'}
+- Reference: ${line.reference || 'Not provided'}
+
+**OPEN INVOICES (${line.currency}):**
+${candidates || 'None'}
+
+**RESPONSE FORMAT (JSON only):**
+{
+  "invoice_number": "one of the invoice numbers above, or null",
+  "confidence": 0-100,
+  "explanation": "Brief explanation of the evidence"
+}
+
+Respond ONLY with valid JSON.`;
+};
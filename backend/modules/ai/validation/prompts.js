@@ -1,8 +1,12 @@
+import currencyManager from '../../billing/currency.js';
+
 /**
  * AI Validation Prompts for Gemini API
  * Structured prompts for invoice validation tasks
  */
 
+const money = (amount, currency, maxDecimals) => currencyManager.format(amount, currency, { maxDecimals });
+
 export const VALIDATION_SYSTEM_PROMPT = `You are an expert billing analyst AI assistant specializing in invoice validation and fraud detection. Your role is to:
 
 1. Verify invoice amounts against contract terms
@@ -20,34 +24,69 @@ Always respond in valid JSON format with the following structure:
   "confidence": 0-100
 }`;
 
+const taxComponents = (item, currency) => (item.tax_details || []).length > 0
+    ? ` [${item.tax_details.map(tax => `${tax.name} ${tax.rate}%${tax.is_compound ? ' compound' : ''} on ${money(tax.taxable_amount, currency)} = ${money(tax.tax_amount, currency)}`).join('; ')}]`
+    : '';
+
 export const buildValidationPrompt = (invoiceData, contractData) => {
+    const lineItems = (invoiceData.line_items || []).map((item, i) =>
+        `${i + 1}. [${item.item_type || 'fixed'}] ${item.description}: ${parseFloat(item.quantity)} × ${money(item.unit_price, invoiceData.currency, 6)} = ${money(item.subtotal, invoiceData.currency)}, ` +
+        `discount ${item.discount_percentage}% (${money(item.discount_amount, invoiceData.currency)}), tax ${item.tax_rate}% (${money(item.tax_amount, invoiceData.currency)})${taxComponents(item, invoiceData.currency)}, ` +
+        `line total ${money(item.total_amount, invoiceData.currency)}`
+    ).join('\n');
+
+    const contractItems = (contractData.items || []).length > 0
+        ? contractData.items.map((item, i) =>
+            `${i + 1}. ${item.description}: ${parseFloat(item.quantity)} × ${money(item.unit_price, invoiceData.currency, 6)}` +
+            `${item.tax_rate !== null ? `, tax ${item.tax_rate}%` : ''}` +
+            `${item.discount_percentage !== null ? `, discount ${item.discount_percentage}%` : ''}`
+        ).join('\n')
+        : `1. ${contractData.service_description}: 1 × ${money(contractData.amount, invoiceData.currency)}`;
+
+    const usagePrices = (contractData.usage_prices || []).map(price =>
+        `- ${price.metric_code} (${price.description}): ${price.pricing_model}` +
+        `${price.pricing_model === 'per_unit' ? ` at ${money(price.unit_price, invoiceData.currency, 6)} per ${price.unit_name}` : `, tiers ${JSON.stringify(price.tiers)}`}` +
+        `, ${parseFloat(price.included_quantity)} ${price.unit_name} included`
+    ).join('\n');
+
     return `Validate the following invoice against the contract terms:
 
 **INVOICE DETAILS:**
 - Invoice Number: ${invoiceData.invoice_number}
 - Customer: ${invoiceData.customer_name}
 - Issue Date: ${invoiceData.issue_date}
-- Due Date: ${invoiceData.due_date}
-- Subtotal: $${invoiceData.subtotal}
-- Tax Amount: $${invoiceData.tax_amount} (${contractData.tax_rate}% expected)
-- Discount Amount: $${invoiceData.discount_amount} (${contractData.discount_percentage}% expected)
-- Total Amount: $${invoiceData.total_amount}
+- Due Date: ${invoiceData.due_date}${invoiceData.payment_terms_name ? ` (payment terms: ${invoiceData.payment_terms_name})` : ''}
+- Subtotal: ${money(invoiceData.subtotal, invoiceData.currency)}
+- Discount Amount: ${money(invoiceData.discount_amount, invoiceData.currency)}
+- Tax Amount: ${money(invoiceData.tax_amount, invoiceData.currency)}
+- Tax Treatment: ${invoiceData.tax_treatment || 'standard'}${invoiceData.tax_note ? ` (${invoiceData.tax_note})` : ''}
+- Total Amount: ${money(invoiceData.total_amount, invoiceData.currency)}
+
+**INVOICE LINE ITEMS:**
+${lineItems || 'No line items'}
 
 **CONTRACT TERMS:**
 - Contract Number: ${contractData.contract_number}
 - Service Description: ${contractData.service_description}
-- Contract Amount: $${contractData.amount}
+- Contract Amount: ${money(contractData.amount, invoiceData.currency)}
 - Billing Frequency: ${contractData.billing_frequency}
-- Tax Rate: ${contractData.tax_rate}%
-- Discount Percentage: ${contractData.discount_percentage}%
+- Fallback Tax Rate (only where no jurisdiction tax rule applies): ${contractData.tax_rate}%
+- Default Discount Percentage: ${contractData.discount_percentage}%
+
+**CONTRACTED SERVICES:**
+${contractItems}
+
+**METERED USAGE PRICING:**
+${usagePrices || 'None'}
 
 **VALIDATION TASKS:**
-1. Verify that the subtotal matches the contract amount
-2. Verify tax calculation: subtotal × ${contractData.tax_rate}% = $${invoiceData.tax_amount}
-3. Verify discount calculation: subtotal × ${contractData.discount_percentage}% = $${invoiceData.discount_amount}
-4. Verify total: subtotal + tax - discount = $${invoiceData.total_amount}
-5. Check for any unusual patterns or anomalies
-6. Verify the billing frequency is appropriate
+1. Verify that every fixed line corresponds to a contracted service and that no service is missing; usage lines are rated from the metered usage pricing above, and proration lines are credits/charges for partial periods or mid-period price changes (their descriptions state the days used)
+2. Verify each line: quantity × unit price = line subtotal
+3. Verify each line discount: line subtotal × discount% = discount amount
+4. Verify each line tax: every tax component is rate × its taxable amount (line subtotal - discount; compound taxes also include the taxes before them), and the line tax is their sum. Reverse-charged and exempt invoices carry no tax
+5. Verify the invoice subtotal, discount, tax and total equal the sums of the line values
+6. Check for any unusual patterns or anomalies
+7. Verify the billing frequency is appropriate
 
 **RESPONSE FORMAT (JSON only):**
 {
@@ -67,11 +106,11 @@ export const buildDuplicateCheckPrompt = (invoiceData, recentInvoices) => {
 **CURRENT INVOICE:**
 - Invoice Number: ${invoiceData.invoice_number}
 - Customer: ${invoiceData.customer_name}
-- Amount: $${invoiceData.total_amount}
+- Amount: ${money(invoiceData.total_amount, invoiceData.currency)}
 - Issue Date: ${invoiceData.issue_date}
 
 **RECENT INVOICES (Last 30 days):**
-${recentInvoices.map(inv => `- ${inv.invoice_number}: ${inv.customer_name}, $${inv.total_amount}, ${inv.issue_date}`).join('\n')}
+${recentInvoices.map(inv => `- ${inv.invoice_number}: ${inv.customer_name}, ${money(inv.total_amount, inv.currency)}, ${inv.issue_date}`).join('\n')}
 
 **ANALYSIS REQUIRED:**
 1. Check for duplicate invoice numbers
@@ -93,11 +132,11 @@ export const buildAnomalyDetectionPrompt = (invoiceData, customerHistory) => {
     return `Analyze this invoice for anomalies based on customer's billing history:
 
 **CURRENT INVOICE:**
-- Amount: $${invoiceData.total_amount}
+- Amount: ${money(invoiceData.total_amount, invoiceData.currency)}
 - Issue Date: ${invoiceData.issue_date}
 
 **CUSTOMER BILLING HISTORY:**
-- Average Invoice Amount: $${customerHistory.avg_amount}
+- Average Invoice Amount: ${money(customerHistory.avg_amount, invoiceData.currency)}
 - Typical Billing Frequency: ${customerHistory.frequency}
 - Last Invoice Date: ${customerHistory.last_invoice_date}
 - Total Invoices: ${customerHistory.total_invoices}
@@ -1,6 +1,6 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
-import { Invoice, Contract, AIValidationLog } from '../../../database/models.js';
+import { Invoice, Contract, ContractItem, UsagePrice, AIValidationLog } from '../../../database/models.js';
 import { buildValidationPrompt, buildDuplicateCheckPrompt, VALIDATION_SYSTEM_PROMPT } from './prompts.js';
 import { aiLogger } from '../../audit/logger.js';
 import auditManager from '../../audit/audit-manager.js';
@@ -35,6 +35,8 @@ class AIValidator {
             if (!contract) {
                 throw new Error(`Contract ${invoice.contract_id} not found`);
             }
+            contract.items = await ContractItem.findByContractId(contract.id);
+            contract.usage_prices = await UsagePrice.findByContractId(contract.id);
 
             // Run validation checks
             const validationResult = await this.performValidation(invoice, contract);
@@ -1,12 +1,25 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import { AuditLog } from '../../database/models.js';
 import { auditLogger } from './logger.js';
+import currencyManager from '../billing/currency.js';
 
 /**
  * Audit Manager - Centralized logging for all billing activities
  * Ensures compliance-ready audit trails
  */
 
+// The API key behind the current request, set by authenticateToken, so admin actions taken
+// with a key are attributed to it rather than to a dashboard user
+const apiKeyContext = new AsyncLocalStorage();
+
 class AuditManager {
+    /**
+     * Run the rest of a request as an API key: logAdminAction records the key as the actor
+     */
+    runAsApiKey(apiKey, callback) {
+        return apiKeyContext.run({ id: apiKey.id, name: apiKey.name }, callback);
+    }
+
     /**
      * Log an action to both database and file system
      */
@@ -78,6 +91,24 @@ class AuditManager {
         });
     }
 
+    /**
+     * Log an invoice status change made by the system (admin changes use logAdminAction)
+     */
+    async logInvoiceStatusChange(invoiceId, fromStatus, toStatus, reason, metadata = {}) {
+        return this.logAction({
+            action_type: 'INVOICE_STATUS_CHANGED',
+            entity_type: 'invoice',
+            entity_id: invoiceId,
+            description: `Invoice status changed from ${fromStatus} to ${toStatus}: ${reason}`,
+            metadata: {
+                old_status: fromStatus,
+                new_status: toStatus,
+                reason,
+                ...metadata
+            }
+        });
+    }
+
     /**
      * Log AI validation decision
      */
@@ -123,7 +154,7 @@ class AuditManager {
             action_type: 'PAYMENT_RECEIVED',
             entity_type: 'payment',
             entity_id: paymentId,
-            description: `Payment of $${amount} received for invoice ${invoiceId}`,
+            description: `Payment of ${currencyManager.format(amount, metadata.currency)} received for invoice ${invoiceId}`,
             metadata: {
                 invoice_id: invoiceId,
                 amount,
@@ -132,6 +163,55 @@ class AuditManager {
         });
     }
 
+    /**
+     * Log a payment webhook that could not be recorded
+     */
+    async logPaymentWebhook(provider, eventId, outcome, description, metadata = {}) {
+        return this.logAction({
+            action_type: 'PAYMENT_WEBHOOK_REJECTED',
+            entity_type: 'payment',
+            user_type: 'system',
+            description,
+            metadata: {
+                provider,
+                event_id: eventId,
+                outcome,
+                ...metadata
+            }
+        });
+    }
+
+    /**
+     * Log customer activity on a public payment page
+     */
+    async logPaymentPageEvent(invoiceId, actionType, description, metadata = {}, ipAddress = null) {
+        return this.logAction({
+            action_type: actionType,
+            entity_type: 'invoice',
+            entity_id: invoiceId,
+            user_type: 'customer',
+            description,
+            metadata,
+            ip_address: ipAddress
+        });
+    }
+
+    /**
+     * Log customer activity in the self-service portal
+     */
+    async logPortalEvent(portalUserId, customerId, actionType, description, metadata = {}, ipAddress = null) {
+        return this.logAction({
+            action_type: actionType,
+            entity_type: 'customer',
+            entity_id: customerId,
+            user_type: 'customer',
+            user_id: portalUserId,
+            description,
+            metadata,
+            ip_address: ipAddress
+        });
+    }
+
     /**
      * Log client query handling
      */
@@ -169,18 +249,117 @@ class AuditManager {
         });
     }
 
+    /**
+     * Log a dunning stage run on an overdue invoice
+     */
+    async logDunningStage(invoiceId, customerId, stage, outcome, metadata = {}) {
+        return this.logAction({
+            action_type: 'DUNNING_STAGE_EXECUTED',
+            entity_type: 'invoice',
+            entity_id: invoiceId,
+            description: `Dunning stage "${stage.name}" (${stage.action}) ${outcome}`,
+            metadata: {
+                customer_id: customerId,
+                policy_id: stage.policy_id,
+                stage_order: stage.stage_order,
+                action: stage.action,
+                outcome,
+                ...metadata
+            }
+        });
+    }
+
+    /**
+     * Log a late fee or interest charge on an overdue invoice
+     */
+    async logLateFeeCharged(invoiceId, customerId, charge, metadata = {}) {
+        return this.logAction({
+            action_type: 'LATE_FEE_CHARGED',
+            entity_type: 'invoice',
+            entity_id: invoiceId,
+            description: `Late fee of ${currencyManager.format(charge.amount, charge.currency)} charged (${charge.applied_as})`,
+            metadata: {
+                customer_id: customerId,
+                late_fee_charge_id: charge.id,
+                rule_id: charge.rule_id,
+                amount: charge.amount,
+                currency: charge.currency,
+                applied_as: charge.applied_as,
+                fee_invoice_id: charge.fee_invoice_id,
+                ...metadata
+            }
+        });
+    }
+
+    /**
+     * Log contract lifecycle event (renewal notice, renewal, expiry)
+     */
+    async logContractEvent(contractId, customerId, actionType, description, metadata = {}) {
+        return this.logAction({
+            action_type: actionType,
+            entity_type: 'contract',
+            entity_id: contractId,
+            description,
+            metadata: {
+                customer_id: customerId,
+                ...metadata
+            }
+        });
+    }
+
     /**
      * Log admin action
+     * Inside a request made with an API key, adminId is the key's id and the entry is the key's
      */
     async logAdminAction(adminId, actionType, entityType, entityId, description, metadata = {}) {
+        const apiKey = apiKeyContext.getStore();
         return this.logAction({
             action_type: actionType,
             entity_type: entityType,
             entity_id: entityId,
-            user_type: 'admin',
+            user_type: apiKey ? 'api_key' : 'admin',
             user_id: adminId,
             description,
-            metadata
+            metadata: apiKey ? { ...metadata, api_key_id: apiKey.id, api_key_name: apiKey.name } : metadata
+        });
+    }
+
+    /**
+     * Log a call made with an API key, once it has been answered
+     */
+    async logApiKeyRequest(apiKey, method, path, statusCode, ipAddress = null) {
+        return this.logAction({
+            action_type: 'API_KEY_REQUEST',
+            entity_type: 'api_key',
+            entity_id: apiKey.id,
+            user_type: 'api_key',
+            user_id: apiKey.id,
+            description: `${method} ${path} with API key ${apiKey.name} answered ${statusCode}`,
+            metadata: {
+                api_key_name: apiKey.name,
+                key_prefix: apiKey.key_prefix,
+                method,
+                path,
+                status_code: statusCode
+            },
+            ip_address: ipAddress
+        });
+    }
+
+    /**
+     * Log a dashboard authentication event (logins, lockouts, password resets and changes)
+     * adminUserId is null when the attempt names no known user
+     */
+    async logAuthEvent(adminUserId, actionType, description, metadata = {}, ipAddress = null) {
+        return this.logAction({
+            action_type: actionType,
+            entity_type: 'admin_user',
+            entity_id: adminUserId,
+            user_type: adminUserId ? 'admin' : 'anonymous',
+            user_id: adminUserId,
+            description,
+            metadata,
+            ip_address: ipAddress
         });
     }
 
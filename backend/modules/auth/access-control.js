@@ -0,0 +1,70 @@
+/**
+ * Access Control
+ * Dashboard roles and the permissions each one grants. Routes ask for a permission
+ * (see requirePermission in middleware/auth.js), never for a role, so a role's reach
+ * is changed here in one place.
+ */
+
+const PERMISSIONS = [
+    'customers:read', 'customers:write',
+    'contracts:read', 'contracts:write',
+    'invoices:read', 'invoices:write',
+    'credit_notes:write',
+    'payments:read', 'payments:write',
+    'usage:write',
+    // Billing configuration: numbering, tax, exchange rates, payment terms, dunning and late fees
+    'settings:read', 'settings:write',
+    'insights:read',
+    'assistant:use',
+    'audit:read',
+    'users:manage'
+];
+
+const READ_PERMISSIONS = PERMISSIONS.filter(permission => permission.endsWith(':read'));
+
+const ROLE_PERMISSIONS = {
+    owner: PERMISSIONS,
+    // Runs billing end to end, including recording payments; cannot manage users or read the audit trail
+    finance_manager: PERMISSIONS.filter(permission => !['audit:read', 'users:manage'].includes(permission)),
+    // Prepares invoices and credit notes; payments are recorded by finance
+    accountant: [
+        'customers:read', 'contracts:read', 'contracts:write', 'invoices:read', 'invoices:write',
+        'credit_notes:write', 'payments:read', 'usage:write', 'settings:read', 'insights:read'
+    ],
+    // Answers customers: can update their details and use the assistant, but not change billing
+    support: [
+        'customers:read', 'customers:write', 'contracts:read', 'invoices:read', 'payments:read', 'assistant:use'
+    ],
+    // Read-only, plus the audit trail
+    auditor: [...READ_PERMISSIONS, 'audit:read']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+class AccessControl {
+    getRoles() {
+        return ROLES;
+    }
+
+    getPermissions() {
+        return PERMISSIONS;
+    }
+
+    isRole(role) {
+        return ROLES.includes(role);
+    }
+
+    /**
+     * Permissions granted to a role (none for unknown roles)
+     */
+    permissionsFor(role) {
+        return ROLE_PERMISSIONS[role] || [];
+    }
+
+    hasPermission(role, permission) {
+        return this.permissionsFor(role).includes(permission);
+    }
+}
+
+// Export singleton instance
+export default new AccessControl();
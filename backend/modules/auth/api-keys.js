@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import { ApiKey } from '../../database/models.js';
+import accessControl from './access-control.js';
+
+/**
+ * API Keys
+ * Machine-to-machine access for integrations such as ERP and data-warehouse jobs. A key is sent
+ * as a bearer token in place of an access token and carries its own permissions instead of a
+ * role. Keys never get users:manage, so a key cannot manage users or other keys. A key stops
+ * working when the owner who created or last rotated it is deactivated or no longer an owner.
+ * Keys are `bgk_` plus 32 random bytes; only their SHA-256 hash is stored, with the first
+ * characters kept so owners can tell keys apart.
+ */
+
+const KEY_PREFIX = 'bgk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Permissions no key can hold
+const RESERVED_PERMISSIONS = ['users:manage'];
+
+// Longest overlap a rotation may give the old key
+const MAX_OVERLAP_HOURS = 168;
+
+class ApiKeys {
+    /**
+     * Whether a bearer token is an API key rather than a JWT
+     */
+    isApiKey(token) {
+        return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * A new random key with its display prefix and hash
+     */
+    generate() {
+        const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+        return {
+            key,
+            key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+            key_hash: this.hashToken(key)
+        };
+    }
+
+    /**
+     * Permissions a user with this role may give a key: their own, minus the reserved ones
+     */
+    grantablePermissions(role) {
+        return accessControl.permissionsFor(role).filter(permission => !RESERVED_PERMISSIONS.includes(permission));
+    }
+
+    /**
+     * Check a key request
+     * Returns a list of problems (empty when it is acceptable)
+     */
+    validate({ name, permissions, expires_at }, role) {
+        const errors = [];
+
+        if (!name || typeof name !== 'string' || !name.trim() || name.length > 80) {
+            errors.push('name is required (at most 80 characters)');
+        }
+
+        const grantable = this.grantablePermissions(role);
+        if (!Array.isArray(permissions) || permissions.length === 0) {
+            errors.push('permissions must be a non-empty list');
+        } else {
+            const invalid = permissions.filter(permission => !grantable.includes(permission));
+            if (invalid.length > 0) {
+                errors.push(`permissions not allowed for API keys: ${invalid.join(', ')}`);
+            }
+        }
+
+        if (expires_at != null) {
+            const expiresAt = new Date(expires_at);
+            if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+                errors.push('expires_at must be a future date');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Create a key (validate the request first)
+     * Returns { key, api_key }; the key is shown once and cannot be recovered later
+     */
+    async create({ name, permissions, expires_at, created_by }) {
+        const { key, key_prefix, key_hash } = this.generate();
+
+        const apiKey = await ApiKey.create({
+            name: name.trim(),
+            key_prefix,
+            key_hash,
+            permissions: [...new Set(permissions)],
+            created_by,
+            expires_at: expires_at ? new Date(expires_at) : null
+        });
+
+        return { key, api_key: apiKey };
+    }
+
+    /**
+     * Replace a key with a new one holding the same name and permissions
+     * overlapHours (0 to 168) keeps the old key working for that long; otherwise it is revoked at once.
+     * The new key keeps the old expiry unless expires_at is given.
+     * Returns { key, api_key, previous }, or null when the old key is no longer active
+     */
+    async rotate(id, { created_by, expires_at, overlapHours = 0 }) {
+        const current = await ApiKey.findById(id);
+        if (!current || current.status !== 'active') {
+            return null;
+        }
+
+        const { key, key_prefix, key_hash } = this.generate();
+        const hours = Math.min(Math.max(Number(overlapHours) || 0, 0), MAX_OVERLAP_HOURS);
+
+        const rotated = await ApiKey.rotate(id, {
+            key_prefix,
+            key_hash,
+            created_by,
+            expires_at: expires_at ? new Date(expires_at) : current.expires_at
+        }, hours > 0 ? new Date(Date.now() + hours * 60 * 60 * 1000) : null);
+        if (!rotated) {
+            return null;
+        }
+
+        return { key, api_key: rotated.key, previous: rotated.previous };
+    }
+
+    revoke(id, reason = 'revoked') {
+        return ApiKey.revoke(id, reason);
+    }
+
+    /**
+     * The active key for a bearer token, or null; records the use
+     */
+    async authenticate(token, ipAddress) {
+        if (!this.isApiKey(token) || token.length < KEY_PREFIX.length + 32) {
+            return null;
+        }
+
+        const apiKey = await ApiKey.findActiveByHash(this.hashToken(token));
+        if (!apiKey) {
+            return null;
+        }
+
+        await ApiKey.touch(apiKey.id, ipAddress);
+        return apiKey;
+    }
+}
+
+// Export singleton instance
+export default new ApiKeys();
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import { AdminInvitation } from '../../database/models.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Admin Invitations
+ * Dashboard accounts are created only by accepting an invitation an owner sent, which fixes
+ * the new user's email and role. Invitation tokens are 32 random bytes; only their SHA-256
+ * hash is stored, so a link cannot be recovered after it has been sent.
+ */
+
+class Invitations {
+    constructor() {
+        this.ttlHours = parseInt(process.env.ADMIN_INVITATION_TTL_HOURS || '72');
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    buildUrl(token) {
+        return `${this.frontendUrl}/accept-invitation?token=${token}`;
+    }
+
+    /**
+     * Create an invitation
+     * Returns { invitation, url }; the url carries the only copy of the token
+     */
+    async create({ email, role, invited_by }) {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        const invitation = await AdminInvitation.create({
+            email,
+            role,
+            token_hash: this.hashToken(token),
+            invited_by,
+            expires_at: new Date(Date.now() + this.ttlHours * 60 * 60 * 1000)
+        });
+
+        return {
+            invitation,
+            url: this.buildUrl(token)
+        };
+    }
+
+    /**
+     * Pending invitation for a token, or null when it is unknown, expired, revoked or used
+     */
+    async findPending(token) {
+        if (!token || token.length < 32) {
+            return null;
+        }
+
+        return (await AdminInvitation.findPendingByTokenHash(this.hashToken(token))) || null;
+    }
+
+    /**
+     * Accept an invitation, creating the user with the invited email and role
+     * Returns { invitation, user }, or null when the token can no longer be used
+     */
+    async accept(token, userData) {
+        if (!token || token.length < 32) {
+            return null;
+        }
+
+        return (await AdminInvitation.accept(this.hashToken(token), userData)) || null;
+    }
+}
+
+// Export singleton instance
+export default new Invitations();
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { AdminUser, AdminPasswordReset } from '../../database/models.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Dashboard Passwords
+ * The password policy, lockout after repeated failures, and emailed reset links.
+ * After LOGIN_LOCKOUT_THRESHOLD consecutive failed passwords or codes the account is locked,
+ * first for LOGIN_LOCKOUT_BASE_SECONDS, doubling with each further failure up to
+ * LOGIN_LOCKOUT_MAX_SECONDS. Reset tokens are 32 random bytes; only their SHA-256 hash is stored.
+ */
+
+// bcrypt ignores everything after the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+const COMMON_PASSWORDS = new Set([
+    'password', 'password1', 'password123', 'passw0rd', '123456789012', 'qwertyuiop', 'qwerty123456',
+    'iloveyou', 'letmein', 'welcome', 'welcome123', 'admin', 'admin123', 'administrator',
+    'changeme', 'changeme123', 'billing', 'billing123', 'billeragi', 'billeragi123'
+]);
+
+class Passwords {
+    constructor() {
+        this.minLength = parseInt(process.env.PASSWORD_MIN_LENGTH || '12');
+        this.lockout = {
+            threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5'),
+            baseSeconds: parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || '60'),
+            maxSeconds: parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS || '3600')
+        };
+        this.resetTtlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30');
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    }
+
+    /**
+     * Check a new password against the policy
+     * user: { username, email } of the account, which the password must not contain
+     * Returns a list of problems (empty when the password is acceptable)
+     */
+    validate(password, user = {}) {
+        if (typeof password !== 'string' || password.length < this.minLength) {
+            return [`password must be at least ${this.minLength} characters`];
+        }
+
+        const errors = [];
+        const lower = password.toLowerCase();
+
+        if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+            errors.push(`password must be at most ${MAX_PASSWORD_BYTES} bytes`);
+        }
+        if (!/[a-z]/i.test(password) || !/[^a-z]/i.test(password)) {
+            errors.push('password must mix letters with digits or symbols');
+        }
+
+        const personal = [user.username, user.email, user.email?.split('@')[0]]
+            .filter(value => value && value.length >= 3)
+            .map(value => value.toLowerCase());
+        if (personal.some(value => lower.includes(value))) {
+            errors.push('password must not contain your username or email');
+        }
+        if (COMMON_PASSWORDS.has(lower)) {
+            errors.push('password is too common');
+        }
+
+        return errors;
+    }
+
+    hash(password) {
+        return bcrypt.hash(password, 10);
+    }
+
+    verify(password, passwordHash) {
+        return bcrypt.compare(String(password), passwordHash);
+    }
+
+    /**
+     * Spend the time of a password check for a user that does not exist, so a sign-in
+     * attempt does not reveal whether the username is known. Always resolves to false.
+     */
+    async verifyDummy(password) {
+        if (!this.dummyHash) {
+            this.dummyHash = this.hash(crypto.randomBytes(16).toString('hex'));
+        }
+        await bcrypt.compare(String(password), await this.dummyHash);
+        return false;
+    }
+
+    /**
+     * Seconds until a locked account can try again, or 0 when it is not locked
+     */
+    lockedFor(user) {
+        if (!user.locked_until) {
+            return 0;
+        }
+        return Math.max(0, Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000));
+    }
+
+    /**
+     * Count a failed password or code
+     * Returns { failed_login_count, locked_until, locked_for }
+     */
+    async recordFailure(userId) {
+        const state = await AdminUser.recordFailedLogin(userId, this.lockout);
+        return {
+            ...state,
+            locked_for: this.lockedFor(state)
+        };
+    }
+
+    clearFailures(userId) {
+        return AdminUser.clearFailedLogins(userId);
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * Create a one-time reset link; earlier links for the user stop working
+     * Returns { url, expires_at }; the token cannot be recovered later
+     */
+    async createReset(user) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.resetTtlMinutes * 60 * 1000);
+
+        await AdminPasswordReset.create({
+            admin_user_id: user.id,
+            token_hash: this.hashToken(token),
+            expires_at: expiresAt
+        });
+
+        return {
+            url: `${this.frontendUrl}/reset-password?token=${token}`,
+            expires_at: expiresAt
+        };
+    }
+
+    /**
+     * Pending reset for a token with its user's username and email, or null
+     */
+    async findReset(token) {
+        if (!token || token.length < 32) {
+            return null;
+        }
+
+        return (await AdminPasswordReset.findPending(this.hashToken(token))) || null;
+    }
+
+    /**
+     * Use a reset token to set a new password (validate it first)
+     * Returns the user, or null when the token can no longer be used
+     */
+    async consumeReset(token, password) {
+        return (await AdminPasswordReset.consume(this.hashToken(token), await this.hash(password))) || null;
+    }
+}
+
+// Export singleton instance
+export default new Passwords();
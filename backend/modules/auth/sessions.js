@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { AdminUser, AdminSession } from '../../database/models.js';
+import { ADMIN_AUDIENCE } from '../../middleware/auth.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Dashboard Sessions
+ * A login opens a server-side session and returns a short-lived access token (JWT carrying the
+ * session id as `sid`) plus a refresh token. Each refresh rotates the refresh token; presenting
+ * one that was already used means it leaked, so the whole session is revoked. authenticateToken
+ * refuses access tokens of revoked sessions, so logout and deactivation apply immediately.
+ * Refresh tokens are 32 random bytes; only their SHA-256 hash is stored.
+ */
+
+class Sessions {
+    constructor() {
+        this.accessTokenExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+        this.refreshTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '14');
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    refreshExpiry() {
+        return new Date(Date.now() + this.refreshTtlDays * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Access token and its expiry for a user in a session
+     */
+    signAccessToken(user, sessionId) {
+        const token = jwt.sign(
+            {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+                sid: sessionId
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: this.accessTokenExpiresIn, audience: ADMIN_AUDIENCE }
+        );
+
+        return {
+            token,
+            expires_at: new Date(jwt.decode(token).exp * 1000)
+        };
+    }
+
+    /**
+     * Open a session for a user who passed every login step
+     * context: { ip_address, user_agent }
+     * Returns { token, expires_at, refresh_token, session_id }
+     */
+    async start(user, context = {}) {
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+        const session = await AdminSession.create({
+            admin_user_id: user.id,
+            ip_address: context.ip_address,
+            user_agent: context.user_agent,
+            expires_at: this.refreshExpiry()
+        }, this.hashToken(refreshToken));
+
+        return {
+            ...this.signAccessToken(user, session.id),
+            refresh_token: refreshToken,
+            session_id: session.id
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new access and refresh token
+     * Returns { status, session, tokens }: status 'rotated' (with tokens), 'reused' (the session
+     * was revoked) or 'invalid'
+     */
+    async refresh(refreshToken) {
+        if (typeof refreshToken !== 'string' || refreshToken.length < 32) {
+            return { status: 'invalid' };
+        }
+
+        const nextToken = crypto.randomBytes(32).toString('base64url');
+        const { status, session } = await AdminSession.rotate(
+            this.hashToken(refreshToken),
+            this.hashToken(nextToken),
+            this.refreshExpiry()
+        );
+        if (status !== 'rotated') {
+            return { status, session };
+        }
+
+        // The user may have been deleted or deactivated since the session started
+        const user = await AdminUser.findById(session.admin_user_id);
+        if (!user || !user.is_active) {
+            await AdminSession.revoke(session.id, 'deactivated');
+            return { status: 'invalid', session };
+        }
+
+        return {
+            status,
+            session,
+            tokens: {
+                ...this.signAccessToken(user, session.id),
+                refresh_token: nextToken
+            }
+        };
+    }
+
+    async isActive(sessionId) {
+        return Boolean(sessionId && await AdminSession.findActive(sessionId));
+    }
+
+    revoke(sessionId, reason) {
+        return AdminSession.revoke(sessionId, reason);
+    }
+
+    /**
+     * End every session of a user (log out everywhere, deactivation, password changes),
+     * except exceptSessionId when given. Returns how many sessions were still active
+     */
+    revokeAllForUser(adminUserId, reason, exceptSessionId = null) {
+        return AdminSession.revokeAllForUser(adminUserId, reason, exceptSessionId);
+    }
+}
+
+// Export singleton instance
+export default new Sessions();
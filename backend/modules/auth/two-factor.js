@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { AdminUser, AdminRecoveryCode, SecuritySettings } from '../../database/models.js';
+import { TWO_FACTOR_AUDIENCE } from '../../middleware/auth.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Two-Factor Authentication
+ * TOTP (RFC 6238: HMAC-SHA1, 6 digits, 30-second steps) as used by authenticator apps, with
+ * one-time recovery codes as a fallback. Between the password and the code, a login holds a
+ * short-lived challenge token (its own audience, so it never works as a session).
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next step too, for clock drift between server and phone
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+class TwoFactor {
+    constructor() {
+        this.issuer = process.env.TWO_FACTOR_ISSUER || 'BillerAGI';
+        this.challengeExpiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+    }
+
+    generateSecret() {
+        return base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * The code for one time step
+     */
+    codeAt(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+        return String(value).padStart(DIGITS, '0');
+    }
+
+    /**
+     * Check a code against the secret
+     * Returns the matching time step, or null. Steps at or before lastStep are refused,
+     * so a code that was already accepted cannot be replayed.
+     */
+    verifyCode(secret, code, lastStep = null, now = Date.now()) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!secret || !/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+            return null;
+        }
+
+        const currentStep = Math.floor(now / 1000 / STEP_SECONDS);
+        for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+            if (lastStep !== null && lastStep !== undefined && step <= Number(lastStep)) {
+                continue;
+            }
+            if (crypto.timingSafeEqual(Buffer.from(this.codeAt(secret, step)), Buffer.from(normalized))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Provisioning details for an authenticator app: the otpauth:// URL, the same URL as
+     * a QR code (PNG data URL) and the secret for manual entry
+     */
+    async buildProvisioning(username, secret) {
+        const label = encodeURIComponent(`${this.issuer}:${username}`);
+        const issuer = encodeURIComponent(this.issuer);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+        return {
+            secret,
+            otpauth_url: otpauthUrl,
+            qr_code: await QRCode.toDataURL(otpauthUrl)
+        };
+    }
+
+    /**
+     * New recovery codes: the plain codes for the user (shown once) and their hashes to store
+     */
+    generateRecoveryCodes() {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+
+        return {
+            codes,
+            hashes: codes.map(code => this.hashRecoveryCode(code))
+        };
+    }
+
+    hashRecoveryCode(code) {
+        const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * Check a login's second factor: a TOTP `code` or a one-time `recovery_code`
+     * Returns the method used ('totp' or 'recovery_code'), or null
+     */
+    async verifyLogin(userId, { code, recovery_code }) {
+        const user = await AdminUser.findTwoFactor(userId);
+        if (!user || !user.is_active || !user.totp_enabled_at) {
+            return null;
+        }
+
+        if (recovery_code) {
+            return (await AdminRecoveryCode.consume(user.id, this.hashRecoveryCode(recovery_code))) ? 'recovery_code' : null;
+        }
+
+        const step = this.verifyCode(user.totp_secret, code, user.totp_last_step);
+        if (step === null) {
+            return null;
+        }
+        return (await AdminUser.useTotpStep(user.id, step)) ? 'totp' : null;
+    }
+
+    /**
+     * Whether an owner requires two-factor for every dashboard user
+     */
+    async isRequired() {
+        return (await SecuritySettings.get()).require_two_factor;
+    }
+
+    /**
+     * Short-lived token for the second login step
+     * stage: 'verify' (enter a code) or 'enroll' (set up two-factor before the first session)
+     */
+    issueChallenge(user, stage) {
+        return jwt.sign(
+            { id: user.id, username: user.username, stage },
+            process.env.JWT_SECRET,
+            { expiresIn: this.challengeExpiresIn, audience: TWO_FACTOR_AUDIENCE }
+        );
+    }
+
+    /**
+     * Payload of a valid challenge token for the stage, or null
+     */
+    verifyChallenge(token, stage) {
+        try {
+            const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: TWO_FACTOR_AUDIENCE });
+            return payload.stage === stage ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Export singleton instance
+export default new TwoFactor();
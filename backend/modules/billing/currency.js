@@ -0,0 +1,83 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Currency Manager
+ * Minor-unit rounding, formatting and base-currency conversion for invoice amounts
+ */
+
+// ISO 4217 minor units of supported currencies (amounts are stored with at most 2 decimals)
+const MINOR_UNITS = {
+    USD: 2, EUR: 2, GBP: 2, CHF: 2, CAD: 2, AUD: 2, NZD: 2, SEK: 2, NOK: 2, DKK: 2,
+    PLN: 2, CZK: 2, HUF: 2, INR: 2, SGD: 2, HKD: 2, CNY: 2, MXN: 2, BRL: 2, ZAR: 2,
+    JPY: 0, KRW: 0, CLP: 0, ISK: 0, VND: 0
+};
+
+class CurrencyManager {
+    constructor() {
+        this.baseCurrency = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+    }
+
+    /**
+     * Supported currency codes
+     */
+    getSupportedCurrencies() {
+        return Object.keys(MINOR_UNITS);
+    }
+
+    isSupported(currency) {
+        return typeof currency === 'string' && MINOR_UNITS[currency.toUpperCase()] !== undefined;
+    }
+
+    /**
+     * Number of decimals used by a currency (JPY has none)
+     */
+    getMinorUnits(currency = this.baseCurrency) {
+        const units = MINOR_UNITS[(currency || this.baseCurrency).toUpperCase()];
+        return units === undefined ? 2 : units;
+    }
+
+    /**
+     * Round an amount to the currency's smallest unit
+     */
+    round(value, currency = this.baseCurrency) {
+        const factor = 10 ** this.getMinorUnits(currency);
+        return Math.round((value + Number.EPSILON) * factor) / factor;
+    }
+
+    /**
+     * Format an amount with its currency symbol, sign first (-$10.00, -¥1,000)
+     * Options: maxDecimals for extra unit price precision, display 'symbol' or 'code' (EUR 10.00)
+     */
+    format(amount, currency = this.baseCurrency, options = {}) {
+        const code = (currency || this.baseCurrency).toUpperCase();
+        const minorUnits = this.getMinorUnits(code);
+        const { maxDecimals = minorUnits, display = 'symbol' } = options;
+
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: code,
+            currencyDisplay: display,
+            minimumFractionDigits: minorUnits,
+            maximumFractionDigits: Math.max(minorUnits, maxDecimals)
+        }).format(parseFloat(amount));
+    }
+
+    /**
+     * Currency a contract bills in: its own, else its customer's
+     */
+    contractCurrency(contract) {
+        return (contract.currency || contract.customer_currency || this.baseCurrency).toUpperCase();
+    }
+
+    /**
+     * Convert an amount to the base currency with a rate snapshot (base units per 1 unit of currency)
+     */
+    toBase(amount, exchangeRate) {
+        return this.round(parseFloat(amount) * parseFloat(exchangeRate || 1), this.baseCurrency);
+    }
+}
+
+// Export singleton instance
+export default new CurrencyManager();
@@ -0,0 +1,224 @@
+import { Contract, DunningPolicy, Invoice, InvoiceDunningEvent, LateFeeRule } from '../../database/models.js';
+import lateFeeManager from './late-fee-manager.js';
+import mailer from '../email/mailer.js';
+import auditManager from '../audit/audit-manager.js';
+import { logInfo } from '../audit/logger.js';
+
+/**
+ * Dunning Manager
+ * Chases overdue invoices through the stages of their dunning policy
+ * (the contract's policy, else the customer's, else the default one).
+ * Each cycle an invoice runs the furthest stage it has become due for; stages it skipped past
+ * are not sent late. The last stage reached repeats every repeat_interval_days when set.
+ * Stage actions:
+ * - email: send the stage's template in the stage's tone
+ * - late_fee: start charging the stage's late fee rule (see late-fee-manager)
+ * - suspend_contract: pause billing on the invoice's contract
+ * - flag_collections: mark the invoice for collections
+ * A stage with a template emails the customer after its action.
+ */
+
+const ACTIONS = ['email', 'late_fee', 'suspend_contract', 'flag_collections'];
+const TEMPLATES = ['reminder', 'final_notice', 'suspension_notice', 'collections_notice'];
+const TONES = ['friendly', 'firm', 'urgent', 'final'];
+// Late fee rules repeat by their own recurrence, so only emails repeat as a stage
+const REPEATABLE_ACTIONS = ['email'];
+
+class DunningManager {
+    /**
+     * Check a policy from a request body
+     * With `isNew`, a name and at least one stage are required
+     */
+    validatePolicy(data, isNew = false) {
+        const errors = [];
+
+        if (isNew && !data.name) {
+            errors.push('name is required');
+        }
+        if (data.stages === undefined) {
+            if (isNew) {
+                errors.push('stages are required');
+            }
+            return errors;
+        }
+        if (!Array.isArray(data.stages) || data.stages.length === 0) {
+            errors.push('stages must be a non-empty list');
+            return errors;
+        }
+
+        data.stages.forEach((stage, index) => {
+            const label = `stage ${index + 1}`;
+            const isSet = (field) => stage[field] !== undefined && stage[field] !== null && stage[field] !== '';
+
+            if (!isSet('name')) {
+                errors.push(`${label}: name is required`);
+            }
+            if (!Number.isInteger(stage.day_offset) || stage.day_offset <= 0) {
+                errors.push(`${label}: day_offset must be a whole number of days overdue, greater than 0`);
+            } else if (index > 0 && !(stage.day_offset > data.stages[index - 1].day_offset)) {
+                errors.push(`${label}: day_offset must be later than the previous stage`);
+            }
+            if (!ACTIONS.includes(stage.action)) {
+                errors.push(`${label}: action must be one of: ${ACTIONS.join(', ')}`);
+            }
+            if (isSet('template') && !TEMPLATES.includes(stage.template)) {
+                errors.push(`${label}: template must be one of: ${TEMPLATES.join(', ')}`);
+            }
+            if (stage.action === 'email' && !isSet('template')) {
+                errors.push(`${label}: email stages need a template`);
+            }
+            if (isSet('tone') && !TONES.includes(stage.tone)) {
+                errors.push(`${label}: tone must be one of: ${TONES.join(', ')}`);
+            }
+            if (isSet('repeat_interval_days')) {
+                if (!Number.isInteger(stage.repeat_interval_days) || stage.repeat_interval_days <= 0) {
+                    errors.push(`${label}: repeat_interval_days must be a whole number greater than 0`);
+                } else if (!REPEATABLE_ACTIONS.includes(stage.action)) {
+                    errors.push(`${label}: only ${REPEATABLE_ACTIONS.join(' and ')} stages can repeat`);
+                }
+            }
+            if (stage.action === 'late_fee' && !isSet('late_fee_rule_id')) {
+                errors.push(`${label}: late_fee stages need a late_fee_rule_id`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Whole calendar days from one date to another
+     */
+    daysBetween(from, to) {
+        const day = (date) => Date.parse(new Date(date).toISOString().split('T')[0]);
+        return Math.round((day(to) - day(from)) / (1000 * 60 * 60 * 24));
+    }
+
+    /**
+     * Pick the stage to run today, or null
+     * `lastEvent` is the invoice's latest completed stage under this policy
+     */
+    selectStage(stages, daysOverdue, lastEvent, today = new Date()) {
+        const due = stages.filter(stage => stage.day_offset <= daysOverdue).pop();
+        if (!due) {
+            return null;
+        }
+
+        if (!lastEvent || due.stage_order > lastEvent.stage_order) {
+            return due;
+        }
+
+        if (due.stage_order === lastEvent.stage_order && due.repeat_interval_days &&
+            this.daysBetween(lastEvent.created_at, today) >= due.repeat_interval_days) {
+            return due;
+        }
+
+        return null;
+    }
+
+    /**
+     * Run the dunning stage due for an overdue invoice
+     * Returns the stage run, or null when nothing is due today
+     */
+    async processInvoice(invoice, daysOverdue) {
+        const policy = await DunningPolicy.resolveForInvoice(invoice.id);
+        if (!policy || policy.stages.length === 0) {
+            return null;
+        }
+
+        const lastEvent = await InvoiceDunningEvent.findLastCompleted(invoice.id, policy.id);
+        const stage = this.selectStage(policy.stages, daysOverdue, lastEvent);
+        if (!stage) {
+            return null;
+        }
+
+        await this.runStage(invoice, policy, stage, daysOverdue);
+        return stage;
+    }
+
+    /**
+     * Perform a stage's action and email, and record the outcome
+     * A failed action is recorded and retried next cycle; a failed email after a completed
+     * action is only noted, so the action is not repeated
+     */
+    async runStage(invoice, policy, stage, daysOverdue) {
+        logInfo('Running dunning stage', {
+            invoice_id: invoice.id,
+            policy: policy.name,
+            stage: stage.name,
+            action: stage.action,
+            days_overdue: daysOverdue
+        });
+
+        const details = {};
+        const record = async (outcome) => {
+            await InvoiceDunningEvent.create({
+                invoice_id: invoice.id,
+                policy_id: policy.id,
+                stage,
+                outcome,
+                days_overdue: daysOverdue,
+                details
+            });
+            await auditManager.logDunningStage(invoice.id, invoice.customer_id, stage, outcome, {
+                policy_name: policy.name,
+                days_overdue: daysOverdue,
+                ...details
+            });
+        };
+
+        try {
+            if (stage.action === 'late_fee') {
+                const rule = await LateFeeRule.findById(stage.late_fee_rule_id);
+                Object.assign(details, await lateFeeManager.applyRule(invoice, rule, daysOverdue));
+            } else if (stage.action === 'suspend_contract') {
+                Object.assign(details, await this.suspendContract(invoice));
+            } else if (stage.action === 'flag_collections') {
+                await Invoice.flagForCollections(invoice.id);
+                details.flagged_for_collections = true;
+            }
+        } catch (error) {
+            details.error = error.message;
+            await record('failed');
+            throw error;
+        }
+
+        if (stage.template) {
+            try {
+                const email = await mailer.sendReminderEmail(invoice.id, stage);
+                details.email = { template: stage.template, tone: stage.tone, message_id: email.message_id };
+            } catch (error) {
+                details.email_error = error.message;
+                if (stage.action === 'email') {
+                    await record('failed');
+                    throw error;
+                }
+            }
+        }
+
+        await record('completed');
+        await Invoice.setDunningStage(invoice.id, stage.id);
+    }
+
+    /**
+     * Pause billing on the invoice's contract
+     */
+    async suspendContract(invoice) {
+        const contract = await Contract.pause(invoice.contract_id);
+        if (!contract) {
+            return { contract_suspended: false, reason: 'contract is not active' };
+        }
+
+        await auditManager.logContractEvent(
+            contract.id,
+            invoice.customer_id,
+            'CONTRACT_SUSPENDED',
+            `Contract suspended: ${contract.contract_number} (invoice ${invoice.invoice_number} unpaid)`,
+            { invoice_id: invoice.id }
+        );
+
+        return { contract_suspended: true, contract_id: contract.id };
+    }
+}
+
+// Export singleton instance
+export default new DunningManager();
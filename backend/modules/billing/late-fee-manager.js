@@ -0,0 +1,344 @@
+import { DunningPolicy, Invoice, InvoiceDunningEvent, LateFeeCharge, LateFeeRule } from '../../database/models.js';
+import currencyManager from './currency.js';
+import prorationCalculator from './proration.js';
+import mailer from '../email/mailer.js';
+import invoiceGenerator from '../invoice/generator.js';
+import invoiceStorage from '../invoice/storage.js';
+import auditManager from '../audit/audit-manager.js';
+import { logInfo, logError } from '../audit/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Late Fee Manager
+ * Charges late fees and interest on overdue invoices by late fee rules.
+ * A rule starts when the invoice reaches a late_fee stage of its dunning policy; from then on the
+ * reminder cycle charges it again whenever its recurrence interval has passed.
+ * Rule types:
+ * - flat: a fixed amount per charge
+ * - percentage: a percentage of the unpaid balance per charge
+ * - interest: simple interest a year on the unpaid balance for the days since the last charge,
+ *   optionally on top of the reference rate (EU late-payment rate: ECB rate + 8 points)
+ * Fees go on a separate fee invoice or as a line on the overdue invoice itself.
+ * Fee invoices are never charged fees themselves.
+ */
+
+const FEE_TYPES = ['flat', 'percentage', 'interest'];
+const RECURRENCES = ['one_time', 'recurring'];
+const APPLICATIONS = ['invoice_line', 'fee_invoice'];
+
+// Days a late-fee invoice gives the customer to pay
+const FEE_INVOICE_DUE_DAYS = 14;
+
+class LateFeeManager {
+    constructor() {
+        // Reference rate added by rules with add_reference_rate (e.g. the ECB main refinancing rate)
+        this.referenceRate = parseFloat(process.env.LATE_PAYMENT_REFERENCE_RATE || '0');
+    }
+
+    /**
+     * Check a rule from a request body (merged over the stored rule for updates)
+     * With `isNew`, a name and fee_type are required
+     */
+    validateRule(data, isNew = false) {
+        const errors = [];
+        const isSet = (field) => data[field] !== undefined && data[field] !== null && data[field] !== '';
+
+        if (isNew && !isSet('name')) {
+            errors.push('name is required');
+        }
+        if (!FEE_TYPES.includes(data.fee_type)) {
+            errors.push(`fee_type must be one of: ${FEE_TYPES.join(', ')}`);
+        }
+        if (data.fee_type === 'flat' && !(parseFloat(data.amount) > 0)) {
+            errors.push('flat fees need an amount greater than 0');
+        }
+        if (data.fee_type === 'percentage' && !(parseFloat(data.rate) > 0 && parseFloat(data.rate) <= 100)) {
+            errors.push('percentage fees need a rate greater than 0 and at most 100');
+        }
+        if (data.fee_type === 'interest' && !(parseFloat(data.rate) >= 0)) {
+            errors.push('interest needs a yearly rate of 0 or more');
+        }
+        if (data.add_reference_rate && data.fee_type !== 'interest') {
+            errors.push('add_reference_rate only applies to interest');
+        }
+        if (isSet('currency') && !currencyManager.isSupported(data.currency)) {
+            errors.push(`Unsupported currency: ${data.currency}`);
+        }
+        if (isSet('recurrence') && !RECURRENCES.includes(data.recurrence)) {
+            errors.push(`recurrence must be one of: ${RECURRENCES.join(', ')}`);
+        }
+        if (data.recurrence === 'recurring' && !(Number.isInteger(data.interval_days) && data.interval_days > 0)) {
+            errors.push('recurring rules need interval_days, a whole number greater than 0');
+        }
+        if (data.fee_type === 'interest' && data.recurrence !== 'recurring') {
+            errors.push('interest accrues over time, so it must be recurring');
+        }
+        if (isSet('grace_days') && !(Number.isInteger(data.grace_days) && data.grace_days >= 0)) {
+            errors.push('grace_days must be a whole number of 0 or more');
+        }
+        if (isSet('cap_amount') && !(parseFloat(data.cap_amount) > 0)) {
+            errors.push('cap_amount must be greater than 0');
+        }
+        if (isSet('cap_percentage') && !(parseFloat(data.cap_percentage) > 0 && parseFloat(data.cap_percentage) <= 100)) {
+            errors.push('cap_percentage must be greater than 0 and at most 100');
+        }
+        if (isSet('application') && !APPLICATIONS.includes(data.application)) {
+            errors.push(`application must be one of: ${APPLICATIONS.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Yearly interest rate of a rule, including the reference rate when it adds one
+     */
+    annualRate(rule) {
+        return parseFloat(rule.rate) + (rule.add_reference_rate ? this.referenceRate : 0);
+    }
+
+    /**
+     * Work out the charge a rule makes on an invoice today
+     * `charges` are the invoice's earlier late fee charges (any rule), oldest first.
+     * Percentages and interest are on the unpaid balance without fees added as lines; caps are
+     * on the total charged under this rule (cap_percentage of the invoice total before fees).
+     * Returns { amount, description, period_start, period_end } or { skipped: reason }
+     */
+    calculateCharge(rule, invoice, charges, daysOverdue, today = new Date()) {
+        const currency = invoice.currency;
+
+        if (invoice.fee_for_invoice_id) {
+            return { skipped: 'late-fee invoices are not charged fees' };
+        }
+        if (rule.currency && rule.currency !== currency) {
+            return { skipped: `rule only applies to ${rule.currency} invoices` };
+        }
+        if (daysOverdue <= rule.grace_days) {
+            return { skipped: 'in grace period' };
+        }
+
+        const ruleCharges = charges.filter(charge => charge.rule_id === rule.id);
+        const last = ruleCharges[ruleCharges.length - 1];
+        const todayDate = prorationCalculator.toDate(today);
+
+        if (last && rule.recurrence === 'one_time') {
+            return { skipped: 'already charged' };
+        }
+        if (last && prorationCalculator.daysBetween(prorationCalculator.toDate(last.created_at), todayDate) < rule.interval_days) {
+            return { skipped: 'next charge not due yet' };
+        }
+
+        const sum = (list) => list.reduce((total, charge) => total + parseFloat(charge.amount), 0);
+        const lineFees = sum(charges.filter(charge => charge.applied_as === 'invoice_line'));
+        const unpaid = Math.max(0, parseFloat(invoice.balance_due) - lineFees);
+        const balance = currencyManager.format(unpaid, currency);
+
+        let amount;
+        let description;
+        let periodStart = null;
+        let periodEnd = null;
+
+        if (rule.fee_type === 'flat') {
+            amount = parseFloat(rule.amount);
+            description = `Late payment fee: invoice ${invoice.invoice_number}`;
+        } else if (rule.fee_type === 'percentage') {
+            amount = unpaid * parseFloat(rule.rate) / 100;
+            description = `Late payment fee: ${parseFloat(rule.rate)}% of ${balance} unpaid on invoice ${invoice.invoice_number}`;
+        } else {
+            // Interest runs from the end of the grace period, then from where the last charge stopped
+            const from = last?.period_end
+                ? prorationCalculator.toDate(last.period_end)
+                : prorationCalculator.addDays(prorationCalculator.toDate(invoice.due_date), rule.grace_days);
+            const days = prorationCalculator.daysBetween(from, todayDate);
+            const rate = this.annualRate(rule);
+
+            amount = unpaid * rate / 100 * days / 365;
+            periodStart = prorationCalculator.formatDate(from);
+            periodEnd = prorationCalculator.formatDate(todayDate);
+            description = `Late payment interest: ${rate}% a year on ${balance} unpaid on invoice ${invoice.invoice_number}, ${periodStart} to ${periodEnd} (${days} days)`;
+        }
+
+        const caps = [];
+        if (rule.cap_amount) {
+            caps.push(parseFloat(rule.cap_amount));
+        }
+        if (rule.cap_percentage) {
+            caps.push((parseFloat(invoice.total_amount) - lineFees) * parseFloat(rule.cap_percentage) / 100);
+        }
+        if (caps.length > 0) {
+            const remaining = Math.min(...caps) - sum(ruleCharges);
+            if (amount > remaining) {
+                amount = Math.max(0, remaining);
+                description += ' (capped)';
+            }
+        }
+
+        amount = currencyManager.round(amount, currency);
+        if (amount <= 0) {
+            return { skipped: caps.length > 0 ? 'cap reached' : 'nothing to charge' };
+        }
+
+        return { amount, description, period_start: periodStart, period_end: periodEnd };
+    }
+
+    /**
+     * Charge a rule on an overdue invoice if a charge is due today
+     * Returns the details of what was done, for the dunning and audit records
+     */
+    async applyRule(invoice, rule, daysOverdue) {
+        if (!rule || !rule.is_active) {
+            return { fee_skipped: 'late fee rule is missing or inactive' };
+        }
+
+        const charges = await LateFeeCharge.findByInvoiceId(invoice.id);
+        const calculation = this.calculateCharge(rule, invoice, charges, daysOverdue);
+        if (calculation.skipped) {
+            return { late_fee_rule: rule.name, fee_skipped: calculation.skipped };
+        }
+
+        const chargeData = {
+            invoice_id: invoice.id,
+            rule_id: rule.id,
+            description: calculation.description,
+            amount: calculation.amount,
+            currency: invoice.currency,
+            period_start: calculation.period_start,
+            period_end: calculation.period_end
+        };
+
+        const details = rule.application === 'invoice_line'
+            ? await this.chargeOnInvoice(invoice, chargeData)
+            : await this.chargeOnFeeInvoice(invoice, chargeData);
+        if (!details) {
+            return { late_fee_rule: rule.name, fee_skipped: 'invoice was settled before the fee was charged' };
+        }
+
+        logInfo('Late fee charged', { invoice_id: invoice.id, rule: rule.name, amount: calculation.amount });
+
+        return { late_fee_rule: rule.name, fee_amount: calculation.amount, ...details };
+    }
+
+    /**
+     * Reminder cycle step: charge the rules an overdue invoice has reached through its dunning policy
+     * Returns the charges made
+     */
+    async processInvoice(invoice, daysOverdue) {
+        const policy = await DunningPolicy.resolveForInvoice(invoice.id);
+        if (!policy) {
+            return [];
+        }
+
+        const lastEvent = await InvoiceDunningEvent.findLastCompleted(invoice.id, policy.id);
+        if (!lastEvent) {
+            return [];
+        }
+
+        const ruleIds = policy.stages
+            .filter(stage => stage.action === 'late_fee' && stage.stage_order <= lastEvent.stage_order)
+            .map(stage => stage.late_fee_rule_id);
+        if (ruleIds.length === 0) {
+            return [];
+        }
+
+        const charged = [];
+        let current = invoice;
+        for (const rule of await LateFeeRule.findByIds([...new Set(ruleIds)])) {
+            const result = await this.applyRule(current, rule, daysOverdue);
+            if (result.fee_amount) {
+                charged.push(result);
+
+                // The next rule works from the balance including this fee
+                current = await Invoice.findById(invoice.id);
+            }
+        }
+        return charged;
+    }
+
+    /**
+     * Add a fee as a line on the overdue invoice and refresh its PDF
+     * Returns nothing when the invoice was settled before the fee could be added
+     */
+    async chargeOnInvoice(invoice, chargeData) {
+        const added = await LateFeeCharge.addToInvoice(chargeData);
+        if (!added) {
+            return null;
+        }
+        const { charge } = added;
+
+        await auditManager.logLateFeeCharged(invoice.id, invoice.customer_id, charge, {
+            invoice_number: invoice.invoice_number
+        });
+
+        // The fee stands even if the PDF cannot be regenerated now
+        try {
+            const pdfBuffer = await invoiceGenerator.generatePDF(invoice.id);
+            await invoiceStorage.uploadAndUpdateInvoice(invoice.id, pdfBuffer, invoice.invoice_number);
+        } catch (error) {
+            logError('Failed to refresh invoice PDF after late fee', error, { invoice_id: invoice.id });
+        }
+
+        return { late_fee_charge_id: charge.id, applied_as: 'invoice_line' };
+    }
+
+    /**
+     * Charge a fee on a separate invoice and send it
+     * Returns nothing when the overdue invoice was settled before the fee could be charged
+     */
+    async chargeOnFeeInvoice(invoice, chargeData) {
+        const issueDate = new Date();
+        const dueDate = new Date(issueDate);
+        dueDate.setDate(dueDate.getDate() + FEE_INVOICE_DUE_DAYS);
+
+        const added = await LateFeeCharge.addFeeInvoice(chargeData, {
+            customer_id: invoice.customer_id,
+            contract_id: invoice.contract_id,
+            currency: invoice.currency,
+            issue_date: issueDate.toISOString().split('T')[0],
+            due_date: dueDate.toISOString().split('T')[0],
+            fee_for_invoice_id: invoice.id,
+            line_items: [{
+                item_type: 'late_fee',
+                description: chargeData.description,
+                quantity: 1,
+                unit_price: chargeData.amount,
+                tax_category: 'exempt',
+                period_start: chargeData.period_start,
+                period_end: chargeData.period_end
+            }]
+        });
+        if (!added) {
+            return null;
+        }
+        const { charge, invoice: feeInvoice } = added;
+
+        await auditManager.logInvoiceGeneration(feeInvoice.id, invoice.customer_id, invoice.contract_id, {
+            invoice_number: feeInvoice.invoice_number,
+            late_fee_for: invoice.invoice_number,
+            amount: chargeData.amount
+        });
+        await auditManager.logLateFeeCharged(invoice.id, invoice.customer_id, charge, {
+            invoice_number: invoice.invoice_number,
+            fee_invoice_number: feeInvoice.invoice_number
+        });
+
+        // The fee stands even if delivery fails; the invoice can be resent from the dashboard
+        try {
+            const pdfBuffer = await invoiceGenerator.generatePDF(feeInvoice.id);
+            await invoiceStorage.uploadAndUpdateInvoice(feeInvoice.id, pdfBuffer, feeInvoice.invoice_number);
+            await mailer.sendInvoiceEmail(feeInvoice.id);
+        } catch (error) {
+            logError('Failed to deliver late fee invoice', error, { invoice_id: feeInvoice.id });
+        }
+
+        return {
+            late_fee_charge_id: charge.id,
+            applied_as: 'fee_invoice',
+            fee_invoice_id: feeInvoice.id,
+            fee_invoice_number: feeInvoice.invoice_number
+        };
+    }
+}
+
+// Export singleton instance
+export default new LateFeeManager();
@@ -0,0 +1,141 @@
+import currencyManager from './currency.js';
+import prorationCalculator from './proration.js';
+
+/**
+ * Payment Terms Calculator
+ * Due dates and early-payment discounts from an invoice's payment terms:
+ * - net: due due_days after the issue date (Net 15/30/60)
+ * - due_on_receipt: due on the issue date
+ * - end_of_month: due due_days after the last day of the issue month (EOM + N)
+ * A discount (2/10 Net 30) takes discount_percentage off the total when the invoice is paid
+ * in full within discount_days, counted from the same starting point as the due date.
+ */
+
+const DUE_TYPES = ['net', 'due_on_receipt', 'end_of_month'];
+
+// Used when no payment terms are stored at all
+const FALLBACK_DUE_DAYS = 30;
+
+class PaymentTermsCalculator {
+    getDueTypes() {
+        return DUE_TYPES;
+    }
+
+    /**
+     * Check payment terms from a request body (merged over the stored terms for updates)
+     * With `isNew`, a code and name are required
+     */
+    validateTerms(data, isNew = false) {
+        const errors = [];
+        const isSet = (field) => data[field] !== undefined && data[field] !== null && data[field] !== '';
+        const hasDiscount = isSet('discount_percentage') || isSet('discount_days');
+
+        if (isNew && !isSet('code')) {
+            errors.push('code is required');
+        }
+        if (isNew && !isSet('name')) {
+            errors.push('name is required');
+        }
+        if (!DUE_TYPES.includes(data.due_type)) {
+            errors.push(`due_type must be one of: ${DUE_TYPES.join(', ')}`);
+        }
+        if (isSet('due_days') && !(Number.isInteger(data.due_days) && data.due_days >= 0)) {
+            errors.push('due_days must be a whole number of 0 or more');
+        }
+        if (data.due_type === 'net' && !(data.due_days > 0)) {
+            errors.push('net terms need due_days greater than 0 (use due_on_receipt for 0)');
+        }
+        if (data.due_type === 'due_on_receipt' && (data.due_days > 0 || hasDiscount)) {
+            errors.push('due_on_receipt terms have no due_days or discount');
+        }
+
+        if (hasDiscount) {
+            const percentage = parseFloat(data.discount_percentage);
+            if (!(percentage > 0 && percentage < 100)) {
+                errors.push('discount_percentage must be greater than 0 and less than 100');
+            }
+            if (!(Number.isInteger(data.discount_days) && data.discount_days >= 0)) {
+                errors.push('discount_days must be a whole number of 0 or more');
+            } else if (data.discount_days >= (data.due_days || 0)) {
+                errors.push('discount_days must be before the due date (less than due_days)');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Date a number of days after the terms' starting point: the issue date, or the end of its month
+     */
+    offsetDate(terms, issueDate, days) {
+        const issued = prorationCalculator.toDate(issueDate);
+
+        if (terms.due_type === 'end_of_month') {
+            const monthEnd = new Date(Date.UTC(issued.getUTCFullYear(), issued.getUTCMonth() + 1, 0));
+            return prorationCalculator.addDays(monthEnd, days);
+        }
+        return prorationCalculator.addDays(issued, days);
+    }
+
+    /**
+     * Due date and early-payment discount for an invoice issued on `issueDate`
+     * Without terms the invoice is due FALLBACK_DUE_DAYS after issue.
+     * Returns { due_date, discount_date, discount_percentage } with dates as 'YYYY-MM-DD'
+     */
+    schedule(terms, issueDate) {
+        if (!terms) {
+            return {
+                due_date: prorationCalculator.formatDate(
+                    prorationCalculator.addDays(prorationCalculator.toDate(issueDate), FALLBACK_DUE_DAYS)
+                ),
+                discount_date: null,
+                discount_percentage: null
+            };
+        }
+
+        const dueDays = terms.due_type === 'due_on_receipt' ? 0 : terms.due_days;
+        const hasDiscount = terms.discount_percentage !== null && terms.discount_percentage !== undefined;
+
+        return {
+            due_date: prorationCalculator.formatDate(this.offsetDate(terms, issueDate, dueDays)),
+            discount_date: hasDiscount
+                ? prorationCalculator.formatDate(this.offsetDate(terms, issueDate, terms.discount_days))
+                : null,
+            discount_percentage: hasDiscount ? parseFloat(terms.discount_percentage) : null
+        };
+    }
+
+    /**
+     * Early-payment discount on an invoice total
+     */
+    discountAmount(totalAmount, discountPercentage, currency) {
+        if (!discountPercentage) {
+            return 0;
+        }
+        return currencyManager.round(parseFloat(totalAmount) * discountPercentage / 100, currency);
+    }
+
+    /**
+     * Discount an invoice earns from its payments: the full discount when what was paid by the
+     * discount date covers the payable amount less the discount, otherwise nothing
+     * `payments` are { payment_date, applied } with the amount applied to this invoice
+     */
+    discountEarned(invoice, payments) {
+        const offered = parseFloat(invoice.early_payment_discount_amount || 0);
+        if (!(offered > 0) || !invoice.early_payment_discount_date) {
+            return 0;
+        }
+
+        const deadline = prorationCalculator.toDate(invoice.early_payment_discount_date);
+        const paidInTime = payments
+            .filter(payment => prorationCalculator.toDate(payment.payment_date) <= deadline)
+            .reduce((sum, payment) => sum + payment.applied, 0);
+
+        const payable = parseFloat(invoice.total_amount) - parseFloat(invoice.credited_amount);
+        const discount = Math.min(offered, Math.max(payable, 0));
+        return paidInTime >= currencyManager.round(payable - discount, invoice.currency) ? discount : 0;
+    }
+}
+
+// Export singleton instance
+export default new PaymentTermsCalculator();
@@ -0,0 +1,282 @@
+import currencyManager from './currency.js';
+
+/**
+ * Proration Calculator
+ * Day-based billing periods, partial first/last periods and mid-period price changes
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const PERIOD_MONTHS = {
+    monthly: 1,
+    quarterly: 3,
+    yearly: 12
+};
+
+class ProrationCalculator {
+    /**
+     * Normalise a DATE value ('YYYY-MM-DD' string or pg Date at local midnight) to UTC midnight
+     */
+    toDate(value) {
+        if (value instanceof Date) {
+            return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+        }
+
+        const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * Format a UTC date as 'YYYY-MM-DD'
+     */
+    formatDate(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    addDays(date, days) {
+        return new Date(date.getTime() + days * DAY_MS);
+    }
+
+    daysBetween(from, to) {
+        return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+    }
+
+    daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+    /**
+     * Move by whole months, keeping the anchor day where the month allows it
+     * (31 Jan + 1 month = 28/29 Feb, then back to 31 Mar)
+     */
+    addMonths(date, months, anchorDay = date.getUTCDate()) {
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+        const day = Math.min(anchorDay, this.daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+        return new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), day));
+    }
+
+    /**
+     * Number of months in a billing period (null for one-time contracts)
+     */
+    periodMonths(frequency) {
+        if (frequency === 'one-time') {
+            return null;
+        }
+        return PERIOD_MONTHS[frequency] || 1;
+    }
+
+    /**
+     * First date strictly after `date` that falls on the anchor day
+     */
+    nextAnchorDate(date, anchorDay) {
+        const sameMonth = this.addMonths(date, 0, anchorDay);
+        return sameMonth > date ? sameMonth : this.addMonths(date, 1, anchorDay);
+    }
+
+    /**
+     * Work out the service period billed on a billing date
+     * Periods are half-open: [start, end). A contract with a billing_anchor_day gets a
+     * short first period up to the anchor; an end_date inside the period shortens the last one.
+     */
+    getBillingPeriod(contract, billingDate = contract.next_billing_date) {
+        const start = this.toDate(billingDate);
+        const months = this.periodMonths(contract.billing_frequency);
+
+        if (!months) {
+            return { start, end: null, full_start: start, full_end: null, days: null, period_days: null, factor: 1, prorated: false };
+        }
+
+        const anchorDay = contract.billing_anchor_day ? parseInt(contract.billing_anchor_day) : null;
+        let end;
+        let fullStart;
+        let reason = null;
+
+        if (anchorDay && start.getTime() !== this.addMonths(start, 0, anchorDay).getTime()) {
+            // Partial period from the start date up to the next anchor date
+            end = this.nextAnchorDate(start, anchorDay);
+            fullStart = this.addMonths(end, -months, anchorDay);
+            reason = 'first_period';
+        } else {
+            end = this.addMonths(start, months, anchorDay || start.getUTCDate());
+            fullStart = start;
+        }
+        const fullEnd = end;
+
+        if (contract.end_date) {
+            const endExclusive = this.addDays(this.toDate(contract.end_date), 1);
+            if (endExclusive < end) {
+                end = endExclusive > start ? endExclusive : start;
+                reason = 'last_period';
+            }
+        }
+
+        const days = this.daysBetween(start, end);
+        const periodDays = this.daysBetween(fullStart, fullEnd);
+
+        return {
+            start,
+            end,
+            full_start: fullStart,
+            full_end: fullEnd,
+            days,
+            period_days: periodDays,
+            factor: days / periodDays,
+            prorated: days !== periodDays,
+            reason
+        };
+    }
+
+    /**
+     * Scale fixed-fee lines to the part of the period actually billed
+     */
+    prorateLineItems(lineItems, period, currency) {
+        const periodStart = this.formatDate(period.start);
+        const periodEnd = period.end ? this.formatDate(this.addDays(period.end, -1)) : null;
+
+        // The contract has already ended; there is no service left to charge
+        if (period.days === 0) {
+            return [];
+        }
+
+        if (!period.prorated) {
+            return lineItems.map(line => ({ ...line, period_start: periodStart, period_end: periodEnd }));
+        }
+
+        const label = period.reason === 'last_period' ? 'final period' : 'partial period';
+
+        return lineItems.map(line => ({
+            ...line,
+            description: `${line.description} (${label}, prorated ${period.days}/${period.period_days} days)`,
+            unit_price: this.roundPrice(parseFloat(line.unit_price) * period.factor, currency),
+            period_start: periodStart,
+            period_end: periodEnd
+        }));
+    }
+
+    /**
+     * Dates a price change may take effect on, as inclusive 'YYYY-MM-DD' { from, to }, or null for
+     * one-time contracts. The amount switches as soon as a change is recorded, and the next invoice
+     * corrects only the period billed before it and the period it bills, so a change must fall between
+     * the start of the previous period and the end of the next one. Before the first invoice nothing
+     * has been billed, so there is no lower bound (from is null).
+     */
+    getChangeWindow(contract) {
+        const months = this.periodMonths(contract.billing_frequency);
+        if (!months) {
+            return null;
+        }
+
+        const period = this.getBillingPeriod(contract);
+        const anchorDay = contract.billing_anchor_day ? parseInt(contract.billing_anchor_day) : period.start.getUTCDate();
+        const previousStart = this.addMonths(period.start, -months, anchorDay);
+        const billedBefore = period.start > this.toDate(contract.start_date);
+
+        return {
+            from: billedBefore ? this.formatDate(previousStart) : null,
+            to: this.formatDate(this.addDays(period.full_end, -1))
+        };
+    }
+
+    /**
+     * Credit and charge lines for contract price changes
+     * The contract amount is switched as soon as a change is recorded, so:
+     * - a change inside the previous (already billed) period credits the old price and
+     *   charges the new one from its effective date to the current billing date
+     * - a change later than the current billing date but inside the period being billed
+     *   (scheduler catching up) swaps the new price back to the old one until it applies
+     * Several changes chain correctly because each covers its own effective date onwards.
+     * Returns the lines and the ids of the changes they settle.
+     */
+    buildChangeAdjustments(contract, changes, period = this.getBillingPeriod(contract)) {
+        const months = this.periodMonths(contract.billing_frequency);
+        if (!months) {
+            return { line_items: [], change_ids: changes.map(change => change.id) };
+        }
+
+        const billingDate = period.start;
+        const currency = currencyManager.contractCurrency(contract);
+        const contractStart = this.toDate(contract.start_date);
+        const anchorDay = contract.billing_anchor_day ? parseInt(contract.billing_anchor_day) : billingDate.getUTCDate();
+        const previousStart = this.addMonths(billingDate, -months, anchorDay);
+        const previousDays = this.daysBetween(previousStart, billingDate);
+
+        const lines = [];
+        const changeIds = [];
+
+        for (const change of changes) {
+            const effective = this.toDate(change.effective_date);
+            const oldAmount = parseFloat(change.old_amount);
+            const newAmount = parseFloat(change.new_amount);
+
+            // Takes effect in a later period; settle it then (getChangeWindow keeps new changes out of
+            // this case, as the amount has already switched and earlier periods would bill the new price)
+            if (effective >= period.full_end) {
+                continue;
+            }
+            changeIds.push(change.id);
+
+            if (effective < billingDate) {
+                // Nothing was billed in advance before the contract started
+                const from = [effective, previousStart, contractStart].reduce((a, b) => (a > b ? a : b));
+                const days = this.daysBetween(from, billingDate);
+                if (days <= 0) {
+                    continue;
+                }
+
+                lines.push(...this.buildAdjustmentPair(
+                    { amount: oldAmount, label: 'Credit for unused time at previous price' },
+                    { amount: newAmount, label: 'Charge for remaining time at new price' },
+                    from, billingDate, previousDays, currency
+                ));
+            } else if (effective > billingDate) {
+                lines.push(...this.buildAdjustmentPair(
+                    { amount: newAmount, label: 'Credit for time before the change at new price' },
+                    { amount: oldAmount, label: 'Charge for time before the change at previous price' },
+                    billingDate, effective, period.period_days, currency
+                ));
+            }
+        }
+
+        return { line_items: lines, change_ids: changeIds };
+    }
+
+    /**
+     * A credit line and a charge line covering [from, to) of a period
+     */
+    buildAdjustmentPair(credit, charge, from, to, periodDays, currency) {
+        const days = this.daysBetween(from, to);
+        const factor = days / periodDays;
+        const periodStart = this.formatDate(from);
+        const periodEnd = this.formatDate(this.addDays(to, -1));
+        const range = `${periodStart} to ${periodEnd}, ${days}/${periodDays} days`;
+
+        return [
+            {
+                item_type: 'proration',
+                description: `${credit.label} of ${currencyManager.format(credit.amount, currency)} (${range})`,
+                quantity: 1,
+                unit_price: -this.roundPrice(credit.amount * factor, currency),
+                period_start: periodStart,
+                period_end: periodEnd
+            },
+            {
+                item_type: 'proration',
+                description: `${charge.label} of ${currencyManager.format(charge.amount, currency)} (${range})`,
+                quantity: 1,
+                unit_price: this.roundPrice(charge.amount * factor, currency),
+                period_start: periodStart,
+                period_end: periodEnd
+            }
+        ];
+    }
+
+    /**
+     * Round a prorated price to the currency's minor unit
+     */
+    roundPrice(value, currency) {
+        return currencyManager.round(value, currency);
+    }
+}
+
+// Export singleton instance
+export default new ProrationCalculator();
@@ -0,0 +1,172 @@
+import { Contract } from '../../database/models.js';
+import prorationCalculator from './proration.js';
+import currencyManager from './currency.js';
+import mailer from '../email/mailer.js';
+import auditManager from '../audit/audit-manager.js';
+import { logInfo, logError } from '../audit/logger.js';
+
+/**
+ * Renewal Manager
+ * Sends renewal notices, renews auto-renewing contracts and expires the rest
+ */
+
+class RenewalManager {
+    /**
+     * Run all renewal steps; called by the billing scheduler before contracts are billed
+     */
+    async processRenewals() {
+        const results = {
+            notices_sent: 0,
+            renewed: 0,
+            expired: 0,
+            errors: []
+        };
+
+        await this.sendRenewalNotices(results);
+        await this.processEndedContracts(results);
+
+        logInfo('Renewal processing completed', results);
+        return results;
+    }
+
+    /**
+     * Email customers whose contract renews within its notice period
+     */
+    async sendRenewalNotices(results) {
+        const contracts = await Contract.findRenewalNoticesDue();
+
+        for (const contract of contracts) {
+            try {
+                if (!prorationCalculator.periodMonths(contract.billing_frequency)) {
+                    continue;
+                }
+
+                await mailer.sendRenewalNoticeEmail(contract, this.calculateRenewal(contract));
+                await Contract.markRenewalNoticeSent(contract.id);
+                results.notices_sent++;
+            } catch (error) {
+                logError('Failed to send renewal notice', error, { contract_id: contract.id });
+                results.errors.push({ contract_id: contract.id, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Renew or expire contracts whose end date has passed
+     */
+    async processEndedContracts(results) {
+        const contracts = await Contract.findEnded();
+
+        for (const contract of contracts) {
+            try {
+                const recurring = !!prorationCalculator.periodMonths(contract.billing_frequency);
+
+                if (contract.auto_renew && recurring) {
+                    await this.renewContract(contract);
+                    results.renewed++;
+                } else if (this.isFullyBilled(contract)) {
+                    await this.expireContract(contract);
+                    results.expired++;
+                }
+            } catch (error) {
+                logError('Failed to process ended contract', error, { contract_id: contract.id });
+                results.errors.push({ contract_id: contract.id, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Extend a contract by its renewal term
+     */
+    async renewContract(contract) {
+        const renewal = this.calculateRenewal(contract);
+        const renewed = await Contract.renew(contract.id, renewal);
+
+        await auditManager.logContractEvent(
+            contract.id,
+            contract.customer_id,
+            'CONTRACT_RENEWED',
+            `Contract ${contract.contract_number} renewed until ${renewal.end_date}`,
+            {
+                previous_end_date: prorationCalculator.formatDate(prorationCalculator.toDate(contract.end_date)),
+                new_end_date: renewal.end_date,
+                previous_amount: parseFloat(contract.amount),
+                new_amount: renewal.amount,
+                uplift_percentage: parseFloat(contract.renewal_uplift_percentage || 0)
+            }
+        );
+
+        logInfo('Contract renewed', { contract_id: contract.id, end_date: renewal.end_date });
+        return renewed;
+    }
+
+    /**
+     * Mark a contract as expired (or terminated, if termination was requested)
+     * once its last period has been invoiced
+     */
+    async expireContract(contract) {
+        const status = contract.terminated_at ? 'terminated' : 'expired';
+        const expired = await Contract.updateStatus(contract.id, status);
+
+        await auditManager.logContractEvent(
+            contract.id,
+            contract.customer_id,
+            status === 'terminated' ? 'CONTRACT_TERMINATED' : 'CONTRACT_EXPIRED',
+            `Contract ${contract.contract_number} ${status}`,
+            { end_date: prorationCalculator.formatDate(prorationCalculator.toDate(contract.end_date)) }
+        );
+
+        logInfo(`Contract ${status}`, { contract_id: contract.id });
+        return expired;
+    }
+
+    /**
+     * True when no billing date is left inside the contract term
+     */
+    isFullyBilled(contract) {
+        if (!contract.next_billing_date) {
+            return true;
+        }
+        return prorationCalculator.toDate(contract.next_billing_date) > prorationCalculator.toDate(contract.end_date);
+    }
+
+    /**
+     * Work out the next term of a contract
+     * The new term starts the day after the current end date. If the final period was cut
+     * short by the end date, billing restarts on that day and keeps the existing anchor.
+     */
+    calculateRenewal(contract) {
+        const oldEnd = prorationCalculator.toDate(contract.end_date);
+        const termStart = prorationCalculator.addDays(oldEnd, 1);
+        const termMonths = parseInt(contract.renewal_term_months) || 12;
+        const newEnd = prorationCalculator.addDays(prorationCalculator.addMonths(termStart, termMonths), -1);
+
+        const upliftFactor = 1 + parseFloat(contract.renewal_uplift_percentage || 0) / 100;
+        const amount = prorationCalculator.roundPrice(
+            parseFloat(contract.amount) * upliftFactor,
+            currencyManager.contractCurrency(contract)
+        );
+
+        let nextBillingDate = contract.next_billing_date
+            ? prorationCalculator.toDate(contract.next_billing_date)
+            : termStart;
+        let anchorDay = contract.billing_anchor_day || null;
+
+        if (nextBillingDate > termStart) {
+            anchorDay = anchorDay || nextBillingDate.getUTCDate();
+            nextBillingDate = termStart;
+        }
+
+        return {
+            end_date: prorationCalculator.formatDate(newEnd),
+            amount,
+            uplift_factor: upliftFactor,
+            effective_date: prorationCalculator.formatDate(termStart),
+            next_billing_date: prorationCalculator.formatDate(nextBillingDate),
+            billing_anchor_day: anchorDay
+        };
+    }
+}
+
+// Export singleton instance
+export default new RenewalManager();
@@ -1,8 +1,14 @@
 import nodemailer from 'nodemailer';
-import { Invoice } from '../../../database/models.js';
-import { invoiceEmailTemplate, reminderEmailTemplate } from './templates.js';
-import { logInfo, logError } from '../../audit/logger.js';
-import auditManager from '../../audit/audit-manager.js';
+import { Invoice, CreditNote, LateFeeCharge } from '../../database/models.js';
+import {
+    invoiceEmailTemplate, reminderEmailTemplate, renewalNoticeEmailTemplate, creditNoteEmailTemplate, portalLoginEmailTemplate,
+    adminInvitationEmailTemplate, passwordResetEmailTemplate
+} from './templates.js';
+import currencyManager from '../billing/currency.js';
+import paymentLinkManager from '../payments/payment-links.js';
+import invoiceLifecycle from '../invoice/lifecycle.js';
+import { logInfo, logError } from '../audit/logger.js';
+import auditManager from '../audit/audit-manager.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -15,7 +21,7 @@ dotenv.config();
 class Mailer {
     constructor() {
         // Create reusable transporter
-        this.transporter = nodemailer.createTransporter({
+        this.transporter = nodemailer.createTransport({
             host: process.env.EMAIL_HOST,
             port: parseInt(process.env.EMAIL_PORT || '587'),
             secure: process.env.EMAIL_SECURE === 'true',
@@ -58,6 +64,9 @@ class Mailer {
                 throw new Error(`Invoice ${invoiceId} has no PDF URL`);
             }
 
+            // Each email carries a fresh payment link
+            const paymentLink = await paymentLinkManager.createLink(invoiceId, 'mailer');
+
             // Prepare email
             const mailOptions = {
                 from: process.env.EMAIL_FROM || 'BillerAGI <billing@billeragi.com>',
@@ -68,15 +77,26 @@ class Mailer {
                     invoice.invoice_number,
                     invoice.total_amount,
                     invoice.due_date,
-                    invoice.pdf_url
+                    invoice.pdf_url,
+                    invoice.line_items,
+                    invoice.currency,
+                    paymentLink.url,
+                    {
+                        name: invoice.payment_terms_name,
+                        discount_date: invoice.early_payment_discount_date,
+                        discount_amount: invoice.early_payment_discount_amount
+                    }
                 )
             };
 
             // Send email
             const info = await this.transporter.sendMail(mailOptions);
 
-            // Update invoice status
-            await Invoice.updateStatus(invoiceId, 'sent');
+            // Mark the invoice sent (resending an invoice that is already further along keeps its status)
+            if (invoiceLifecycle.canTransition(invoice.status, 'sent')) {
+                await Invoice.updateStatus(invoiceId, 'sent', 'mailer', 'invoice emailed');
+                await auditManager.logInvoiceStatusChange(invoiceId, invoice.status, 'sent', 'invoice emailed');
+            }
 
             // Log to audit trail
             await auditManager.logEmailDelivery(
@@ -85,7 +105,9 @@ class Mailer {
                 'sent',
                 {
                     message_id: info.messageId,
-                    response: info.response
+                    response: info.response,
+                    payment_link_id: paymentLink.id,
+                    payment_link_expires_at: paymentLink.expires_at
                 }
             );
 
@@ -119,10 +141,11 @@ class Mailer {
 
     /**
      * Send payment reminder email
+     * A dunning stage sets the template and tone; without one the reminder follows the days overdue
      */
-    async sendReminderEmail(invoiceId) {
+    async sendReminderEmail(invoiceId, stage = null) {
         try {
-            logInfo('Sending payment reminder', { invoice_id: invoiceId });
+            logInfo('Sending payment reminder', { invoice_id: invoiceId, stage: stage?.name });
 
             // Fetch invoice details
             const invoice = await Invoice.findById(invoiceId);
@@ -140,37 +163,53 @@ class Mailer {
                 return { success: false, reason: 'not_overdue' };
             }
 
+            if (parseFloat(invoice.balance_due) <= 0) {
+                logInfo('Invoice has no balance due, skipping reminder', { invoice_id: invoiceId });
+                return { success: false, reason: 'no_balance_due' };
+            }
+
+            const paymentLink = await paymentLinkManager.createLink(invoiceId, 'mailer');
+            const lateFees = await LateFeeCharge.findByInvoiceId(invoiceId);
+            const template = stage?.template || 'reminder';
+            const subjects = {
+                reminder: `Payment Reminder: Invoice ${invoice.invoice_number} - ${daysOverdue} Days Overdue`,
+                final_notice: `Final Notice: Invoice ${invoice.invoice_number} - ${daysOverdue} Days Overdue`,
+                suspension_notice: `Services Suspended: Invoice ${invoice.invoice_number} Is Unpaid`,
+                collections_notice: `Collections Notice: Invoice ${invoice.invoice_number}`
+            };
+
             // Prepare email
             const mailOptions = {
                 from: process.env.EMAIL_FROM || 'BillerAGI <billing@billeragi.com>',
                 to: invoice.customer_email,
-                subject: `Payment Reminder: Invoice ${invoice.invoice_number} - ${daysOverdue} Days Overdue`,
+                subject: subjects[template] || subjects.reminder,
                 html: reminderEmailTemplate(
                     invoice.customer_name,
                     invoice.invoice_number,
-                    invoice.total_amount,
+                    invoice.balance_due,
                     invoice.due_date,
                     daysOverdue,
-                    invoice.pdf_url
+                    invoice.pdf_url,
+                    invoice.currency,
+                    paymentLink.url,
+                    stage?.tone || null,
+                    template,
+                    lateFees
                 )
             };
 
             // Send email
             const info = await this.transporter.sendMail(mailOptions);
 
-            // Update invoice status to overdue if not already
-            if (invoice.status !== 'overdue') {
-                await Invoice.updateStatus(invoiceId, 'overdue');
-            }
-
             // Log reminder sent
             await auditManager.logReminderSent(
                 invoiceId,
                 invoice.customer_id,
-                `${daysOverdue}-day reminder`,
+                stage ? stage.name : `${daysOverdue}-day reminder`,
                 {
                     days_overdue: daysOverdue,
-                    message_id: info.messageId
+                    message_id: info.messageId,
+                    ...(stage && { template, tone: stage.tone, stage_order: stage.stage_order })
                 }
             );
 
@@ -192,6 +231,227 @@ class Mailer {
         }
     }
 
+    /**
+     * Send contract renewal notice
+     * renewal: { end_date, amount } of the upcoming term
+     */
+    async sendRenewalNoticeEmail(contract, renewal) {
+        try {
+            logInfo('Sending renewal notice', { contract_id: contract.id });
+
+            const mailOptions = {
+                from: process.env.EMAIL_FROM || 'BillerAGI <billing@billeragi.com>',
+                to: contract.customer_email,
+                subject: `Your contract ${contract.contract_number} renews soon`,
+                html: renewalNoticeEmailTemplate(
+                    contract.customer_name,
+                    contract.contract_number,
+                    contract.service_description,
+                    contract.end_date,
+                    renewal.end_date,
+                    contract.amount,
+                    renewal.amount,
+                    contract.billing_frequency,
+                    currencyManager.contractCurrency(contract)
+                )
+            };
+
+            const info = await this.transporter.sendMail(mailOptions);
+
+            // Log to audit trail
+            await auditManager.logContractEvent(
+                contract.id,
+                contract.customer_id,
+                'RENEWAL_NOTICE_SENT',
+                `Renewal notice sent for contract ${contract.contract_number}`,
+                {
+                    recipient: contract.customer_email,
+                    message_id: info.messageId,
+                    current_end_date: contract.end_date,
+                    new_end_date: renewal.end_date,
+                    new_amount: renewal.amount
+                }
+            );
+
+            logInfo('Renewal notice sent successfully', {
+                contract_id: contract.id,
+                message_id: info.messageId,
+                recipient: contract.customer_email
+            });
+
+            return {
+                success: true,
+                message_id: info.messageId,
+                recipient: contract.customer_email
+            };
+        } catch (error) {
+            logError('Failed to send renewal notice', error, { contract_id: contract.id });
+            throw error;
+        }
+    }
+
+    /**
+     * Send credit note email
+     */
+    async sendCreditNoteEmail(creditNoteId) {
+        try {
+            logInfo('Sending credit note email', { credit_note_id: creditNoteId });
+
+            const creditNote = await CreditNote.findById(creditNoteId);
+            if (!creditNote) {
+                throw new Error(`Credit note ${creditNoteId} not found`);
+            }
+
+            if (!creditNote.pdf_url) {
+                throw new Error(`Credit note ${creditNoteId} has no PDF URL`);
+            }
+
+            const mailOptions = {
+                from: process.env.EMAIL_FROM || 'BillerAGI <billing@billeragi.com>',
+                to: creditNote.customer_email,
+                subject: `Credit Note ${creditNote.credit_note_number} for Invoice ${creditNote.invoice_number}`,
+                html: creditNoteEmailTemplate(
+                    creditNote.customer_name,
+                    creditNote.credit_note_number,
+                    creditNote.invoice_number,
+                    creditNote.total_amount,
+                    creditNote.reason,
+                    creditNote.pdf_url,
+                    creditNote.line_items,
+                    creditNote.currency,
+                    creditNote.invoice_balance_due
+                )
+            };
+
+            const info = await this.transporter.sendMail(mailOptions);
+
+            await CreditNote.markSent(creditNoteId);
+
+            // Log to audit trail against the corrected invoice
+            await auditManager.logEmailDelivery(
+                creditNote.invoice_id,
+                creditNote.customer_email,
+                'sent',
+                {
+                    document: 'credit_note',
+                    credit_note_id: creditNoteId,
+                    credit_note_number: creditNote.credit_note_number,
+                    message_id: info.messageId
+                }
+            );
+
+            logInfo('Credit note email sent successfully', {
+                credit_note_id: creditNoteId,
+                message_id: info.messageId,
+                recipient: creditNote.customer_email
+            });
+
+            return {
+                success: true,
+                message_id: info.messageId,
+                recipient: creditNote.customer_email
+            };
+        } catch (error) {
+            logError('Failed to send credit note email', error, { credit_note_id: creditNoteId });
+            throw error;
+        }
+    }
+
+    /**
+     * Send a customer portal sign-in link
+     * link: { url, expires_at } from the portal magic link
+     */
+    async sendPortalLoginEmail(user, link) {
+        try {
+            const mailOptions = {
+                from: process.env.EMAIL_FROM || 'BillerAGI <billing@billeragi.com>',
+                to: user.email,
+                subject: 'Your billing portal sign-in link',
+                html: portalLoginEmailTemplate(user.full_name, link.url, link.expires_at)
+            };
+
+            const info = await this.transporter.sendMail(mailOptions);
+
+            logInfo('Portal sign-in link sent', {
+                portal_user_id: user.id,
+                message_id: info.messageId
+            });
+
+            return {
+                success: true,
+                message_id: info.messageId
+            };
+        } catch (error) {
+            logError('Failed to send portal sign-in link', error, { portal_user_id: user.id });
+            throw error;
+        }
+    }
+
+    /**
+     * Send a dashboard invitation
+     * url is the accept link from the invitation; inviter is the admin user who sent it
+     */
+    async sendAdminInvitationEmail(invitation, url, inviter) {
+        try {
+            const mailOptions = {
+                from: process.env.EMAIL_FROM || 'BillerAGI <billing@billeragi.com>',
+                to: invitation.email,
+                subject: 'You have been invited to the billing dashboard',
+                html: adminInvitationEmailTemplate(
+                    inviter?.full_name || inviter?.username,
+                    invitation.role.replace('_', ' '),
+                    url,
+                    invitation.expires_at
+                )
+            };
+
+            const info = await this.transporter.sendMail(mailOptions);
+
+            logInfo('Admin invitation sent', {
+                invitation_id: invitation.id,
+                message_id: info.messageId
+            });
+
+            return {
+                success: true,
+                message_id: info.messageId
+            };
+        } catch (error) {
+            logError('Failed to send admin invitation', error, { invitation_id: invitation.id });
+            throw error;
+        }
+    }
+
+    /**
+     * Send a dashboard password reset link
+     * reset: { url, expires_at } from the reset token
+     */
+    async sendPasswordResetEmail(user, reset) {
+        try {
+            const mailOptions = {
+                from: process.env.EMAIL_FROM || 'BillerAGI <billing@billeragi.com>',
+                to: user.email,
+                subject: 'Reset your billing dashboard password',
+                html: passwordResetEmailTemplate(user.full_name || user.username, reset.url, reset.expires_at)
+            };
+
+            const info = await this.transporter.sendMail(mailOptions);
+
+            logInfo('Password reset link sent', {
+                user_id: user.id,
+                message_id: info.messageId
+            });
+
+            return {
+                success: true,
+                message_id: info.messageId
+            };
+        } catch (error) {
+            logError('Failed to send password reset link', error, { user_id: user.id });
+            throw error;
+        }
+    }
+
     /**
      * Send batch invoice emails
      */
@@ -278,7 +538,7 @@ class Mailer {
             const allInvoices = await Invoice.findAll(1000, 0);
 
             const stats = {
-                total_sent: allInvoices.filter(i => i.status === 'sent' || i.status === 'paid').length,
+                total_sent: allInvoices.filter(i => ['sent', 'partially_paid', 'paid'].includes(i.status)).length,
                 total_pending: allInvoices.filter(i => i.status === 'pending' || i.status === 'validated').length,
                 total_overdue: allInvoices.filter(i => i.status === 'overdue').length
             };
@@ -3,7 +3,47 @@
  * Professional HTML email templates
  */
 
-export const invoiceEmailTemplate = (customerName, invoiceNumber, totalAmount, dueDate, pdfUrl) => {
+import currencyManager from '../billing/currency.js';
+
+/**
+ * Format an amount in its currency with the sign first (credits show as -$10.00)
+ */
+const formatMoney = (amount, currency, maxDecimals) => currencyManager.format(amount, currency, { maxDecimals });
+
+/**
+ * Render invoice lines as email table rows
+ */
+const lineItemRows = (lineItems, currency) => lineItems.map(item => `
+                                            <tr>
+                                                <td style="color: #374151; font-size: 14px; border-bottom: 1px solid #e5e7eb;">${item.description}</td>
+                                                <td style="color: #374151; font-size: 14px; text-align: right; border-bottom: 1px solid #e5e7eb;">${parseFloat(item.quantity).toLocaleString('en-US')} × ${formatMoney(item.unit_price, currency, 6)}</td>
+                                                <td style="color: #111827; font-size: 14px; text-align: right; border-bottom: 1px solid #e5e7eb;">${formatMoney(item.total_amount, currency)}</td>
+                                            </tr>`).join('');
+
+export const invoiceEmailTemplate = (customerName, invoiceNumber, totalAmount, dueDate, pdfUrl, lineItems = [], currency = 'USD', payUrl = null, terms = {}) => {
+    // terms: { name, discount_date, discount_amount } from the invoice's payment terms
+    const discountAmount = parseFloat(terms.discount_amount || 0);
+    const termsRows = `${terms.name ? `
+                                            <tr>
+                                                <td style="color: #6b7280; font-size: 14px;">Payment Terms:</td>
+                                                <td style="color: #111827; font-size: 14px; text-align: right;">${terms.name}</td>
+                                            </tr>` : ''}${discountAmount > 0 ? `
+                                            <tr>
+                                                <td style="color: #6b7280; font-size: 14px;">Pay by ${new Date(terms.discount_date).toLocaleDateString()}:</td>
+                                                <td style="color: #047857; font-size: 14px; font-weight: bold; text-align: right;">${formatMoney(parseFloat(totalAmount) - discountAmount, currency)} (save ${formatMoney(discountAmount, currency)})</td>
+                                            </tr>` : ''}`;
+    const lineItemsSection = lineItems.length > 0 ? `
+                            <!-- Line Items -->
+                            <table width="100%" cellpadding="8" cellspacing="0" style="margin: 30px 0 0 0;">
+                                <tr>
+                                    <th style="color: #6b7280; font-size: 12px; text-align: left; text-transform: uppercase; border-bottom: 2px solid #e5e7eb;">Description</th>
+                                    <th style="color: #6b7280; font-size: 12px; text-align: right; text-transform: uppercase; border-bottom: 2px solid #e5e7eb;">Qty × Price</th>
+                                    <th style="color: #6b7280; font-size: 12px; text-align: right; text-transform: uppercase; border-bottom: 2px solid #e5e7eb;">Amount</th>
+                                </tr>${lineItemRows(lineItems, currency)}
+                            </table>
+                            <p style="color: #9ca3af; font-size: 12px; margin: 8px 0 0 0;">Line amounts include tax and discounts.</p>
+` : '';
+
     return `
 <!DOCTYPE html>
 <html lang="en">
@@ -34,7 +74,7 @@ export const invoiceEmailTemplate = (customerName, invoiceNumber, totalAmount, d
                             <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
                                 Thank you for your continued business. Please find your invoice details below:
                             </p>
-                            
+                            ${lineItemsSection}
                             <!-- Invoice Details Box -->
                             <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f9fafb; border-radius: 6px; margin: 30px 0;">
                                 <tr>
@@ -46,26 +86,31 @@ export const invoiceEmailTemplate = (customerName, invoiceNumber, totalAmount, d
                                             </tr>
                                             <tr>
                                                 <td style="color: #6b7280; font-size: 14px;">Total Amount:</td>
-                                                <td style="color: #2563eb; font-size: 18px; font-weight: bold; text-align: right;">$${parseFloat(totalAmount).toFixed(2)}</td>
+                                                <td style="color: #2563eb; font-size: 18px; font-weight: bold; text-align: right;">${formatMoney(totalAmount, currency)}</td>
                                             </tr>
                                             <tr>
                                                 <td style="color: #6b7280; font-size: 14px;">Due Date:</td>
                                                 <td style="color: #111827; font-size: 14px; font-weight: bold; text-align: right;">${new Date(dueDate).toLocaleDateString()}</td>
-                                            </tr>
+                                            </tr>${termsRows}
                                         </table>
                                     </td>
                                 </tr>
                             </table>
                             
-                            <!-- Download Button -->
+                            <!-- Pay / Download Buttons -->
                             <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
                                 <tr>
                                     <td align="center">
-                                        <a href="${pdfUrl}" style="display: inline-block; background-color: #2563eb; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 6px; font-size: 16px; font-weight: 600;">
-                                            Download Invoice PDF
+                                        <a href="${payUrl || pdfUrl}" style="display: inline-block; background-color: #2563eb; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 6px; font-size: 16px; font-weight: 600;">
+                                            ${payUrl ? 'View &amp; Pay Invoice' : 'Download Invoice PDF'}
                                         </a>
                                     </td>
-                                </tr>
+                                </tr>${payUrl ? `
+                                <tr>
+                                    <td align="center" style="padding-top: 12px;">
+                                        <a href="${pdfUrl}" style="color: #2563eb; font-size: 14px;">Download Invoice PDF</a>
+                                    </td>
+                                </tr>` : ''}
                             </table>
                             
                             <p style="color: #374151; font-size: 14px; line-height: 1.6; margin: 30px 0 0 0;">
@@ -97,9 +142,65 @@ export const invoiceEmailTemplate = (customerName, invoiceNumber, totalAmount, d
 `;
 };
 
-export const reminderEmailTemplate = (customerName, invoiceNumber, totalAmount, dueDate, daysOverdue, pdfUrl) => {
-    const urgencyColor = daysOverdue > 30 ? '#dc2626' : daysOverdue > 14 ? '#f59e0b' : '#2563eb';
-    const urgencyText = daysOverdue > 30 ? 'URGENT' : daysOverdue > 14 ? 'IMPORTANT' : 'REMINDER';
+/**
+ * Dunning tones: header colour, label and opening sentence of a reminder
+ */
+const REMINDER_TONES = {
+    friendly: { color: '#2563eb', label: 'REMINDER', opening: 'This is a friendly reminder that the following invoice is now' },
+    firm: { color: '#f59e0b', label: 'IMPORTANT', opening: 'Our records show that the following invoice is still unpaid and now' },
+    urgent: { color: '#dc2626', label: 'URGENT', opening: 'Despite our previous reminders, the following invoice remains unpaid and is now' },
+    final: { color: '#991b1b', label: 'ACTION REQUIRED', opening: 'This is our final notice: the following invoice is now' }
+};
+
+/**
+ * Dunning templates: heading and closing paragraph of a reminder
+ */
+const REMINDER_TEMPLATES = {
+    reminder: {
+        heading: 'Payment Reminder',
+        closing: 'Please arrange payment at your earliest convenience. If you have already made this payment, please disregard this reminder.'
+    },
+    final_notice: {
+        heading: 'Final Notice',
+        closing: 'If payment is not received within 7 days we may suspend your services and refer this invoice to collections without further notice.'
+    },
+    suspension_notice: {
+        heading: 'Services Suspended',
+        closing: 'Because this invoice remains unpaid, the services under your contract have been suspended. They will be restored once the balance is paid.'
+    },
+    collections_notice: {
+        heading: 'Collections Notice',
+        closing: 'This invoice has been referred to our collections process. Please pay the balance immediately or contact us to agree a payment plan.'
+    }
+};
+
+/**
+ * Reminder email for an overdue invoice
+ * Without a tone (reminders sent by hand), urgency follows the number of days overdue
+ */
+export const reminderEmailTemplate = (customerName, invoiceNumber, amountDue, dueDate, daysOverdue, pdfUrl, currency = 'USD', payUrl = null, tone = null, template = 'reminder', lateFees = []) => {
+    const toneKey = tone || (daysOverdue > 30 ? 'urgent' : daysOverdue > 14 ? 'firm' : 'friendly');
+    const { color: urgencyColor, label: urgencyText, opening } = REMINDER_TONES[toneKey] || REMINDER_TONES.friendly;
+    const { heading, closing } = REMINDER_TEMPLATES[template] || REMINDER_TEMPLATES.reminder;
+
+    // Late fees and interest charged so far; fee invoices are payable on top of the amount due
+    const lateFeeRows = lateFees.map(fee => `
+                                            <tr>
+                                                <td style="color: #374151; font-size: 13px;">${fee.description}${fee.fee_invoice_number ? ` (invoice ${fee.fee_invoice_number})` : ' (included in amount due)'}</td>
+                                                <td style="color: #111827; font-size: 13px; font-weight: bold; text-align: right; white-space: nowrap;">${formatMoney(fee.amount, fee.currency)}</td>
+                                            </tr>`).join('');
+    const lateFeeSection = lateFees.length === 0 ? '' : `
+                            <!-- Late Fees -->
+                            <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f9fafb; border-radius: 6px; margin: 0 0 30px 0;">
+                                <tr>
+                                    <td style="padding: 20px;">
+                                        <p style="color: #111827; font-size: 14px; font-weight: bold; margin: 0 0 10px 0;">Late Fees and Interest Charged</p>
+                                        <table width="100%" cellpadding="6" cellspacing="0">${lateFeeRows}
+                                        </table>
+                                    </td>
+                                </tr>
+                            </table>
+`;
 
     return `
 <!DOCTYPE html>
@@ -117,7 +218,7 @@ export const reminderEmailTemplate = (customerName, invoiceNumber, totalAmount,
                     <!-- Header -->
                     <tr>
                         <td style="background-color: ${urgencyColor}; padding: 40px; text-align: center; border-radius: 8px 8px 0 0;">
-                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">${urgencyText}: Payment Reminder</h1>
+                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">${urgencyText}: ${heading}</h1>
                         </td>
                     </tr>
                     
@@ -129,7 +230,7 @@ export const reminderEmailTemplate = (customerName, invoiceNumber, totalAmount,
                             </p>
                             
                             <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
-                                This is a friendly reminder that the following invoice is now <strong style="color: ${urgencyColor};">${daysOverdue} days overdue</strong>.
+                                ${opening} <strong style="color: ${urgencyColor};">${daysOverdue} days overdue</strong>.
                             </p>
                             
                             <!-- Invoice Details Box -->
@@ -143,7 +244,7 @@ export const reminderEmailTemplate = (customerName, invoiceNumber, totalAmount,
                                             </tr>
                                             <tr>
                                                 <td style="color: #6b7280; font-size: 14px;">Amount Due:</td>
-                                                <td style="color: ${urgencyColor}; font-size: 20px; font-weight: bold; text-align: right;">$${parseFloat(totalAmount).toFixed(2)}</td>
+                                                <td style="color: ${urgencyColor}; font-size: 20px; font-weight: bold; text-align: right;">${formatMoney(amountDue, currency)}</td>
                                             </tr>
                                             <tr>
                                                 <td style="color: #6b7280; font-size: 14px;">Original Due Date:</td>
@@ -157,20 +258,20 @@ export const reminderEmailTemplate = (customerName, invoiceNumber, totalAmount,
                                     </td>
                                 </tr>
                             </table>
-                            
+                            ${lateFeeSection}
                             <!-- Download Button -->
                             <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
                                 <tr>
                                     <td align="center">
-                                        <a href="${pdfUrl}" style="display: inline-block; background-color: ${urgencyColor}; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 6px; font-size: 16px; font-weight: 600;">
-                                            View Invoice
+                                        <a href="${payUrl || pdfUrl}" style="display: inline-block; background-color: ${urgencyColor}; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 6px; font-size: 16px; font-weight: 600;">
+                                            ${payUrl ? 'Pay Now' : 'View Invoice'}
                                         </a>
                                     </td>
                                 </tr>
                             </table>
                             
                             <p style="color: #374151; font-size: 14px; line-height: 1.6; margin: 30px 0 0 0;">
-                                Please arrange payment at your earliest convenience. If you have already made this payment, please disregard this reminder.
+                                ${closing}
                             </p>
                             
                             <p style="color: #374151; font-size: 14px; line-height: 1.6; margin: 20px 0 0 0;">
@@ -242,3 +343,300 @@ export const welcomeEmailTemplate = (customerName) => {
 </html>
 `;
 };
+
+export const renewalNoticeEmailTemplate = (customerName, contractNumber, serviceDescription, endDate, newEndDate, currentAmount, newAmount, billingFrequency, currency = 'USD') => {
+    const priceChanged = parseFloat(newAmount) !== parseFloat(currentAmount);
+    const priceNote = priceChanged
+        ? `The ${billingFrequency} price will change from <strong>${formatMoney(currentAmount, currency)}</strong> to <strong>${formatMoney(newAmount, currency)}</strong> from the start of the new term.`
+        : `The ${billingFrequency} price stays at <strong>${formatMoney(currentAmount, currency)}</strong>.`;
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0;">
+    <title>Contract Renewal ${contractNumber}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f3f4f6;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f3f4f6; padding: 40px 0;">
+        <tr>
+            <td align="center">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #2563eb 0%, #1e40af 100%); padding: 40px; text-align: center; border-radius: 8px 8px 0 0;">
+                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">Upcoming Contract Renewal</h1>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 40px;">
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+                                Dear ${customerName},
+                            </p>
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+                                Your contract <strong>${contractNumber}</strong> for ${serviceDescription} ends on <strong>${new Date(endDate).toLocaleDateString()}</strong> and will renew automatically until <strong>${new Date(newEndDate).toLocaleDateString()}</strong>.
+                            </p>
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+                                ${priceNote}
+                            </p>
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+                                If you do not wish to renew, please contact us before the end date. No action is needed to continue your service.
+                            </p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f9fafb; padding: 30px; text-align: center; border-radius: 0 0 8px 8px; border-top: 1px solid #e5e7eb;">
+                            <p style="color: #6b7280; font-size: 12px; margin: 0;">
+                                This is an automated message from BillerAGI
+                            </p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+};
+
+export const creditNoteEmailTemplate = (customerName, creditNoteNumber, invoiceNumber, creditAmount, reason, pdfUrl, lineItems = [], currency = 'USD', remainingBalance = null) => {
+    const balanceRow = remainingBalance !== null ? `
+                                            <tr>
+                                                <td style="color: #6b7280; font-size: 14px;">Remaining Balance on ${invoiceNumber}:</td>
+                                                <td style="color: #111827; font-size: 14px; font-weight: bold; text-align: right;">${formatMoney(remainingBalance, currency)}</td>
+                                            </tr>` : '';
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Credit Note ${creditNoteNumber}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f3f4f6;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f3f4f6; padding: 40px 0;">
+        <tr>
+            <td align="center">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #16a34a 0%, #15803d 100%); padding: 40px; text-align: center; border-radius: 8px 8px 0 0;">
+                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">Credit Note Issued</h1>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 40px;">
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                                Dear ${customerName},
+                            </p>
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                                We have issued credit note <strong>${creditNoteNumber}</strong> against invoice <strong>${invoiceNumber}</strong>.
+                            </p>
+                            <p style="color: #374151; font-size: 14px; line-height: 1.6; margin: 0 0 20px 0;">
+                                Reason: ${reason}
+                            </p>
+                            ${lineItems.length > 0 ? `
+                            <table width="100%" cellpadding="8" cellspacing="0" style="margin: 30px 0 0 0;">
+                                <tr>
+                                    <th style="color: #6b7280; font-size: 12px; text-align: left; text-transform: uppercase; border-bottom: 2px solid #e5e7eb;">Description</th>
+                                    <th style="color: #6b7280; font-size: 12px; text-align: right; text-transform: uppercase; border-bottom: 2px solid #e5e7eb;">Qty × Price</th>
+                                    <th style="color: #6b7280; font-size: 12px; text-align: right; text-transform: uppercase; border-bottom: 2px solid #e5e7eb;">Credit</th>
+                                </tr>${lineItemRows(lineItems, currency)}
+                            </table>
+` : ''}
+                            <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f9fafb; border-radius: 6px; margin: 30px 0;">
+                                <tr>
+                                    <td style="padding: 20px;">
+                                        <table width="100%" cellpadding="8" cellspacing="0">
+                                            <tr>
+                                                <td style="color: #6b7280; font-size: 14px;">Total Credit:</td>
+                                                <td style="color: #16a34a; font-size: 18px; font-weight: bold; text-align: right;">${formatMoney(creditAmount, currency)}</td>
+                                            </tr>${balanceRow}
+                                        </table>
+                                    </td>
+                                </tr>
+                            </table>
+                            ${pdfUrl ? `
+                            <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${pdfUrl}" style="display: inline-block; background-color: #16a34a; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 6px; font-size: 16px; font-weight: 600;">
+                                            Download Credit Note PDF
+                                        </a>
+                                    </td>
+                                </tr>
+                            </table>
+` : ''}
+                            <p style="color: #374151; font-size: 14px; line-height: 1.6; margin: 20px 0 0 0;">
+                                Best regards,<br>
+                                <strong>BillerAGI Team</strong>
+                            </p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="background-color: #f9fafb; padding: 30px; text-align: center; border-radius: 0 0 8px 8px; border-top: 1px solid #e5e7eb;">
+                            <p style="color: #6b7280; font-size: 12px; margin: 0;">
+                                This is an automated message from BillerAGI<br>
+                                Please do not reply to this email
+                            </p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+};
+
+export const portalLoginEmailTemplate = (name, loginUrl, expiresAt) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Sign in to your billing portal</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f3f4f6;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f3f4f6; padding: 40px 0;">
+        <tr>
+            <td align="center">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #2563eb 0%, #1e40af 100%); padding: 40px; text-align: center; border-radius: 8px 8px 0 0;">
+                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">Sign In</h1>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 40px;">
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                                Hello${name ? ` ${name}` : ''},
+                            </p>
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                                Use the button below to sign in to your billing portal, where you can view your invoices and payments.
+                            </p>
+                            <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${loginUrl}" style="display: inline-block; background-color: #2563eb; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 6px; font-size: 16px; font-weight: 600;">
+                                            Sign In to the Portal
+                                        </a>
+                                    </td>
+                                </tr>
+                            </table>
+                            <p style="color: #6b7280; font-size: 14px; line-height: 1.6; margin: 0;">
+                                This link works once and expires at ${new Date(expiresAt).toLocaleString()}. If you did not ask to sign in, you can ignore this email.
+                            </p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+};
+
+export const adminInvitationEmailTemplate = (inviterName, roleName, acceptUrl, expiresAt) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>You're invited to the billing dashboard</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f3f4f6;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f3f4f6; padding: 40px 0;">
+        <tr>
+            <td align="center">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #2563eb 0%, #1e40af 100%); padding: 40px; text-align: center; border-radius: 8px 8px 0 0;">
+                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">You're Invited</h1>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 40px;">
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                                ${inviterName || 'An owner'} invited you to the billing dashboard as <strong>${roleName}</strong>.
+                            </p>
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                                Use the button below to choose a username and password for your account.
+                            </p>
+                            <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${acceptUrl}" style="display: inline-block; background-color: #2563eb; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 6px; font-size: 16px; font-weight: 600;">
+                                            Accept Invitation
+                                        </a>
+                                    </td>
+                                </tr>
+                            </table>
+                            <p style="color: #6b7280; font-size: 14px; line-height: 1.6; margin: 0;">
+                                This invitation works once and expires at ${new Date(expiresAt).toLocaleString()}. If you were not expecting it, you can ignore this email.
+                            </p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+};
+
+export const passwordResetEmailTemplate = (name, resetUrl, expiresAt) => {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Reset your password</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f3f4f6;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f3f4f6; padding: 40px 0;">
+        <tr>
+            <td align="center">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <tr>
+                        <td style="background: linear-gradient(135deg, #2563eb 0%, #1e40af 100%); padding: 40px; text-align: center; border-radius: 8px 8px 0 0;">
+                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">Reset Your Password</h1>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 40px;">
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                                Hello${name ? ` ${name}` : ''},
+                            </p>
+                            <p style="color: #374151; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                                Someone asked to reset the password of your billing dashboard account. Use the button below to choose a new one.
+                            </p>
+                            <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${resetUrl}" style="display: inline-block; background-color: #2563eb; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 6px; font-size: 16px; font-weight: 600;">
+                                            Choose a New Password
+                                        </a>
+                                    </td>
+                                </tr>
+                            </table>
+                            <p style="color: #6b7280; font-size: 14px; line-height: 1.6; margin: 0;">
+                                This link works once and expires at ${new Date(expiresAt).toLocaleString()}. Resetting your password signs you out everywhere. If you did not ask for this, you can ignore this email; your password stays the same.
+                            </p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,168 @@
+import currencyManager from '../billing/currency.js';
+
+/**
+ * Invoice Calculator
+ * Derives line item and invoice totals from quantities, prices, discounts and taxes
+ */
+
+class InvoiceCalculator {
+    /**
+     * Round an amount to the currency's minor unit (cents, or whole yen)
+     */
+    round(value, currency) {
+        return currencyManager.round(value, currency);
+    }
+
+    /**
+     * Check line items before they reach the database
+     * Returns a list of human-readable problems (empty when valid)
+     */
+    validateLineItems(lineItems) {
+        if (!Array.isArray(lineItems) || lineItems.length === 0) {
+            return ['At least one line item is required'];
+        }
+
+        const errors = [];
+
+        lineItems.forEach((item, index) => {
+            if (!item || !item.description) {
+                errors.push(`Line ${index + 1}: description is required`);
+            }
+            if (item && item.quantity !== undefined && !Number.isFinite(parseFloat(item.quantity))) {
+                errors.push(`Line ${index + 1}: quantity must be a number`);
+            }
+            if (!item || !Number.isFinite(parseFloat(item.unit_price))) {
+                errors.push(`Line ${index + 1}: unit_price must be a number`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Charge each tax component on a line's taxable amount
+     * Compound taxes are charged on the amount plus the taxes before them
+     */
+    calculateTaxes(taxes, taxableAmount, currency) {
+        let taxSoFar = 0;
+
+        return taxes.map(tax => {
+            const base = tax.is_compound ? taxableAmount + taxSoFar : taxableAmount;
+            const taxAmount = this.round((base * parseFloat(tax.rate)) / 100, currency);
+            taxSoFar += taxAmount;
+
+            return {
+                name: tax.name,
+                jurisdiction: tax.jurisdiction || null,
+                rate: parseFloat(tax.rate),
+                is_compound: Boolean(tax.is_compound),
+                taxable_amount: this.round(base, currency),
+                tax_amount: taxAmount
+            };
+        });
+    }
+
+    /**
+     * Combined rate of a set of taxes, counting compounding (5% + 10% compound = 15.5%)
+     */
+    effectiveRate(taxes) {
+        let rate = 0;
+        for (const tax of taxes) {
+            rate += tax.is_compound ? (parseFloat(tax.rate) * (100 + rate)) / 100 : parseFloat(tax.rate);
+        }
+        return Math.round(rate * 1000) / 1000;
+    }
+
+    /**
+     * Calculate a single line
+     * Discount is taken off the line subtotal, tax is charged on the discounted amount.
+     * Lines priced by the tax engine carry a `taxes` list; otherwise tax_rate is one flat tax.
+     */
+    calculateLineItem(item, currency) {
+        const quantity = item.quantity !== undefined && item.quantity !== null ? parseFloat(item.quantity) : 1;
+        const unitPrice = parseFloat(item.unit_price);
+        const discountPercentage = parseFloat(item.discount_percentage || 0);
+        const taxes = Array.isArray(item.taxes)
+            ? item.taxes
+            : (parseFloat(item.tax_rate || 0) > 0 ? [{ name: 'Tax', rate: item.tax_rate }] : []);
+
+        const subtotal = this.round(quantity * unitPrice, currency);
+        const discountAmount = this.round((subtotal * discountPercentage) / 100, currency);
+        const taxDetails = this.calculateTaxes(taxes, subtotal - discountAmount, currency);
+        const taxAmount = this.round(taxDetails.reduce((total, tax) => total + tax.tax_amount, 0), currency);
+        const totalAmount = this.round(subtotal - discountAmount + taxAmount, currency);
+
+        return {
+            item_type: item.item_type || 'fixed',
+            description: item.description,
+            quantity,
+            unit_price: unitPrice,
+            tax_category: item.tax_category || 'standard',
+            tax_rate: this.effectiveRate(taxes),
+            tax_details: taxDetails,
+            discount_percentage: discountPercentage,
+            subtotal,
+            discount_amount: discountAmount,
+            tax_amount: taxAmount,
+            total_amount: totalAmount,
+            period_start: item.period_start || null,
+            period_end: item.period_end || null
+        };
+    }
+
+    /**
+     * Sum the line taxes per tax, jurisdiction and rate for the invoice summary
+     */
+    buildTaxBreakdown(lines, currency) {
+        const groups = new Map();
+
+        for (const line of lines) {
+            for (const tax of line.tax_details) {
+                const key = [tax.name, tax.jurisdiction, tax.rate, tax.is_compound].join('|');
+                const group = groups.get(key) || {
+                    name: tax.name,
+                    jurisdiction: tax.jurisdiction,
+                    rate: tax.rate,
+                    is_compound: tax.is_compound,
+                    taxable_amount: 0,
+                    tax_amount: 0
+                };
+
+                group.taxable_amount = this.round(group.taxable_amount + tax.taxable_amount, currency);
+                group.tax_amount = this.round(group.tax_amount + tax.tax_amount, currency);
+                groups.set(key, group);
+            }
+        }
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Calculate all lines and the invoice totals derived from them
+     */
+    calculateTotals(lineItems, currency) {
+        const errors = this.validateLineItems(lineItems);
+        if (errors.length > 0) {
+            throw new Error(`Invalid line items: ${errors.join('; ')}`);
+        }
+
+        const lines = lineItems.map((item, index) => ({
+            ...this.calculateLineItem(item, currency),
+            sort_order: index
+        }));
+
+        const sum = (field) => this.round(lines.reduce((total, line) => total + line[field], 0), currency);
+
+        return {
+            line_items: lines,
+            subtotal: sum('subtotal'),
+            discount_amount: sum('discount_amount'),
+            tax_amount: sum('tax_amount'),
+            total_amount: sum('total_amount'),
+            tax_breakdown: this.buildTaxBreakdown(lines, currency)
+        };
+    }
+}
+
+// Export singleton instance
+export default new InvoiceCalculator();
@@ -0,0 +1,204 @@
+import invoiceCalculator from './calculator.js';
+import currencyManager from '../billing/currency.js';
+
+/**
+ * Credit Note Calculator
+ * Builds credit note lines from the invoice lines they correct:
+ * - a full credit reverses whatever is still uncredited on every line
+ * - a partial credit names invoice lines with a quantity to credit, or a net amount
+ *   (before tax) as a price adjustment
+ * Lines keep the taxes they were invoiced with, so the credit mirrors the original tax.
+ */
+
+const CREDIT_TYPES = ['full', 'partial'];
+
+class CreditNoteCalculator {
+    getCreditTypes() {
+        return CREDIT_TYPES;
+    }
+
+    /**
+     * Check the shape of a credit note request
+     * Returns a list of human-readable problems (empty when valid)
+     */
+    validateRequest(request) {
+        const errors = [];
+
+        if (!request.invoice_id) {
+            errors.push('invoice_id is required');
+        }
+        if (!request.reason || !String(request.reason).trim()) {
+            errors.push('reason is required');
+        }
+        if (!CREDIT_TYPES.includes(request.type)) {
+            errors.push(`type must be one of: ${CREDIT_TYPES.join(', ')}`);
+        }
+        if (request.issue_date && Number.isNaN(Date.parse(request.issue_date))) {
+            errors.push('issue_date must be a valid date');
+        }
+
+        if (request.type === 'partial') {
+            if (!Array.isArray(request.lines) || request.lines.length === 0) {
+                errors.push('lines are required for a partial credit');
+            } else {
+                request.lines.forEach((line, index) => {
+                    const hasQuantity = line.quantity !== undefined && line.quantity !== null;
+                    const hasAmount = line.amount !== undefined && line.amount !== null;
+
+                    if (!line.invoice_line_item_id) {
+                        errors.push(`Line ${index + 1}: invoice_line_item_id is required`);
+                    }
+                    if (hasQuantity === hasAmount) {
+                        errors.push(`Line ${index + 1}: give either quantity or amount`);
+                    } else if (hasQuantity && !(parseFloat(line.quantity) > 0)) {
+                        errors.push(`Line ${index + 1}: quantity must be greater than 0`);
+                    } else if (hasAmount && !(parseFloat(line.amount) > 0)) {
+                        errors.push(`Line ${index + 1}: amount must be greater than 0`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Net amount of a line (after discount, before tax)
+     */
+    netAmount(line) {
+        return parseFloat(line.subtotal) - parseFloat(line.discount_amount || 0);
+    }
+
+    /**
+     * Taxes an invoice line was charged, in the form the invoice calculator takes
+     */
+    lineTaxes(line) {
+        const details = line.tax_details || [];
+        if (details.length > 0) {
+            return details.map(tax => ({
+                name: tax.name,
+                jurisdiction: tax.jurisdiction,
+                rate: tax.rate,
+                is_compound: tax.is_compound
+            }));
+        }
+
+        return parseFloat(line.tax_rate || 0) > 0 ? [{ name: 'Tax', rate: line.tax_rate }] : [];
+    }
+
+    /**
+     * Credit line template copying an invoice line's terms
+     */
+    creditLine(invoiceLine, overrides) {
+        return {
+            invoice_line_item_id: invoiceLine.id,
+            item_type: invoiceLine.item_type,
+            description: invoiceLine.description,
+            quantity: invoiceLine.quantity,
+            unit_price: invoiceLine.unit_price,
+            discount_percentage: invoiceLine.discount_percentage,
+            tax_category: invoiceLine.tax_category,
+            taxes: this.lineTaxes(invoiceLine),
+            period_start: invoiceLine.period_start,
+            period_end: invoiceLine.period_end,
+            ...overrides
+        };
+    }
+
+    /**
+     * Build and total the credit note lines
+     * creditedByLine maps invoice line id -> net amount already credited
+     * Returns { totals, errors }; totals lines keep their invoice_line_item_id
+     */
+    build(invoice, invoiceLines, request, creditedByLine = {}) {
+        const currency = invoice.currency;
+        const tolerance = 0.5 / (10 ** currencyManager.getMinorUnits(currency));
+        const credited = (line) => parseFloat(creditedByLine[line.id] || 0);
+        const errors = [];
+        const lines = [];
+
+        if (request.type === 'full') {
+            for (const invoiceLine of invoiceLines) {
+                const remaining = currencyManager.round(this.netAmount(invoiceLine) - credited(invoiceLine), currency);
+
+                if (credited(invoiceLine) === 0) {
+                    lines.push(this.creditLine(invoiceLine, {}));
+                } else if (Math.abs(remaining) >= tolerance) {
+                    lines.push(this.creditLine(invoiceLine, {
+                        description: `${invoiceLine.description} (remaining balance)`,
+                        quantity: 1,
+                        unit_price: remaining,
+                        discount_percentage: 0
+                    }));
+                }
+            }
+        } else {
+            const requested = {};
+
+            request.lines.forEach((line, index) => {
+                const invoiceLine = invoiceLines.find(item => item.id === line.invoice_line_item_id);
+                if (!invoiceLine) {
+                    errors.push(`Line ${index + 1}: not a line of invoice ${invoice.invoice_number}`);
+                    return;
+                }
+
+                let creditLine;
+                if (line.quantity !== undefined && line.quantity !== null) {
+                    if (parseFloat(line.quantity) > Math.abs(parseFloat(invoiceLine.quantity))) {
+                        errors.push(`Line ${index + 1}: cannot credit more than the invoiced quantity of ${parseFloat(invoiceLine.quantity)}`);
+                        return;
+                    }
+                    // Credit lines keep the sign of the invoiced quantity (credited proration credits reverse)
+                    const sign = parseFloat(invoiceLine.quantity) < 0 ? -1 : 1;
+                    creditLine = this.creditLine(invoiceLine, { quantity: sign * parseFloat(line.quantity) });
+                } else {
+                    if (this.netAmount(invoiceLine) <= 0) {
+                        errors.push(`Line ${index + 1}: an amount can only be credited on a charged line`);
+                        return;
+                    }
+                    creditLine = this.creditLine(invoiceLine, {
+                        description: `${invoiceLine.description} (price adjustment)`,
+                        quantity: 1,
+                        unit_price: parseFloat(line.amount),
+                        discount_percentage: 0
+                    });
+                }
+
+                const preview = invoiceCalculator.calculateLineItem(creditLine, currency);
+                const newNet = (requested[invoiceLine.id] || 0) + preview.subtotal - preview.discount_amount;
+                if (Math.abs(credited(invoiceLine) + newNet) > Math.abs(this.netAmount(invoiceLine)) + tolerance) {
+                    errors.push(`Line ${index + 1}: credits would exceed the invoiced amount of "${invoiceLine.description}"`);
+                    return;
+                }
+
+                requested[invoiceLine.id] = newNet;
+                lines.push(creditLine);
+            });
+        }
+
+        if (errors.length === 0 && lines.length === 0) {
+            errors.push(`Invoice ${invoice.invoice_number} has nothing left to credit`);
+        }
+        if (errors.length > 0) {
+            return { totals: null, errors };
+        }
+
+        const totals = invoiceCalculator.calculateTotals(lines, currency);
+        totals.line_items = totals.line_items.map((line, index) => ({
+            ...line,
+            invoice_line_item_id: lines[index].invoice_line_item_id
+        }));
+
+        // A full credit reverses exactly what is left; partial credits must stay within it
+        const remainingTotal = parseFloat(invoice.total_amount) - parseFloat(invoice.credited_amount || 0);
+        if (request.type === 'partial' && totals.total_amount > remainingTotal + tolerance) {
+            errors.push(`Credit of ${currencyManager.format(totals.total_amount, currency)} exceeds the uncredited invoice total of ${currencyManager.format(remainingTotal, currency)}`);
+            return { totals: null, errors };
+        }
+
+        return { totals, errors };
+    }
+}
+
+// Export singleton instance
+export default new CreditNoteCalculator();
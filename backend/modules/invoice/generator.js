@@ -1,6 +1,7 @@
 import PDFDocument from 'pdfkit';
-import { Invoice } from '../../../database/models.js';
-import { logInfo, logError } from '../../audit/logger.js';
+import { Invoice, CreditNote } from '../../database/models.js';
+import currencyManager from '../billing/currency.js';
+import { logInfo, logError } from '../audit/logger.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -37,9 +38,9 @@ class InvoiceGenerator {
             this.addCompanyInfo(doc);
             this.addInvoiceInfo(doc, invoice);
             this.addCustomerInfo(doc, invoice);
-            this.addLineItems(doc, invoice);
-            this.addTotals(doc, invoice);
-            this.addFooter(doc, invoice);
+            const itemsBottom = this.addLineItems(doc, invoice);
+            const totalsBottom = this.addTotals(doc, invoice, itemsBottom);
+            this.addFooter(doc, invoice, totalsBottom);
 
             // Finalize PDF
             doc.end();
@@ -62,14 +63,59 @@ class InvoiceGenerator {
         }
     }
 
+    /**
+     * Generate PDF credit note
+     * Uses the invoice layout with the credited lines and a reference to the original invoice
+     */
+    async generateCreditNotePDF(creditNoteId) {
+        try {
+            logInfo('Generating PDF credit note', { credit_note_id: creditNoteId });
+
+            const creditNote = await CreditNote.findById(creditNoteId);
+            if (!creditNote) {
+                throw new Error(`Credit note ${creditNoteId} not found`);
+            }
+
+            const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+            const chunks = [];
+            doc.on('data', (chunk) => chunks.push(chunk));
+
+            this.addHeader(doc, 'CREDIT NOTE');
+            this.addCompanyInfo(doc);
+            this.addCreditNoteInfo(doc, creditNote);
+            this.addCustomerInfo(doc, creditNote);
+            const itemsBottom = this.addLineItems(doc, creditNote);
+            const totalsBottom = this.addTotals(doc, creditNote, itemsBottom, 'Total Credit:');
+            this.addCreditNoteFooter(doc, creditNote, totalsBottom);
+
+            doc.end();
+
+            return new Promise((resolve, reject) => {
+                doc.on('end', () => {
+                    const pdfBuffer = Buffer.concat(chunks);
+                    logInfo('PDF credit note generated successfully', {
+                        credit_note_id: creditNoteId,
+                        size: pdfBuffer.length
+                    });
+                    resolve(pdfBuffer);
+                });
+                doc.on('error', reject);
+            });
+        } catch (error) {
+            logError('Credit note PDF generation failed', error, { credit_note_id: creditNoteId });
+            throw error;
+        }
+    }
+
     /**
      * Add header with company logo and branding
      */
-    addHeader(doc) {
+    addHeader(doc, title = 'INVOICE') {
         doc
             .fontSize(28)
             .fillColor('#2563eb')
-            .text('INVOICE', 50, 50, { align: 'right' })
+            .text(title, 50, 50, { align: 'right' })
             .fontSize(10)
             .fillColor('#000000');
     }
@@ -107,7 +153,29 @@ class InvoiceGenerator {
             .text(`Invoice Number: ${invoice.invoice_number}`, 350, 100, { align: 'right' })
             .text(`Issue Date: ${new Date(invoice.issue_date).toLocaleDateString()}`, 350, 115, { align: 'right' })
             .text(`Due Date: ${new Date(invoice.due_date).toLocaleDateString()}`, 350, 130, { align: 'right' })
-            .text(`Status: ${invoice.status.toUpperCase()}`, 350, 145, { align: 'right' });
+            .text(`Status: ${invoice.status.toUpperCase()}`, 350, 145, { align: 'right' })
+            .text(`Currency: ${invoice.currency}`, 350, 160, { align: 'right' });
+
+        if (invoice.payment_terms_name) {
+            doc.text(`Payment Terms: ${invoice.payment_terms_name}`, 350, 175, { align: 'right' });
+        }
+        if (parseFloat(invoice.early_payment_discount_amount) > 0) {
+            doc.text(`Discount Deadline: ${new Date(invoice.early_payment_discount_date).toLocaleDateString()}`, 350, 190, { align: 'right' });
+        }
+    }
+
+    /**
+     * Add credit note information with the invoice it corrects
+     */
+    addCreditNoteInfo(doc, creditNote) {
+        doc
+            .fontSize(10)
+            .fillColor('#000000')
+            .text(`Credit Note Number: ${creditNote.credit_note_number}`, 350, 100, { align: 'right' })
+            .text(`Issue Date: ${new Date(creditNote.issue_date).toLocaleDateString()}`, 350, 115, { align: 'right' })
+            .text(`Original Invoice: ${creditNote.invoice_number}`, 350, 130, { align: 'right' })
+            .text(`Invoice Date: ${new Date(creditNote.invoice_issue_date).toLocaleDateString()}`, 350, 145, { align: 'right' })
+            .text(`Currency: ${creditNote.currency}`, 350, 160, { align: 'right' });
     }
 
     /**
@@ -125,16 +193,17 @@ class InvoiceGenerator {
 
         if (invoice.address) {
             doc.text(invoice.address, 50, 270);
-            doc.text(`${invoice.city}, ${invoice.state} ${invoice.zip_code}`, 50, 285);
+            doc.text(`${invoice.city}, ${invoice.state} ${invoice.zip_code}${invoice.country ? `, ${invoice.country}` : ''}`, 50, 285);
         }
 
         if (invoice.tax_id) {
-            doc.text(`Tax ID: ${invoice.tax_id}`, 50, 300);
+            doc.text(`${invoice.tax_treatment === 'reverse_charge' ? 'VAT ID' : 'Tax ID'}: ${invoice.tax_id}`, 50, 300);
         }
     }
 
     /**
      * Add line items table
+     * Returns the Y position below the last row
      */
     addLineItems(doc, invoice) {
         const tableTop = 350;
@@ -144,7 +213,10 @@ class InvoiceGenerator {
             .fontSize(11)
             .fillColor('#1e40af')
             .text('Description', 50, tableTop)
-            .text('Amount', 450, tableTop, { align: 'right' });
+            .text('Qty', 290, tableTop, { width: 50, align: 'right' })
+            .text('Unit Price', 345, tableTop, { width: 70, align: 'right' })
+            .text('Tax', 420, tableTop, { width: 40, align: 'right' })
+            .text('Amount', 465, tableTop, { width: 85, align: 'right' });
 
         // Draw header line
         doc
@@ -154,29 +226,98 @@ class InvoiceGenerator {
             .lineTo(550, tableTop + 15)
             .stroke();
 
-        // Service line item
         let currentY = tableTop + 30;
-        doc
-            .fontSize(10)
-            .fillColor('#000000')
-            .text(invoice.service_description || 'Professional Services', 50, currentY, { width: 350 })
-            .text(`$${parseFloat(invoice.subtotal).toFixed(2)}`, 450, currentY, { align: 'right' });
+
+        for (const item of invoice.line_items || []) {
+            // Start a new page before running into the footer area
+            if (currentY > 700) {
+                doc.addPage();
+                currentY = 50;
+            }
+
+            doc
+                .fontSize(10)
+                .fillColor('#000000')
+                .text(item.description, 50, currentY, { width: 235 })
+                .text(this.formatQuantity(item.quantity), 290, currentY, { width: 50, align: 'right' })
+                .text(this.formatUnitPrice(item.unit_price, invoice.currency), 345, currentY, { width: 70, align: 'right' })
+                .text(`${parseFloat(item.tax_rate || 0)}%`, 420, currentY, { width: 40, align: 'right' })
+                .text(this.formatAmount(item.subtotal, invoice.currency), 465, currentY, { width: 85, align: 'right' });
+
+            currentY = Math.max(currentY + 15, doc.y);
+
+            if (item.period_start && item.period_end) {
+                doc
+                    .fontSize(9)
+                    .fillColor('#6b7280')
+                    .text(`Service period: ${new Date(item.period_start).toLocaleDateString()} – ${new Date(item.period_end).toLocaleDateString()}`, 60, currentY);
+                currentY += 12;
+            }
+
+            if (item.discount_amount > 0) {
+                doc
+                    .fontSize(9)
+                    .fillColor('#16a34a')
+                    .text(`Discount ${parseFloat(item.discount_percentage)}%: ${this.formatAmount(-item.discount_amount, invoice.currency)}`, 60, currentY);
+                currentY += 12;
+            }
+
+            currentY += 5;
+        }
 
         // Add contract number if available
         if (invoice.contract_number) {
-            currentY += 15;
+            currentY += 5;
             doc
                 .fontSize(9)
                 .fillColor('#6b7280')
                 .text(`Contract: ${invoice.contract_number}`, 50, currentY);
+            currentY += 15;
         }
+
+        return currentY;
+    }
+
+    /**
+     * Format a line quantity without trailing zeros
+     */
+    formatQuantity(quantity) {
+        return String(parseFloat(quantity));
+    }
+
+    /**
+     * Format an amount in the invoice currency with the sign first (credits show as -$10.00)
+     */
+    formatAmount(amount, currency) {
+        return currencyManager.format(amount, currency, { display: this.currencyDisplay(currency) });
+    }
+
+    /**
+     * Format a unit price, keeping sub-cent precision for metered prices
+     */
+    formatUnitPrice(unitPrice, currency) {
+        return currencyManager.format(unitPrice, currency, { maxDecimals: 6, display: this.currencyDisplay(currency) });
+    }
+
+    /**
+     * The built-in PDF fonts only carry the $, €, £ and ¥ signs; other currencies print their code
+     */
+    currencyDisplay(currency) {
+        return ['USD', 'EUR', 'GBP', 'JPY'].includes(currency) ? 'symbol' : 'code';
     }
 
     /**
      * Add totals section
+     * Returns the Y position below the total amount
      */
-    addTotals(doc, invoice) {
-        const totalsTop = 480;
+    addTotals(doc, invoice, startY = 480, totalLabel = 'Total Amount:') {
+        let totalsTop = Math.max(startY + 20, 480);
+
+        // Keep the totals block together on one page
+        if (totalsTop > 620) {
+            doc.addPage();
+            totalsTop = 60;
+        }
 
         // Draw separator line
         doc
@@ -191,47 +332,76 @@ class InvoiceGenerator {
             .fontSize(10)
             .fillColor('#000000')
             .text('Subtotal:', 350, totalsTop)
-            .text(`$${parseFloat(invoice.subtotal).toFixed(2)}`, 450, totalsTop, { align: 'right' });
+            .text(this.formatAmount(invoice.subtotal, invoice.currency), 450, totalsTop, { align: 'right' });
 
-        // Tax
-        if (invoice.tax_amount > 0) {
-            doc
-                .text('Tax:', 350, totalsTop + 20)
-                .text(`$${parseFloat(invoice.tax_amount).toFixed(2)}`, 450, totalsTop + 20, { align: 'right' });
-        }
+        let currentY = totalsTop + 20;
 
         // Discount
         if (invoice.discount_amount > 0) {
             doc
                 .fillColor('#16a34a')
-                .text('Discount:', 350, totalsTop + 40)
-                .text(`-$${parseFloat(invoice.discount_amount).toFixed(2)}`, 450, totalsTop + 40, { align: 'right' })
+                .text('Discount:', 350, currentY)
+                .text(this.formatAmount(-invoice.discount_amount, invoice.currency), 450, currentY, { align: 'right' })
                 .fillColor('#000000');
+            currentY += 20;
+        }
+
+        // Tax, one line per tax and rate
+        const taxLines = (invoice.tax_breakdown || []).length > 0
+            ? invoice.tax_breakdown.map(tax => ({
+                label: `${tax.name} ${parseFloat(tax.rate)}%${tax.is_compound ? ' (compound)' : ''}:`,
+                amount: tax.tax_amount
+            }))
+            : (invoice.tax_amount > 0 ? [{ label: 'Tax:', amount: invoice.tax_amount }] : []);
+
+        for (const taxLine of taxLines) {
+            doc
+                .text(taxLine.label, 350, currentY, { width: 120 })
+                .text(this.formatAmount(taxLine.amount, invoice.currency), 450, currentY, { align: 'right' });
+            currentY += 20;
         }
 
         // Total line
-        const totalY = invoice.discount_amount > 0 ? totalsTop + 60 : totalsTop + 40;
         doc
             .strokeColor('#2563eb')
             .lineWidth(2)
-            .moveTo(350, totalY + 5)
-            .lineTo(550, totalY + 5)
+            .moveTo(350, currentY + 5)
+            .lineTo(550, currentY + 5)
             .stroke();
 
         // Total amount
         doc
             .fontSize(14)
             .fillColor('#1e40af')
-            .text('Total Amount:', 350, totalY + 15)
-            .text(`$${parseFloat(invoice.total_amount).toFixed(2)}`, 450, totalY + 15, { align: 'right' })
+            .text(totalLabel, 350, currentY + 15)
+            .text(this.formatAmount(invoice.total_amount, invoice.currency), 450, currentY + 15, { align: 'right' })
             .fillColor('#000000');
+
+        currentY += 35;
+
+        // Reverse charge and exemption wording required on the invoice
+        if (invoice.tax_note) {
+            doc
+                .fontSize(9)
+                .fillColor('#4b5563')
+                .text(invoice.tax_note, 50, currentY + 5, { width: 500 })
+                .fillColor('#000000');
+            currentY = doc.y;
+        }
+
+        return currentY;
     }
 
     /**
      * Add footer with payment instructions
      */
-    addFooter(doc, invoice) {
-        const footerTop = 650;
+    addFooter(doc, invoice, startY = 650) {
+        let footerTop = Math.max(startY + 20, 650);
+
+        if (footerTop > 650) {
+            doc.addPage();
+            footerTop = 650;
+        }
 
         doc
             .fontSize(11)
@@ -243,6 +413,19 @@ class InvoiceGenerator {
             .text('Payment methods: Bank transfer, Credit card, Check', 50, footerTop + 35)
             .text(`Reference: ${invoice.invoice_number}`, 50, footerTop + 50);
 
+        // Early-payment discount (e.g. 2/10 Net 30): the amount that settles the invoice by the deadline
+        const discount = parseFloat(invoice.early_payment_discount_amount);
+        if (discount > 0) {
+            doc
+                .fillColor('#047857')
+                .text(
+                    `Early payment: pay ${this.formatAmount(parseFloat(invoice.total_amount) - discount, invoice.currency)} ` +
+                    `by ${new Date(invoice.early_payment_discount_date).toLocaleDateString()} ` +
+                    `(${this.formatAmount(discount, invoice.currency)} discount)`,
+                    300, footerTop + 20, { width: 250, align: 'right' }
+                );
+        }
+
         // Thank you message
         doc
             .fontSize(10)
@@ -254,7 +437,38 @@ class InvoiceGenerator {
             .fontSize(8)
             .fillColor('#9ca3af')
             .text(
-                `Generated by BillerAGI | Page 1 of 1`,
+                'Generated by BillerAGI',
+                50,
+                750,
+                { align: 'center' }
+            );
+    }
+
+    /**
+     * Add credit note footer with the reason for the credit
+     */
+    addCreditNoteFooter(doc, creditNote, startY = 650) {
+        let footerTop = Math.max(startY + 20, 650);
+
+        if (footerTop > 650) {
+            doc.addPage();
+            footerTop = 650;
+        }
+
+        doc
+            .fontSize(11)
+            .fillColor('#1e40af')
+            .text('Reason for Credit', 50, footerTop)
+            .fontSize(9)
+            .fillColor('#4b5563')
+            .text(creditNote.reason, 50, footerTop + 20, { width: 500 })
+            .text(`This credit note reduces the amount due on invoice ${creditNote.invoice_number}. Reference: ${creditNote.credit_note_number}`, 50, doc.y + 5, { width: 500 });
+
+        doc
+            .fontSize(8)
+            .fillColor('#9ca3af')
+            .text(
+                'Generated by BillerAGI',
                 50,
                 750,
                 { align: 'center' }
@@ -0,0 +1,134 @@
+/**
+ * Invoice Lifecycle
+ * The invoice status state machine: which status changes are allowed, and which of them
+ * an admin may make by hand. Payment statuses (partially_paid, paid, credited) only follow
+ * from recorded payments and credit notes (see Payment.settle); sent and partially paid invoices
+ * become overdue automatically once their due date has passed (see the reminder scheduler).
+ */
+
+const STATUSES = ['pending', 'validated', 'sent', 'overdue', 'partially_paid', 'paid', 'credited', 'cancelled'];
+
+// Statuses derived from an invoice's payments and credit notes
+const SETTLED_STATUSES = ['partially_paid', 'paid', 'credited'];
+
+// Statuses of invoices that have been sent to the customer (what the customer portal shows)
+const ISSUED_STATUSES = ['sent', 'overdue', 'partially_paid', 'paid', 'credited'];
+
+// Statuses an admin can set through the API
+const MANUAL_STATUSES = ['pending', 'validated', 'sent', 'overdue', 'cancelled'];
+
+// Issued invoices are never cancelled; they are corrected with a credit note
+const TRANSITIONS = {
+    pending: ['validated', 'sent', 'partially_paid', 'paid', 'credited', 'cancelled'],
+    validated: ['pending', 'sent', 'partially_paid', 'paid', 'credited', 'cancelled'],
+    sent: ['overdue', 'partially_paid', 'paid', 'credited'],
+    overdue: ['partially_paid', 'paid', 'credited'],
+    // Back to sent or overdue when a payment no longer counts towards the invoice
+    partially_paid: ['sent', 'overdue', 'paid', 'credited'],
+    paid: ['sent', 'overdue', 'partially_paid', 'credited'],
+    credited: [],
+    cancelled: []
+};
+
+class InvoiceLifecycle {
+    getStatuses() {
+        return STATUSES;
+    }
+
+    getIssuedStatuses() {
+        return ISSUED_STATUSES;
+    }
+
+    /**
+     * Whether the invoice has been issued to the customer (drafts and cancelled invoices have not)
+     */
+    isIssued(invoice) {
+        return ISSUED_STATUSES.includes(invoice.status);
+    }
+
+    canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Statuses an admin can move an invoice to from its current status
+     */
+    manualTransitions(from) {
+        return (TRANSITIONS[from] || []).filter(status => MANUAL_STATUSES.includes(status));
+    }
+
+    /**
+     * Statuses an admin can move this invoice to right now
+     */
+    allowedManualChanges(invoice) {
+        return this.manualTransitions(invoice.status)
+            .filter(status => this.validateManualTransition(invoice, status).length === 0);
+    }
+
+    /**
+     * Check a status change requested by an admin
+     * Returns a list of error messages (empty when the change is allowed)
+     */
+    validateManualTransition(invoice, to) {
+        if (!STATUSES.includes(to)) {
+            return [`status must be one of: ${MANUAL_STATUSES.join(', ')}`];
+        }
+        if (invoice.status === to) {
+            return [`Invoice ${invoice.invoice_number} is already ${to}`];
+        }
+        if (SETTLED_STATUSES.includes(to)) {
+            return [`${to} is set by recording payments and credit notes, not by changing the status`];
+        }
+        if (to === 'cancelled' && !['pending', 'validated'].includes(invoice.status)) {
+            return [`Invoice ${invoice.invoice_number} has been issued; issue a credit note instead of cancelling it`];
+        }
+        if (to === 'overdue' && !this.isPastDue(invoice)) {
+            return [`Invoice ${invoice.invoice_number} is not past its due date`];
+        }
+        if (!this.manualTransitions(invoice.status).includes(to)) {
+            return [`Cannot change invoice status from ${invoice.status} to ${to}`];
+        }
+        return [];
+    }
+
+    /**
+     * Whether the due date has passed (the due date itself is not late)
+     */
+    isPastDue(invoice, today = new Date()) {
+        const due = invoice.due_date instanceof Date
+            ? new Date(invoice.due_date.getFullYear(), invoice.due_date.getMonth(), invoice.due_date.getDate())
+            : new Date(`${String(invoice.due_date).slice(0, 10)}T00:00:00`);
+        const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        return day > due;
+    }
+
+    /**
+     * Status an invoice should have after its amount paid or credited changed
+     * `payable` is the total less credit notes and any early-payment discount earned;
+     * cancelled invoices keep their status
+     */
+    settledStatus(invoice, amountPaid, today = new Date()) {
+        const payable = parseFloat(invoice.total_amount) - parseFloat(invoice.credited_amount) -
+            parseFloat(invoice.discount_taken || 0);
+
+        if (invoice.status === 'cancelled') {
+            return invoice.status;
+        }
+        if (payable <= 0) {
+            return 'credited';
+        }
+        if (payable - amountPaid <= 0) {
+            return 'paid';
+        }
+        if (amountPaid > 0) {
+            return 'partially_paid';
+        }
+        if (['paid', 'partially_paid'].includes(invoice.status)) {
+            return this.isPastDue(invoice, today) ? 'overdue' : 'sent';
+        }
+        return invoice.status;
+    }
+}
+
+// Export singleton instance
+export default new InvoiceLifecycle();
@@ -0,0 +1,91 @@
+/**
+ * Invoice Numbering
+ * Formats sequential document numbers from a numbering series and its reset rules
+ */
+
+const RESET_PERIODS = ['never', 'yearly', 'monthly'];
+const DOCUMENT_TYPES = ['invoice', 'credit_note'];
+
+class InvoiceNumbering {
+    /**
+     * Split an issue date ('YYYY-MM-DD' string or Date) into year and month strings
+     */
+    dateParts(issueDate = new Date()) {
+        if (issueDate instanceof Date) {
+            return {
+                year: String(issueDate.getFullYear()),
+                month: String(issueDate.getMonth() + 1).padStart(2, '0')
+            };
+        }
+
+        const [year, month] = String(issueDate).slice(0, 10).split('-');
+        return { year, month };
+    }
+
+    /**
+     * Counter bucket for an issue date: numbering restarts at 1 in each new bucket
+     */
+    periodKey(series, issueDate) {
+        const { year, month } = this.dateParts(issueDate);
+
+        switch (series.reset_period) {
+            case 'monthly':
+                return `${year}-${month}`;
+            case 'yearly':
+                return year;
+            default:
+                return 'all';
+        }
+    }
+
+    /**
+     * Build the document number, e.g. prefix 'INV-{YYYY}-' and padding 5 -> INV-2024-00042
+     * Supported prefix tokens: {YYYY}, {YY}, {MM}
+     */
+    formatNumber(series, sequence, issueDate) {
+        const { year, month } = this.dateParts(issueDate);
+        const prefix = (series.prefix || '')
+            .replace(/\{YYYY\}/g, year)
+            .replace(/\{YY\}/g, year.slice(2))
+            .replace(/\{MM\}/g, month);
+
+        return `${prefix}${String(sequence).padStart(parseInt(series.padding) || 1, '0')}`;
+    }
+
+    /**
+     * Check a numbering series definition
+     * A series that restarts must put the period in its prefix, or numbers would repeat
+     */
+    validateSeries(series) {
+        const errors = [];
+        const prefix = series.prefix || '';
+        const hasYear = /\{YYYY\}|\{YY\}/.test(prefix);
+
+        if (!series.code) {
+            errors.push('code is required');
+        }
+        if (!series.name) {
+            errors.push('name is required');
+        }
+        if (series.document_type !== undefined && !DOCUMENT_TYPES.includes(series.document_type)) {
+            errors.push(`document_type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+        }
+        if (series.reset_period !== undefined && !RESET_PERIODS.includes(series.reset_period)) {
+            errors.push(`reset_period must be one of: ${RESET_PERIODS.join(', ')}`);
+        }
+        if (series.padding !== undefined && !(parseInt(series.padding) >= 1 && parseInt(series.padding) <= 12)) {
+            errors.push('padding must be between 1 and 12');
+        }
+        if ((series.reset_period || 'yearly') === 'yearly' && !hasYear) {
+            errors.push('prefix must contain {YYYY} or {YY} for a series that resets yearly');
+        }
+        if (series.reset_period === 'monthly' && !(hasYear && prefix.includes('{MM}'))) {
+            errors.push('prefix must contain a year token and {MM} for a series that resets monthly');
+        }
+
+        return errors;
+    }
+}
+
+// Export singleton instance
+export default new InvoiceNumbering();
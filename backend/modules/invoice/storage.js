@@ -1,6 +1,6 @@
 import { v2 as cloudinary } from 'cloudinary';
-import { Invoice } from '../../../database/models.js';
-import { logInfo, logError } from '../../audit/logger.js';
+import { Invoice, CreditNote } from '../../database/models.js';
+import { logInfo, logError } from '../audit/logger.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -20,10 +20,11 @@ cloudinary.config({
 class InvoiceStorage {
     /**
      * Upload PDF buffer to Cloudinary
+     * documentType 'credit_note' stores the file with the credit notes instead of the invoices
      */
-    async uploadPDF(pdfBuffer, invoiceNumber) {
+    async uploadPDF(pdfBuffer, invoiceNumber, documentType = 'invoice') {
         try {
-            logInfo('Uploading PDF to Cloudinary', { invoice_number: invoiceNumber });
+            logInfo('Uploading PDF to Cloudinary', { invoice_number: invoiceNumber, document_type: documentType });
 
             // Convert buffer to base64
             const base64PDF = pdfBuffer.toString('base64');
@@ -31,11 +32,11 @@ class InvoiceStorage {
 
             // Upload to Cloudinary
             const result = await cloudinary.uploader.upload(dataURI, {
-                folder: 'billeragi/invoices',
-                public_id: `invoice_${invoiceNumber}_${Date.now()}`,
+                folder: documentType === 'credit_note' ? 'billeragi/credit-notes' : 'billeragi/invoices',
+                public_id: `${documentType}_${invoiceNumber}_${Date.now()}`,
                 resource_type: 'raw',
                 format: 'pdf',
-                tags: ['invoice', invoiceNumber]
+                tags: [documentType, invoiceNumber]
             });
 
             logInfo('PDF uploaded successfully', {
@@ -121,6 +122,31 @@ class InvoiceStorage {
         }
     }
 
+    /**
+     * Upload and update credit note record
+     */
+    async uploadAndUpdateCreditNote(creditNoteId, pdfBuffer, creditNoteNumber) {
+        try {
+            const uploadResult = await this.uploadPDF(pdfBuffer, creditNoteNumber, 'credit_note');
+
+            await CreditNote.updatePdfInfo(
+                creditNoteId,
+                uploadResult.url,
+                uploadResult.public_id
+            );
+
+            logInfo('Credit note PDF info updated', {
+                credit_note_id: creditNoteId,
+                pdf_url: uploadResult.url
+            });
+
+            return uploadResult;
+        } catch (error) {
+            logError('Failed to upload and update credit note', error, { credit_note_id: creditNoteId });
+            throw error;
+        }
+    }
+
     /**
      * Get all invoices from Cloudinary folder
      */
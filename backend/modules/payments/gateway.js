@@ -0,0 +1,68 @@
+import stripeProvider from './providers/stripe.js';
+import paymentSimulator from './providers/simulator.js';
+import { logWarning } from '../audit/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Payment Gateway
+ * Registry of payment providers that take payments and report them by webhook.
+ * A provider exposes:
+ * - name
+ * - isConfigured(): whether it has a webhook secret
+ * - createCheckout(invoice, { successUrl, cancelUrl }): { session_id, checkout_url } to pay the balance due
+ * - verifySignature(rawBody, headers): true when the request was signed by the provider
+ * - parseEvent(body): { event_id, type, transaction_id, reference, amount, currency, paid_at, payment_method },
+ *   or null for events that do not record a payment
+ */
+
+class PaymentGateway {
+    constructor() {
+        this.providers = new Map();
+        this.defaultProvider = process.env.PAYMENT_PROVIDER || 'stripe';
+
+        this.register(stripeProvider);
+        if (paymentSimulator.isEnabled()) {
+            this.register(paymentSimulator);
+        } else if (process.env.PAYMENT_SIMULATOR_ENABLED === 'true') {
+            logWarning('Payment simulator not enabled: it needs PAYMENT_SIMULATOR_SECRET and never runs in production');
+        }
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    getProvider(name = this.defaultProvider) {
+        return this.providers.get(name) || null;
+    }
+
+    getProviderNames() {
+        return [...this.providers.keys()];
+    }
+
+    /**
+     * Provider used for hosted invoice payments
+     */
+    getCheckoutProvider() {
+        return this.getProvider(this.defaultProvider);
+    }
+
+    /**
+     * Verify a webhook request and normalise its event
+     * Throws an error with code WEBHOOK_SIGNATURE_INVALID when the signature does not check out
+     */
+    parseWebhook(provider, rawBody, headers, body) {
+        if (!provider.verifySignature(rawBody, headers)) {
+            const error = new Error(`Invalid ${provider.name} webhook signature`);
+            error.code = 'WEBHOOK_SIGNATURE_INVALID';
+            throw error;
+        }
+
+        return provider.parseEvent(body);
+    }
+}
+
+// Export singleton instance
+export default new PaymentGateway();
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import { PaymentLink, Invoice } from '../../database/models.js';
+import { logInfo } from '../audit/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Payment Link Manager
+ * Issues unguessable, expiring links to the public "pay this invoice" page.
+ * Tokens are 32 random bytes; only their SHA-256 hash is stored, so a database leak exposes no links.
+ */
+
+class PaymentLinkManager {
+    constructor() {
+        this.ttlDays = parseInt(process.env.PAYMENT_LINK_TTL_DAYS || '30');
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    buildUrl(token) {
+        return `${this.frontendUrl}/pay/${token}`;
+    }
+
+    /**
+     * Create a link for an invoice
+     * Returns { url, token, expires_at }; the token cannot be recovered later
+     */
+    async createLink(invoiceId, createdBy = null) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.ttlDays * 24 * 60 * 60 * 1000);
+
+        const link = await PaymentLink.create({
+            invoice_id: invoiceId,
+            token_hash: this.hashToken(token),
+            expires_at: expiresAt,
+            created_by: createdBy
+        });
+
+        logInfo('Payment link created', { invoice_id: invoiceId, link_id: link.id, expires_at: link.expires_at });
+
+        return {
+            id: link.id,
+            url: this.buildUrl(token),
+            token,
+            expires_at: link.expires_at
+        };
+    }
+
+    /**
+     * Look up the invoice behind a token
+     * Returns { link, invoice } or null when the link is unknown, expired or revoked
+     */
+    async resolve(token) {
+        if (!token || token.length < 32) {
+            return null;
+        }
+
+        const link = await PaymentLink.findActiveByTokenHash(this.hashToken(token));
+        if (!link) {
+            return null;
+        }
+
+        const invoice = await Invoice.findById(link.invoice_id);
+        return invoice ? { link, invoice } : null;
+    }
+
+    /**
+     * Whether the customer can still pay the invoice online
+     */
+    isPayable(invoice) {
+        return parseFloat(invoice.balance_due) > 0 && !['cancelled', 'credited', 'paid'].includes(invoice.status);
+    }
+}
+
+// Export singleton instance
+export default new PaymentLinkManager();
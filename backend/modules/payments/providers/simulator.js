@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { StripeProvider } from './stripe.js';
+import currencyManager from '../../billing/currency.js';
+import { logError } from '../../audit/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Payment Simulator
+ * A local stand-in for Stripe: it builds and signs Stripe-shaped events with its own secret,
+ * so the whole webhook flow (signature, matching, recording, duplicates) can be tried offline.
+ * Its checkout "pays" at once by delivering a signed event to this server's webhook endpoint.
+ * Anyone holding its secret can mark invoices paid, so it is only enabled with
+ * PAYMENT_SIMULATOR_ENABLED=true and a PAYMENT_SIMULATOR_SECRET, and never in production.
+ */
+
+class PaymentSimulator extends StripeProvider {
+    constructor() {
+        super('simulator', process.env.PAYMENT_SIMULATOR_SECRET);
+    }
+
+    isEnabled() {
+        return process.env.PAYMENT_SIMULATOR_ENABLED === 'true'
+            && process.env.NODE_ENV !== 'production'
+            && this.isConfigured();
+    }
+
+    /**
+     * Build a `payment_intent.succeeded` event paying an invoice
+     * `amount` is in major units (10.50); reuse a transaction_id to simulate a redelivery
+     */
+    buildEvent({ reference, amount, currency = currencyManager.baseCurrency, transaction_id }) {
+        const created = Math.floor(Date.now() / 1000);
+        const code = currency.toUpperCase();
+
+        return {
+            id: `evt_sim_${crypto.randomBytes(12).toString('hex')}`,
+            object: 'event',
+            type: 'payment_intent.succeeded',
+            created,
+            data: {
+                object: {
+                    id: transaction_id || `pi_sim_${crypto.randomBytes(12).toString('hex')}`,
+                    object: 'payment_intent',
+                    amount: this.toMinorUnits(amount, code),
+                    amount_received: this.toMinorUnits(amount, code),
+                    currency: code.toLowerCase(),
+                    created,
+                    payment_method_types: ['card'],
+                    metadata: { invoice_number: reference }
+                }
+            }
+        };
+    }
+
+    /**
+     * Serialise and sign an event the way the webhook endpoint expects it
+     */
+    signedRequest(event) {
+        const body = JSON.stringify(event);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        return {
+            body,
+            headers: {
+                'content-type': 'application/json',
+                'stripe-signature': `t=${timestamp},v1=${this.computeSignature(body, timestamp)}`
+            }
+        };
+    }
+
+    /**
+     * Post a signed event to the webhook endpoint of the running server
+     * Returns { status, body }
+     */
+    async deliver(event) {
+        const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+        const { body, headers } = this.signedRequest(event);
+
+        const response = await fetch(`${baseUrl}/api/webhooks/payments/${this.name}`, {
+            method: 'POST',
+            headers,
+            body
+        });
+
+        return { status: response.status, body: await response.json() };
+    }
+
+    /**
+     * Simulated checkout: the balance is paid straight away and the customer returns to the success page
+     */
+    async createCheckout(invoice, { successUrl }) {
+        const event = this.buildEvent({
+            reference: invoice.invoice_number,
+            amount: invoice.balance_due,
+            currency: invoice.currency
+        });
+
+        // Deliver after responding, as a real provider would
+        setTimeout(() => {
+            this.deliver(event).catch(error => logError('Simulated payment delivery failed', error, {
+                invoice_id: invoice.id
+            }));
+        }, 500);
+
+        return { session_id: event.data.object.id, checkout_url: successUrl };
+    }
+}
+
+// Export singleton instance
+export default new PaymentSimulator();
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import currencyManager from '../../billing/currency.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Stripe Provider
+ * Starts hosted Checkout sessions for invoice balances, verifies `Stripe-Signature` headers
+ * (HMAC-SHA256 of "<timestamp>.<raw body>") and turns `payment_intent.succeeded` events into gateway payment events.
+ * The invoice is referenced by `metadata.invoice_number` (or `metadata.invoice_id`) on the payment intent.
+ */
+
+// Stripe rejects events signed more than five minutes ago
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export class StripeProvider {
+    constructor(name = 'stripe', secret = process.env.STRIPE_WEBHOOK_SECRET) {
+        this.name = name;
+        this.secret = secret;
+        this.apiKey = process.env.STRIPE_SECRET_KEY;
+        this.toleranceSeconds = DEFAULT_TOLERANCE_SECONDS;
+    }
+
+    isConfigured() {
+        return Boolean(this.secret);
+    }
+
+    /**
+     * Amount in the currency's smallest unit, as Stripe expects it
+     */
+    toMinorUnits(amount, currency) {
+        return Math.round(parseFloat(amount) * (10 ** currencyManager.getMinorUnits(currency)));
+    }
+
+    /**
+     * Start a hosted Checkout session for the invoice's balance due
+     * Returns { session_id, checkout_url }
+     */
+    async createCheckout(invoice, { successUrl, cancelUrl }) {
+        if (!this.apiKey) {
+            throw new Error('STRIPE_SECRET_KEY is not configured');
+        }
+
+        const params = new URLSearchParams({
+            mode: 'payment',
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            client_reference_id: invoice.id,
+            customer_email: invoice.customer_email,
+            'line_items[0][quantity]': '1',
+            'line_items[0][price_data][currency]': invoice.currency.toLowerCase(),
+            'line_items[0][price_data][unit_amount]': String(this.toMinorUnits(invoice.balance_due, invoice.currency)),
+            'line_items[0][price_data][product_data][name]': `Invoice ${invoice.invoice_number}`,
+            'payment_intent_data[metadata][invoice_number]': invoice.invoice_number,
+            'payment_intent_data[metadata][invoice_id]': invoice.id
+        });
+
+        const response = await fetch('https://api.stripe.com/v1/checkout/sessions', {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params
+        });
+        const session = await response.json();
+
+        if (!response.ok) {
+            throw new Error(`Stripe checkout failed: ${session.error?.message || response.status}`);
+        }
+
+        return { session_id: session.id, checkout_url: session.url };
+    }
+
+    /**
+     * Signature for a payload at a timestamp (seconds)
+     */
+    computeSignature(payload, timestamp) {
+        return crypto
+            .createHmac('sha256', this.secret)
+            .update(`${timestamp}.${payload}`, 'utf8')
+            .digest('hex');
+    }
+
+    /**
+     * Check the signature header against the raw request body
+     * The header looks like `t=1700000000,v1=<hex>[,v1=<hex>]`
+     */
+    verifySignature(rawBody, headers) {
+        const header = headers['stripe-signature'];
+        if (!this.isConfigured() || !header || !rawBody) {
+            return false;
+        }
+
+        const parts = header.split(',').map(part => part.split('='));
+        const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1]);
+        const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+        if (!timestamp || signatures.length === 0) {
+            return false;
+        }
+        if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > this.toleranceSeconds) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.computeSignature(rawBody.toString('utf8'), timestamp), 'hex');
+        return signatures.some(signature => {
+            const received = Buffer.from(signature, 'hex');
+            return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+        });
+    }
+
+    /**
+     * Normalise an event; returns null for event types that do not record a payment
+     * Amounts arrive in the currency's smallest unit (cents, or yen for JPY)
+     */
+    parseEvent(event) {
+        if (event?.type !== 'payment_intent.succeeded') {
+            return null;
+        }
+
+        const intent = event.data.object;
+        const currency = String(intent.currency || '').toUpperCase();
+        const minorAmount = intent.amount_received ?? intent.amount;
+
+        return {
+            event_id: event.id,
+            type: event.type,
+            transaction_id: intent.id,
+            reference: intent.metadata?.invoice_number || intent.metadata?.invoice_id || null,
+            amount: currencyManager.round(minorAmount / (10 ** currencyManager.getMinorUnits(currency)), currency),
+            currency,
+            paid_at: new Date((intent.created || event.created) * 1000).toISOString().split('T')[0],
+            payment_method: intent.payment_method_types?.[0] || 'card'
+        };
+    }
+}
+
+// Export singleton instance
+export default new StripeProvider();
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import { Customer, PortalUser, PortalLoginToken } from '../../database/models.js';
+import { PORTAL_AUDIENCE } from '../../middleware/auth.js';
+import { logInfo } from '../audit/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Customer Portal Authentication
+ * Customers sign in with a one-time magic link sent to their email, or with a password once
+ * they have set one. Sessions are JWTs with the portal audience, so they never work on admin routes.
+ * Magic link tokens are 32 random bytes; only their SHA-256 hash is stored.
+ */
+
+const MIN_PASSWORD_LENGTH = 10;
+
+class PortalAuth {
+    constructor() {
+        this.magicLinkTtlMinutes = parseInt(process.env.PORTAL_MAGIC_LINK_TTL_MINUTES || '15');
+        this.tokenExpiresIn = process.env.PORTAL_JWT_EXPIRES_IN || '12h';
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    buildUrl(token) {
+        return `${this.frontendUrl}/portal/login?token=${token}`;
+    }
+
+    /**
+     * Portal user for an email address
+     * A customer's account or billing email gets a portal user on first use,
+     * so every active customer can sign in without being set up first
+     */
+    async findOrProvisionUser(email) {
+        const existing = await PortalUser.findByEmailForLogin(email);
+        if (existing) {
+            return existing;
+        }
+
+        const customer = await Customer.findActiveByAnyEmail(email);
+        if (!customer) {
+            return null;
+        }
+
+        const user = await PortalUser.create({
+            customer_id: customer.id,
+            email,
+            full_name: customer.billing_email && customer.billing_email.toLowerCase() === email.toLowerCase()
+                ? customer.billing_contact_name
+                : customer.name
+        });
+
+        logInfo('Portal user provisioned', { portal_user_id: user.id, customer_id: customer.id });
+        return user;
+    }
+
+    /**
+     * Create a one-time magic link for a portal user
+     * Returns { url, expires_at }; the token cannot be recovered later
+     */
+    async createMagicLink(user) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.magicLinkTtlMinutes * 60 * 1000);
+
+        await PortalLoginToken.create({
+            portal_user_id: user.id,
+            token_hash: this.hashToken(token),
+            expires_at: expiresAt
+        });
+
+        return {
+            url: this.buildUrl(token),
+            expires_at: expiresAt
+        };
+    }
+
+    /**
+     * Use a magic link token
+     * Returns the portal user, or null when the token is unknown, expired or already used
+     */
+    async consumeMagicLink(token) {
+        if (!token || token.length < 32) {
+            return null;
+        }
+
+        const used = await PortalLoginToken.consume(this.hashToken(token));
+        return used ? PortalUser.findById(used.portal_user_id) : null;
+    }
+
+    /**
+     * Check an email and password
+     * Returns the portal user, or null for unknown users, users without a password and wrong passwords
+     */
+    async verifyPassword(email, password) {
+        const user = await PortalUser.findByEmailForLogin(email);
+        if (!user || !user.password_hash) {
+            return null;
+        }
+
+        return (await bcrypt.compare(password, user.password_hash)) ? user : null;
+    }
+
+    validatePassword(password) {
+        const errors = [];
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        return errors;
+    }
+
+    async hashPassword(password) {
+        return bcrypt.hash(password, 10);
+    }
+
+    /**
+     * Sign a portal session token and record the login
+     */
+    async issueToken(user) {
+        await PortalUser.updateLastLogin(user.id);
+
+        return jwt.sign(
+            {
+                id: user.id,
+                customer_id: user.customer_id,
+                email: user.email
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: this.tokenExpiresIn, audience: PORTAL_AUDIENCE }
+        );
+    }
+}
+
+// Export singleton instance
+export default new PortalAuth();
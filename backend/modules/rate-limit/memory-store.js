@@ -0,0 +1,48 @@
+/**
+ * In-memory rate limit store
+ * Fixed-window counters kept in this process. Counts are lost on restart and not shared
+ * between processes; run a shared store (see rate-limiter.js) when the API is scaled out.
+ *
+ * A store implements:
+ *   hit(key, windowSeconds) -> { count, reset_at }  count the request in the key's current window
+ *   reset(key)                                      forget the key's window
+ * Both may return promises.
+ */
+
+class MemoryStore {
+    constructor({ sweepSeconds = 60 } = {}) {
+        this.windows = new Map();
+
+        // Drop finished windows now and then so idle keys do not pile up
+        this.sweeper = setInterval(() => this.sweep(), sweepSeconds * 1000);
+        this.sweeper.unref();
+    }
+
+    hit(key, windowSeconds) {
+        const now = Date.now();
+        let window = this.windows.get(key);
+
+        if (!window || window.reset_at <= now) {
+            window = { count: 0, reset_at: now + windowSeconds * 1000 };
+            this.windows.set(key, window);
+        }
+        window.count += 1;
+
+        return { count: window.count, reset_at: new Date(window.reset_at) };
+    }
+
+    reset(key) {
+        this.windows.delete(key);
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, window] of this.windows) {
+            if (window.reset_at <= now) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+
+export default MemoryStore;
@@ -0,0 +1,87 @@
+import MemoryStore from './memory-store.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Rate Limiter
+ * Counts requests in named buckets, each a number of requests per fixed window:
+ *   ip       every API request, per client IP
+ *   user     per signed-in dashboard or portal user
+ *   api_key  per API key
+ *   login    sign-in, registration and password reset attempts, per IP
+ *   refresh  access token refreshes, per IP
+ *   ai       calls that spend Gemini quota, per user, API key or IP
+ * Each bucket is configured as "<requests>/<seconds>" (e.g. RATE_LIMIT_LOGIN=10/900).
+ * Counts live in memory by default; setStore() plugs in a shared backend such as Redis
+ * (see memory-store.js for the interface).
+ */
+
+const DEFAULT_BUCKETS = {
+    ip: '300/60',
+    user: '300/60',
+    api_key: '600/60',
+    login: '10/900',
+    refresh: '60/300',
+    ai: '10/60'
+};
+
+/**
+ * Parse "<requests>/<seconds>" into { limit, windowSeconds }, or null when malformed
+ */
+const parseBucket = (value) => {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+        return null;
+    }
+    return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+};
+
+class RateLimiter {
+    constructor() {
+        this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+        this.store = new MemoryStore();
+        this.buckets = Object.fromEntries(
+            Object.entries(DEFAULT_BUCKETS).map(([name, fallback]) => [
+                name,
+                parseBucket(process.env[`RATE_LIMIT_${name.toUpperCase()}`]) || parseBucket(fallback)
+            ])
+        );
+    }
+
+    /**
+     * Replace the store, e.g. with a shared one when running several processes
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Count a request from an identity against a bucket
+     * Returns { allowed, limit, remaining, reset_at, retry_after } (retry_after in seconds)
+     */
+    async consume(bucketName, identity) {
+        const bucket = this.buckets[bucketName];
+        if (!bucket) {
+            throw new Error(`Unknown rate limit bucket: ${bucketName}`);
+        }
+
+        const { count, reset_at } = await this.store.hit(`${bucketName}:${identity}`, bucket.windowSeconds);
+        const retryAfter = Math.max(1, Math.ceil((new Date(reset_at).getTime() - Date.now()) / 1000));
+
+        return {
+            allowed: count <= bucket.limit,
+            limit: bucket.limit,
+            remaining: Math.max(0, bucket.limit - count),
+            reset_at,
+            retry_after: retryAfter
+        };
+    }
+
+    reset(bucketName, identity) {
+        return this.store.reset(`${bucketName}:${identity}`);
+    }
+}
+
+// Export singleton instance
+export default new RateLimiter();
@@ -0,0 +1,390 @@
+import crypto from 'crypto';
+import { BankStatement, BankStatementLine, Invoice, Payment } from '../../database/models.js';
+import statementParser from './statement-parser.js';
+import currencyManager from '../billing/currency.js';
+import reconciliationAdvisor from '../ai/reconciliation/advisor.js';
+import auditManager from '../audit/audit-manager.js';
+import { logInfo, logError } from '../audit/logger.js';
+
+/**
+ * Reconciliation Engine
+ * Matches incoming bank transactions to open invoices and records the payments.
+ * Each open invoice in the line's currency is scored on:
+ * - its invoice number appearing in the payment reference
+ * - the amount equalling its balance due (or total)
+ * - the payer name matching the customer name
+ * A line is matched automatically only when the best invoice scores AUTO_MATCH_SCORE and leads the
+ * runner-up by MIN_MARGIN; otherwise its candidates go to the review queue.
+ */
+
+const SCORES = {
+    invoiceNumber: 60,
+    amountBalance: 30,
+    amountTotal: 20,
+    partPayment: 5,
+    nameFull: 20,
+    namePartial: 10
+};
+const AUTO_MATCH_SCORE = 80;
+const MIN_MARGIN = 20;
+const MIN_CANDIDATE_SCORE = 20;
+const MAX_CANDIDATES = 5;
+const MAX_AI_CANDIDATES = 15;
+
+// Words that say nothing about who a company is
+const NAME_NOISE = new Set([
+    'the', 'and', 'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'plc', 'corp', 'corporation', 'co', 'company',
+    'gmbh', 'ag', 'kg', 'sa', 'sarl', 'sas', 'bv', 'nv', 'srl', 'spa', 'oy', 'ab', 'as', 'pty', 'mr', 'mrs', 'ms'
+]);
+
+class ReconciliationEngine {
+    rejected(details) {
+        const error = new Error(`Cannot reconcile line: ${details.join('; ')}`);
+        error.code = 'RECONCILIATION_INVALID';
+        error.details = details;
+        return error;
+    }
+
+    nameTokens(name) {
+        return new Set(
+            String(name || '')
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .split(/[^a-z0-9]+/)
+                .filter(token => token && !NAME_NOISE.has(token))
+        );
+    }
+
+    /**
+     * Share of the customer's name words found in the payer name (0-1)
+     */
+    nameSimilarity(payerName, customerName) {
+        const payer = this.nameTokens(payerName);
+        const customer = this.nameTokens(customerName);
+        if (payer.size === 0 || customer.size === 0) {
+            return 0;
+        }
+        const shared = [...customer].filter(token => payer.has(token)).length;
+        return shared / customer.size;
+    }
+
+    /**
+     * Whether the reference contains the invoice number (separators optional) or the invoice ID
+     */
+    referencesInvoice(reference, invoice) {
+        if (!reference) {
+            return false;
+        }
+        if (reference.toLowerCase().includes(invoice.id)) {
+            return true;
+        }
+
+        const parts = invoice.invoice_number.match(/[A-Za-z0-9]+/g) || [];
+        if (parts.length === 0) {
+            return false;
+        }
+        const pattern = new RegExp(`(?<![A-Za-z0-9])${parts.join('[\\s\\-_/.]*')}(?![0-9])`, 'i');
+        return pattern.test(reference);
+    }
+
+    /**
+     * Score one open invoice against a bank line
+     */
+    scoreInvoice(line, invoice) {
+        const reasons = [];
+        let score = 0;
+
+        if (this.referencesInvoice(line.reference, invoice)) {
+            score += SCORES.invoiceNumber;
+            reasons.push('invoice number in reference');
+        }
+
+        const amount = currencyManager.round(parseFloat(line.amount), line.currency);
+        const balanceDue = currencyManager.round(parseFloat(invoice.balance_due), invoice.currency);
+        const total = currencyManager.round(parseFloat(invoice.total_amount), invoice.currency);
+        if (amount === balanceDue) {
+            score += SCORES.amountBalance;
+            reasons.push('amount equals balance due');
+        } else if (amount === total) {
+            score += SCORES.amountTotal;
+            reasons.push('amount equals invoice total');
+        } else if (amount < balanceDue) {
+            score += SCORES.partPayment;
+            reasons.push('amount is a part payment');
+        }
+
+        const similarity = this.nameSimilarity(line.counterparty_name, invoice.customer_name);
+        if (similarity === 1) {
+            score += SCORES.nameFull;
+            reasons.push('payer name matches customer');
+        } else if (similarity >= 0.5) {
+            score += SCORES.namePartial;
+            reasons.push('payer name resembles customer');
+        }
+
+        return { score, reasons };
+    }
+
+    /**
+     * Rank open invoices for a line and decide whether the best one is certain enough
+     * Returns { status: 'matched' | 'review' | 'unmatched', invoice, score, reasons, candidates }
+     */
+    match(line, openInvoices) {
+        const ranked = openInvoices
+            .filter(invoice => invoice.currency === line.currency && parseFloat(invoice.balance_due) > 0)
+            .map(invoice => ({ invoice, ...this.scoreInvoice(line, invoice) }))
+            .filter(result => result.score >= MIN_CANDIDATE_SCORE)
+            .sort((a, b) => b.score - a.score);
+
+        const candidates = ranked.slice(0, MAX_CANDIDATES).map(({ invoice, score, reasons }) => ({
+            invoice_id: invoice.id,
+            invoice_number: invoice.invoice_number,
+            customer_name: invoice.customer_name,
+            balance_due: invoice.balance_due,
+            currency: invoice.currency,
+            score,
+            reasons
+        }));
+
+        if (ranked.length === 0) {
+            return { status: 'unmatched', invoice: null, score: 0, reasons: ['no open invoice fits'], candidates };
+        }
+
+        const [best, runnerUp] = ranked;
+        const confident = best.score >= AUTO_MATCH_SCORE && (!runnerUp || best.score - runnerUp.score >= MIN_MARGIN);
+
+        return {
+            status: confident ? 'matched' : 'review',
+            invoice: best.invoice,
+            score: best.score,
+            reasons: best.reasons,
+            candidates
+        };
+    }
+
+    /**
+     * Record the payment for a line
+     * A bank transaction is recorded once: when its transaction key already has a payment, that payment is returned
+     */
+    async recordPayment(line, invoiceId, createdBy, matchedBy) {
+        let payment;
+        try {
+            payment = await Payment.create({
+                invoice_id: invoiceId,
+                payment_date: line.booking_date,
+                amount: line.amount,
+                payment_method: 'bank_transfer',
+                transaction_id: line.transaction_key,
+                notes: `Bank statement line ${line.line_number}${line.reference ? `: ${line.reference}` : ''}`.slice(0, 500),
+                created_by: createdBy
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                return { payment: await Payment.findByTransactionId(line.transaction_key), duplicate: true };
+            }
+            throw error;
+        }
+
+        if (!payment) {
+            return { payment: null, duplicate: false };
+        }
+
+        // Log action
+        await auditManager.logPaymentReceived(payment.id, invoiceId, payment.amount, {
+            currency: line.currency,
+            payment_method: 'bank_transfer',
+            source: 'bank_statement',
+            statement_id: line.statement_id,
+            line_id: line.id,
+            matched_by: matchedBy,
+            unapplied_amount: payment.unapplied_amount,
+            invoice_status: payment.invoice.status
+        });
+
+        return { payment, duplicate: false };
+    }
+
+    /**
+     * Reconcile one stored line against the open invoices
+     * openInvoices is updated in place so later lines see the reduced balances
+     */
+    async reconcileLine(line, openInvoices, importedBy) {
+        if (!(parseFloat(line.amount) > 0)) {
+            return BankStatementLine.updateOutcome(line.id, { status: 'ignored', match_reasons: ['outgoing payment'] });
+        }
+
+        const existing = await Payment.findByTransactionId(line.transaction_key);
+        if (existing) {
+            return BankStatementLine.updateOutcome(line.id, {
+                status: 'matched',
+                invoice_id: existing.invoice_id,
+                payment_id: existing.id,
+                match_reasons: ['payment already recorded for this transaction']
+            });
+        }
+
+        const result = this.match(line, openInvoices);
+        if (result.status !== 'matched') {
+            return BankStatementLine.updateOutcome(line.id, {
+                status: result.status,
+                match_score: result.score,
+                match_reasons: result.reasons,
+                candidates: result.candidates
+            });
+        }
+
+        const { payment } = await this.recordPayment(line, result.invoice.id, importedBy, 'auto');
+        if (payment?.invoice) {
+            result.invoice.balance_due = payment.invoice.balance_due;
+        }
+
+        return BankStatementLine.updateOutcome(line.id, {
+            status: payment ? 'matched' : 'unmatched',
+            invoice_id: payment?.invoice_id,
+            payment_id: payment?.id,
+            match_score: result.score,
+            match_reasons: result.reasons,
+            candidates: result.candidates
+        });
+    }
+
+    /**
+     * Import a statement file and reconcile its lines
+     * Lines that fail to reconcile are left for review. Throws STATEMENT_INVALID for unreadable files and the unique violation (23505) for a file imported before
+     */
+    async importStatement({ content, format, filename, currency, account, importedBy }) {
+        const parsed = statementParser.parse(content, format || statementParser.detectFormat(content, filename), currency, account);
+
+        const statement = await BankStatement.create({
+            ...parsed,
+            filename,
+            file_hash: crypto.createHash('sha256').update(content).digest('hex'),
+            imported_by: importedBy
+        });
+
+        // The statement is already stored, so a line that cannot be reconciled (e.g. its invoice was
+        // cancelled meanwhile) goes to the review queue instead of failing the rest of the import
+        const openInvoices = await Invoice.findOpen();
+        const lines = [];
+        for (const line of statement.lines) {
+            try {
+                lines.push(await this.reconcileLine(line, openInvoices, importedBy));
+            } catch (error) {
+                logError('Failed to reconcile statement line', error, { statement_id: statement.id, line_id: line.id });
+                lines.push(await BankStatementLine.updateOutcome(line.id, {
+                    status: 'review',
+                    match_reasons: [`automatic matching failed: ${error.code === 'PAYMENT_INVALID' ? error.message : 'unexpected error'}`]
+                }));
+            }
+        }
+
+        const summary = await BankStatement.refreshCounts(statement.id);
+        logInfo('Bank statement reconciled', {
+            statement_id: statement.id,
+            format: parsed.format,
+            lines: lines.length,
+            matched: summary.matched_count,
+            review: summary.review_count
+        });
+
+        return { statement: summary, lines };
+    }
+
+    /**
+     * Match a line to an invoice chosen by a reviewer and record the payment
+     * Returns null when the line or invoice does not exist; throws RECONCILIATION_INVALID otherwise
+     */
+    async confirmMatch(lineId, invoiceId, reviewedBy) {
+        const line = await BankStatementLine.findById(lineId);
+        const invoice = line ? await Invoice.findById(invoiceId) : null;
+        if (!line || !invoice) {
+            return null;
+        }
+
+        const errors = [];
+        if (!['review', 'unmatched'].includes(line.status)) {
+            errors.push(`line is ${line.status}`);
+        }
+        if (!(parseFloat(line.amount) > 0)) {
+            errors.push('only incoming payments can be matched');
+        }
+        if (invoice.currency !== line.currency) {
+            errors.push(`invoice is in ${invoice.currency} but the payment is in ${line.currency}`);
+        }
+        if (errors.length > 0) {
+            throw this.rejected(errors);
+        }
+
+        const { score, reasons } = this.scoreInvoice(line, invoice);
+        const { payment, duplicate } = await this.recordPayment(line, invoice.id, reviewedBy, 'reviewer');
+
+        const updated = await BankStatementLine.updateOutcome(line.id, {
+            status: 'matched',
+            invoice_id: payment.invoice_id,
+            payment_id: payment.id,
+            match_score: score,
+            match_reasons: duplicate ? ['payment already recorded for this transaction'] : reasons,
+            reviewed_by: reviewedBy
+        });
+        await BankStatement.refreshCounts(line.statement_id);
+
+        return { line: updated, payment, duplicate };
+    }
+
+    /**
+     * Take a line out of the review queue without recording a payment
+     * Returns null when the line does not exist; throws RECONCILIATION_INVALID otherwise
+     */
+    async ignoreLine(lineId, reviewedBy, reason = null) {
+        const line = await BankStatementLine.findById(lineId);
+        if (!line) {
+            return null;
+        }
+        if (!['review', 'unmatched'].includes(line.status)) {
+            throw this.rejected([`line is ${line.status}`]);
+        }
+
+        const updated = await BankStatementLine.updateOutcome(line.id, {
+            status: 'ignored',
+            match_reasons: [reason || 'ignored by reviewer'],
+            reviewed_by: reviewedBy
+        });
+        await BankStatement.refreshCounts(line.statement_id);
+        return updated;
+    }
+
+    /**
+     * Ask the AI advisor which invoice a line pays and store the suggestion on the line
+     * The advisor sees the matcher's candidates, or the open invoices closest in amount when there are none
+     */
+    async suggestMatch(lineId) {
+        const line = await BankStatementLine.findById(lineId);
+        if (!line) {
+            return null;
+        }
+        if (!['review', 'unmatched'].includes(line.status)) {
+            throw this.rejected([`line is ${line.status}`]);
+        }
+
+        const openInvoices = await Invoice.findOpen(line.currency);
+        const candidateIds = new Set((line.candidates || []).map(candidate => candidate.invoice_id));
+        const amount = parseFloat(line.amount);
+        const invoices = candidateIds.size > 0
+            ? openInvoices.filter(invoice => candidateIds.has(invoice.id))
+            : openInvoices
+                .sort((a, b) => Math.abs(parseFloat(a.balance_due) - amount) - Math.abs(parseFloat(b.balance_due) - amount))
+                .slice(0, MAX_AI_CANDIDATES);
+
+        const suggestion = await reconciliationAdvisor.suggestMatch(line, invoices);
+        const updated = await BankStatementLine.setAiSuggestion(line.id, {
+            ...suggestion,
+            suggested_at: new Date().toISOString()
+        });
+
+        return { line: updated, suggestion };
+    }
+}
+
+// Export singleton instance
+export default new ReconciliationEngine();
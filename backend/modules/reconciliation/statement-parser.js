@@ -0,0 +1,391 @@
+import crypto from 'crypto';
+import currencyManager from '../billing/currency.js';
+
+/**
+ * Bank Statement Parser
+ * Reads CAMT.053 (ISO 20022 XML), MT940 (SWIFT), OFX and CSV statements into one line format:
+ * { line_number, booking_date (YYYY-MM-DD), amount (negative for debits), currency,
+ *   reference, counterparty_name, bank_reference, transaction_key }
+ * transaction_key identifies the bank transaction across imports and becomes the payment's transaction_id.
+ */
+
+const FORMATS = ['camt053', 'mt940', 'ofx', 'csv'];
+
+// CSV header names (lowercase) recognised for each field
+const CSV_COLUMNS = {
+    booking_date: ['booking date', 'booking_date', 'date', 'transaction date', 'value date', 'posted date'],
+    amount: ['amount', 'value', 'transaction amount'],
+    credit: ['credit', 'credit amount', 'paid in', 'deposit'],
+    debit: ['debit', 'debit amount', 'paid out', 'withdrawal'],
+    currency: ['currency', 'ccy'],
+    reference: ['reference', 'description', 'details', 'memo', 'remittance information', 'purpose', 'narrative'],
+    counterparty_name: ['counterparty', 'counterparty name', 'name', 'payer', 'from', 'payer name'],
+    // Only columns that name the bank's transaction id: a bare "id" is often just a row number
+    bank_reference: ['bank reference', 'transaction id', 'transaction_id', 'fitid']
+};
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+class StatementParser {
+    getFormats() {
+        return FORMATS;
+    }
+
+    /**
+     * Guess the format from the content (and file extension as a tie-breaker)
+     */
+    detectFormat(content, filename = '') {
+        const head = content.slice(0, 2000);
+
+        if (/<BkToCstmrStmt|camt\.053/i.test(head)) {
+            return 'camt053';
+        }
+        if (/OFXHEADER|<OFX>/i.test(head)) {
+            return 'ofx';
+        }
+        if (/^:20:/m.test(head) && /^:61:/m.test(content)) {
+            return 'mt940';
+        }
+        if (/\.(csv|txt)$/i.test(filename) || head.split('\n')[0].includes(',') || head.split('\n')[0].includes(';')) {
+            return 'csv';
+        }
+        return null;
+    }
+
+    /**
+     * Parse a statement
+     * defaultCurrency and defaultAccount are used when the file does not state them (most CSV exports)
+     * Throws an error with code STATEMENT_INVALID when the file cannot be read
+     */
+    parse(content, format, defaultCurrency = currencyManager.baseCurrency, defaultAccount = null) {
+        const text = String(content || '').replace(/^﻿/, '');
+        const resolvedFormat = format || this.detectFormat(text);
+
+        if (!FORMATS.includes(resolvedFormat)) {
+            throw this.invalid([`format must be one of: ${FORMATS.join(', ')} (could not detect it from the file)`]);
+        }
+
+        const parsers = {
+            camt053: () => this.parseCamt053(text),
+            mt940: () => this.parseMt940(text),
+            ofx: () => this.parseOfx(text),
+            csv: () => this.parseCsv(text)
+        };
+        const statement = parsers[resolvedFormat]();
+        statement.account = statement.account || defaultAccount || null;
+
+        if (statement.lines.length === 0) {
+            throw this.invalid(['the statement has no transactions']);
+        }
+
+        const currency = (statement.currency || defaultCurrency).toUpperCase();
+        const lines = statement.lines.map((line, index) => {
+            const normalised = {
+                line_number: index + 1,
+                booking_date: line.booking_date,
+                amount: currencyManager.round(line.amount, line.currency || currency),
+                currency: (line.currency || currency).toUpperCase(),
+                reference: (line.reference || '').replace(/\s+/g, ' ').trim() || null,
+                counterparty_name: (line.counterparty_name || '').replace(/\s+/g, ' ').trim() || null,
+                bank_reference: line.bank_reference || null
+            };
+            normalised.transaction_key = this.transactionKey(statement.account, normalised);
+            return normalised;
+        });
+
+        const invalidLines = lines.filter(line => !line.booking_date || Number.isNaN(line.amount));
+        if (invalidLines.length > 0) {
+            throw this.invalid(invalidLines.map(line => `line ${line.line_number}: missing date or amount`));
+        }
+
+        return {
+            format: resolvedFormat,
+            account_identifier: statement.account || null,
+            currency,
+            statement_date: statement.statement_date || lines[lines.length - 1].booking_date,
+            lines
+        };
+    }
+
+    invalid(details) {
+        const error = new Error(`Invalid bank statement: ${details.join('; ')}`);
+        error.code = 'STATEMENT_INVALID';
+        error.details = details;
+        return error;
+    }
+
+    /**
+     * Stable key for a bank transaction: a hash of the account and the bank's own reference when
+     * both are known (banks number transactions per account, e.g. OFX FITIDs), otherwise of the
+     * account, date, amount, references and counterparty
+     */
+    transactionKey(account, line) {
+        const fingerprint = account && line.bank_reference
+            ? ['ref', account, line.bank_reference]
+            : [account, line.booking_date, line.amount, line.currency, line.reference, line.counterparty_name, line.bank_reference];
+        return `bank:${crypto.createHash('sha256').update(fingerprint.join('|')).digest('hex').slice(0, 40)}`;
+    }
+
+    /**
+     * Read an amount written as 1234.56, 1,234.56, 1.234,56 or 1234,56
+     */
+    parseAmount(value) {
+        let text = String(value ?? '').replace(/[^\d,.\-+]/g, '');
+        if (!text) {
+            return NaN;
+        }
+
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+        if (lastComma > lastDot) {
+            text = text.replace(/\./g, '').replace(',', '.');
+        } else {
+            text = text.replace(/,/g, '');
+        }
+        return parseFloat(text);
+    }
+
+    /**
+     * Read a date as YYYY-MM-DD from ISO, YYYYMMDD, YYMMDD or DD.MM.YYYY / DD/MM/YYYY text
+     */
+    parseDate(value) {
+        const text = String(value || '').trim();
+        let match;
+
+        if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+            return `${match[1]}-${match[2]}-${match[3]}`;
+        }
+        if ((match = text.match(/^(\d{4})(\d{2})(\d{2})/))) {
+            return `${match[1]}-${match[2]}-${match[3]}`;
+        }
+        if ((match = text.match(/^(\d{2})[./](\d{2})[./](\d{4})$/))) {
+            return `${match[3]}-${match[2]}-${match[1]}`;
+        }
+        if ((match = text.match(/^(\d{2})(\d{2})(\d{2})$/))) {
+            return `20${match[1]}-${match[2]}-${match[3]}`;
+        }
+        return null;
+    }
+
+    // ==================== CAMT.053 ====================
+
+    xmlBlocks(xml, tag) {
+        const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+        return [...xml.matchAll(pattern)].map(match => match[1]);
+    }
+
+    xmlValue(xml, path) {
+        let scope = xml;
+        for (const tag of path) {
+            const [block] = this.xmlBlocks(scope || '', tag);
+            if (block === undefined) {
+                return null;
+            }
+            scope = block;
+        }
+        return scope.replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]).trim();
+    }
+
+    parseCamt053(xml) {
+        const [statementXml] = this.xmlBlocks(xml, 'Stmt');
+        if (!statementXml) {
+            throw this.invalid(['no <Stmt> element found']);
+        }
+
+        const account = this.xmlValue(statementXml, ['Acct', 'Id', 'IBAN']) || this.xmlValue(statementXml, ['Acct', 'Id', 'Othr', 'Id']);
+        const accountCurrency = this.xmlValue(statementXml, ['Acct', 'Ccy']);
+        const createdAt = this.xmlValue(statementXml, ['CreDtTm']);
+
+        const lines = this.xmlBlocks(statementXml, 'Ntry').map(entry => {
+            const amountMatch = entry.match(/<(?:\w+:)?Amt(?:\s+Ccy="([A-Z]{3})")?[^>]*>([^<]+)</);
+            const isDebit = this.xmlValue(entry, ['CdtDbtInd']) === 'DBIT';
+            const details = this.xmlBlocks(entry, 'TxDtls')[0] || entry;
+            const partyRole = isDebit ? 'Cdtr' : 'Dbtr';
+
+            const unstructured = this.xmlBlocks(details, 'Ustrd').join(' ');
+            const structured = this.xmlValue(details, ['RmtInf', 'Strd', 'CdtrRefInf', 'Ref']);
+            const endToEnd = this.xmlValue(details, ['Refs', 'EndToEndId']);
+
+            return {
+                booking_date: this.parseDate(this.xmlValue(entry, ['BookgDt', 'Dt']) || this.xmlValue(entry, ['BookgDt', 'DtTm'])),
+                amount: (isDebit ? -1 : 1) * this.parseAmount(amountMatch?.[2]),
+                currency: amountMatch?.[1],
+                reference: [structured, unstructured, endToEnd !== 'NOTPROVIDED' ? endToEnd : null].filter(Boolean).join(' '),
+                counterparty_name: this.xmlValue(details, ['RltdPties', partyRole, 'Nm']) ||
+                    this.xmlValue(details, ['RltdPties', partyRole, 'Pty', 'Nm']),
+                bank_reference: this.xmlValue(entry, ['AcctSvcrRef']) || this.xmlValue(details, ['Refs', 'AcctSvcrRef'])
+            };
+        });
+
+        return {
+            account,
+            currency: accountCurrency || lines[0]?.currency,
+            statement_date: this.parseDate(createdAt),
+            lines
+        };
+    }
+
+    // ==================== MT940 ====================
+
+    parseMt940(text) {
+        // Join each field's continuation lines onto the tag line
+        const fields = [];
+        for (const rawLine of text.split(/\r?\n/)) {
+            const tagMatch = rawLine.match(/^:(\d{2}[A-Z]?):(.*)$/);
+            if (tagMatch) {
+                fields.push({ tag: tagMatch[1], value: tagMatch[2] });
+            } else if (fields.length > 0 && rawLine.trim() && !/^-\}?$/.test(rawLine.trim())) {
+                fields[fields.length - 1].value += `\n${rawLine}`;
+            }
+        }
+
+        const account = fields.find(field => field.tag === '25')?.value.trim();
+        const opening = fields.find(field => ['60F', '60M'].includes(field.tag))?.value;
+        const currency = opening?.match(/^[CD]\d{6}([A-Z]{3})/)?.[1];
+        const closing = fields.find(field => ['62F', '62M'].includes(field.tag))?.value;
+
+        const lines = [];
+        fields.forEach((field, index) => {
+            if (field.tag !== '61') {
+                return;
+            }
+
+            // YYMMDD [MMDD] C|D|RC|RD [funds code] amount type+code reference [//bank reference]
+            const match = field.value.split('\n')[0]
+                .match(/^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)[A-Z][A-Z0-9]{3}([^/]*)(?:\/\/(.*))?$/);
+            if (!match) {
+                throw this.invalid([`unreadable :61: line "${field.value.split('\n')[0]}"`]);
+            }
+
+            const isCredit = ['C', 'RD'].includes(match[3]);
+            const info = fields[index + 1]?.tag === '86' ? fields[index + 1].value.replace(/\n/g, '') : '';
+
+            // German-style structured :86: uses ?20-?29 for the purpose and ?32/?33 for the name
+            const subfields = {};
+            for (const part of info.split('?').slice(1)) {
+                const code = part.slice(0, 2);
+                subfields[code] = (subfields[code] || '') + part.slice(2);
+            }
+            const purpose = Object.keys(subfields)
+                .filter(code => code >= '20' && code <= '29')
+                .sort()
+                .map(code => subfields[code])
+                .join('');
+            const name = [subfields['32'], subfields['33']].filter(Boolean).join('');
+
+            lines.push({
+                booking_date: this.parseDate(match[1]),
+                amount: (isCredit ? 1 : -1) * this.parseAmount(match[5]),
+                reference: [match[6] !== 'NONREF' ? match[6] : null, purpose || (name ? null : info)].filter(Boolean).join(' '),
+                counterparty_name: name || null,
+                bank_reference: match[7]?.trim() || null
+            });
+        });
+
+        return {
+            account,
+            currency,
+            statement_date: this.parseDate(closing?.slice(1, 7)),
+            lines
+        };
+    }
+
+    // ==================== OFX ====================
+
+    ofxValue(block, tag) {
+        const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+        return match ? match[1].replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]).trim() : null;
+    }
+
+    parseOfx(text) {
+        const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+
+        const lines = blocks.map(block => ({
+            booking_date: this.parseDate(this.ofxValue(block, 'DTPOSTED')),
+            amount: this.parseAmount(this.ofxValue(block, 'TRNAMT')),
+            reference: [this.ofxValue(block, 'MEMO'), this.ofxValue(block, 'CHECKNUM')].filter(Boolean).join(' '),
+            counterparty_name: this.ofxValue(block, 'NAME') || this.ofxValue(block, 'PAYEE'),
+            bank_reference: this.ofxValue(block, 'FITID')
+        }));
+
+        return {
+            account: this.ofxValue(text, 'ACCTID'),
+            currency: this.ofxValue(text, 'CURDEF'),
+            statement_date: this.parseDate(this.ofxValue(text, 'DTEND') || this.ofxValue(text, 'DTSERVER')),
+            lines
+        };
+    }
+
+    // ==================== CSV ====================
+
+    splitCsvRow(row, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < row.length; i++) {
+            const char = row[i];
+            if (quoted) {
+                if (char === '"' && row[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    parseCsv(text) {
+        const rows = text.split(/\r?\n/).filter(row => row.trim());
+        if (rows.length < 2) {
+            throw this.invalid(['a CSV statement needs a header row and at least one transaction']);
+        }
+
+        const delimiter = (rows[0].match(/;/g) || []).length > (rows[0].match(/,/g) || []).length ? ';' : ',';
+        const header = this.splitCsvRow(rows[0], delimiter).map(name => name.toLowerCase());
+        const column = (field) => header.findIndex(name => CSV_COLUMNS[field].includes(name));
+        const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(field => [field, column(field)]));
+
+        if (columns.booking_date < 0 || (columns.amount < 0 && columns.credit < 0)) {
+            throw this.invalid([
+                `CSV header must include a date column (${CSV_COLUMNS.booking_date.join('/')}) and an amount ` +
+                `(${CSV_COLUMNS.amount.join('/')}) or credit/debit columns`
+            ]);
+        }
+
+        const lines = rows.slice(1).map(row => {
+            const cells = this.splitCsvRow(row, delimiter);
+            const cellValue = (field) => (columns[field] >= 0 ? cells[columns[field]] : null);
+
+            const amount = columns.amount >= 0
+                ? this.parseAmount(cellValue('amount'))
+                : (this.parseAmount(cellValue('credit')) || 0) - (this.parseAmount(cellValue('debit')) || 0);
+
+            return {
+                booking_date: this.parseDate(cellValue('booking_date')),
+                amount,
+                currency: cellValue('currency') || undefined,
+                reference: cellValue('reference'),
+                counterparty_name: cellValue('counterparty_name'),
+                bank_reference: cellValue('bank_reference')
+            };
+        });
+
+        return { account: null, currency: null, statement_date: null, lines };
+    }
+}
+
+// Export singleton instance
+export default new StatementParser();
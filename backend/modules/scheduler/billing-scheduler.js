@@ -1,8 +1,12 @@
 import cron from 'node-cron';
-import { Contract, Invoice } from '../../../database/models.js';
+import { Contract, ContractChange, ContractItem, Invoice, UsagePrice, UsageRecord } from '../../database/models.js';
 import invoiceGenerator from '../invoice/generator.js';
 import invoiceStorage from '../invoice/storage.js';
 import aiValidator from '../ai/validation/validator.js';
+import usageRater from '../usage/rater.js';
+import prorationCalculator from '../billing/proration.js';
+import renewalManager from '../billing/renewal-manager.js';
+import currencyManager from '../billing/currency.js';
 import mailer from '../email/mailer.js';
 import auditManager from '../audit/audit-manager.js';
 import { logInfo, logError } from '../audit/logger.js';
@@ -48,6 +52,9 @@ class BillingScheduler {
         logInfo('Starting billing cycle execution');
 
         try {
+            // Renew or expire contracts that reached their end date before billing them
+            await renewalManager.processRenewals();
+
             // Step 1: Find contracts due for billing
             const dueContracts = await Contract.findDueForBilling();
             logInfo(`Found ${dueContracts.length} contracts due for billing`);
@@ -63,6 +70,7 @@ class BillingScheduler {
                 successful: 0,
                 failed: 0,
                 flagged: 0,
+                skipped: 0,
                 errors: []
             };
 
@@ -87,7 +95,7 @@ class BillingScheduler {
             await auditManager.logAction({
                 action_type: 'BILLING_CYCLE_COMPLETED',
                 entity_type: 'system',
-                description: `Billing cycle completed: ${results.successful} successful, ${results.failed} failed, ${results.flagged} flagged`,
+                description: `Billing cycle completed: ${results.successful} successful, ${results.failed} failed, ${results.flagged} flagged, ${results.skipped} skipped`,
                 metadata: results
             });
 
@@ -104,8 +112,38 @@ class BillingScheduler {
     async processContract(contract, results) {
         logInfo('Processing contract', { contract_id: contract.id, customer: contract.customer_name });
 
-        // Step 1: Calculate invoice amounts
-        const invoiceData = this.calculateInvoiceAmounts(contract);
+        // Step 1: Build invoice lines from the contract's services, metered usage and price changes
+        const period = prorationCalculator.getBillingPeriod(contract);
+        const contractItems = await ContractItem.findByContractId(contract.id);
+        const usage = await this.rateContractUsage(contract);
+        const changes = await ContractChange.findUninvoiced(contract.id);
+        const adjustments = prorationCalculator.buildChangeAdjustments(contract, changes, period);
+
+        const invoiceData = this.calculateInvoiceAmounts(contract, {
+            contractItems,
+            period,
+            usageLineItems: usage.line_items,
+            adjustmentLineItems: adjustments.line_items
+        });
+        invoiceData.usage_record_ids = usage.record_ids;
+        invoiceData.contract_change_ids = adjustments.change_ids;
+
+        if (period.prorated) {
+            logInfo('Billing prorated period', {
+                contract_id: contract.id,
+                reason: period.reason,
+                days: period.days,
+                period_days: period.period_days
+            });
+        }
+
+        // Nothing to charge (e.g. a metered-only contract with no usage this period)
+        if (invoiceData.line_items.length === 0) {
+            logInfo('No billable lines for contract, skipping invoice', { contract_id: contract.id });
+            results.skipped++;
+            await this.advanceBillingDate(contract, period);
+            return;
+        }
 
         // Step 2: Create invoice record
         const invoice = await Invoice.create(invoiceData);
@@ -153,10 +191,14 @@ class BillingScheduler {
         }
 
         // Step 7: Update next billing date
-        const nextBillingDate = this.calculateNextBillingDate(
-            contract.next_billing_date,
-            contract.billing_frequency
-        );
+        await this.advanceBillingDate(contract, period);
+    }
+
+    /**
+     * Move the contract to the end of the period just billed
+     */
+    async advanceBillingDate(contract, period) {
+        const nextBillingDate = period.full_end ? prorationCalculator.formatDate(period.full_end) : null;
         await Contract.updateNextBillingDate(contract.id, nextBillingDate);
         logInfo('Next billing date updated', {
             contract_id: contract.id,
@@ -165,75 +207,114 @@ class BillingScheduler {
     }
 
     /**
-     * Calculate invoice amounts based on contract
+     * Rate unbilled usage recorded before this billing date
+     * Usage is billed in arrears, next to the fixed fee for the coming period
      */
-    calculateInvoiceAmounts(contract) {
-        const subtotal = parseFloat(contract.amount);
-        const taxRate = parseFloat(contract.tax_rate || 0);
-        const discountPercentage = parseFloat(contract.discount_percentage || 0);
+    async rateContractUsage(contract) {
+        const prices = await UsagePrice.findByContractId(contract.id);
+        if (prices.length === 0) {
+            return { line_items: [], record_ids: [] };
+        }
 
-        const taxAmount = (subtotal * taxRate) / 100;
-        const discountAmount = (subtotal * discountPercentage) / 100;
-        const totalAmount = subtotal + taxAmount - discountAmount;
+        const usageTotals = await UsageRecord.findUnbilledTotals(contract.id, contract.next_billing_date);
+        const lineItems = usageRater.rateUsage(prices, usageTotals);
 
-        // Generate invoice number
-        const invoiceNumber = this.generateInvoiceNumber();
+        logInfo('Usage rated for contract', {
+            contract_id: contract.id,
+            metrics: usageTotals.length,
+            lines: lineItems.length
+        });
 
-        // Calculate due date (30 days from issue date)
-        const issueDate = new Date();
-        const dueDate = new Date(issueDate);
-        dueDate.setDate(dueDate.getDate() + 30);
+        return {
+            line_items: lineItems,
+            record_ids: usageTotals.flatMap(usage => usage.record_ids)
+        };
+    }
+
+    /**
+     * Build invoice data and line items based on contract
+     * Totals are derived from the lines when the invoice is created
+     */
+    calculateInvoiceAmounts(contract, charges = {}) {
+        const {
+            contractItems = [],
+            period = prorationCalculator.getBillingPeriod(contract),
+            usageLineItems = [],
+            adjustmentLineItems = []
+        } = charges;
+
+        const currency = currencyManager.contractCurrency(contract);
+
+        // Usage and proration adjustments follow the contract's tax and discount terms
+        // (taxes are assigned per tax category from the customer's jurisdiction when the invoice is created)
+        const withContractTerms = (line) => ({
+            ...line,
+            tax_rate: line.tax_rate ?? contract.tax_rate ?? 0,
+            tax_category: line.tax_category || contract.tax_category || 'standard',
+            discount_percentage: contract.discount_percentage || 0
+        });
 
+        const lineItems = [
+            ...prorationCalculator.prorateLineItems(this.buildLineItems(contract, contractItems), period, currency),
+            ...usageLineItems.map(withContractTerms),
+            ...adjustmentLineItems.map(withContractTerms)
+        ];
+
+        // The invoice number is allocated from the contract's numbering series when the invoice is stored,
+        // and the due date and any early-payment discount come from the contract's or customer's payment terms
         return {
-            invoice_number: invoiceNumber,
             customer_id: contract.customer_id,
             contract_id: contract.id,
-            issue_date: issueDate.toISOString().split('T')[0],
-            due_date: dueDate.toISOString().split('T')[0],
-            subtotal: subtotal.toFixed(2),
-            tax_amount: taxAmount.toFixed(2),
-            discount_amount: discountAmount.toFixed(2),
-            total_amount: totalAmount.toFixed(2),
-            status: 'pending'
+            issue_date: new Date().toISOString().split('T')[0],
+            currency,
+            line_items: lineItems
         };
     }
 
     /**
-     * Calculate next billing date based on frequency
+     * Turn contract items into invoice lines
+     * Contracts without items are billed as a single line for the contract amount
+     * (metered-only contracts have a zero amount and get no fixed line)
      */
-    calculateNextBillingDate(currentDate, frequency) {
-        const date = new Date(currentDate);
-
-        switch (frequency) {
-            case 'monthly':
-                date.setMonth(date.getMonth() + 1);
-                break;
-            case 'quarterly':
-                date.setMonth(date.getMonth() + 3);
-                break;
-            case 'yearly':
-                date.setFullYear(date.getFullYear() + 1);
-                break;
-            case 'one-time':
-                return null; // No next billing for one-time contracts
-            default:
-                date.setMonth(date.getMonth() + 1);
+    buildLineItems(contract, contractItems = []) {
+        if (contractItems.length === 0) {
+            if (parseFloat(contract.amount) === 0) {
+                return [];
+            }
+
+            return [{
+                description: contract.service_description,
+                quantity: 1,
+                unit_price: contract.amount,
+                tax_rate: contract.tax_rate || 0,
+                tax_category: contract.tax_category || 'standard',
+                discount_percentage: contract.discount_percentage || 0
+            }];
         }
 
-        return date.toISOString().split('T')[0];
+        // Item-level tax and discount override the contract defaults
+        return contractItems.map(item => ({
+            description: item.description,
+            quantity: item.quantity,
+            unit_price: item.unit_price,
+            tax_rate: item.tax_rate ?? contract.tax_rate ?? 0,
+            tax_category: item.tax_category || contract.tax_category || 'standard',
+            discount_percentage: item.discount_percentage ?? contract.discount_percentage ?? 0
+        }));
     }
 
     /**
-     * Generate unique invoice number
+     * Calculate next billing date based on frequency
+     * Month ends are clamped instead of overflowing (31 Jan -> 28/29 Feb)
      */
-    generateInvoiceNumber() {
-        const date = new Date();
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-
-        return `INV-${year}${month}${day}-${random}`;
+    calculateNextBillingDate(currentDate, frequency) {
+        const months = prorationCalculator.periodMonths(frequency);
+        if (!months) {
+            return null; // No next billing for one-time contracts
+        }
+
+        const date = prorationCalculator.toDate(currentDate);
+        return prorationCalculator.formatDate(prorationCalculator.addMonths(date, months));
     }
 
     /**
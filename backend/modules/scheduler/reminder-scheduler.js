@@ -1,6 +1,10 @@
 import cron from 'node-cron';
-import { Invoice } from '../../../database/models.js';
+import { Invoice } from '../../database/models.js';
 import mailer from '../email/mailer.js';
+import dunningManager from '../billing/dunning-manager.js';
+import lateFeeManager from '../billing/late-fee-manager.js';
+import auditManager from '../audit/audit-manager.js';
+import currencyManager from '../billing/currency.js';
 import { logInfo, logError } from '../audit/logger.js';
 import dotenv from 'dotenv';
 
@@ -8,7 +12,9 @@ dotenv.config();
 
 /**
  * Payment Reminder Scheduler
- * Automated reminders for overdue invoices
+ * Moves sent invoices past their due date to overdue,
+ * runs the dunning policy stages due for overdue invoices (see dunning-manager),
+ * then charges the late fees and interest they have started (see late-fee-manager)
  */
 
 class ReminderScheduler {
@@ -44,6 +50,9 @@ class ReminderScheduler {
         logInfo('Starting reminder cycle execution');
 
         try {
+            // Sent invoices past their due date become overdue
+            await this.markOverdueInvoices();
+
             // Find all overdue invoices
             const overdueInvoices = await Invoice.findOverdue();
             logInfo(`Found ${overdueInvoices.length} overdue invoices`);
@@ -56,7 +65,14 @@ class ReminderScheduler {
 
             const results = {
                 total: overdueInvoices.length,
-                reminders_sent: 0,
+                stages_run: 0,
+                by_action: {
+                    email: 0,
+                    late_fee: 0,
+                    suspend_contract: 0,
+                    flag_collections: 0
+                },
+                late_fees_charged: 0,
                 skipped: 0,
                 failed: 0,
                 by_urgency: {
@@ -86,6 +102,25 @@ class ReminderScheduler {
         }
     }
 
+    /**
+     * Move sent and partially paid invoices whose due date has passed to overdue
+     */
+    async markOverdueInvoices() {
+        const invoices = await Invoice.markOverdue();
+
+        for (const invoice of invoices) {
+            await auditManager.logInvoiceStatusChange(invoice.id, invoice.previous_status, 'overdue', 'due date passed', {
+                invoice_number: invoice.invoice_number,
+                due_date: invoice.due_date
+            });
+        }
+
+        if (invoices.length > 0) {
+            logInfo(`Marked ${invoices.length} invoices overdue`);
+        }
+        return invoices;
+    }
+
     /**
      * Process a single overdue invoice
      */
@@ -109,11 +144,15 @@ class ReminderScheduler {
 
         results.by_urgency[urgency]++;
 
-        // Determine if reminder should be sent based on days overdue
-        const shouldSendReminder = this.shouldSendReminder(daysOverdue);
+        // Run the dunning stage due today, if any
+        const stage = await dunningManager.processInvoice(invoice, daysOverdue);
+
+        // Charge recurring fees and interest of the late fee rules the invoice has reached
+        const charges = await lateFeeManager.processInvoice(invoice, daysOverdue);
+        results.late_fees_charged += charges.length;
 
-        if (!shouldSendReminder) {
-            logInfo('Skipping reminder (not scheduled for today)', {
+        if (!stage) {
+            logInfo('Skipping invoice (no dunning stage due today)', {
                 invoice_id: invoice.id,
                 days_overdue: daysOverdue
             });
@@ -121,46 +160,8 @@ class ReminderScheduler {
             return;
         }
 
-        // Send reminder
-        logInfo('Sending payment reminder', {
-            invoice_id: invoice.id,
-            invoice_number: invoice.invoice_number,
-            days_overdue: daysOverdue,
-            urgency
-        });
-
-        await mailer.sendReminderEmail(invoice.id);
-        results.reminders_sent++;
-    }
-
-    /**
-     * Determine if reminder should be sent today
-     * Reminders are sent on specific days to avoid spam:
-     * - Day 1-7: Send on day 3 and 7
-     * - Day 8-14: Send on day 10 and 14
-     * - Day 15-30: Send every 5 days
-     * - Day 30+: Send every 7 days
-     */
-    shouldSendReminder(daysOverdue) {
-        if (daysOverdue <= 0) return false;
-
-        // First week: days 3 and 7
-        if (daysOverdue <= 7) {
-            return daysOverdue === 3 || daysOverdue === 7;
-        }
-
-        // Second week: days 10 and 14
-        if (daysOverdue <= 14) {
-            return daysOverdue === 10 || daysOverdue === 14;
-        }
-
-        // Days 15-30: every 5 days
-        if (daysOverdue <= 30) {
-            return daysOverdue % 5 === 0;
-        }
-
-        // After 30 days: every 7 days
-        return daysOverdue % 7 === 0;
+        results.stages_run++;
+        results.by_action[stage.action]++;
     }
 
     /**
@@ -196,7 +197,7 @@ class ReminderScheduler {
                     stats.by_urgency.critical++;
                 }
 
-                stats.total_overdue_amount += parseFloat(invoice.total_amount);
+                stats.total_overdue_amount += currencyManager.toBase(invoice.balance_due, invoice.exchange_rate);
             });
 
             stats.total_overdue_amount = stats.total_overdue_amount.toFixed(2);
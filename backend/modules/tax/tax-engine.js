@@ -0,0 +1,190 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Tax Engine
+ * Picks the taxes for each invoice line from the customer's jurisdiction:
+ * - rules match the customer's country, and state/province when the rule has one
+ * - B2B sales to a customer in another EU country are reverse charged (no VAT)
+ * - customers with a valid exemption certificate are not taxed
+ * - lines carry a tax category; categories without their own rules use the standard rules
+ * Contract and line tax_rate values only apply where no rule covers the customer's country.
+ */
+
+// EU member states (ISO 3166-1 alpha-2) and their English names
+const EU_COUNTRIES = {
+    AT: 'AUSTRIA', BE: 'BELGIUM', BG: 'BULGARIA', HR: 'CROATIA', CY: 'CYPRUS', CZ: 'CZECHIA', DK: 'DENMARK',
+    EE: 'ESTONIA', FI: 'FINLAND', FR: 'FRANCE', DE: 'GERMANY', GR: 'GREECE', HU: 'HUNGARY', IE: 'IRELAND',
+    IT: 'ITALY', LV: 'LATVIA', LT: 'LITHUANIA', LU: 'LUXEMBOURG', MT: 'MALTA', NL: 'NETHERLANDS', PL: 'POLAND',
+    PT: 'PORTUGAL', RO: 'ROMANIA', SK: 'SLOVAKIA', SI: 'SLOVENIA', ES: 'SPAIN', SE: 'SWEDEN'
+};
+
+// Other country spellings found in customer records
+const COUNTRY_ALIASES = {
+    USA: 'US', 'UNITED STATES': 'US', 'UNITED STATES OF AMERICA': 'US',
+    UK: 'GB', 'UNITED KINGDOM': 'GB', 'GREAT BRITAIN': 'GB',
+    CANADA: 'CA', AUSTRALIA: 'AU', 'NEW ZEALAND': 'NZ', SWITZERLAND: 'CH', NORWAY: 'NO',
+    INDIA: 'IN', JAPAN: 'JP', SINGAPORE: 'SG', 'CZECH REPUBLIC': 'CZ', HOLLAND: 'NL'
+};
+
+const TAX_TREATMENTS = ['standard', 'reverse_charge', 'exempt'];
+
+// Lines in this category are never taxed
+const EXEMPT_CATEGORY = 'exempt';
+
+class TaxEngine {
+    constructor() {
+        this.sellerCountry = this.normalizeCountry(process.env.COMPANY_COUNTRY || 'US');
+    }
+
+    getTreatments() {
+        return TAX_TREATMENTS;
+    }
+
+    /**
+     * Turn a stored country ('USA', 'Germany', 'de') into its ISO alpha-2 code
+     */
+    normalizeCountry(country) {
+        const value = String(country || '').trim().toUpperCase();
+        if (!value) {
+            return null;
+        }
+        if (value.length === 2) {
+            return value;
+        }
+
+        const euCode = Object.keys(EU_COUNTRIES).find(code => EU_COUNTRIES[code] === value);
+        return euCode || COUNTRY_ALIASES[value] || value;
+    }
+
+    normalizeState(state) {
+        const value = String(state || '').trim().toUpperCase();
+        return value || null;
+    }
+
+    isEU(countryCode) {
+        return EU_COUNTRIES[countryCode] !== undefined;
+    }
+
+    /**
+     * Decide how a customer is taxed
+     * An exemption certificate wins over everything; reverse charge needs the customer's VAT number
+     */
+    determineTreatment(customer, exemption = null) {
+        const country = this.normalizeCountry(customer.country);
+
+        if (exemption) {
+            return {
+                treatment: 'exempt',
+                note: `Tax exempt: certificate ${exemption.certificate_number}`
+            };
+        }
+
+        if (customer.tax_id && this.isEU(country) && country !== this.sellerCountry) {
+            return {
+                treatment: 'reverse_charge',
+                note: `Reverse charge: VAT to be accounted for by the recipient (VAT ID ${customer.tax_id}, Article 196 Directive 2006/112/EC)`
+            };
+        }
+
+        return { treatment: 'standard', note: null };
+    }
+
+    /**
+     * Rules that apply to a tax category, in the order they are charged
+     * Compound taxes come after the taxes they are charged on
+     */
+    rulesForCategory(rules, category) {
+        if (category === EXEMPT_CATEGORY) {
+            return [];
+        }
+
+        const own = rules.filter(rule => rule.tax_category === category);
+        const applicable = own.length > 0 ? own : rules.filter(rule => rule.tax_category === 'standard');
+
+        return [...applicable].sort((a, b) =>
+            Number(a.is_compound) - Number(b.is_compound) || (a.priority || 0) - (b.priority || 0)
+        );
+    }
+
+    /**
+     * Attach the taxes to charge on each line
+     * `rules` are the active rules for the customer's country and state on the issue date
+     * Returns the lines (each with a `taxes` list) and the invoice's tax treatment and note
+     */
+    applyTaxes(lineItems, { customer, rules = [], exemption = null }) {
+        const { treatment, note } = this.determineTreatment(customer, exemption);
+        const country = this.normalizeCountry(customer.country);
+
+        const lines = lineItems.map(line => {
+            const category = line.tax_category || 'standard';
+
+            if (treatment !== 'standard') {
+                return { ...line, tax_category: category, taxes: [] };
+            }
+
+            // No rules for this country: fall back to the rate agreed on the contract or line
+            if (rules.length === 0) {
+                const rate = parseFloat(line.tax_rate || 0);
+                return {
+                    ...line,
+                    tax_category: category,
+                    taxes: rate > 0 && category !== EXEMPT_CATEGORY
+                        ? [{ name: 'Tax', jurisdiction: country, rate, is_compound: false }]
+                        : []
+                };
+            }
+
+            return {
+                ...line,
+                tax_category: category,
+                taxes: this.rulesForCategory(rules, category).map(rule => ({
+                    name: rule.name,
+                    jurisdiction: rule.state ? `${rule.country}-${rule.state}` : rule.country,
+                    rate: parseFloat(rule.rate),
+                    is_compound: Boolean(rule.is_compound)
+                }))
+            };
+        });
+
+        return { line_items: lines, tax_treatment: treatment, tax_note: note };
+    }
+
+    /**
+     * Check a tax rule definition
+     * Returns a list of human-readable problems (empty when valid)
+     */
+    validateRule(rule, isNew = true) {
+        const errors = [];
+        const isSet = (field) => rule[field] !== undefined && rule[field] !== null && rule[field] !== '';
+
+        if (isNew) {
+            for (const field of ['country', 'name', 'rate']) {
+                if (!isSet(field)) {
+                    errors.push(`${field} is required`);
+                }
+            }
+        }
+
+        if (isSet('rate') && !(parseFloat(rule.rate) >= 0 && parseFloat(rule.rate) <= 100)) {
+            errors.push('rate must be between 0 and 100');
+        }
+        if (isSet('tax_category') && rule.tax_category === EXEMPT_CATEGORY) {
+            errors.push(`the ${EXEMPT_CATEGORY} category is never taxed and cannot have rules`);
+        }
+        for (const field of ['effective_from', 'effective_to']) {
+            if (isSet(field) && Number.isNaN(Date.parse(rule[field]))) {
+                errors.push(`${field} must be a valid date`);
+            }
+        }
+        if (isSet('effective_from') && isSet('effective_to') && new Date(rule.effective_to) < new Date(rule.effective_from)) {
+            errors.push('effective_to must not be before effective_from');
+        }
+
+        return errors;
+    }
+}
+
+// Export singleton instance
+export default new TaxEngine();
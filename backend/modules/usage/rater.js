@@ -0,0 +1,162 @@
+/**
+ * Usage Rater
+ * Turns metered usage into invoice lines using per-unit, tiered or volume pricing
+ */
+
+const PRICING_MODELS = ['per_unit', 'tiered', 'volume'];
+
+class UsageRater {
+    /**
+     * Check a usage price definition
+     * Returns a list of human-readable problems (empty when valid)
+     */
+    validatePrice(price) {
+        const errors = [];
+
+        if (!price.metric_code) {
+            errors.push('metric_code is required');
+        }
+        if (!price.description) {
+            errors.push('description is required');
+        }
+        if (!PRICING_MODELS.includes(price.pricing_model)) {
+            errors.push(`pricing_model must be one of: ${PRICING_MODELS.join(', ')}`);
+        }
+        if (price.included_quantity !== undefined && price.included_quantity !== null &&
+            !(parseFloat(price.included_quantity) >= 0)) {
+            errors.push('included_quantity must be zero or more');
+        }
+
+        if (price.pricing_model === 'per_unit' && !Number.isFinite(parseFloat(price.unit_price))) {
+            errors.push('unit_price is required for per_unit pricing');
+        }
+
+        if (price.pricing_model === 'tiered' || price.pricing_model === 'volume') {
+            const tiers = price.tiers;
+            if (!Array.isArray(tiers) || tiers.length === 0) {
+                errors.push('tiers are required for tiered and volume pricing');
+                return errors;
+            }
+
+            let previousUpTo = 0;
+            tiers.forEach((tier, index) => {
+                const isLast = index === tiers.length - 1;
+                if (!Number.isFinite(parseFloat(tier.unit_price))) {
+                    errors.push(`Tier ${index + 1}: unit_price must be a number`);
+                }
+                if (isLast) {
+                    if (tier.up_to !== null && tier.up_to !== undefined) {
+                        errors.push(`Tier ${index + 1}: the last tier must be open-ended (up_to: null)`);
+                    }
+                } else if (!(parseFloat(tier.up_to) > previousUpTo)) {
+                    errors.push(`Tier ${index + 1}: up_to must be greater than the previous tier`);
+                } else {
+                    previousUpTo = parseFloat(tier.up_to);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Rate the total usage of one metric
+     * The included allowance is free; tiers apply to the quantity beyond it
+     */
+    rate(price, totalQuantity) {
+        const included = parseFloat(price.included_quantity || 0);
+        const billable = Math.max(0, parseFloat(totalQuantity) - included);
+
+        if (billable === 0) {
+            return [];
+        }
+
+        const unit = price.unit_name || 'units';
+        const allowanceNote = included > 0 ? `, ${this.formatQuantity(included)} included` : '';
+
+        switch (price.pricing_model) {
+            case 'per_unit':
+                return [{
+                    description: `${price.description} (${this.formatQuantity(billable)} ${unit}${allowanceNote})`,
+                    quantity: billable,
+                    unit_price: parseFloat(price.unit_price)
+                }];
+
+            case 'volume': {
+                // Every unit is charged at the price of the tier the total falls into
+                const tier = price.tiers.find(t => t.up_to === null || t.up_to === undefined || billable <= parseFloat(t.up_to));
+                return [{
+                    description: `${price.description} (${this.formatQuantity(billable)} ${unit}, volume price${allowanceNote})`,
+                    quantity: billable,
+                    unit_price: parseFloat(tier.unit_price)
+                }];
+            }
+
+            case 'tiered': {
+                // Each slice of usage is charged at its own tier's price
+                const lines = [];
+                let lowerBound = 0;
+
+                for (const tier of price.tiers) {
+                    const upperBound = tier.up_to === null || tier.up_to === undefined ? Infinity : parseFloat(tier.up_to);
+                    const quantity = Math.min(billable, upperBound) - lowerBound;
+
+                    if (quantity > 0) {
+                        const range = upperBound === Infinity
+                            ? `over ${this.formatQuantity(lowerBound)}`
+                            : `${this.formatQuantity(lowerBound + 1)}–${this.formatQuantity(upperBound)}`;
+                        lines.push({
+                            description: `${price.description} (${range} ${unit}${allowanceNote})`,
+                            quantity,
+                            unit_price: parseFloat(tier.unit_price)
+                        });
+                    }
+
+                    if (billable <= upperBound) {
+                        break;
+                    }
+                    lowerBound = upperBound;
+                }
+
+                return lines;
+            }
+
+            default:
+                throw new Error(`Unknown pricing model: ${price.pricing_model}`);
+        }
+    }
+
+    /**
+     * Rate all usage for a contract
+     * usageTotals: [{ metric_code, total_quantity }]
+     */
+    rateUsage(prices, usageTotals) {
+        const lines = [];
+
+        for (const usage of usageTotals) {
+            const price = prices.find(p => p.metric_code === usage.metric_code);
+            if (!price) {
+                throw new Error(`No usage price defined for metric ${usage.metric_code}`);
+            }
+
+            lines.push(...this.rate(price, usage.total_quantity).map(line => ({
+                ...line,
+                item_type: 'usage',
+                tax_rate: price.tax_rate,
+                tax_category: price.tax_category
+            })));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Format a quantity for line descriptions
+     */
+    formatQuantity(quantity) {
+        return parseFloat(quantity).toLocaleString('en-US', { maximumFractionDigits: 4 });
+    }
+}
+
+// Export singleton instance
+export default new UsageRater();
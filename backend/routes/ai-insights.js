@@ -1,8 +1,11 @@
 import express from 'express';
 import { AIValidationLog, Invoice } from '../database/models.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { limitAi } from '../middleware/rate-limit.js';
 import aiValidator from '../modules/ai/validation/validator.js';
 import clientAssistant from '../modules/ai/assistant/assistant.js';
+import currencyManager from '../modules/billing/currency.js';
+import prorationCalculator from '../modules/billing/proration.js';
 import { logError } from '../modules/audit/logger.js';
 
 const router = express.Router();
@@ -11,7 +14,7 @@ const router = express.Router();
  * Get AI validation reports
  * GET /api/insights/validation
  */
-router.get('/validation', authenticateToken, async (req, res) => {
+router.get('/validation', authenticateToken, requirePermission('insights:read'), async (req, res) => {
     try {
         const flaggedValidations = await AIValidationLog.findFlagged();
         const stats = await aiValidator.getValidationStats();
@@ -33,14 +36,17 @@ router.get('/validation', authenticateToken, async (req, res) => {
 /**
  * Get billing trends analysis
  * GET /api/insights/trends
+ * Revenue is reported in the base currency using the rate stored on each invoice, net of credit notes
  */
-router.get('/trends', authenticateToken, async (req, res) => {
+router.get('/trends', authenticateToken, requirePermission('insights:read'), async (req, res) => {
     try {
         const allInvoices = await Invoice.findAll(1000, 0);
+        const netAmount = (inv) => parseFloat(inv.total_amount) - parseFloat(inv.credited_amount);
+        const baseAmount = (inv) => currencyManager.toBase(netAmount(inv), inv.exchange_rate);
 
         // Calculate trends
-        const totalRevenue = allInvoices.reduce((sum, inv) => sum + parseFloat(inv.total_amount), 0);
-        const avgInvoiceAmount = totalRevenue / allInvoices.length;
+        const totalRevenue = allInvoices.reduce((sum, inv) => sum + baseAmount(inv), 0);
+        const avgInvoiceAmount = allInvoices.length > 0 ? totalRevenue / allInvoices.length : 0;
 
         const statusBreakdown = allInvoices.reduce((acc, inv) => {
             acc[inv.status] = (acc[inv.status] || 0) + 1;
@@ -48,19 +54,27 @@ router.get('/trends', authenticateToken, async (req, res) => {
         }, {});
 
         const monthlyRevenue = allInvoices.reduce((acc, inv) => {
-            const month = inv.issue_date.substring(0, 7); // YYYY-MM
-            acc[month] = (acc[month] || 0) + parseFloat(inv.total_amount);
+            const month = prorationCalculator.formatDate(prorationCalculator.toDate(inv.issue_date)).substring(0, 7); // YYYY-MM
+            acc[month] = currencyManager.round((acc[month] || 0) + baseAmount(inv));
+            return acc;
+        }, {});
+
+        // Totals in each invoice currency, before conversion
+        const revenueByCurrency = allInvoices.reduce((acc, inv) => {
+            acc[inv.currency] = currencyManager.round((acc[inv.currency] || 0) + netAmount(inv), inv.currency);
             return acc;
         }, {});
 
         res.json({
             success: true,
             trends: {
+                base_currency: currencyManager.baseCurrency,
                 total_revenue: totalRevenue.toFixed(2),
                 total_invoices: allInvoices.length,
                 average_invoice_amount: avgInvoiceAmount.toFixed(2),
                 status_breakdown: statusBreakdown,
-                monthly_revenue: monthlyRevenue
+                monthly_revenue: monthlyRevenue,
+                revenue_by_currency: revenueByCurrency
             }
         });
     } catch (error) {
@@ -73,10 +87,11 @@ router.get('/trends', authenticateToken, async (req, res) => {
 });
 
 /**
- * Handle client query with AI
+ * Handle client query with AI on a customer's behalf
  * POST /api/insights/query
+ * Admin only; customers ask through the portal (POST /api/portal/assistant/query)
  */
-router.post('/query', async (req, res) => {
+router.post('/query', authenticateToken, requirePermission('assistant:use'), limitAi, async (req, res) => {
     try {
         const { customer_id, query_text, invoice_id } = req.body;
 
@@ -110,7 +125,7 @@ router.post('/query', async (req, res) => {
  * Get client query statistics
  * GET /api/insights/query-stats
  */
-router.get('/query-stats', authenticateToken, async (req, res) => {
+router.get('/query-stats', authenticateToken, requirePermission('insights:read'), async (req, res) => {
     try {
         const stats = await clientAssistant.getQueryStats();
         const commonTypes = await clientAssistant.getCommonQueryTypes();
@@ -133,7 +148,7 @@ router.get('/query-stats', authenticateToken, async (req, res) => {
  * Get AI-powered billing suggestions
  * GET /api/insights/suggestions
  */
-router.get('/suggestions', authenticateToken, async (req, res) => {
+router.get('/suggestions', authenticateToken, requirePermission('insights:read'), async (req, res) => {
     try {
         const flaggedValidations = await AIValidationLog.findFlagged();
         const overdueInvoices = await Invoice.findOverdue();
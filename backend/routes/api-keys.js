@@ -0,0 +1,196 @@
+import express from 'express';
+import { ApiKey } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import apiKeys from '../modules/auth/api-keys.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Get all API keys (never the keys themselves) and the permissions a key can be given
+ * GET /api/api-keys
+ */
+router.get('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const keys = await ApiKey.findAll();
+
+        res.json({
+            success: true,
+            count: keys.length,
+            api_keys: keys,
+            grantable_permissions: apiKeys.grantablePermissions(req.user.role)
+        });
+    } catch (error) {
+        logError('Failed to fetch API keys', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch API keys'
+        });
+    }
+});
+
+/**
+ * Create an API key
+ * POST /api/api-keys
+ * Body: { name, permissions, expires_at? }
+ * The key is returned once and cannot be shown again
+ */
+router.post('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { name, permissions, expires_at } = req.body;
+
+        const errors = apiKeys.validate({ name, permissions, expires_at }, req.user.role);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid API key',
+                details: errors
+            });
+        }
+
+        const { key, api_key } = await apiKeys.create({ name, permissions, expires_at, created_by: req.user.id });
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'API_KEY_CREATED',
+            'api_key',
+            api_key.id,
+            `API key ${api_key.name} (${api_key.key_prefix}) created`,
+            { permissions: api_key.permissions, expires_at: api_key.expires_at }
+        );
+
+        res.status(201).json({
+            success: true,
+            key,
+            api_key
+        });
+    } catch (error) {
+        logError('Failed to create API key', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create API key'
+        });
+    }
+});
+
+/**
+ * Rotate an API key: issue a new key with the same name and permissions
+ * POST /api/api-keys/:id/rotate
+ * Body: { overlap_hours?, expires_at? }
+ * The old key is revoked at once, or keeps working for overlap_hours (up to 168) while the
+ * integration switches over. The new key is returned once.
+ */
+router.post('/:id/rotate', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { overlap_hours = 0, expires_at } = req.body;
+
+        if (!Number.isFinite(Number(overlap_hours)) || overlap_hours < 0 || overlap_hours > 168) {
+            return res.status(400).json({
+                success: false,
+                error: 'overlap_hours must be between 0 and 168'
+            });
+        }
+        if (expires_at != null && !(new Date(expires_at) > new Date())) {
+            return res.status(400).json({
+                success: false,
+                error: 'expires_at must be a future date'
+            });
+        }
+
+        const existing = await ApiKey.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        const rotated = await apiKeys.rotate(existing.id, {
+            created_by: req.user.id,
+            expires_at,
+            overlapHours: Number(overlap_hours)
+        });
+        if (!rotated) {
+            return res.status(409).json({
+                success: false,
+                error: `API key is ${existing.status}`
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'API_KEY_ROTATED',
+            'api_key',
+            rotated.api_key.id,
+            `API key ${existing.name} rotated (${existing.key_prefix} replaced by ${rotated.api_key.key_prefix})`,
+            {
+                previous_key_id: existing.id,
+                previous_expires_at: rotated.previous.expires_at,
+                overlap_hours: Number(overlap_hours)
+            }
+        );
+
+        res.json({
+            success: true,
+            key: rotated.key,
+            api_key: rotated.api_key,
+            previous: rotated.previous
+        });
+    } catch (error) {
+        logError('Failed to rotate API key', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rotate API key'
+        });
+    }
+});
+
+/**
+ * Revoke an API key; calls made with it are refused from now on
+ * DELETE /api/api-keys/:id
+ */
+router.delete('/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const existing = await ApiKey.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        const apiKey = await apiKeys.revoke(existing.id);
+        if (!apiKey) {
+            return res.status(409).json({
+                success: false,
+                error: 'API key is already revoked'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'API_KEY_REVOKED',
+            'api_key',
+            apiKey.id,
+            `API key ${apiKey.name} (${apiKey.key_prefix}) revoked`,
+            { last_used_at: apiKey.last_used_at }
+        );
+
+        res.json({
+            success: true,
+            api_key: apiKey
+        });
+    } catch (error) {
+        logError('Failed to revoke API key', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key'
+        });
+    }
+});
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { AuditLog } from '../database/models.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import auditManager from '../modules/audit/audit-manager.js';
 import { logError } from '../modules/audit/logger.js';
 
@@ -10,7 +10,7 @@ const router = express.Router();
  * Get audit logs
  * GET /api/audit/logs
  */
-router.get('/logs', authenticateToken, async (req, res) => {
+router.get('/logs', authenticateToken, requirePermission('audit:read'), async (req, res) => {
     try {
         const filters = {};
 
@@ -43,7 +43,7 @@ router.get('/logs', authenticateToken, async (req, res) => {
  * Get AI decision logs
  * GET /api/audit/ai-decisions
  */
-router.get('/ai-decisions', authenticateToken, async (req, res) => {
+router.get('/ai-decisions', authenticateToken, requirePermission('audit:read'), async (req, res) => {
     try {
         const logs = await AuditLog.findAll({ user_type: 'ai' }, 100);
 
@@ -65,7 +65,7 @@ router.get('/ai-decisions', authenticateToken, async (req, res) => {
  * Generate compliance report
  * POST /api/audit/compliance-report
  */
-router.post('/compliance-report', authenticateToken, async (req, res) => {
+router.post('/compliance-report', authenticateToken, requirePermission('audit:read'), async (req, res) => {
     try {
         const { start_date, end_date } = req.body;
 
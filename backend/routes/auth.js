@@ -1,28 +1,72 @@
 import express from 'express';
-import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
-import { AdminUser } from '../database/models.js';
-import { authenticateToken } from '../middleware/auth.js';
-import { logInfo, logError } from '../modules/audit/logger.js';
+import { AdminUser, AdminSession, AdminRecoveryCode } from '../database/models.js';
+import { authenticateSession, authenticateTwoFactorSetup } from '../middleware/auth.js';
+import { limitLogin, limitRefresh } from '../middleware/rate-limit.js';
+import accessControl from '../modules/auth/access-control.js';
+import invitations from '../modules/auth/invitations.js';
+import twoFactor from '../modules/auth/two-factor.js';
+import sessions from '../modules/auth/sessions.js';
+import passwords from '../modules/auth/passwords.js';
+import mailer from '../modules/email/mailer.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logInfo, logWarning, logError } from '../modules/audit/logger.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 const router = express.Router();
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
- * Register new admin user
+ * Look up an invitation before accepting it
+ * GET /api/auth/invitation?token=
+ * Returns the invited email and role, so the sign-up form can show them
+ */
+router.get('/invitation', async (req, res) => {
+    try {
+        const invitation = await invitations.findPending(req.query.token);
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                error: 'This invitation is invalid, has expired or was already used'
+            });
+        }
+
+        res.json({
+            success: true,
+            invitation: {
+                email: invitation.email,
+                role: invitation.role,
+                invited_by: invitation.invited_by_name,
+                expires_at: invitation.expires_at
+            }
+        });
+    } catch (error) {
+        logError('Failed to look up invitation', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to look up invitation'
+        });
+    }
+});
+
+/**
+ * Register new admin user from an invitation
  * POST /api/auth/register
+ * Body: { token, username, password, full_name }
+ * There is no open registration: the email and role come from the invitation, which works once.
+ * The first owner is created with `npm run bootstrap:owner`.
  */
-router.post('/register', async (req, res) => {
+router.post('/register', limitLogin, async (req, res) => {
     try {
-        const { username, email, password, full_name } = req.body;
+        const { token, username, password, full_name } = req.body;
 
         // Validate input
-        if (!username || !email || !password) {
+        if (!token || !username || !password) {
             return res.status(400).json({
                 success: false,
-                error: 'Username, email, and password are required'
+                error: 'Invitation token, username, and password are required'
             });
         }
 
@@ -35,28 +79,48 @@ router.post('/register', async (req, res) => {
             });
         }
 
-        const existingEmail = await AdminUser.findByEmail(email);
-        if (existingEmail) {
-            return res.status(409).json({
+        const pending = await invitations.findPending(token);
+        if (!pending) {
+            return res.status(400).json({
                 success: false,
-                error: 'Email already exists'
+                error: 'This invitation is invalid, has expired or was already used'
             });
         }
 
-        // Hash password
-        const saltRounds = 10;
-        const password_hash = await bcrypt.hash(password, saltRounds);
+        const passwordErrors = passwords.validate(password, { username, email: pending.email });
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password does not meet the policy',
+                details: passwordErrors
+            });
+        }
 
         // Create user
-        const user = await AdminUser.create({
+        const accepted = await invitations.accept(token, {
             username,
-            email,
-            password_hash,
-            full_name: full_name || username,
-            role: 'admin'
+            password_hash: await passwords.hash(password),
+            full_name: full_name || username
         });
+        if (!accepted) {
+            return res.status(400).json({
+                success: false,
+                error: 'This invitation is invalid, has expired or was already used'
+            });
+        }
+        const { invitation, user } = accepted;
+
+        // Log action
+        await auditManager.logAdminAction(
+            user.id,
+            'INVITATION_ACCEPTED',
+            'admin_invitation',
+            invitation.id,
+            `${user.username} joined as ${user.role}`,
+            { email: user.email, role: user.role }
+        );
 
-        logInfo('New admin user registered', { user_id: user.id, username });
+        logInfo('New admin user registered', { user_id: user.id, username, role: user.role });
 
         res.status(201).json({
             success: true,
@@ -70,6 +134,13 @@ router.post('/register', async (req, res) => {
             }
         });
     } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: 'Username or email already exists'
+            });
+        }
+
         logError('User registration failed', error);
         res.status(500).json({
             success: false,
@@ -78,11 +149,94 @@ router.post('/register', async (req, res) => {
     }
 });
 
+/**
+ * Answer 429 for a locked account, with Retry-After in seconds
+ */
+const rejectLocked = (res, lockedFor) => {
+    res.set('Retry-After', String(lockedFor));
+    return res.status(429).json({
+        success: false,
+        error: `Too many failed attempts; try again in ${Math.ceil(lockedFor / 60)} minute(s)`,
+        retry_after: lockedFor
+    });
+};
+
+/**
+ * Count and audit a failed password or code for a known user
+ * step: 'password', 'two_factor' or 'password_change'
+ * Returns the lockout state from passwords.recordFailure
+ */
+const recordFailure = async (user, req, step) => {
+    const state = await passwords.recordFailure(user.id);
+
+    // Log action
+    await auditManager.logAuthEvent(
+        user.id,
+        'LOGIN_FAILED',
+        `Failed ${step.replace('_', ' ')} for ${user.username}`,
+        { step, failed_login_count: state.failed_login_count, user_agent: req.get('user-agent') },
+        req.ip
+    );
+
+    if (state.locked_for > 0) {
+        logWarning('Account locked after failed attempts', { user_id: user.id, locked_until: state.locked_until });
+        await auditManager.logAuthEvent(
+            user.id,
+            'ACCOUNT_LOCKED',
+            `${user.username} locked for ${state.locked_for} seconds after ${state.failed_login_count} failed attempts`,
+            { failed_login_count: state.failed_login_count, locked_until: state.locked_until },
+            req.ip
+        );
+    }
+    return state;
+};
+
+/**
+ * Open a session for a user who passed every login step
+ * Returns { token, expires_at, refresh_token, user } for the login response
+ */
+const startSession = async (user, req, method = 'password') => {
+    // Update last login
+    await AdminUser.updateLastLogin(user.id);
+    await passwords.clearFailures(user.id);
+
+    const { session_id, ...tokens } = await sessions.start(user, {
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+    });
+
+    logInfo('User logged in', { user_id: user.id, username: user.username, session_id });
+
+    // Log action
+    await auditManager.logAuthEvent(
+        user.id,
+        'LOGIN_SUCCEEDED',
+        `${user.username} signed in`,
+        { method, session_id, user_agent: req.get('user-agent') },
+        req.ip
+    );
+
+    return {
+        ...tokens,
+        user: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            full_name: user.full_name,
+            role: user.role,
+            permissions: accessControl.permissionsFor(user.role)
+        }
+    };
+};
+
 /**
  * Login
  * POST /api/auth/login
+ * With two-factor enabled (or required but not yet set up) there is no session yet: the response
+ * has two_factor_required (or two_factor_setup_required) and a short-lived challenge_token
+ * for POST /api/auth/login/2fa (or the /api/auth/2fa/setup and /enable enrollment steps).
  */
-router.post('/login', async (req, res) => {
+router.post('/login', limitLogin, async (req, res) => {
     try {
         const { username, password } = req.body;
 
@@ -97,52 +251,142 @@ router.post('/login', async (req, res) => {
         // Find user
         const user = await AdminUser.findByUsername(username);
         if (!user) {
+            await passwords.verifyDummy(password);
+
+            // Log action
+            await auditManager.logAuthEvent(
+                null,
+                'LOGIN_FAILED',
+                'Failed password for an unknown or inactive user',
+                { step: 'password', username, user_agent: req.get('user-agent') },
+                req.ip
+            );
+
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
             });
         }
 
+        // Locked accounts are refused without checking the password
+        const lockedFor = passwords.lockedFor(user);
+        if (lockedFor > 0) {
+            await auditManager.logAuthEvent(
+                user.id,
+                'LOGIN_BLOCKED',
+                `Sign-in refused for ${user.username}: account locked`,
+                { locked_until: user.locked_until, user_agent: req.get('user-agent') },
+                req.ip
+            );
+            return rejectLocked(res, lockedFor);
+        }
+
         // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.password_hash);
+        const isValidPassword = await passwords.verify(password, user.password_hash);
         if (!isValidPassword) {
+            await recordFailure(user, req, 'password');
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
             });
         }
 
-        // Update last login
-        await AdminUser.updateLastLogin(user.id);
+        // A second factor is needed before there is a session
+        if (user.totp_enabled_at) {
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                two_factor_required: true,
+                challenge_token: twoFactor.issueChallenge(user, 'verify')
+            });
+        }
+        if (await twoFactor.isRequired()) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication is required; set it up to finish signing in',
+                two_factor_setup_required: true,
+                challenge_token: twoFactor.issueChallenge(user, 'enroll')
+            });
+        }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                role: user.role
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-        );
+        res.json({
+            success: true,
+            message: 'Login successful',
+            ...(await startSession(user, req))
+        });
+    } catch (error) {
+        logError('Login failed', error);
+        res.status(500).json({
+            success: false,
+            error: 'Login failed'
+        });
+    }
+});
+
+/**
+ * Second login step
+ * POST /api/auth/login/2fa
+ * Body: { challenge_token, code } or { challenge_token, recovery_code }
+ */
+router.post('/login/2fa', limitLogin, async (req, res) => {
+    try {
+        const { challenge_token, code, recovery_code } = req.body;
+
+        const challenge = twoFactor.verifyChallenge(challenge_token, 'verify');
+        if (!challenge) {
+            return res.status(401).json({
+                success: false,
+                error: 'Sign-in expired; enter your password again'
+            });
+        }
+        if (!code && !recovery_code) {
+            return res.status(400).json({
+                success: false,
+                error: 'A code or recovery code is required'
+            });
+        }
 
-        logInfo('User logged in', { user_id: user.id, username });
+        // Wrong codes count towards the same lockout as wrong passwords
+        const account = await AdminUser.findPasswordHash(challenge.id);
+        const lockedFor = account ? passwords.lockedFor(account) : 0;
+        if (lockedFor > 0) {
+            return rejectLocked(res, lockedFor);
+        }
+
+        const method = await twoFactor.verifyLogin(challenge.id, { code, recovery_code });
+        if (!method) {
+            logWarning('Invalid two-factor code', { user_id: challenge.id });
+            if (account) {
+                await recordFailure(account, req, 'two_factor');
+            }
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid code'
+            });
+        }
+
+        const user = await AdminUser.findById(challenge.id);
+        if (method === 'recovery_code') {
+            const { recovery_codes_remaining } = await AdminUser.findTwoFactor(user.id);
+
+            // Log action
+            await auditManager.logAdminAction(
+                user.id,
+                'TWO_FACTOR_RECOVERY_CODE_USED',
+                'admin_user',
+                user.id,
+                `${user.username} signed in with a recovery code`,
+                { recovery_codes_remaining }
+            );
+        }
 
         res.json({
             success: true,
             message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                full_name: user.full_name,
-                role: user.role
-            }
+            ...(await startSession(user, req, method))
         });
     } catch (error) {
-        logError('Login failed', error);
+        logError('Two-factor login failed', error);
         res.status(500).json({
             success: false,
             error: 'Login failed'
@@ -150,28 +394,604 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * Request a password reset link
+ * POST /api/auth/password/forgot
+ * Body: { email }
+ * Always answers the same way, so it does not reveal which emails have accounts
+ */
+router.post('/password/forgot', limitLogin, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Email is required'
+            });
+        }
+
+        const user = await AdminUser.findByEmail(email);
+        if (user) {
+            const reset = await passwords.createReset(user);
+            await mailer.sendPasswordResetEmail(user, reset);
+        }
+
+        // Log action
+        await auditManager.logAuthEvent(
+            user ? user.id : null,
+            'PASSWORD_RESET_REQUESTED',
+            user ? `Password reset link sent to ${user.username}` : 'Password reset requested for an unknown email',
+            { email, user_agent: req.get('user-agent') },
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            message: 'If this email belongs to an account, a reset link is on its way'
+        });
+    } catch (error) {
+        logError('Failed to send password reset link', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send reset link'
+        });
+    }
+});
+
+/**
+ * Set a new password from a reset link
+ * POST /api/auth/password/reset
+ * Body: { token, password }
+ * Lifts any lockout and signs the user out of every session
+ */
+router.post('/password/reset', limitLogin, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const pending = await passwords.findReset(token);
+        if (!pending) {
+            // Log action
+            await auditManager.logAuthEvent(
+                null,
+                'PASSWORD_RESET_FAILED',
+                'Password reset with an invalid, expired or used link',
+                { user_agent: req.get('user-agent') },
+                req.ip
+            );
+
+            return res.status(400).json({
+                success: false,
+                error: 'This reset link is invalid, has expired or was already used'
+            });
+        }
+
+        const passwordErrors = passwords.validate(password, pending);
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password does not meet the policy',
+                details: passwordErrors
+            });
+        }
+
+        const user = await passwords.consumeReset(token, password);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: 'This reset link is invalid, has expired or was already used'
+            });
+        }
+
+        const sessionsRevoked = await sessions.revokeAllForUser(user.id, 'password_reset');
+
+        // Log action
+        await auditManager.logAuthEvent(
+            user.id,
+            'PASSWORD_RESET_COMPLETED',
+            `${user.username} reset their password`,
+            { sessions_revoked: sessionsRevoked, user_agent: req.get('user-agent') },
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            message: 'Password updated; sign in with your new password'
+        });
+    } catch (error) {
+        logError('Password reset failed', error);
+        res.status(500).json({
+            success: false,
+            error: 'Password reset failed'
+        });
+    }
+});
+
+/**
+ * Change your password
+ * POST /api/auth/password/change
+ * Body: { current_password, new_password }
+ * Wrong current passwords count towards the lockout. Other sessions are signed out;
+ * this one stays open.
+ */
+router.post('/password/change', authenticateSession, async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+
+        if (!current_password || !new_password) {
+            return res.status(400).json({
+                success: false,
+                error: 'current_password and new_password are required'
+            });
+        }
+
+        const account = await AdminUser.findPasswordHash(req.user.id);
+        const lockedFor = passwords.lockedFor(account);
+        if (lockedFor > 0) {
+            return rejectLocked(res, lockedFor);
+        }
+
+        if (!(await passwords.verify(current_password, account.password_hash))) {
+            await recordFailure(account, req, 'password_change');
+            return res.status(400).json({
+                success: false,
+                error: 'Current password is incorrect'
+            });
+        }
+
+        const passwordErrors = passwords.validate(new_password, account);
+        if (new_password === current_password) {
+            passwordErrors.push('new password must differ from the current one');
+        }
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password does not meet the policy',
+                details: passwordErrors
+            });
+        }
+
+        await AdminUser.setPassword(account.id, await passwords.hash(new_password));
+        const sessionsRevoked = await sessions.revokeAllForUser(account.id, 'password_changed', req.user.sid);
+
+        // Log action
+        await auditManager.logAuthEvent(
+            account.id,
+            'PASSWORD_CHANGED',
+            `${account.username} changed their password`,
+            { sessions_revoked: sessionsRevoked, user_agent: req.get('user-agent') },
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            message: 'Password changed',
+            sessions_revoked: sessionsRevoked
+        });
+    } catch (error) {
+        logError('Password change failed', error);
+        res.status(500).json({
+            success: false,
+            error: 'Password change failed'
+        });
+    }
+});
+
+/**
+ * Get the current user's two-factor status
+ * GET /api/auth/2fa
+ */
+router.get('/2fa', authenticateSession, async (req, res) => {
+    try {
+        const user = await AdminUser.findTwoFactor(req.user.id);
+
+        res.json({
+            success: true,
+            two_factor: {
+                enabled: Boolean(user.totp_enabled_at),
+                enabled_at: user.totp_enabled_at,
+                recovery_codes_remaining: user.recovery_codes_remaining,
+                required: await twoFactor.isRequired()
+            }
+        });
+    } catch (error) {
+        logError('Failed to fetch two-factor status', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch two-factor status'
+        });
+    }
+});
+
+/**
+ * Start two-factor enrollment
+ * POST /api/auth/2fa/setup
+ * Accepts a session token, or the enroll challenge_token from login as the bearer token.
+ * Returns a new secret as an otpauth:// URL, a QR code (PNG data URL) and the plain secret;
+ * it takes effect once confirmed with POST /api/auth/2fa/enable.
+ */
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+    try {
+        const secret = twoFactor.generateSecret();
+
+        const pending = await AdminUser.setPendingTotpSecret(req.user.id, secret);
+        if (!pending) {
+            return res.status(409).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...(await twoFactor.buildProvisioning(req.user.username, secret))
+        });
+    } catch (error) {
+        logError('Failed to start two-factor setup', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start two-factor setup'
+        });
+    }
+});
+
+/**
+ * Confirm two-factor enrollment
+ * POST /api/auth/2fa/enable
+ * Body: { code }
+ * Returns the recovery codes, which are shown only this once. During a login's enrollment
+ * step the response also carries the session (token and user).
+ */
+router.post('/2fa/enable', authenticateTwoFactorSetup, async (req, res) => {
+    try {
+        const current = await AdminUser.findTwoFactor(req.user.id);
+        if (!current || !current.is_active) {
+            return res.status(401).json({
+                success: false,
+                error: 'Account is no longer active'
+            });
+        }
+        if (current.totp_enabled_at) {
+            return res.status(409).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+        if (!current.totp_secret) {
+            return res.status(400).json({
+                success: false,
+                error: 'Start with POST /api/auth/2fa/setup'
+            });
+        }
+
+        const step = twoFactor.verifyCode(current.totp_secret, req.body.code, current.totp_last_step);
+        const recoveryCodes = twoFactor.generateRecoveryCodes();
+        const user = step === null ? null : await AdminUser.enableTwoFactor(current.id, step, recoveryCodes.hashes);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid code'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            user.id,
+            'TWO_FACTOR_ENABLED',
+            'admin_user',
+            user.id,
+            `${user.username} enabled two-factor authentication`,
+            { during_login: req.enrolling }
+        );
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recovery_codes: recoveryCodes.codes,
+            ...(req.enrolling ? await startSession(user, req, 'two_factor_enrollment') : {})
+        });
+    } catch (error) {
+        logError('Failed to enable two-factor', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to enable two-factor authentication'
+        });
+    }
+});
+
+/**
+ * Replace the recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ * Body: { code }
+ * Needs a current authenticator code; wrong codes count towards the lockout.
+ * Earlier recovery codes stop working.
+ */
+router.post('/2fa/recovery-codes', authenticateSession, async (req, res) => {
+    try {
+        const account = await AdminUser.findPasswordHash(req.user.id);
+        const lockedFor = passwords.lockedFor(account);
+        if (lockedFor > 0) {
+            return rejectLocked(res, lockedFor);
+        }
+
+        const method = req.body.code ? await twoFactor.verifyLogin(account.id, { code: req.body.code }) : null;
+        if (!method) {
+            await recordFailure(account, req, 'two_factor');
+            return res.status(400).json({
+                success: false,
+                error: 'A valid authenticator code is required'
+            });
+        }
+
+        const recoveryCodes = twoFactor.generateRecoveryCodes();
+        await AdminRecoveryCode.replaceAll(req.user.id, recoveryCodes.hashes);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'TWO_FACTOR_RECOVERY_CODES_REPLACED',
+            'admin_user',
+            req.user.id,
+            `${req.user.username} generated new recovery codes`
+        );
+
+        res.json({
+            success: true,
+            recovery_codes: recoveryCodes.codes
+        });
+    } catch (error) {
+        logError('Failed to replace recovery codes', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to replace recovery codes'
+        });
+    }
+});
+
+/**
+ * Turn off two-factor
+ * POST /api/auth/2fa/disable
+ * Body: { password, code } (code may be a recovery code)
+ * Not allowed while an owner requires two-factor. Wrong passwords and codes count towards the lockout.
+ */
+router.post('/2fa/disable', authenticateSession, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (await twoFactor.isRequired()) {
+            return res.status(409).json({
+                success: false,
+                error: 'Two-factor authentication is required for all users'
+            });
+        }
+
+        const account = await AdminUser.findPasswordHash(req.user.id);
+        const lockedFor = passwords.lockedFor(account);
+        if (lockedFor > 0) {
+            return rejectLocked(res, lockedFor);
+        }
+
+        const validPassword = password && await passwords.verify(password, account.password_hash);
+        const method = validPassword && code
+            ? await twoFactor.verifyLogin(account.id, /^\d{6}$/.test(String(code).trim()) ? { code } : { recovery_code: code })
+            : null;
+        if (!method) {
+            await recordFailure(account, req, validPassword ? 'two_factor' : 'password');
+            return res.status(400).json({
+                success: false,
+                error: 'Your password and a valid code are required'
+            });
+        }
+
+        const user = await AdminUser.disableTwoFactor(account.id);
+
+        // Log action
+        await auditManager.logAdminAction(
+            user.id,
+            'TWO_FACTOR_DISABLED',
+            'admin_user',
+            user.id,
+            `${user.username} disabled two-factor authentication`
+        );
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        logError('Failed to disable two-factor', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to disable two-factor authentication'
+        });
+    }
+});
+
 /**
  * Verify token
  * GET /api/auth/verify
+ * Returns the user's current role and permissions
  */
-router.get('/verify', authenticateToken, (req, res) => {
-    res.json({
-        success: true,
-        user: req.user
-    });
+router.get('/verify', authenticateSession, async (req, res) => {
+    try {
+        const user = await AdminUser.findById(req.user.id);
+
+        if (!user || !user.is_active) {
+            return res.status(401).json({
+                success: false,
+                error: 'Account is no longer active'
+            });
+        }
+
+        res.json({
+            success: true,
+            user: {
+                ...req.user,
+                role: user.role,
+                permissions: accessControl.permissionsFor(user.role)
+            }
+        });
+    } catch (error) {
+        logError('Token verification failed', error);
+        res.status(500).json({
+            success: false,
+            error: 'Verification failed'
+        });
+    }
 });
 
 /**
- * Logout (client-side token removal)
+ * Get a new access token
+ * POST /api/auth/refresh
+ * Body: { refresh_token }
+ * Returns a new access token and a new refresh token; the old refresh token stops working.
+ * Presenting a refresh token that was already used ends the whole session.
+ */
+router.post('/refresh', limitRefresh, async (req, res) => {
+    try {
+        const { status, session, tokens } = await sessions.refresh(req.body.refresh_token);
+
+        if (status === 'reused') {
+            logWarning('Refresh token reused; session revoked', { session_id: session.id, user_id: session.admin_user_id });
+
+            // Log action
+            await auditManager.logAdminAction(
+                session.admin_user_id,
+                'REFRESH_TOKEN_REUSED',
+                'admin_session',
+                session.id,
+                'A used refresh token was presented again; the session was revoked',
+                { ip_address: req.ip, user_agent: req.get('user-agent') }
+            );
+        }
+        if (status !== 'rotated') {
+            return res.status(401).json({
+                success: false,
+                error: 'Session has ended; sign in again'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...tokens
+        });
+    } catch (error) {
+        logError('Token refresh failed', error);
+        res.status(500).json({
+            success: false,
+            error: 'Token refresh failed'
+        });
+    }
+});
+
+/**
+ * Logout
  * POST /api/auth/logout
+ * Revokes the current session: its access and refresh tokens stop working at once
  */
-router.post('/logout', authenticateToken, (req, res) => {
-    logInfo('User logged out', { user_id: req.user.id });
+router.post('/logout', authenticateSession, async (req, res) => {
+    try {
+        await sessions.revoke(req.user.sid, 'logout');
 
-    res.json({
-        success: true,
-        message: 'Logout successful'
-    });
+        logInfo('User logged out', { user_id: req.user.id, session_id: req.user.sid });
+
+        res.json({
+            success: true,
+            message: 'Logout successful'
+        });
+    } catch (error) {
+        logError('Logout failed', error);
+        res.status(500).json({
+            success: false,
+            error: 'Logout failed'
+        });
+    }
+});
+
+/**
+ * Log out of every session, including this one
+ * POST /api/auth/logout-all
+ */
+router.post('/logout-all', authenticateSession, async (req, res) => {
+    try {
+        const revoked = await sessions.revokeAllForUser(req.user.id, 'logout_all');
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'SESSIONS_REVOKED',
+            'admin_user',
+            req.user.id,
+            `${req.user.username} logged out of all sessions`,
+            { sessions_revoked: revoked }
+        );
+
+        res.json({
+            success: true,
+            message: 'Logged out of all sessions',
+            sessions_revoked: revoked
+        });
+    } catch (error) {
+        logError('Failed to log out of all sessions', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out of all sessions'
+        });
+    }
+});
+
+/**
+ * Get the current user's active sessions
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticateSession, async (req, res) => {
+    try {
+        const active = await AdminSession.findActiveByUser(req.user.id);
+
+        res.json({
+            success: true,
+            count: active.length,
+            sessions: active.map(session => ({
+                ...session,
+                current: session.id === req.user.sid
+            }))
+        });
+    } catch (error) {
+        logError('Failed to fetch sessions', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch sessions'
+        });
+    }
+});
+
+/**
+ * End one of the current user's sessions
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateSession, async (req, res) => {
+    try {
+        const session = UUID_PATTERN.test(req.params.id) ? await AdminSession.findActive(req.params.id) : null;
+        if (!session || session.admin_user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        await sessions.revoke(session.id, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Session ended'
+        });
+    } catch (error) {
+        logError('Failed to end session', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to end session'
+        });
+    }
 });
 
 export default router;
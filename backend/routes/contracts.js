@@ -0,0 +1,535 @@
+import express from 'express';
+import { Contract, ContractChange, ContractItem, Customer, DunningPolicy, NumberingSeries, PaymentTerms, UsagePrice } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import currencyManager from '../modules/billing/currency.js';
+import prorationCalculator from '../modules/billing/proration.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+const BILLING_FREQUENCIES = ['monthly', 'quarterly', 'yearly', 'one-time'];
+const CONTRACT_STATUSES = ['active', 'paused', 'expired', 'terminated'];
+
+/**
+ * Check contract terms from a request body
+ * With `isNew`, the fields needed to create a contract are required
+ */
+const validateContractTerms = (data, isNew = false) => {
+    const errors = [];
+    const isSet = (field) => data[field] !== undefined && data[field] !== null && data[field] !== '';
+    const isDate = (value) => !Number.isNaN(Date.parse(value));
+
+    if (isNew) {
+        for (const field of ['customer_id', 'contract_number', 'service_description', 'amount', 'billing_frequency', 'start_date']) {
+            if (!isSet(field)) {
+                errors.push(`${field} is required`);
+            }
+        }
+    }
+
+    if (isSet('amount') && !(parseFloat(data.amount) >= 0)) {
+        errors.push('amount must be zero or more');
+    }
+    if (isSet('currency') && !currencyManager.isSupported(data.currency)) {
+        errors.push(`currency must be one of: ${currencyManager.getSupportedCurrencies().join(', ')}`);
+    }
+    if (isSet('billing_frequency') && !BILLING_FREQUENCIES.includes(data.billing_frequency)) {
+        errors.push(`billing_frequency must be one of: ${BILLING_FREQUENCIES.join(', ')}`);
+    }
+    for (const field of ['start_date', 'end_date']) {
+        if (isSet(field) && !isDate(data[field])) {
+            errors.push(`${field} must be a valid date`);
+        }
+    }
+    // Date.parse accepts days a month does not have (2026-02-30), so check the date round-trips
+    if (isSet('effective_date') && !(/^\d{4}-\d{2}-\d{2}$/.test(data.effective_date)
+        && prorationCalculator.formatDate(prorationCalculator.toDate(data.effective_date)) === data.effective_date)) {
+        errors.push('effective_date must be a date (YYYY-MM-DD)');
+    }
+    if (isSet('start_date') && isSet('end_date') && new Date(data.end_date) < new Date(data.start_date)) {
+        errors.push('end_date must not be before start_date');
+    }
+    for (const field of ['tax_rate', 'discount_percentage']) {
+        if (isSet(field) && !(parseFloat(data[field]) >= 0 && parseFloat(data[field]) <= 100)) {
+            errors.push(`${field} must be between 0 and 100`);
+        }
+    }
+    if (isSet('tax_category') && !/^[a-z0-9_]{1,50}$/.test(data.tax_category)) {
+        errors.push('tax_category must be lower-case letters, digits or underscores');
+    }
+    if (isSet('billing_anchor_day') && !(parseInt(data.billing_anchor_day) >= 1 && parseInt(data.billing_anchor_day) <= 31)) {
+        errors.push('billing_anchor_day must be between 1 and 31');
+    }
+    if (isSet('renewal_term_months') && !(parseInt(data.renewal_term_months) > 0)) {
+        errors.push('renewal_term_months must be greater than 0');
+    }
+    if (isSet('renewal_notice_days') && !(parseInt(data.renewal_notice_days) >= 0)) {
+        errors.push('renewal_notice_days must be zero or more');
+    }
+    if (isSet('items')) {
+        if (!Array.isArray(data.items)) {
+            errors.push('items must be a list');
+        } else {
+            data.items.forEach((item, index) => {
+                if (!item.description) {
+                    errors.push(`Item ${index + 1}: description is required`);
+                }
+                if (!Number.isFinite(parseFloat(item.unit_price))) {
+                    errors.push(`Item ${index + 1}: unit_price must be a number`);
+                }
+            });
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Get all contracts
+ * GET /api/contracts
+ * Filters: customer_id, status, billing_frequency, auto_renew, search
+ */
+router.get('/', authenticateToken, requirePermission('contracts:read'), async (req, res) => {
+    try {
+        if (req.query.status && !CONTRACT_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Status must be one of: ${CONTRACT_STATUSES.join(', ')}`
+            });
+        }
+
+        const filters = {
+            customer_id: req.query.customer_id,
+            status: req.query.status,
+            billing_frequency: req.query.billing_frequency,
+            auto_renew: req.query.auto_renew !== undefined ? req.query.auto_renew === 'true' : undefined,
+            search: req.query.search
+        };
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+
+        const contracts = await Contract.findAll(filters, limit, offset);
+
+        // Dates a new amount may take effect on, for the edit form
+        res.json({
+            success: true,
+            count: contracts.length,
+            contracts: contracts.map(contract => ({
+                ...contract,
+                amount_change_window: prorationCalculator.getChangeWindow(contract)
+            }))
+        });
+    } catch (error) {
+        logError('Failed to fetch contracts', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch contracts'
+        });
+    }
+});
+
+/**
+ * Get contract by ID with its items, usage prices and price history
+ * GET /api/contracts/:id
+ */
+router.get('/:id', authenticateToken, requirePermission('contracts:read'), async (req, res) => {
+    try {
+        const contract = await Contract.findById(req.params.id);
+
+        if (!contract) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contract not found'
+            });
+        }
+
+        const [items, usagePrices, changes] = await Promise.all([
+            ContractItem.findByContractId(contract.id),
+            UsagePrice.findByContractId(contract.id),
+            ContractChange.findByContractId(contract.id)
+        ]);
+
+        res.json({
+            success: true,
+            contract: {
+                ...contract,
+                items,
+                usage_prices: usagePrices,
+                changes,
+                amount_change_window: prorationCalculator.getChangeWindow(contract)
+            }
+        });
+    } catch (error) {
+        logError('Failed to fetch contract', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch contract'
+        });
+    }
+});
+
+/**
+ * Create new contract
+ * POST /api/contracts
+ */
+router.post('/', authenticateToken, requirePermission('contracts:write'), async (req, res) => {
+    try {
+        const errors = validateContractTerms(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid contract',
+                details: errors
+            });
+        }
+
+        const customer = await Customer.findById(req.body.customer_id);
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        if (req.body.numbering_series_id && !(await NumberingSeries.findById(req.body.numbering_series_id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Numbering series not found'
+            });
+        }
+
+        if (req.body.dunning_policy_id && !(await DunningPolicy.findById(req.body.dunning_policy_id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dunning policy not found'
+            });
+        }
+
+        if (req.body.payment_terms_id && !(await PaymentTerms.findById(req.body.payment_terms_id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment terms not found'
+            });
+        }
+
+        const contract = await Contract.create(req.body);
+
+        const items = [];
+        for (const [index, item] of (req.body.items || []).entries()) {
+            items.push(await ContractItem.create({ ...item, contract_id: contract.id, sort_order: index }));
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'CONTRACT_CREATED',
+            'contract',
+            contract.id,
+            `Contract created: ${contract.contract_number}`,
+            {
+                customer_id: contract.customer_id,
+                amount: contract.amount,
+                billing_frequency: contract.billing_frequency,
+                items: items.length
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            contract: { ...contract, items }
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract number already exists'
+            });
+        }
+
+        logError('Failed to create contract', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create contract'
+        });
+    }
+});
+
+/**
+ * Update contract terms
+ * PUT /api/contracts/:id
+ * A new amount is recorded as a price change effective from effective_date (default today)
+ * so the next invoice prorates it
+ */
+router.put('/:id', authenticateToken, requirePermission('contracts:write'), async (req, res) => {
+    try {
+        const errors = validateContractTerms(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid contract terms',
+                details: errors
+            });
+        }
+
+        const existing = await Contract.findById(req.params.id);
+        if (!existing || !existing.is_active) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contract not found'
+            });
+        }
+
+        if (['expired', 'terminated'].includes(existing.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot update a ${existing.status} contract`
+            });
+        }
+
+        // Invoices already issued keep their currency, so the contract's cannot change
+        if (req.body.currency !== undefined && req.body.currency !== existing.currency) {
+            return res.status(400).json({
+                success: false,
+                error: 'Cannot change the currency of an existing contract'
+            });
+        }
+
+        if (req.body.numbering_series_id && !(await NumberingSeries.findById(req.body.numbering_series_id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Numbering series not found'
+            });
+        }
+
+        if (req.body.dunning_policy_id && !(await DunningPolicy.findById(req.body.dunning_policy_id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dunning policy not found'
+            });
+        }
+
+        if (req.body.payment_terms_id && !(await PaymentTerms.findById(req.body.payment_terms_id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment terms not found'
+            });
+        }
+
+        let change = null;
+        if (req.body.amount !== undefined && parseFloat(req.body.amount) !== parseFloat(existing.amount)) {
+            const effectiveDate = req.body.effective_date || new Date().toISOString().split('T')[0];
+            let result;
+            try {
+                result = await Contract.changeAmount(
+                    existing.id,
+                    req.body.amount,
+                    effectiveDate,
+                    req.body.change_reason || null,
+                    req.user.username
+                );
+            } catch (error) {
+                if (!['CONTRACT_HAS_ITEMS', 'CHANGE_DATE_OUT_OF_RANGE'].includes(error.code)) {
+                    throw error;
+                }
+                return res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    ...(error.window && { allowed_effective_dates: error.window })
+                });
+            }
+            change = result.change;
+        }
+
+        const contract = await Contract.update(existing.id, req.body);
+
+        const changedFields = Object.keys(req.body).filter(field => field !== 'effective_date' && field !== 'change_reason');
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'CONTRACT_UPDATED',
+            'contract',
+            contract.id,
+            `Contract updated: ${contract.contract_number}`,
+            {
+                fields: changedFields,
+                ...(change && {
+                    old_amount: change.old_amount,
+                    new_amount: change.new_amount,
+                    effective_date: change.effective_date
+                })
+            }
+        );
+
+        res.json({
+            success: true,
+            contract,
+            change
+        });
+    } catch (error) {
+        logError('Failed to update contract', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update contract'
+        });
+    }
+});
+
+/**
+ * Pause contract billing
+ * POST /api/contracts/:id/pause
+ */
+router.post('/:id/pause', authenticateToken, requirePermission('contracts:write'), async (req, res) => {
+    try {
+        const existing = await Contract.findById(req.params.id);
+        if (!existing || !existing.is_active) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contract not found'
+            });
+        }
+
+        const contract = await Contract.pause(existing.id);
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: `Only active contracts can be paused (contract is ${existing.status})`
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'CONTRACT_PAUSED',
+            'contract',
+            contract.id,
+            `Contract paused: ${contract.contract_number}`,
+            { reason: req.body.reason || null }
+        );
+
+        res.json({
+            success: true,
+            contract
+        });
+    } catch (error) {
+        logError('Failed to pause contract', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to pause contract'
+        });
+    }
+});
+
+/**
+ * Resume a paused contract
+ * POST /api/contracts/:id/resume
+ */
+router.post('/:id/resume', authenticateToken, requirePermission('contracts:write'), async (req, res) => {
+    try {
+        const existing = await Contract.findById(req.params.id);
+        if (!existing || !existing.is_active) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contract not found'
+            });
+        }
+
+        const contract = await Contract.resume(existing.id);
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: `Only paused contracts can be resumed (contract is ${existing.status})`
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'CONTRACT_RESUMED',
+            'contract',
+            contract.id,
+            `Contract resumed: ${contract.contract_number}`,
+            { paused_at: existing.paused_at, next_billing_date: contract.next_billing_date }
+        );
+
+        res.json({
+            success: true,
+            contract
+        });
+    } catch (error) {
+        logError('Failed to resume contract', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resume contract'
+        });
+    }
+});
+
+/**
+ * Terminate a contract
+ * POST /api/contracts/:id/terminate
+ * Body: { termination_date (default today), reason }
+ */
+router.post('/:id/terminate', authenticateToken, requirePermission('contracts:write'), async (req, res) => {
+    try {
+        const terminationDate = req.body.termination_date || new Date().toISOString().split('T')[0];
+
+        if (Number.isNaN(Date.parse(terminationDate))) {
+            return res.status(400).json({
+                success: false,
+                error: 'termination_date must be a valid date'
+            });
+        }
+
+        const existing = await Contract.findById(req.params.id);
+        if (!existing || !existing.is_active) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contract not found'
+            });
+        }
+
+        if (new Date(terminationDate) < new Date(existing.start_date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'termination_date must not be before the contract start date'
+            });
+        }
+
+        const contract = await Contract.terminate(existing.id, terminationDate, req.body.reason || null);
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: `Contract is already ${existing.status}`
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'CONTRACT_TERMINATED',
+            'contract',
+            contract.id,
+            `Contract terminated: ${contract.contract_number}`,
+            {
+                termination_date: terminationDate,
+                previous_end_date: existing.end_date,
+                reason: contract.termination_reason
+            }
+        );
+
+        res.json({
+            success: true,
+            contract
+        });
+    } catch (error) {
+        logError('Failed to terminate contract', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to terminate contract'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,272 @@
+import express from 'express';
+import { CreditNote, NumberingSeries } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import creditNoteCalculator from '../modules/invoice/credit-note-calculator.js';
+import invoiceGenerator from '../modules/invoice/generator.js';
+import invoiceStorage from '../modules/invoice/storage.js';
+import mailer from '../modules/email/mailer.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Get all credit notes
+ * GET /api/credit-notes
+ * Filters: invoice_id, customer_id
+ */
+router.get('/', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
+    try {
+        const { invoice_id, customer_id, limit = 100, offset = 0 } = req.query;
+        const creditNotes = await CreditNote.findAll(
+            { invoice_id, customer_id },
+            parseInt(limit),
+            parseInt(offset)
+        );
+
+        res.json({
+            success: true,
+            count: creditNotes.length,
+            credit_notes: creditNotes
+        });
+    } catch (error) {
+        logError('Failed to fetch credit notes', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch credit notes'
+        });
+    }
+});
+
+/**
+ * Get credit note by ID
+ * GET /api/credit-notes/:id
+ */
+router.get('/:id', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
+    try {
+        const creditNote = await CreditNote.findById(req.params.id);
+
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                error: 'Credit note not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            credit_note: creditNote
+        });
+    } catch (error) {
+        logError('Failed to fetch credit note', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch credit note'
+        });
+    }
+});
+
+/**
+ * Issue credit note against an invoice
+ * POST /api/credit-notes
+ * type 'full' reverses everything not yet credited; type 'partial' takes
+ * lines: [{ invoice_line_item_id, quantity }] or [{ invoice_line_item_id, amount }] (net, before tax)
+ * The PDF is generated straight away; set send_email to email it to the customer.
+ * Answers 201 once the credit note is issued; a PDF or email that failed is reported in
+ * pdf_error or email_error.
+ */
+router.post('/', authenticateToken, requirePermission('credit_notes:write'), async (req, res) => {
+    try {
+        const errors = creditNoteCalculator.validateRequest(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid credit note',
+                details: errors
+            });
+        }
+
+        if (req.body.series_code) {
+            const series = await NumberingSeries.findByCode(req.body.series_code);
+            if (!series || series.document_type !== 'credit_note') {
+                return res.status(400).json({
+                    success: false,
+                    error: `Credit note numbering series ${req.body.series_code} not found`
+                });
+            }
+        }
+
+        let creditNote;
+        try {
+            creditNote = await CreditNote.create({
+                ...req.body,
+                created_by: req.user.username
+            });
+        } catch (error) {
+            if (error.code === 'CREDIT_NOTE_INVALID') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid credit note',
+                    details: error.details
+                });
+            }
+            throw error;
+        }
+
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'CREDIT_NOTE_ISSUED',
+            'credit_note',
+            creditNote.id,
+            `Credit note ${creditNote.credit_note_number} issued against invoice ${creditNote.invoice.invoice_number}`,
+            {
+                invoice_id: creditNote.invoice_id,
+                credit_type: creditNote.credit_type,
+                total_amount: creditNote.total_amount,
+                currency: creditNote.currency,
+                reason: creditNote.reason
+            }
+        );
+
+        // The credit note stands even if delivery fails; the PDF and email can be retried
+        // with POST /:id/generate-pdf and POST /:id/send
+        const delivery = {};
+        try {
+            const pdfBuffer = await invoiceGenerator.generateCreditNotePDF(creditNote.id);
+            const uploadResult = await invoiceStorage.uploadAndUpdateCreditNote(
+                creditNote.id,
+                pdfBuffer,
+                creditNote.credit_note_number
+            );
+            creditNote.pdf_url = uploadResult.url;
+        } catch (error) {
+            logError('Failed to generate credit note PDF', error, { credit_note_id: creditNote.id });
+            delivery.pdf_error = 'Failed to generate credit note PDF';
+        }
+
+        if (req.body.send_email) {
+            if (delivery.pdf_error) {
+                delivery.email_error = 'Credit note email not sent: it has no PDF';
+            } else {
+                try {
+                    creditNote.email = await mailer.sendCreditNoteEmail(creditNote.id);
+                } catch (error) {
+                    logError('Failed to send credit note', error, { credit_note_id: creditNote.id });
+                    delivery.email_error = 'Failed to send credit note';
+                }
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            credit_note: creditNote,
+            ...delivery
+        });
+    } catch (error) {
+        logError('Failed to issue credit note', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to issue credit note'
+        });
+    }
+});
+
+/**
+ * Generate PDF for credit note
+ * POST /api/credit-notes/:id/generate-pdf
+ */
+router.post('/:id/generate-pdf', authenticateToken, requirePermission('credit_notes:write'), async (req, res) => {
+    try {
+        const creditNote = await CreditNote.findById(req.params.id);
+
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                error: 'Credit note not found'
+            });
+        }
+
+        const pdfBuffer = await invoiceGenerator.generateCreditNotePDF(req.params.id);
+        const uploadResult = await invoiceStorage.uploadAndUpdateCreditNote(
+            req.params.id,
+            pdfBuffer,
+            creditNote.credit_note_number
+        );
+
+        res.json({
+            success: true,
+            pdf_url: uploadResult.url,
+            message: 'PDF generated and uploaded successfully'
+        });
+    } catch (error) {
+        logError('Failed to generate credit note PDF', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate credit note PDF'
+        });
+    }
+});
+
+/**
+ * Send credit note email
+ * POST /api/credit-notes/:id/send
+ */
+router.post('/:id/send', authenticateToken, requirePermission('credit_notes:write'), async (req, res) => {
+    try {
+        const result = await mailer.sendCreditNoteEmail(req.params.id);
+
+        res.json({
+            success: true,
+            result
+        });
+    } catch (error) {
+        logError('Failed to send credit note', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send credit note'
+        });
+    }
+});
+
+/**
+ * Download credit note PDF
+ * GET /api/credit-notes/:id/pdf
+ */
+router.get('/:id/pdf', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
+    try {
+        const creditNote = await CreditNote.findById(req.params.id);
+
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                error: 'Credit note not found'
+            });
+        }
+
+        if (!creditNote.pdf_url) {
+            return res.status(404).json({
+                success: false,
+                error: 'PDF not available for this credit note'
+            });
+        }
+
+        // Redirect to Cloudinary URL
+        res.redirect(creditNote.pdf_url);
+    } catch (error) {
+        logError('Failed to download credit note PDF', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to download credit note PDF'
+        });
+    }
+});
+
+export default router;
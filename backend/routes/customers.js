@@ -1,7 +1,10 @@
 import express from 'express';
-import { Customer } from '../database/models.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { Customer, CustomerCredit, DunningPolicy, PaymentTerms, PortalUser, TaxExemption } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import auditManager from '../modules/audit/audit-manager.js';
+import currencyManager from '../modules/billing/currency.js';
+import portalAuth from '../modules/portal/portal-auth.js';
+import mailer from '../modules/email/mailer.js';
 import { logError } from '../modules/audit/logger.js';
 
 const router = express.Router();
@@ -10,7 +13,7 @@ const router = express.Router();
  * Get all customers
  * GET /api/customers
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('customers:read'), async (req, res) => {
     try {
         const customers = await Customer.findAll();
 
@@ -32,7 +35,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * Get customer by ID
  * GET /api/customers/:id
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('customers:read'), async (req, res) => {
     try {
         const customer = await Customer.findById(req.params.id);
 
@@ -45,7 +48,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
         res.json({
             success: true,
-            customer
+            customer: {
+                ...customer,
+                tax_exemptions: await TaxExemption.findByCustomerId(customer.id),
+                credit_balances: await CustomerCredit.getBalances(customer.id)
+            }
         });
     } catch (error) {
         logError('Failed to fetch customer', error);
@@ -60,8 +67,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * Create new customer
  * POST /api/customers
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('customers:write'), async (req, res) => {
     try {
+        if (req.body.currency && !currencyManager.isSupported(req.body.currency)) {
+            return res.status(400).json({
+                success: false,
+                error: `Currency must be one of: ${currencyManager.getSupportedCurrencies().join(', ')}`
+            });
+        }
+
         const customer = await Customer.create(req.body);
 
         // Log action
@@ -91,8 +105,15 @@ router.post('/', authenticateToken, async (req, res) => {
  * Update customer
  * PUT /api/customers/:id
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('customers:write'), async (req, res) => {
     try {
+        if (req.body.currency && !currencyManager.isSupported(req.body.currency)) {
+            return res.status(400).json({
+                success: false,
+                error: `Currency must be one of: ${currencyManager.getSupportedCurrencies().join(', ')}`
+            });
+        }
+
         const customer = await Customer.update(req.params.id, req.body);
 
         if (!customer) {
@@ -128,7 +149,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
  * Delete customer (soft delete)
  * DELETE /api/customers/:id
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('customers:write'), async (req, res) => {
     try {
         const customer = await Customer.delete(req.params.id);
 
@@ -161,4 +182,424 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Assign a dunning policy to a customer
+ * PUT /api/customers/:id/dunning-policy
+ * Body: { dunning_policy_id } (null to use the default policy)
+ * A policy set on a contract takes precedence for that contract's invoices
+ */
+router.put('/:id/dunning-policy', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const { dunning_policy_id } = req.body;
+
+        if (dunning_policy_id === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'dunning_policy_id is required (null for the default policy)'
+            });
+        }
+
+        const policy = dunning_policy_id ? await DunningPolicy.findById(dunning_policy_id) : null;
+        if (dunning_policy_id && !policy) {
+            return res.status(400).json({
+                success: false,
+                error: 'Dunning policy not found'
+            });
+        }
+
+        const customer = await Customer.setDunningPolicy(req.params.id, dunning_policy_id);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'CUSTOMER_DUNNING_POLICY_SET',
+            'customer',
+            customer.id,
+            `Dunning policy for ${customer.name}: ${policy ? policy.name : 'default'}`,
+            { dunning_policy_id: dunning_policy_id || null }
+        );
+
+        res.json({
+            success: true,
+            customer
+        });
+    } catch (error) {
+        logError('Failed to set customer dunning policy', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to set dunning policy'
+        });
+    }
+});
+
+/**
+ * Set a customer's payment terms
+ * PUT /api/customers/:id/payment-terms
+ * Body: { payment_terms_id } (null to use the default terms)
+ * Terms set on a contract take precedence for that contract's invoices; invoices already
+ * issued keep their due date
+ */
+router.put('/:id/payment-terms', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const { payment_terms_id } = req.body;
+
+        if (payment_terms_id === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'payment_terms_id is required (null for the default terms)'
+            });
+        }
+
+        const terms = payment_terms_id ? await PaymentTerms.findById(payment_terms_id) : null;
+        if (payment_terms_id && !terms) {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment terms not found'
+            });
+        }
+
+        const customer = await Customer.setPaymentTerms(req.params.id, payment_terms_id);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'CUSTOMER_PAYMENT_TERMS_SET',
+            'customer',
+            customer.id,
+            `Payment terms for ${customer.name}: ${terms ? terms.name : 'default'}`,
+            { payment_terms_id: payment_terms_id || null }
+        );
+
+        res.json({
+            success: true,
+            customer
+        });
+    } catch (error) {
+        logError('Failed to set customer payment terms', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to set payment terms'
+        });
+    }
+});
+
+/**
+ * Get a customer's portal users
+ * GET /api/customers/:id/portal-users
+ */
+router.get('/:id/portal-users', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+    try {
+        const users = await PortalUser.findByCustomerId(req.params.id);
+
+        res.json({
+            success: true,
+            count: users.length,
+            users
+        });
+    } catch (error) {
+        logError('Failed to fetch portal users', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch portal users'
+        });
+    }
+});
+
+/**
+ * Invite a contact to the customer portal
+ * POST /api/customers/:id/portal-users
+ * Body: { email, full_name }
+ * The contact is emailed a sign-in link. The customer's own account and billing emails
+ * do not need an invitation; they get a portal login the first time they ask for a link.
+ */
+router.post('/:id/portal-users', authenticateToken, requirePermission('customers:write'), async (req, res) => {
+    try {
+        const { email, full_name } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email is required'
+            });
+        }
+
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        const user = await PortalUser.create({ customer_id: customer.id, email, full_name });
+        await mailer.sendPortalLoginEmail(user, await portalAuth.createMagicLink(user));
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'PORTAL_USER_INVITED',
+            'customer',
+            customer.id,
+            `Portal user ${user.email} invited for ${customer.name}`,
+            { portal_user_id: user.id }
+        );
+
+        res.status(201).json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: 'A portal user with this email already exists'
+            });
+        }
+
+        logError('Failed to invite portal user', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to invite portal user'
+        });
+    }
+});
+
+/**
+ * Activate or deactivate a portal user
+ * PUT /api/customers/:id/portal-users/:userId
+ * Body: { is_active }
+ * A deactivated user cannot sign in; sessions already issued run until they expire
+ */
+router.put('/:id/portal-users/:userId', authenticateToken, requirePermission('customers:write'), async (req, res) => {
+    try {
+        if (typeof req.body.is_active !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'is_active (true or false) is required'
+            });
+        }
+
+        const user = await PortalUser.setActive(req.params.userId, req.params.id, req.body.is_active);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'Portal user not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            user.is_active ? 'PORTAL_USER_ACTIVATED' : 'PORTAL_USER_DEACTIVATED',
+            'customer',
+            user.customer_id,
+            `Portal user ${user.email} ${user.is_active ? 'activated' : 'deactivated'}`,
+            { portal_user_id: user.id }
+        );
+
+        res.json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        logError('Failed to update portal user', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update portal user'
+        });
+    }
+});
+
+/**
+ * Get a customer's credit balances and ledger
+ * GET /api/customers/:id/credits
+ * Overpayments add credit; applying it to an invoice spends it
+ */
+router.get('/:id/credits', authenticateToken, requirePermission('payments:read'), async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        const [balances, entries] = await Promise.all([
+            CustomerCredit.getBalances(customer.id),
+            CustomerCredit.findByCustomerId(customer.id, parseInt(req.query.limit || 100))
+        ]);
+
+        res.json({
+            success: true,
+            balances,
+            entries
+        });
+    } catch (error) {
+        logError('Failed to fetch customer credits', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch customer credits'
+        });
+    }
+});
+
+/**
+ * Get a customer's tax exemption certificates
+ * GET /api/customers/:id/tax-exemptions
+ */
+router.get('/:id/tax-exemptions', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        const exemptions = await TaxExemption.findByCustomerId(customer.id);
+
+        res.json({
+            success: true,
+            count: exemptions.length,
+            exemptions
+        });
+    } catch (error) {
+        logError('Failed to fetch tax exemptions', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch tax exemptions'
+        });
+    }
+});
+
+/**
+ * Record a tax exemption certificate
+ * POST /api/customers/:id/tax-exemptions
+ * country defaults to the customer's; a state limits the exemption to that state
+ */
+router.post('/:id/tax-exemptions', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        const { certificate_number, valid_from, valid_to } = req.body;
+        const errors = [];
+
+        if (!certificate_number) {
+            errors.push('certificate_number is required');
+        }
+        for (const [field, value] of Object.entries({ valid_from, valid_to })) {
+            if (value && Number.isNaN(Date.parse(value))) {
+                errors.push(`${field} must be a valid date`);
+            }
+        }
+        if (valid_from && valid_to && new Date(valid_to) < new Date(valid_from)) {
+            errors.push('valid_to must not be before valid_from');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid tax exemption',
+                details: errors
+            });
+        }
+
+        const exemption = await TaxExemption.create({
+            ...req.body,
+            customer_id: customer.id,
+            country: req.body.country || customer.country
+        });
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'TAX_EXEMPTION_CREATED',
+            'customer',
+            customer.id,
+            `Tax exemption certificate ${exemption.certificate_number} recorded for ${customer.name}`,
+            {
+                exemption_id: exemption.id,
+                country: exemption.country,
+                state: exemption.state,
+                valid_to: exemption.valid_to
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            exemption
+        });
+    } catch (error) {
+        logError('Failed to create tax exemption', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create tax exemption'
+        });
+    }
+});
+
+/**
+ * Revoke a tax exemption certificate
+ * DELETE /api/customers/:id/tax-exemptions/:exemptionId
+ */
+router.delete('/:id/tax-exemptions/:exemptionId', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const exemption = await TaxExemption.revoke(req.params.exemptionId, req.params.id);
+
+        if (!exemption) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tax exemption not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'TAX_EXEMPTION_REVOKED',
+            'customer',
+            exemption.customer_id,
+            `Tax exemption certificate ${exemption.certificate_number} revoked`,
+            { exemption_id: exemption.id }
+        );
+
+        res.json({
+            success: true,
+            exemption
+        });
+    } catch (error) {
+        logError('Failed to revoke tax exemption', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke tax exemption'
+        });
+    }
+});
+
 export default router;
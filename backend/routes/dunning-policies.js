@@ -0,0 +1,188 @@
+import express from 'express';
+import { DunningPolicy, LateFeeRule } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import dunningManager from '../modules/billing/dunning-manager.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Errors for late_fee stages whose rule does not exist
+ */
+const checkLateFeeRules = async (stages) => {
+    if (!Array.isArray(stages)) {
+        return [];
+    }
+
+    const ids = [...new Set(stages.map(stage => stage.late_fee_rule_id).filter(Boolean))];
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const found = (await LateFeeRule.findByIds(ids)).map(rule => rule.id);
+    return ids.filter(id => !found.includes(id)).map(id => `late fee rule ${id} not found`);
+};
+
+/**
+ * Get all dunning policies with their stages
+ * GET /api/dunning-policies
+ */
+router.get('/', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+    try {
+        const policies = await DunningPolicy.findAll();
+
+        res.json({
+            success: true,
+            count: policies.length,
+            policies
+        });
+    } catch (error) {
+        logError('Failed to fetch dunning policies', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch dunning policies'
+        });
+    }
+});
+
+/**
+ * Get dunning policy by ID
+ * GET /api/dunning-policies/:id
+ */
+router.get('/:id', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+    try {
+        const policy = await DunningPolicy.findById(req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dunning policy not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            policy
+        });
+    } catch (error) {
+        logError('Failed to fetch dunning policy', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch dunning policy'
+        });
+    }
+});
+
+/**
+ * Create dunning policy
+ * POST /api/dunning-policies
+ * Body: { name, description, is_default, stages: [{ name, day_offset, action, template, tone,
+ *         repeat_interval_days, late_fee_rule_id }] }
+ * Stages run in the order given, each a later number of days overdue than the one before
+ */
+router.post('/', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const errors = dunningManager.validatePolicy(req.body, true);
+        errors.push(...await checkLateFeeRules(req.body.stages));
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid dunning policy',
+                details: errors
+            });
+        }
+
+        const policy = await DunningPolicy.create(req.body);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'DUNNING_POLICY_CREATED',
+            'dunning_policy',
+            policy.id,
+            `Dunning policy created: ${policy.name}`,
+            {
+                is_default: policy.is_default,
+                stages: policy.stages.map(stage => `${stage.day_offset}d ${stage.action}`)
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            policy
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({
+                success: false,
+                error: 'Dunning policy name already exists'
+            });
+        }
+
+        logError('Failed to create dunning policy', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create dunning policy'
+        });
+    }
+});
+
+/**
+ * Update dunning policy
+ * PUT /api/dunning-policies/:id
+ * Only the fields sent are changed; sending `stages` replaces all of them.
+ * Invoices already being chased continue from the stage number they reached.
+ */
+router.put('/:id', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const errors = dunningManager.validatePolicy(req.body);
+        errors.push(...await checkLateFeeRules(req.body.stages));
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid dunning policy',
+                details: errors
+            });
+        }
+
+        const policy = await DunningPolicy.update(req.params.id, req.body);
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dunning policy not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'DUNNING_POLICY_UPDATED',
+            'dunning_policy',
+            policy.id,
+            `Dunning policy updated: ${policy.name}`,
+            { fields: Object.keys(req.body) }
+        );
+
+        res.json({
+            success: true,
+            policy
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({
+                success: false,
+                error: 'Dunning policy name already exists'
+            });
+        }
+
+        logError('Failed to update dunning policy', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update dunning policy'
+        });
+    }
+});
+
+export default router;
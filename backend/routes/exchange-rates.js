@@ -0,0 +1,99 @@
+import express from 'express';
+import { ExchangeRate } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import currencyManager from '../modules/billing/currency.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Get exchange rates, newest first
+ * GET /api/exchange-rates
+ * Filters: currency, base_currency
+ */
+router.get('/', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+    try {
+        const { currency, base_currency, limit = 100 } = req.query;
+
+        const rates = await ExchangeRate.findAll({ currency, base_currency }, parseInt(limit));
+
+        res.json({
+            success: true,
+            base_currency: currencyManager.baseCurrency,
+            supported_currencies: currencyManager.getSupportedCurrencies(),
+            count: rates.length,
+            rates
+        });
+    } catch (error) {
+        logError('Failed to fetch exchange rates', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch exchange rates'
+        });
+    }
+});
+
+/**
+ * Set the rate for a currency on a date (replaces an existing rate for that date)
+ * PUT /api/exchange-rates
+ * The rate is the number of base currency units per 1 unit of currency
+ */
+router.put('/', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const { currency, base_currency, rate, effective_date } = req.body;
+        const errors = [];
+
+        if (!currencyManager.isSupported(currency)) {
+            errors.push(`currency must be one of: ${currencyManager.getSupportedCurrencies().join(', ')}`);
+        }
+        if (base_currency && !currencyManager.isSupported(base_currency)) {
+            errors.push('base_currency is not supported');
+        }
+        if (currency && base_currency && currency.toUpperCase() === base_currency.toUpperCase()) {
+            errors.push('currency and base_currency must differ');
+        }
+        if (!(parseFloat(rate) > 0)) {
+            errors.push('rate must be greater than 0');
+        }
+        if (effective_date && Number.isNaN(Date.parse(effective_date))) {
+            errors.push('effective_date must be a valid date');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid exchange rate',
+                details: errors
+            });
+        }
+
+        const exchangeRate = await ExchangeRate.upsert(req.body);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'EXCHANGE_RATE_UPDATED',
+            'exchange_rate',
+            exchangeRate.id,
+            `Exchange rate set: 1 ${exchangeRate.currency} = ${exchangeRate.rate} ${exchangeRate.base_currency}`,
+            {
+                effective_date: exchangeRate.effective_date,
+                source: exchangeRate.source
+            }
+        );
+
+        res.json({
+            success: true,
+            exchange_rate: exchangeRate
+        });
+    } catch (error) {
+        logError('Failed to update exchange rate', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update exchange rate'
+        });
+    }
+});
+
+export default router;
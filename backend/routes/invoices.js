@@ -1,10 +1,17 @@
 import express from 'express';
-import { Invoice } from '../database/models.js';
-import { authenticateToken } from '../middleware/auth.js';
+import {
+    CreditNote, ExchangeRate, Invoice, InvoiceDunningEvent, InvoiceStatusHistory, LateFeeCharge, NumberingSeries, Payment, PaymentLink, PaymentTerms
+} from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { limitAi } from '../middleware/rate-limit.js';
 import invoiceGenerator from '../modules/invoice/generator.js';
 import invoiceStorage from '../modules/invoice/storage.js';
+import invoiceCalculator from '../modules/invoice/calculator.js';
+import invoiceLifecycle from '../modules/invoice/lifecycle.js';
+import currencyManager from '../modules/billing/currency.js';
 import aiValidator from '../modules/ai/validation/validator.js';
 import mailer from '../modules/email/mailer.js';
+import paymentLinkManager from '../modules/payments/payment-links.js';
 import auditManager from '../modules/audit/audit-manager.js';
 import { logError } from '../modules/audit/logger.js';
 
@@ -14,7 +21,7 @@ const router = express.Router();
  * Get all invoices
  * GET /api/invoices
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 100;
         const offset = parseInt(req.query.offset) || 0;
@@ -39,7 +46,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * Get invoice by ID
  * GET /api/invoices/:id
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
     try {
         const invoice = await Invoice.findById(req.params.id);
 
@@ -50,6 +57,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
             });
         }
 
+        invoice.credit_notes = await CreditNote.findByInvoiceId(invoice.id);
+        invoice.payments = await Payment.findByInvoiceId(invoice.id);
+        invoice.dunning_events = await InvoiceDunningEvent.findByInvoiceId(invoice.id);
+        invoice.late_fee_charges = await LateFeeCharge.findByInvoiceId(invoice.id);
+        invoice.status_history = await InvoiceStatusHistory.findByInvoiceId(invoice.id);
+        invoice.allowed_status_changes = invoiceLifecycle.allowedManualChanges(invoice);
+
         res.json({
             success: true,
             invoice
@@ -67,7 +81,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * Get invoices by status
  * GET /api/invoices/status/:status
  */
-router.get('/status/:status', authenticateToken, async (req, res) => {
+router.get('/status/:status', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
     try {
         const invoices = await Invoice.findByStatus(req.params.status);
 
@@ -89,7 +103,7 @@ router.get('/status/:status', authenticateToken, async (req, res) => {
  * Get overdue invoices
  * GET /api/invoices/overdue/list
  */
-router.get('/overdue/list', authenticateToken, async (req, res) => {
+router.get('/overdue/list', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
     try {
         const invoices = await Invoice.findOverdue();
 
@@ -110,10 +124,71 @@ router.get('/overdue/list', authenticateToken, async (req, res) => {
 /**
  * Create manual invoice
  * POST /api/invoices
+ * Body: { customer_id, contract_id, line_items, currency?, issue_date?, due_date?, payment_terms_id?, series_code? }
+ * The invoice is created as pending; other fields in the body (status, totals, usage records
+ * or price changes to settle) are ignored. Totals are calculated from line_items
+ * The number comes from `series_code`, the contract's series or the default series
+ * Without a due_date, the due date and any early-payment discount come from `payment_terms_id`,
+ * the contract's terms, the customer's terms or the default terms
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('invoices:write'), async (req, res) => {
     try {
-        const invoice = await Invoice.create(req.body);
+        const lineItemErrors = invoiceCalculator.validateLineItems(req.body.line_items);
+        if (lineItemErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid line items',
+                details: lineItemErrors
+            });
+        }
+
+        if (req.body.series_code && !(await NumberingSeries.findByCode(req.body.series_code))) {
+            return res.status(400).json({
+                success: false,
+                error: `Numbering series ${req.body.series_code} not found`
+            });
+        }
+
+        if (req.body.currency) {
+            if (!currencyManager.isSupported(req.body.currency)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Currency must be one of: ${currencyManager.getSupportedCurrencies().join(', ')}`
+                });
+            }
+
+            const currency = req.body.currency.toUpperCase();
+            const issueDate = req.body.issue_date || new Date().toISOString().split('T')[0];
+            if (currency !== currencyManager.baseCurrency &&
+                !(await ExchangeRate.findRate(currency, currencyManager.baseCurrency, issueDate))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `No exchange rate from ${currency} to ${currencyManager.baseCurrency} on ${issueDate}`
+                });
+            }
+        }
+
+        if (req.body.payment_terms_id && !(await PaymentTerms.findById(req.body.payment_terms_id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment terms not found'
+            });
+        }
+
+        const {
+            customer_id, contract_id, line_items, currency, issue_date, due_date, payment_terms_id, series_code
+        } = req.body;
+        const invoice = await Invoice.create({
+            customer_id,
+            contract_id,
+            line_items,
+            currency,
+            issue_date,
+            due_date,
+            payment_terms_id,
+            series_code,
+            created_by: req.user.username
+        });
 
         // Log action
         await auditManager.logAdminAction(
@@ -141,8 +216,9 @@ router.post('/', authenticateToken, async (req, res) => {
 /**
  * Update invoice status
  * PATCH /api/invoices/:id/status
+ * Only changes the invoice lifecycle allows by hand; payment statuses follow from payments and credit notes
  */
-router.patch('/:id/status', authenticateToken, async (req, res) => {
+router.patch('/:id/status', authenticateToken, requirePermission('invoices:write'), async (req, res) => {
     try {
         const { status } = req.body;
 
@@ -153,7 +229,38 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
             });
         }
 
-        const invoice = await Invoice.updateStatus(req.params.id, status);
+        const existing = await Invoice.findById(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+
+        const errors = invoiceLifecycle.validateManualTransition(existing, status);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid status change',
+                details: errors,
+                allowed: invoiceLifecycle.allowedManualChanges(existing)
+            });
+        }
+
+        let invoice;
+        try {
+            invoice = await Invoice.updateStatus(req.params.id, status, req.user.username, req.body.reason || null);
+        } catch (error) {
+            // The status changed since it was checked
+            if (error.code === 'INVOICE_TRANSITION_INVALID') {
+                return res.status(409).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            throw error;
+        }
 
         // Log action
         await auditManager.logAdminAction(
@@ -161,8 +268,8 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
             'INVOICE_STATUS_UPDATED',
             'invoice',
             invoice.id,
-            `Invoice status updated to ${status}`,
-            { old_status: invoice.status, new_status: status }
+            `Invoice status updated from ${invoice.previous_status} to ${status}`,
+            { old_status: invoice.previous_status, new_status: status, reason: req.body.reason || null }
         );
 
         res.json({
@@ -182,7 +289,7 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
  * Generate PDF for invoice
  * POST /api/invoices/:id/generate-pdf
  */
-router.post('/:id/generate-pdf', authenticateToken, async (req, res) => {
+router.post('/:id/generate-pdf', authenticateToken, requirePermission('invoices:write'), async (req, res) => {
     try {
         const invoice = await Invoice.findById(req.params.id);
 
@@ -221,7 +328,7 @@ router.post('/:id/generate-pdf', authenticateToken, async (req, res) => {
  * Validate invoice with AI
  * POST /api/invoices/:id/validate
  */
-router.post('/:id/validate', authenticateToken, async (req, res) => {
+router.post('/:id/validate', authenticateToken, requirePermission('invoices:write'), limitAi, async (req, res) => {
     try {
         const validationResult = await aiValidator.validateInvoice(req.params.id);
 
@@ -242,7 +349,7 @@ router.post('/:id/validate', authenticateToken, async (req, res) => {
  * Send invoice email
  * POST /api/invoices/:id/send
  */
-router.post('/:id/send', authenticateToken, async (req, res) => {
+router.post('/:id/send', authenticateToken, requirePermission('invoices:write'), async (req, res) => {
     try {
         const result = await mailer.sendInvoiceEmail(req.params.id);
 
@@ -259,11 +366,94 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Create a payment link for the invoice
+ * POST /api/invoices/:id/payment-link
+ * The URL is only returned now; earlier links stay valid until they expire or are revoked
+ */
+router.post('/:id/payment-link', authenticateToken, requirePermission('invoices:write'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+
+        const link = await paymentLinkManager.createLink(invoice.id, req.user.username);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'PAYMENT_LINK_CREATED',
+            'invoice',
+            invoice.id,
+            `Payment link created for invoice ${invoice.invoice_number}`,
+            { link_id: link.id, expires_at: link.expires_at }
+        );
+
+        res.status(201).json({
+            success: true,
+            payment_link: {
+                url: link.url,
+                expires_at: link.expires_at
+            }
+        });
+    } catch (error) {
+        logError('Failed to create payment link', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create payment link'
+        });
+    }
+});
+
+/**
+ * Revoke all payment links of the invoice
+ * DELETE /api/invoices/:id/payment-link
+ */
+router.delete('/:id/payment-link', authenticateToken, requirePermission('invoices:write'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+
+        const revoked = await PaymentLink.revokeForInvoice(invoice.id);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'PAYMENT_LINKS_REVOKED',
+            'invoice',
+            invoice.id,
+            `${revoked} payment link(s) revoked for invoice ${invoice.invoice_number}`
+        );
+
+        res.json({
+            success: true,
+            revoked
+        });
+    } catch (error) {
+        logError('Failed to revoke payment links', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke payment links'
+        });
+    }
+});
+
 /**
  * Download invoice PDF
  * GET /api/invoices/:id/pdf
  */
-router.get('/:id/pdf', authenticateToken, async (req, res) => {
+router.get('/:id/pdf', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
     try {
         const invoice = await Invoice.findById(req.params.id);
 
@@ -0,0 +1,172 @@
+import express from 'express';
+import { LateFeeRule } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import lateFeeManager from '../modules/billing/late-fee-manager.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Get all late fee rules
+ * GET /api/late-fee-rules
+ */
+router.get('/', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+    try {
+        const rules = await LateFeeRule.findAll();
+
+        res.json({
+            success: true,
+            count: rules.length,
+            reference_rate: lateFeeManager.referenceRate,
+            rules
+        });
+    } catch (error) {
+        logError('Failed to fetch late fee rules', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch late fee rules'
+        });
+    }
+});
+
+/**
+ * Get late fee rule by ID
+ * GET /api/late-fee-rules/:id
+ */
+router.get('/:id', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+    try {
+        const rule = await LateFeeRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                error: 'Late fee rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            rule
+        });
+    } catch (error) {
+        logError('Failed to fetch late fee rule', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch late fee rule'
+        });
+    }
+});
+
+/**
+ * Create late fee rule
+ * POST /api/late-fee-rules
+ * Body: { name, description, fee_type: flat|percentage|interest, amount, rate, add_reference_rate, currency,
+ *         recurrence: one_time|recurring, interval_days, grace_days, cap_amount, cap_percentage,
+ *         application: fee_invoice|invoice_line }
+ * A rule charges nothing until a dunning policy has a late_fee stage using it
+ */
+router.post('/', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const data = { recurrence: 'one_time', ...req.body };
+        const errors = lateFeeManager.validateRule(data, true);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid late fee rule',
+                details: errors
+            });
+        }
+
+        const rule = await LateFeeRule.create(data);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'LATE_FEE_RULE_CREATED',
+            'late_fee_rule',
+            rule.id,
+            `Late fee rule created: ${rule.name}`,
+            { fee_type: rule.fee_type, recurrence: rule.recurrence, application: rule.application }
+        );
+
+        res.status(201).json({
+            success: true,
+            rule
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({
+                success: false,
+                error: 'Late fee rule name already exists'
+            });
+        }
+
+        logError('Failed to create late fee rule', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create late fee rule'
+        });
+    }
+});
+
+/**
+ * Update late fee rule
+ * PUT /api/late-fee-rules/:id
+ * Only the fields sent are changed; set is_active false to stop charging the rule.
+ * Charges already made are not changed.
+ */
+router.put('/:id', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const existing = await LateFeeRule.findById(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Late fee rule not found'
+            });
+        }
+
+        // Check the rule as it will be after the update
+        const errors = lateFeeManager.validateRule({ ...existing, ...req.body });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid late fee rule',
+                details: errors
+            });
+        }
+
+        const rule = await LateFeeRule.update(req.params.id, req.body);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'LATE_FEE_RULE_UPDATED',
+            'late_fee_rule',
+            rule.id,
+            `Late fee rule updated: ${rule.name}`,
+            { fields: Object.keys(req.body) }
+        );
+
+        res.json({
+            success: true,
+            rule
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({
+                success: false,
+                error: 'Late fee rule name already exists'
+            });
+        }
+
+        logError('Failed to update late fee rule', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update late fee rule'
+        });
+    }
+});
+
+export default router;
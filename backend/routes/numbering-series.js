@@ -0,0 +1,134 @@
+import express from 'express';
+import { NumberingSeries } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import invoiceNumbering from '../modules/invoice/numbering.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Get all numbering series with their counters
+ * GET /api/numbering-series
+ */
+router.get('/', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+    try {
+        const series = await NumberingSeries.findAll();
+
+        res.json({
+            success: true,
+            count: series.length,
+            series
+        });
+    } catch (error) {
+        logError('Failed to fetch numbering series', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch numbering series'
+        });
+    }
+});
+
+/**
+ * Create numbering series
+ * POST /api/numbering-series
+ */
+router.post('/', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const errors = invoiceNumbering.validateSeries(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid numbering series',
+                details: errors
+            });
+        }
+
+        const series = await NumberingSeries.create(req.body);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'NUMBERING_SERIES_CREATED',
+            'numbering_series',
+            series.id,
+            `Numbering series created: ${series.code}`,
+            {
+                prefix: series.prefix,
+                padding: series.padding,
+                reset_period: series.reset_period,
+                is_default: series.is_default,
+                example: invoiceNumbering.formatNumber(series, 1, new Date())
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            series
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({
+                success: false,
+                error: 'Numbering series code already exists'
+            });
+        }
+
+        logError('Failed to create numbering series', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create numbering series'
+        });
+    }
+});
+
+/**
+ * Update numbering series
+ * PUT /api/numbering-series/:id
+ * Only name, legal_entity, is_active and is_default can change; create a new series to change the format
+ */
+router.put('/:id', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const fixedFields = ['code', 'document_type', 'prefix', 'padding', 'reset_period']
+            .filter(field => req.body[field] !== undefined);
+
+        if (fixedFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot change ${fixedFields.join(', ')} of an existing series`
+            });
+        }
+
+        const series = await NumberingSeries.update(req.params.id, req.body);
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                error: 'Numbering series not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'NUMBERING_SERIES_UPDATED',
+            'numbering_series',
+            series.id,
+            `Numbering series updated: ${series.code}`,
+            { fields: Object.keys(req.body) }
+        );
+
+        res.json({
+            success: true,
+            series
+        });
+    } catch (error) {
+        logError('Failed to update numbering series', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update numbering series'
+        });
+    }
+});
+
+export default router;
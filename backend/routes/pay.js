@@ -0,0 +1,189 @@
+import express from 'express';
+import { PaymentLink } from '../database/models.js';
+import paymentLinkManager from '../modules/payments/payment-links.js';
+import paymentGateway from '../modules/payments/gateway.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Resolve the payment link token or answer 404
+ * Unknown, expired and revoked links look the same to the caller
+ */
+const resolveLink = async (req, res) => {
+    const resolved = await paymentLinkManager.resolve(req.params.token);
+    if (!resolved) {
+        res.status(404).json({
+            success: false,
+            error: 'This payment link is invalid or has expired'
+        });
+    }
+    return resolved;
+};
+
+/**
+ * Get the public view of an invoice
+ * GET /api/pay/:token
+ * No JWT: the token is the credential. Only what the customer needs to see is returned.
+ */
+router.get('/:token', async (req, res) => {
+    try {
+        const resolved = await resolveLink(req, res);
+        if (!resolved) {
+            return;
+        }
+        const { link, invoice } = resolved;
+
+        await PaymentLink.recordView(link.id);
+
+        // Log action
+        await auditManager.logPaymentPageEvent(
+            invoice.id,
+            'PAYMENT_PAGE_VIEWED',
+            `Payment page for invoice ${invoice.invoice_number} opened`,
+            { link_id: link.id, user_agent: req.get('user-agent') },
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            invoice: {
+                invoice_number: invoice.invoice_number,
+                customer_name: invoice.customer_name,
+                service_description: invoice.service_description,
+                issue_date: invoice.issue_date,
+                due_date: invoice.due_date,
+                status: invoice.status,
+                currency: invoice.currency,
+                subtotal: invoice.subtotal,
+                tax_amount: invoice.tax_amount,
+                discount_amount: invoice.discount_amount,
+                total_amount: invoice.total_amount,
+                credited_amount: invoice.credited_amount,
+                amount_paid: invoice.amount_paid,
+                balance_due: invoice.balance_due,
+                tax_breakdown: invoice.tax_breakdown,
+                tax_note: invoice.tax_note,
+                line_items: invoice.line_items.map(item => ({
+                    description: item.description,
+                    quantity: item.quantity,
+                    unit_price: item.unit_price,
+                    total_amount: item.total_amount
+                }))
+            },
+            company_name: process.env.COMPANY_NAME || 'BillerAGI',
+            has_pdf: Boolean(invoice.pdf_url),
+            can_pay: paymentLinkManager.isPayable(invoice) && Boolean(paymentGateway.getCheckoutProvider()),
+            expires_at: link.expires_at
+        });
+    } catch (error) {
+        logError('Failed to load payment page', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load invoice'
+        });
+    }
+});
+
+/**
+ * Download the invoice PDF from a payment link
+ * GET /api/pay/:token/pdf
+ */
+router.get('/:token/pdf', async (req, res) => {
+    try {
+        const resolved = await resolveLink(req, res);
+        if (!resolved) {
+            return;
+        }
+        const { link, invoice } = resolved;
+
+        if (!invoice.pdf_url) {
+            return res.status(404).json({
+                success: false,
+                error: 'PDF not available for this invoice'
+            });
+        }
+
+        // Log action
+        await auditManager.logPaymentPageEvent(
+            invoice.id,
+            'PAYMENT_PAGE_PDF_DOWNLOADED',
+            `Invoice ${invoice.invoice_number} PDF downloaded from payment page`,
+            { link_id: link.id },
+            req.ip
+        );
+
+        // Redirect to Cloudinary URL
+        res.redirect(invoice.pdf_url);
+    } catch (error) {
+        logError('Failed to download PDF from payment page', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to download PDF'
+        });
+    }
+});
+
+/**
+ * Start paying the balance due
+ * POST /api/pay/:token/checkout
+ * Returns the provider's checkout URL; the payment itself arrives by webhook
+ */
+router.post('/:token/checkout', async (req, res) => {
+    try {
+        const resolved = await resolveLink(req, res);
+        if (!resolved) {
+            return;
+        }
+        const { link, invoice } = resolved;
+
+        if (!paymentLinkManager.isPayable(invoice)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invoice ${invoice.invoice_number} has no balance to pay`
+            });
+        }
+
+        const provider = paymentGateway.getCheckoutProvider();
+        if (!provider) {
+            return res.status(503).json({
+                success: false,
+                error: 'Online payment is not available'
+            });
+        }
+
+        const pageUrl = paymentLinkManager.buildUrl(req.params.token);
+        const checkout = await provider.createCheckout(invoice, {
+            successUrl: `${pageUrl}?payment=success`,
+            cancelUrl: `${pageUrl}?payment=cancelled`
+        });
+
+        // Log action
+        await auditManager.logPaymentPageEvent(
+            invoice.id,
+            'PAYMENT_CHECKOUT_STARTED',
+            `Payment of ${invoice.balance_due} ${invoice.currency} started for invoice ${invoice.invoice_number}`,
+            {
+                link_id: link.id,
+                provider: provider.name,
+                session_id: checkout.session_id,
+                amount: invoice.balance_due
+            },
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            checkout_url: checkout.checkout_url
+        });
+    } catch (error) {
+        logError('Failed to start checkout', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start payment'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,182 @@
+import express from 'express';
+import { PaymentTerms } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import paymentTermsCalculator from '../modules/billing/payment-terms.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Get all payment terms
+ * GET /api/payment-terms
+ */
+router.get('/', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+    try {
+        const terms = await PaymentTerms.findAll();
+
+        res.json({
+            success: true,
+            count: terms.length,
+            due_types: paymentTermsCalculator.getDueTypes(),
+            terms
+        });
+    } catch (error) {
+        logError('Failed to fetch payment terms', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch payment terms'
+        });
+    }
+});
+
+/**
+ * Get payment terms by ID
+ * GET /api/payment-terms/:id
+ */
+router.get('/:id', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+    try {
+        const terms = await PaymentTerms.findById(req.params.id);
+
+        if (!terms) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment terms not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            terms
+        });
+    } catch (error) {
+        logError('Failed to fetch payment terms', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch payment terms'
+        });
+    }
+});
+
+/**
+ * Create payment terms
+ * POST /api/payment-terms
+ * Body: { code, name, due_type: net|due_on_receipt|end_of_month, due_days,
+ *         discount_percentage, discount_days, is_default }
+ * e.g. 2/10 Net 30 is { due_type: 'net', due_days: 30, discount_percentage: 2, discount_days: 10 }
+ */
+router.post('/', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const data = { due_type: 'net', ...req.body };
+        const errors = paymentTermsCalculator.validateTerms(data, true);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid payment terms',
+                details: errors
+            });
+        }
+
+        const terms = await PaymentTerms.create(data);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'PAYMENT_TERMS_CREATED',
+            'payment_terms',
+            terms.id,
+            `Payment terms created: ${terms.name}`,
+            { code: terms.code, is_default: terms.is_default }
+        );
+
+        res.status(201).json({
+            success: true,
+            terms
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment terms code already exists'
+            });
+        }
+
+        logError('Failed to create payment terms', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create payment terms'
+        });
+    }
+});
+
+/**
+ * Update payment terms
+ * PUT /api/payment-terms/:id
+ * Only the fields sent are changed; set is_active false to stop using the terms on new invoices.
+ * Invoices already issued keep their due date and discount.
+ */
+router.put('/:id', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const existing = await PaymentTerms.findById(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment terms not found'
+            });
+        }
+
+        // Check the terms as they will be after the update
+        const errors = paymentTermsCalculator.validateTerms({
+            ...existing,
+            discount_percentage: existing.discount_percentage === null ? null : parseFloat(existing.discount_percentage),
+            ...req.body
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid payment terms',
+                details: errors
+            });
+        }
+
+        if (req.body.is_default === false && existing.is_default) {
+            return res.status(400).json({
+                success: false,
+                error: 'Make other terms the default instead of unsetting the default'
+            });
+        }
+
+        const terms = await PaymentTerms.update(req.params.id, req.body);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'PAYMENT_TERMS_UPDATED',
+            'payment_terms',
+            terms.id,
+            `Payment terms updated: ${terms.name}`,
+            { fields: Object.keys(req.body) }
+        );
+
+        res.json({
+            success: true,
+            terms
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment terms code already exists'
+            });
+        }
+
+        logError('Failed to update payment terms', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update payment terms'
+        });
+    }
+});
+
+export default router;
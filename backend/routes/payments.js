@@ -1,6 +1,6 @@
 import express from 'express';
-import { Payment, Invoice } from '../database/models.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { Payment, CustomerCredit } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import auditManager from '../modules/audit/audit-manager.js';
 import { logError } from '../modules/audit/logger.js';
 
@@ -10,7 +10,7 @@ const router = express.Router();
  * Get all payments
  * GET /api/payments
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('payments:read'), async (req, res) => {
     try {
         const payments = await Payment.findAll();
 
@@ -32,7 +32,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * Get payments for an invoice
  * GET /api/payments/invoice/:invoiceId
  */
-router.get('/invoice/:invoiceId', authenticateToken, async (req, res) => {
+router.get('/invoice/:invoiceId', authenticateToken, requirePermission('payments:read'), async (req, res) => {
     try {
         const payments = await Payment.findByInvoiceId(req.params.invoiceId);
 
@@ -53,10 +53,12 @@ router.get('/invoice/:invoiceId', authenticateToken, async (req, res) => {
 /**
  * Record a payment
  * POST /api/payments
+ * The invoice becomes partially_paid or paid from the sum of its payments;
+ * any amount beyond the balance due is kept as customer credit
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('payments:write'), async (req, res) => {
     try {
-        const { invoice_id, amount, payment_method, transaction_id, notes } = req.body;
+        const { invoice_id, amount, payment_date, payment_method, transaction_id, notes } = req.body;
 
         if (!invoice_id || !amount) {
             return res.status(400).json({
@@ -65,18 +67,54 @@ router.post('/', authenticateToken, async (req, res) => {
             });
         }
 
-        // Create payment
-        const payment = await Payment.create({
-            invoice_id,
-            payment_date: new Date().toISOString().split('T')[0],
-            amount,
-            payment_method,
-            transaction_id,
-            notes
-        });
+        if (!(parseFloat(amount) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Amount must be greater than 0'
+            });
+        }
+
+        if (payment_date && Number.isNaN(Date.parse(payment_date))) {
+            return res.status(400).json({
+                success: false,
+                error: 'payment_date must be a valid date'
+            });
+        }
+
+        let payment;
+        try {
+            payment = await Payment.create({
+                invoice_id,
+                payment_date: payment_date || new Date().toISOString().split('T')[0],
+                amount,
+                payment_method,
+                transaction_id,
+                notes,
+                created_by: req.user.username
+            });
+        } catch (error) {
+            if (error.code === 'PAYMENT_INVALID') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid payment',
+                    details: error.details
+                });
+            }
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: `A payment with transaction ID ${transaction_id} is already recorded`
+                });
+            }
+            throw error;
+        }
 
-        // Update invoice status to paid
-        await Invoice.updateStatus(invoice_id, 'paid');
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
 
         // Log payment
         await auditManager.logPaymentReceived(
@@ -84,9 +122,14 @@ router.post('/', authenticateToken, async (req, res) => {
             invoice_id,
             amount,
             {
+                currency: payment.invoice.currency,
                 payment_method,
                 transaction_id,
-                recorded_by: req.user.id
+                balance_due: payment.invoice.balance_due,
+                invoice_status: payment.invoice.status,
+                credited_to_customer: payment.unapplied_amount,
+                // recorded_by holds admin user ids; calls made with an API key name the key instead
+                ...(req.user.api_key_id ? { api_key_id: req.user.api_key_id } : { recorded_by: req.user.id })
             }
         );
 
@@ -103,4 +146,74 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Pay an invoice from the customer's credit
+ * POST /api/payments/apply-credit
+ * Without an amount, applies as much credit as the balance due allows
+ */
+router.post('/apply-credit', authenticateToken, requirePermission('payments:write'), async (req, res) => {
+    try {
+        const { invoice_id, amount } = req.body;
+
+        if (!invoice_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invoice ID is required'
+            });
+        }
+
+        if (amount !== undefined && amount !== null && !(parseFloat(amount) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Amount must be greater than 0'
+            });
+        }
+
+        let payment;
+        try {
+            payment = await CustomerCredit.apply(invoice_id, amount ?? null, req.user.username);
+        } catch (error) {
+            if (error.code === 'PAYMENT_INVALID') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cannot apply customer credit',
+                    details: error.details
+                });
+            }
+            throw error;
+        }
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'CUSTOMER_CREDIT_APPLIED',
+            'invoice',
+            invoice_id,
+            `Customer credit of ${payment.amount} ${payment.invoice.currency} applied to invoice ${payment.invoice.invoice_number}`,
+            {
+                payment_id: payment.id,
+                balance_due: payment.invoice.balance_due
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            payment
+        });
+    } catch (error) {
+        logError('Failed to apply customer credit', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to apply customer credit'
+        });
+    }
+});
+
 export default router;
@@ -0,0 +1,609 @@
+import express from 'express';
+import { Customer, CustomerCredit, Invoice, Payment, PortalUser } from '../database/models.js';
+import { authenticateCustomer } from '../middleware/auth.js';
+import { limitLogin, limitAi } from '../middleware/rate-limit.js';
+import portalAuth from '../modules/portal/portal-auth.js';
+import paymentLinkManager from '../modules/payments/payment-links.js';
+import invoiceLifecycle from '../modules/invoice/lifecycle.js';
+import clientAssistant from '../modules/ai/assistant/assistant.js';
+import mailer from '../modules/email/mailer.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * The customer's view of an invoice: amounts, dates and lines, without internal
+ * fields such as AI validation results or dunning state
+ */
+const toPortalInvoice = (invoice) => ({
+    id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    issue_date: invoice.issue_date,
+    due_date: invoice.due_date,
+    status: invoice.status,
+    currency: invoice.currency,
+    subtotal: invoice.subtotal,
+    tax_amount: invoice.tax_amount,
+    discount_amount: invoice.discount_amount,
+    total_amount: invoice.total_amount,
+    credited_amount: invoice.credited_amount,
+    amount_paid: invoice.amount_paid,
+    discount_taken: invoice.discount_taken,
+    balance_due: invoice.balance_due,
+    payment_terms_name: invoice.payment_terms_name,
+    early_payment_discount_date: invoice.early_payment_discount_date,
+    early_payment_discount_amount: invoice.early_payment_discount_amount,
+    has_pdf: Boolean(invoice.pdf_url)
+});
+
+/**
+ * The customer's view of their account
+ */
+const toPortalAccount = (customer) => ({
+    id: customer.id,
+    name: customer.name,
+    email: customer.email,
+    billing_contact_name: customer.billing_contact_name,
+    billing_email: customer.billing_email,
+    phone: customer.phone,
+    address: customer.address,
+    city: customer.city,
+    state: customer.state,
+    zip_code: customer.zip_code,
+    country: customer.country,
+    currency: customer.currency
+});
+
+/**
+ * Load one of the signed-in customer's issued invoices or answer 404
+ * Other customers' invoices, drafts and cancelled invoices look the same as missing ones
+ */
+const findOwnInvoice = async (req, res, invoiceId = req.params.id) => {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice || invoice.customer_id !== req.customer.customer_id || !invoiceLifecycle.isIssued(invoice)) {
+        res.status(404).json({
+            success: false,
+            error: 'Invoice not found'
+        });
+        return null;
+    }
+    return invoice;
+};
+
+// ==================== AUTHENTICATION ====================
+
+/**
+ * Request a magic sign-in link
+ * POST /api/portal/auth/magic-link
+ * Body: { email }
+ * Always answers the same way so the response does not reveal which emails have accounts.
+ * A customer's account or billing email gets a portal login on first use.
+ */
+router.post('/auth/magic-link', limitLogin, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || !EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid email is required'
+            });
+        }
+
+        const user = await portalAuth.findOrProvisionUser(email);
+        if (user) {
+            const link = await portalAuth.createMagicLink(user);
+            await mailer.sendPortalLoginEmail(user, link);
+
+            // Log action
+            await auditManager.logPortalEvent(
+                user.id,
+                user.customer_id,
+                'PORTAL_MAGIC_LINK_SENT',
+                `Portal sign-in link sent to ${user.email}`,
+                { expires_at: link.expires_at },
+                req.ip
+            );
+        }
+
+        res.json({
+            success: true,
+            message: 'If this email belongs to an account, a sign-in link is on its way'
+        });
+    } catch (error) {
+        logError('Failed to send portal sign-in link', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send sign-in link'
+        });
+    }
+});
+
+/**
+ * Sign in with a magic link token
+ * POST /api/portal/auth/magic-link/verify
+ * Body: { token }
+ * Each link works once
+ */
+router.post('/auth/magic-link/verify', limitLogin, async (req, res) => {
+    try {
+        const user = await portalAuth.consumeMagicLink(req.body.token);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'This sign-in link is invalid or has expired'
+            });
+        }
+
+        const token = await portalAuth.issueToken(user);
+
+        // Log action
+        await auditManager.logPortalEvent(
+            user.id,
+            user.customer_id,
+            'PORTAL_LOGIN',
+            `Portal sign-in by ${user.email}`,
+            { method: 'magic_link' },
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            token,
+            user
+        });
+    } catch (error) {
+        logError('Portal magic link sign-in failed', error);
+        res.status(500).json({
+            success: false,
+            error: 'Sign-in failed'
+        });
+    }
+});
+
+/**
+ * Sign in with email and password
+ * POST /api/portal/auth/login
+ * Body: { email, password }
+ * Only works once the user has set a password (PUT /api/portal/auth/password)
+ */
+router.post('/auth/login', limitLogin, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email and password are required'
+            });
+        }
+
+        const verified = await portalAuth.verifyPassword(email, password);
+        if (!verified) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid credentials'
+            });
+        }
+
+        const user = await PortalUser.findById(verified.id);
+        const token = await portalAuth.issueToken(user);
+
+        // Log action
+        await auditManager.logPortalEvent(
+            user.id,
+            user.customer_id,
+            'PORTAL_LOGIN',
+            `Portal sign-in by ${user.email}`,
+            { method: 'password' },
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            token,
+            user
+        });
+    } catch (error) {
+        logError('Portal login failed', error);
+        res.status(500).json({
+            success: false,
+            error: 'Login failed'
+        });
+    }
+});
+
+/**
+ * Get the signed-in portal user
+ * GET /api/portal/auth/me
+ */
+router.get('/auth/me', authenticateCustomer, async (req, res) => {
+    try {
+        const user = await PortalUser.findById(req.customer.id);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Portal account is no longer active'
+            });
+        }
+
+        res.json({
+            success: true,
+            user: {
+                ...user,
+                has_password: Boolean(await PortalUser.findPasswordHash(user.id))
+            }
+        });
+    } catch (error) {
+        logError('Failed to fetch portal user', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch user'
+        });
+    }
+});
+
+/**
+ * Set or change the portal password
+ * PUT /api/portal/auth/password
+ * Body: { current_password, new_password } (current_password only when a password is already set)
+ */
+router.put('/auth/password', authenticateCustomer, async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+
+        const errors = portalAuth.validatePassword(new_password);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid password',
+                details: errors
+            });
+        }
+
+        const user = await PortalUser.findById(req.customer.id);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Portal account is no longer active'
+            });
+        }
+
+        const hasPassword = Boolean(await PortalUser.findPasswordHash(user.id));
+        if (hasPassword && !(current_password && await portalAuth.verifyPassword(user.email, current_password))) {
+            return res.status(401).json({
+                success: false,
+                error: 'Current password is incorrect'
+            });
+        }
+
+        await PortalUser.setPassword(user.id, await portalAuth.hashPassword(new_password));
+
+        // Log action
+        await auditManager.logPortalEvent(
+            user.id,
+            user.customer_id,
+            hasPassword ? 'PORTAL_PASSWORD_CHANGED' : 'PORTAL_PASSWORD_SET',
+            `Portal password ${hasPassword ? 'changed' : 'set'} by ${user.email}`,
+            {},
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            message: 'Password updated'
+        });
+    } catch (error) {
+        logError('Failed to set portal password', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update password'
+        });
+    }
+});
+
+// ==================== ACCOUNT ====================
+
+/**
+ * Get the signed-in customer's account
+ * GET /api/portal/account
+ */
+router.get('/account', authenticateCustomer, async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.customer.customer_id);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            account: {
+                ...toPortalAccount(customer),
+                credit_balances: await CustomerCredit.getBalances(customer.id)
+            }
+        });
+    } catch (error) {
+        logError('Failed to fetch portal account', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch account'
+        });
+    }
+});
+
+/**
+ * Update billing contacts
+ * PUT /api/portal/account/contacts
+ * Body: { billing_contact_name, billing_email, phone, address, city, state, zip_code }
+ * Only the fields sent are changed; invoices and reminders go to billing_email when it is set.
+ * The company name, country and tax ID can only be changed by the billing team.
+ */
+router.put('/account/contacts', authenticateCustomer, async (req, res) => {
+    try {
+        const { billing_email } = req.body;
+
+        if (billing_email && !EMAIL_PATTERN.test(billing_email)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid billing contact',
+                details: ['billing_email must be a valid email address']
+            });
+        }
+
+        const customer = await Customer.updateBillingContact(req.customer.customer_id, req.body);
+
+        // Log action
+        await auditManager.logPortalEvent(
+            req.customer.id,
+            customer.id,
+            'PORTAL_CONTACTS_UPDATED',
+            `Billing contacts updated through the portal by ${req.customer.email}`,
+            { fields: Object.keys(req.body) },
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            account: toPortalAccount(customer)
+        });
+    } catch (error) {
+        logError('Failed to update portal contacts', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update contacts'
+        });
+    }
+});
+
+// ==================== INVOICES AND PAYMENTS ====================
+
+/**
+ * Get the signed-in customer's invoices
+ * GET /api/portal/invoices?limit=&offset=
+ */
+router.get('/invoices', authenticateCustomer, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const invoices = await Invoice.findByCustomerId(req.customer.customer_id, limit, offset);
+
+        res.json({
+            success: true,
+            count: invoices.length,
+            invoices: invoices.map(toPortalInvoice)
+        });
+    } catch (error) {
+        logError('Failed to fetch portal invoices', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch invoices'
+        });
+    }
+});
+
+/**
+ * Get one of the signed-in customer's invoices with its lines and payments
+ * GET /api/portal/invoices/:id
+ */
+router.get('/invoices/:id', authenticateCustomer, async (req, res) => {
+    try {
+        const invoice = await findOwnInvoice(req, res);
+        if (!invoice) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            invoice: {
+                ...toPortalInvoice(invoice),
+                service_description: invoice.service_description,
+                tax_breakdown: invoice.tax_breakdown,
+                tax_note: invoice.tax_note,
+                line_items: invoice.line_items.map(item => ({
+                    description: item.description,
+                    quantity: item.quantity,
+                    unit_price: item.unit_price,
+                    total_amount: item.total_amount
+                })),
+                payments: (await Payment.findByInvoiceId(invoice.id)).map(payment => ({
+                    id: payment.id,
+                    amount: payment.amount,
+                    payment_date: payment.payment_date,
+                    payment_method: payment.payment_method
+                })),
+                can_pay: paymentLinkManager.isPayable(invoice)
+            }
+        });
+    } catch (error) {
+        logError('Failed to fetch portal invoice', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch invoice'
+        });
+    }
+});
+
+/**
+ * Get the PDF link of one of the signed-in customer's invoices
+ * GET /api/portal/invoices/:id/pdf
+ * Answers with the URL rather than a redirect so the portal can open it in a new tab
+ */
+router.get('/invoices/:id/pdf', authenticateCustomer, async (req, res) => {
+    try {
+        const invoice = await findOwnInvoice(req, res);
+        if (!invoice) {
+            return;
+        }
+
+        if (!invoice.pdf_url) {
+            return res.status(404).json({
+                success: false,
+                error: 'PDF not available for this invoice'
+            });
+        }
+
+        // Log action
+        await auditManager.logPortalEvent(
+            req.customer.id,
+            invoice.customer_id,
+            'PORTAL_PDF_DOWNLOADED',
+            `Invoice ${invoice.invoice_number} PDF downloaded through the portal`,
+            { invoice_id: invoice.id },
+            req.ip
+        );
+
+        res.json({
+            success: true,
+            url: invoice.pdf_url
+        });
+    } catch (error) {
+        logError('Failed to download portal PDF', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to download PDF'
+        });
+    }
+});
+
+/**
+ * Get a payment page link for one of the signed-in customer's invoices
+ * POST /api/portal/invoices/:id/pay
+ * Returns a new hosted payment link (see /api/pay)
+ */
+router.post('/invoices/:id/pay', authenticateCustomer, async (req, res) => {
+    try {
+        const invoice = await findOwnInvoice(req, res);
+        if (!invoice) {
+            return;
+        }
+
+        if (!paymentLinkManager.isPayable(invoice)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invoice ${invoice.invoice_number} has nothing left to pay`
+            });
+        }
+
+        const link = await paymentLinkManager.createLink(invoice.id, `portal:${req.customer.id}`);
+
+        res.json({
+            success: true,
+            url: link.url,
+            expires_at: link.expires_at
+        });
+    } catch (error) {
+        logError('Failed to create portal payment link', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create payment link'
+        });
+    }
+});
+
+/**
+ * Get the signed-in customer's payments
+ * GET /api/portal/payments
+ */
+router.get('/payments', authenticateCustomer, async (req, res) => {
+    try {
+        const payments = await Payment.findByCustomerId(req.customer.customer_id);
+
+        res.json({
+            success: true,
+            count: payments.length,
+            payments: payments.map(payment => ({
+                id: payment.id,
+                invoice_id: payment.invoice_id,
+                invoice_number: payment.invoice_number,
+                amount: payment.amount,
+                currency: payment.currency,
+                payment_date: payment.payment_date,
+                payment_method: payment.payment_method
+            }))
+        });
+    } catch (error) {
+        logError('Failed to fetch portal payments', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch payments'
+        });
+    }
+});
+
+// ==================== ASSISTANT ====================
+
+/**
+ * Ask the billing assistant a question
+ * POST /api/portal/assistant/query
+ * Body: { query_text, invoice_id }
+ * The assistant only sees the signed-in customer's account and invoices
+ */
+router.post('/assistant/query', authenticateCustomer, limitAi, async (req, res) => {
+    try {
+        const { query_text, invoice_id } = req.body;
+
+        if (!query_text) {
+            return res.status(400).json({
+                success: false,
+                error: 'Query text is required'
+            });
+        }
+
+        if (invoice_id && !(await findOwnInvoice(req, res, invoice_id))) {
+            return;
+        }
+
+        const result = await clientAssistant.handleQuery(
+            req.customer.customer_id,
+            query_text,
+            invoice_id || null
+        );
+
+        res.json({
+            success: true,
+            result: {
+                query_id: result.query_id,
+                response: result.response,
+                escalated: result.escalated
+            }
+        });
+    } catch (error) {
+        logError('Failed to handle portal query', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to handle query'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,367 @@
+import express from 'express';
+import { BankStatement, BankStatementLine } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import reconciliationEngine from '../modules/reconciliation/reconciler.js';
+import statementParser from '../modules/reconciliation/statement-parser.js';
+import currencyManager from '../modules/billing/currency.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+// Statement files are uploaded as the raw request body (XML, SWIFT text, OFX or CSV)
+const statementBody = express.text({
+    type: ['text/*', 'application/xml', 'application/x-ofx', 'application/octet-stream'],
+    limit: '5mb'
+});
+
+/**
+ * Answer 400 for reconciliation errors raised by the engine
+ */
+const rejectInvalid = (res, error) => {
+    if (error.code === 'RECONCILIATION_INVALID' || error.code === 'PAYMENT_INVALID') {
+        res.status(400).json({
+            success: false,
+            error: 'Cannot reconcile this line',
+            details: error.details
+        });
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Import a bank statement and reconcile it
+ * POST /api/reconciliation/statements?format=camt053|mt940|ofx|csv&filename=...&currency=EUR&account=...
+ * The body is the statement file. The format is detected when omitted; currency is only
+ * needed for CSV files without a currency column (defaults to the base currency), and account
+ * (the IBAN or account number) for files that do not name their account, so transaction ids
+ * from different accounts are told apart.
+ * Confident matches are recorded as payments; the rest go to the review queue.
+ */
+router.post('/statements', authenticateToken, requirePermission('payments:write'), statementBody, async (req, res) => {
+    try {
+        // A JSON body { content, format, filename, currency, account } is accepted too
+        const body = typeof req.body === 'string' ? { content: req.body } : (req.body || {});
+        const { content } = body;
+        const format = req.query.format || body.format;
+        const filename = req.query.filename || body.filename;
+        const currency = req.query.currency || body.currency;
+        const account = req.query.account || body.account;
+
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Statement file is required as the request body (or as the content string of a JSON body)'
+            });
+        }
+
+        if (format && !statementParser.getFormats().includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `format must be one of: ${statementParser.getFormats().join(', ')}`
+            });
+        }
+
+        if (currency && !currencyManager.isSupported(currency)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported currency: ${currency}`
+            });
+        }
+
+        let result;
+        try {
+            result = await reconciliationEngine.importStatement({
+                content,
+                format,
+                filename,
+                currency: currency?.toUpperCase(),
+                account: account ? String(account).trim().slice(0, 100) : null,
+                importedBy: req.user.username
+            });
+        } catch (error) {
+            if (error.code === 'STATEMENT_INVALID') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid bank statement',
+                    details: error.details
+                });
+            }
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'This statement file has already been imported'
+                });
+            }
+            throw error;
+        }
+
+        const { statement, lines } = result;
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'BANK_STATEMENT_IMPORTED',
+            'bank_statement',
+            statement.id,
+            `Imported ${statement.format} statement ${filename || ''} with ${statement.line_count} lines, ${statement.matched_count} matched`.replace(/\s+/g, ' '),
+            {
+                format: statement.format,
+                account: statement.account_identifier,
+                line_count: statement.line_count,
+                matched_count: statement.matched_count,
+                review_count: statement.review_count
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            statement,
+            lines
+        });
+    } catch (error) {
+        logError('Failed to import bank statement', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import bank statement'
+        });
+    }
+});
+
+/**
+ * Get imported statements
+ * GET /api/reconciliation/statements
+ */
+router.get('/statements', authenticateToken, requirePermission('payments:read'), async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+
+        const statements = await BankStatement.findAll(limit, offset);
+
+        res.json({
+            success: true,
+            count: statements.length,
+            statements
+        });
+    } catch (error) {
+        logError('Failed to fetch bank statements', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch bank statements'
+        });
+    }
+});
+
+/**
+ * Get a statement with its lines
+ * GET /api/reconciliation/statements/:id
+ */
+router.get('/statements/:id', authenticateToken, requirePermission('payments:read'), async (req, res) => {
+    try {
+        const statement = await BankStatement.findById(req.params.id);
+
+        if (!statement) {
+            return res.status(404).json({
+                success: false,
+                error: 'Bank statement not found'
+            });
+        }
+
+        statement.lines = await BankStatementLine.findByStatementId(statement.id);
+
+        res.json({
+            success: true,
+            statement
+        });
+    } catch (error) {
+        logError('Failed to fetch bank statement', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch bank statement'
+        });
+    }
+});
+
+/**
+ * Get the review queue
+ * GET /api/reconciliation/review?status=review|unmatched
+ * 'review' lines have candidate invoices; 'unmatched' lines have none
+ */
+router.get('/review', authenticateToken, requirePermission('payments:read'), async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !['review', 'unmatched'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'status must be review or unmatched'
+            });
+        }
+
+        const lines = await BankStatementLine.findForReview(status || null, parseInt(req.query.limit) || 100);
+
+        res.json({
+            success: true,
+            count: lines.length,
+            lines
+        });
+    } catch (error) {
+        logError('Failed to fetch reconciliation queue', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reconciliation queue'
+        });
+    }
+});
+
+/**
+ * Match a line to an invoice and record the payment
+ * POST /api/reconciliation/lines/:id/match
+ * Body: { invoice_id }
+ */
+router.post('/lines/:id/match', authenticateToken, requirePermission('payments:write'), async (req, res) => {
+    try {
+        const { invoice_id } = req.body;
+
+        if (!invoice_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invoice ID is required'
+            });
+        }
+
+        let result;
+        try {
+            result = await reconciliationEngine.confirmMatch(req.params.id, invoice_id, req.user.username);
+        } catch (error) {
+            if (rejectInvalid(res, error)) {
+                return;
+            }
+            throw error;
+        }
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Statement line or invoice not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'BANK_LINE_MATCHED',
+            'bank_statement_line',
+            result.line.id,
+            `Bank line ${result.line.line_number} matched to invoice ${invoice_id}`,
+            {
+                statement_id: result.line.statement_id,
+                invoice_id: result.payment.invoice_id,
+                payment_id: result.payment.id,
+                amount: result.line.amount,
+                already_recorded: result.duplicate
+            }
+        );
+
+        res.json({
+            success: true,
+            line: result.line,
+            payment: result.payment
+        });
+    } catch (error) {
+        logError('Failed to match bank statement line', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to match bank statement line'
+        });
+    }
+});
+
+/**
+ * Remove a line from the review queue without recording a payment
+ * POST /api/reconciliation/lines/:id/ignore
+ * Body: { reason } (optional)
+ */
+router.post('/lines/:id/ignore', authenticateToken, requirePermission('payments:write'), async (req, res) => {
+    try {
+        let line;
+        try {
+            line = await reconciliationEngine.ignoreLine(req.params.id, req.user.username, req.body.reason);
+        } catch (error) {
+            if (rejectInvalid(res, error)) {
+                return;
+            }
+            throw error;
+        }
+
+        if (!line) {
+            return res.status(404).json({
+                success: false,
+                error: 'Statement line not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'BANK_LINE_IGNORED',
+            'bank_statement_line',
+            line.id,
+            `Bank line ${line.line_number} ignored`,
+            { statement_id: line.statement_id, reason: req.body.reason || null }
+        );
+
+        res.json({
+            success: true,
+            line
+        });
+    } catch (error) {
+        logError('Failed to ignore bank statement line', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to ignore bank statement line'
+        });
+    }
+});
+
+/**
+ * Ask the AI which invoice a line pays
+ * POST /api/reconciliation/lines/:id/ai-suggest
+ * The suggestion is stored on the line; confirm it with /lines/:id/match
+ */
+router.post('/lines/:id/ai-suggest', authenticateToken, requirePermission('payments:write'), async (req, res) => {
+    try {
+        let result;
+        try {
+            result = await reconciliationEngine.suggestMatch(req.params.id);
+        } catch (error) {
+            if (rejectInvalid(res, error)) {
+                return;
+            }
+            throw error;
+        }
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Statement line not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            suggestion: result.suggestion,
+            line: result.line
+        });
+    } catch (error) {
+        logError('Failed to get AI reconciliation suggestion', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get AI suggestion'
+        });
+    }
+});
+
+export default router;
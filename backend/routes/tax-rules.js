@@ -0,0 +1,177 @@
+import express from 'express';
+import { TaxRule } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import taxEngine from '../modules/tax/tax-engine.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Get active tax rules
+ * GET /api/tax-rules
+ * Filters: country, state, tax_category
+ */
+router.get('/', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+    try {
+        const { country, state, tax_category } = req.query;
+        const rules = await TaxRule.findAll({ country, state, tax_category });
+
+        res.json({
+            success: true,
+            seller_country: taxEngine.sellerCountry,
+            count: rules.length,
+            rules
+        });
+    } catch (error) {
+        logError('Failed to fetch tax rules', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch tax rules'
+        });
+    }
+});
+
+/**
+ * Create tax rule
+ * POST /api/tax-rules
+ */
+router.post('/', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const errors = taxEngine.validateRule(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid tax rule',
+                details: errors
+            });
+        }
+
+        const rule = await TaxRule.create(req.body);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'TAX_RULE_CREATED',
+            'tax_rule',
+            rule.id,
+            `Tax rule created: ${rule.name} ${parseFloat(rule.rate)}% (${rule.state ? `${rule.country}-${rule.state}` : rule.country})`,
+            {
+                tax_category: rule.tax_category,
+                is_compound: rule.is_compound,
+                effective_from: rule.effective_from
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            rule
+        });
+    } catch (error) {
+        logError('Failed to create tax rule', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create tax rule'
+        });
+    }
+});
+
+/**
+ * Update tax rule
+ * PUT /api/tax-rules/:id
+ * The jurisdiction and category cannot change; create a new rule instead
+ */
+router.put('/:id', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const fixedFields = ['country', 'state', 'tax_category'].filter(field => req.body[field] !== undefined);
+        if (fixedFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot change ${fixedFields.join(', ')} of an existing tax rule`
+            });
+        }
+
+        const errors = taxEngine.validateRule(req.body, false);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid tax rule',
+                details: errors
+            });
+        }
+
+        const existing = await TaxRule.findById(req.params.id);
+        const rule = existing && await TaxRule.update(req.params.id, req.body);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tax rule not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'TAX_RULE_UPDATED',
+            'tax_rule',
+            rule.id,
+            `Tax rule updated: ${rule.name} (${rule.state ? `${rule.country}-${rule.state}` : rule.country})`,
+            {
+                fields: Object.keys(req.body),
+                old_rate: existing.rate,
+                new_rate: rule.rate
+            }
+        );
+
+        res.json({
+            success: true,
+            rule
+        });
+    } catch (error) {
+        logError('Failed to update tax rule', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update tax rule'
+        });
+    }
+});
+
+/**
+ * Deactivate tax rule
+ * DELETE /api/tax-rules/:id
+ */
+router.delete('/:id', authenticateToken, requirePermission('settings:write'), async (req, res) => {
+    try {
+        const rule = await TaxRule.deactivate(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tax rule not found'
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'TAX_RULE_DEACTIVATED',
+            'tax_rule',
+            rule.id,
+            `Tax rule deactivated: ${rule.name} (${rule.state ? `${rule.country}-${rule.state}` : rule.country})`
+        );
+
+        res.json({
+            success: true,
+            message: 'Tax rule deactivated successfully'
+        });
+    } catch (error) {
+        logError('Failed to deactivate tax rule', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to deactivate tax rule'
+        });
+    }
+});
+
+export default router;
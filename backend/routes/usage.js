@@ -0,0 +1,252 @@
+import express from 'express';
+import { Contract, UsagePrice, UsageRecord } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import usageRater from '../modules/usage/rater.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Record usage against a contract
+ * POST /api/usage
+ * Accepts a single record or { records: [...] }; idempotency_key (unique per contract) makes retries safe.
+ * A batch is stored whole or not at all. Contracts that are terminated or expired take no more usage.
+ */
+router.post('/', authenticateToken, requirePermission('usage:write'), async (req, res) => {
+    try {
+        const records = Array.isArray(req.body.records) ? req.body.records : [req.body];
+
+        // Validate every record before writing any of them
+        const errors = [];
+        const contracts = new Map();
+        const pricedMetrics = new Map();
+
+        for (const [index, record] of records.entries()) {
+            const label = records.length > 1 ? `Record ${index + 1}: ` : '';
+
+            if (!record.contract_id || !record.metric_code) {
+                errors.push(`${label}contract_id and metric_code are required`);
+                continue;
+            }
+            if (!(parseFloat(record.quantity) >= 0)) {
+                errors.push(`${label}quantity must be zero or more`);
+                continue;
+            }
+            if (record.recorded_at != null && Number.isNaN(new Date(record.recorded_at).getTime())) {
+                errors.push(`${label}recorded_at must be a date and time`);
+                continue;
+            }
+            if (record.metadata != null && (typeof record.metadata !== 'object' || Array.isArray(record.metadata))) {
+                errors.push(`${label}metadata must be an object`);
+                continue;
+            }
+
+            // Usage on an ended contract could never be billed
+            if (!contracts.has(record.contract_id)) {
+                contracts.set(record.contract_id, await Contract.findById(record.contract_id));
+            }
+            const contract = contracts.get(record.contract_id);
+            if (!contract) {
+                errors.push(`${label}contract ${record.contract_id} not found`);
+                continue;
+            }
+            if (['terminated', 'expired'].includes(contract.status)) {
+                errors.push(`${label}contract ${contract.contract_number} is ${contract.status}; its usage can no longer be billed`);
+                continue;
+            }
+
+            const key = `${record.contract_id}:${record.metric_code}`;
+            if (!pricedMetrics.has(key)) {
+                pricedMetrics.set(key, await UsagePrice.findByContractAndMetric(record.contract_id, record.metric_code));
+            }
+            if (!pricedMetrics.get(key)) {
+                errors.push(`${label}metric ${record.metric_code} is not priced on contract ${record.contract_id}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid usage records',
+                details: errors
+            });
+        }
+
+        const created = await UsageRecord.createMany(records);
+
+        const contractIds = [...new Set(created.map(record => record.contract_id))];
+        for (const contractId of contractIds) {
+            const contractRecords = created.filter(record => record.contract_id === contractId && !record.duplicate);
+            if (contractRecords.length === 0) {
+                continue;
+            }
+
+            await auditManager.logAdminAction(
+                req.user.id,
+                'USAGE_RECORDED',
+                'contract',
+                contractId,
+                `${contractRecords.length} usage record(s) posted`,
+                { metrics: [...new Set(contractRecords.map(record => record.metric_code))] }
+            );
+        }
+
+        res.status(201).json({
+            success: true,
+            count: created.length,
+            duplicates: created.filter(record => record.duplicate).length,
+            records: created
+        });
+    } catch (error) {
+        logError('Failed to record usage', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record usage'
+        });
+    }
+});
+
+/**
+ * Get usage records for a contract
+ * GET /api/usage/contract/:contractId
+ */
+router.get('/contract/:contractId', authenticateToken, requirePermission('contracts:read'), async (req, res) => {
+    try {
+        const filters = {
+            metric_code: req.query.metric_code,
+            from: req.query.from,
+            to: req.query.to,
+            unbilled: req.query.unbilled === 'true'
+        };
+        const limit = parseInt(req.query.limit) || 500;
+
+        const records = await UsageRecord.findByContractId(req.params.contractId, filters, limit);
+
+        res.json({
+            success: true,
+            count: records.length,
+            records
+        });
+    } catch (error) {
+        logError('Failed to fetch usage records', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch usage records'
+        });
+    }
+});
+
+/**
+ * Preview how unbilled usage would be rated on the next invoice
+ * GET /api/usage/contract/:contractId/preview
+ */
+router.get('/contract/:contractId/preview', authenticateToken, requirePermission('contracts:read'), async (req, res) => {
+    try {
+        const contract = await Contract.findById(req.params.contractId);
+
+        if (!contract) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contract not found'
+            });
+        }
+
+        const periodEnd = req.query.until || new Date().toISOString();
+        const prices = await UsagePrice.findByContractId(contract.id);
+        const usageTotals = await UsageRecord.findUnbilledTotals(contract.id, periodEnd);
+        const lineItems = usageRater.rateUsage(prices, usageTotals);
+
+        res.json({
+            success: true,
+            period_end: periodEnd,
+            usage: usageTotals.map(({ metric_code, total_quantity }) => ({ metric_code, total_quantity })),
+            line_items: lineItems
+        });
+    } catch (error) {
+        logError('Failed to preview usage charges', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview usage charges'
+        });
+    }
+});
+
+/**
+ * Get usage prices for a contract
+ * GET /api/usage/prices/contract/:contractId
+ */
+router.get('/prices/contract/:contractId', authenticateToken, requirePermission('contracts:read'), async (req, res) => {
+    try {
+        const prices = await UsagePrice.findByContractId(req.params.contractId);
+
+        res.json({
+            success: true,
+            count: prices.length,
+            prices
+        });
+    } catch (error) {
+        logError('Failed to fetch usage prices', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch usage prices'
+        });
+    }
+});
+
+/**
+ * Create or replace the price of a metered metric on a contract
+ * PUT /api/usage/prices
+ */
+router.put('/prices', authenticateToken, requirePermission('contracts:write'), async (req, res) => {
+    try {
+        if (!req.body.contract_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract ID is required'
+            });
+        }
+
+        const priceErrors = usageRater.validatePrice(req.body);
+        if (priceErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid usage price',
+                details: priceErrors
+            });
+        }
+
+        const contract = await Contract.findById(req.body.contract_id);
+        if (!contract) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contract not found'
+            });
+        }
+
+        const price = await UsagePrice.upsert(req.body);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'USAGE_PRICE_UPDATED',
+            'contract',
+            contract.id,
+            `Usage price set for metric ${price.metric_code}`,
+            { pricing_model: price.pricing_model, included_quantity: price.included_quantity }
+        );
+
+        res.json({
+            success: true,
+            price
+        });
+    } catch (error) {
+        logError('Failed to save usage price', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save usage price'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,464 @@
+import express from 'express';
+import { AdminUser, AdminInvitation, SecuritySettings } from '../database/models.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import accessControl from '../modules/auth/access-control.js';
+import invitations from '../modules/auth/invitations.js';
+import sessions from '../modules/auth/sessions.js';
+import passwords from '../modules/auth/passwords.js';
+import mailer from '../modules/email/mailer.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Answer 400 unless `role` is a known role
+ */
+const checkRole = (role, res) => {
+    if (!accessControl.isRole(role)) {
+        res.status(400).json({
+            success: false,
+            error: `role must be one of: ${accessControl.getRoles().join(', ')}`
+        });
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Map a LAST_OWNER error to 409, or return false for other errors
+ */
+const handleLastOwner = (error, res) => {
+    if (error.code !== 'LAST_OWNER') {
+        return false;
+    }
+    res.status(409).json({
+        success: false,
+        error: error.message
+    });
+    return true;
+};
+
+/**
+ * Get all dashboard users
+ * GET /api/users
+ */
+router.get('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const users = await AdminUser.findAll();
+
+        res.json({
+            success: true,
+            count: users.length,
+            users
+        });
+    } catch (error) {
+        logError('Failed to fetch users', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch users'
+        });
+    }
+});
+
+/**
+ * Get the roles and the permissions each one grants
+ * GET /api/users/roles
+ */
+router.get('/roles', authenticateToken, requirePermission('users:manage'), (req, res) => {
+    res.json({
+        success: true,
+        roles: accessControl.getRoles().map(role => ({
+            role,
+            permissions: accessControl.permissionsFor(role)
+        }))
+    });
+});
+
+/**
+ * Get all invitations with their status (pending, accepted, revoked or expired)
+ * GET /api/users/invitations
+ */
+router.get('/invitations', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const invitations = await AdminInvitation.findAll();
+
+        res.json({
+            success: true,
+            count: invitations.length,
+            invitations
+        });
+    } catch (error) {
+        logError('Failed to fetch invitations', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch invitations'
+        });
+    }
+});
+
+/**
+ * Invite a dashboard user
+ * POST /api/users/invitations
+ * Body: { email, role }
+ * Emails a one-time link to set up the account with this role. Inviting the same email
+ * again revokes the earlier link.
+ */
+router.post('/invitations', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { email, role } = req.body;
+
+        if (!email || !EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid email is required'
+            });
+        }
+        if (!checkRole(role, res)) {
+            return;
+        }
+        if (await AdminUser.emailInUse(email)) {
+            return res.status(409).json({
+                success: false,
+                error: 'A user with this email already exists'
+            });
+        }
+
+        const { invitation, url } = await invitations.create({ email, role, invited_by: req.user.id });
+        await mailer.sendAdminInvitationEmail(invitation, url, await AdminUser.findById(req.user.id));
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'USER_INVITED',
+            'admin_invitation',
+            invitation.id,
+            `${invitation.email} invited as ${invitation.role}`,
+            { email: invitation.email, role: invitation.role, expires_at: invitation.expires_at }
+        );
+
+        res.status(201).json({
+            success: true,
+            invitation
+        });
+    } catch (error) {
+        logError('Failed to send invitation', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send invitation'
+        });
+    }
+});
+
+/**
+ * Revoke a pending invitation
+ * DELETE /api/users/invitations/:id
+ */
+router.delete('/invitations/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const existing = await AdminInvitation.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invitation not found'
+            });
+        }
+
+        const invitation = await AdminInvitation.revoke(existing.id);
+        if (!invitation) {
+            return res.status(409).json({
+                success: false,
+                error: `Invitation is already ${existing.status}`
+            });
+        }
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'INVITATION_REVOKED',
+            'admin_invitation',
+            invitation.id,
+            `Invitation for ${invitation.email} revoked`,
+            { email: invitation.email, role: invitation.role }
+        );
+
+        res.json({
+            success: true,
+            invitation
+        });
+    } catch (error) {
+        logError('Failed to revoke invitation', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke invitation'
+        });
+    }
+});
+
+/**
+ * Get the dashboard security policy
+ * GET /api/users/security-policy
+ */
+router.get('/security-policy', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            policy: await SecuritySettings.get()
+        });
+    } catch (error) {
+        logError('Failed to fetch security policy', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch security policy'
+        });
+    }
+});
+
+/**
+ * Update the dashboard security policy
+ * PUT /api/users/security-policy
+ * Body: { require_two_factor }
+ * While two-factor is required, users without it must set it up at their next login, and
+ * existing sessions are refused until they do. Owners must enable it on their own account first.
+ */
+router.put('/security-policy', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { require_two_factor } = req.body;
+
+        if (typeof require_two_factor !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'require_two_factor (true or false) is required'
+            });
+        }
+
+        const current = await AdminUser.findById(req.user.id);
+        if (require_two_factor && !current.two_factor_enabled) {
+            return res.status(409).json({
+                success: false,
+                error: 'Enable two-factor authentication on your own account first'
+            });
+        }
+
+        const previous = await SecuritySettings.get();
+        const policy = await SecuritySettings.update({ require_two_factor }, req.user.id);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'SECURITY_POLICY_UPDATED',
+            'security_settings',
+            null,
+            `Two-factor authentication ${require_two_factor ? 'required' : 'optional'} for all users`,
+            { old_require_two_factor: previous.require_two_factor, new_require_two_factor: require_two_factor }
+        );
+
+        res.json({
+            success: true,
+            policy
+        });
+    } catch (error) {
+        logError('Failed to update security policy', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update security policy'
+        });
+    }
+});
+
+/**
+ * Reset a user's two-factor authentication (for a lost authenticator)
+ * DELETE /api/users/:id/two-factor
+ * The user signs in with just the password again, or sets up a new authenticator
+ * at the next login while two-factor is required
+ */
+router.delete('/:id/two-factor', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const existing = await AdminUser.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const user = await AdminUser.disableTwoFactor(existing.id);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'TWO_FACTOR_RESET',
+            'admin_user',
+            user.id,
+            `Two-factor authentication reset for ${user.username}`,
+            { was_enabled: existing.two_factor_enabled }
+        );
+
+        res.json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        logError('Failed to reset two-factor', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset two-factor authentication'
+        });
+    }
+});
+
+/**
+ * Lift a lockout from repeated failed sign-ins
+ * POST /api/users/:id/unlock
+ */
+router.post('/:id/unlock', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const existing = await AdminUser.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const user = await passwords.clearFailures(existing.id);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'ACCOUNT_UNLOCKED',
+            'admin_user',
+            user.id,
+            `Sign-in lockout lifted for ${user.username}`,
+            { locked_until: existing.locked_until }
+        );
+
+        res.json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        logError('Failed to unlock user', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unlock user'
+        });
+    }
+});
+
+/**
+ * Change a user's role
+ * PUT /api/users/:id/role
+ * Body: { role }
+ * The last active owner cannot be demoted
+ */
+router.put('/:id/role', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        if (!checkRole(req.body.role, res)) {
+            return;
+        }
+
+        const existing = await AdminUser.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const user = await AdminUser.updateRole(existing.id, req.body.role);
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            'USER_ROLE_CHANGED',
+            'admin_user',
+            user.id,
+            `User ${user.username} role changed from ${existing.role} to ${user.role}`,
+            { old_role: existing.role, new_role: user.role }
+        );
+
+        res.json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        if (handleLastOwner(error, res)) {
+            return;
+        }
+
+        logError('Failed to change user role', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to change role'
+        });
+    }
+});
+
+/**
+ * Activate or deactivate a user
+ * PUT /api/users/:id/status
+ * Body: { is_active }
+ * Deactivating ends all of the user's sessions at once. You cannot deactivate yourself,
+ * and the last active owner cannot be deactivated.
+ */
+router.put('/:id/status', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { is_active } = req.body;
+
+        if (typeof is_active !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'is_active (true or false) is required'
+            });
+        }
+        if (!is_active && req.params.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot deactivate your own account'
+            });
+        }
+
+        const existing = await AdminUser.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const user = await AdminUser.setActive(existing.id, is_active);
+
+        // A deactivated user's sessions end now, not when their tokens expire
+        const sessionsRevoked = is_active ? 0 : await sessions.revokeAllForUser(user.id, 'deactivated');
+
+        // Log action
+        await auditManager.logAdminAction(
+            req.user.id,
+            is_active ? 'USER_ACTIVATED' : 'USER_DEACTIVATED',
+            'admin_user',
+            user.id,
+            `User ${user.username} ${is_active ? 'activated' : 'deactivated'}`,
+            { role: user.role, sessions_revoked: sessionsRevoked }
+        );
+
+        res.json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        if (handleLastOwner(error, res)) {
+            return;
+        }
+
+        logError('Failed to update user status', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update user'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,135 @@
+import express from 'express';
+import { Payment, Invoice } from '../database/models.js';
+import paymentGateway from '../modules/payments/gateway.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import { logInfo, logWarning, logError } from '../modules/audit/logger.js';
+
+const router = express.Router();
+
+/**
+ * Receive payment events from a payment provider
+ * POST /api/webhooks/payments (default provider) or /api/webhooks/payments/:provider
+ * No JWT: requests are authenticated by the provider's signature.
+ * Events are matched to invoices by reference and recorded once per transaction_id;
+ * events that cannot be recorded are acknowledged (so the provider stops retrying) and audited.
+ */
+router.post('/payments/:provider?', async (req, res) => {
+    try {
+        const provider = paymentGateway.getProvider(req.params.provider);
+
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown payment provider. Available: ${paymentGateway.getProviderNames().join(', ')}`
+            });
+        }
+
+        let event;
+        try {
+            event = paymentGateway.parseWebhook(provider, req.rawBody, req.headers, req.body);
+        } catch (error) {
+            if (error.code === 'WEBHOOK_SIGNATURE_INVALID') {
+                logWarning('Rejected payment webhook with invalid signature', { provider: provider.name, ip: req.ip });
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid signature'
+                });
+            }
+            throw error;
+        }
+
+        if (!event) {
+            return res.json({ success: true, received: true, ignored: true });
+        }
+
+        const rejected = async (outcome, description, metadata = {}) => {
+            await auditManager.logPaymentWebhook(provider.name, event.event_id, outcome, description, {
+                transaction_id: event.transaction_id,
+                reference: event.reference,
+                amount: event.amount,
+                currency: event.currency,
+                ...metadata
+            });
+            return res.json({ success: true, received: true, recorded: false, reason: outcome });
+        };
+
+        const existing = await Payment.findByTransactionId(event.transaction_id);
+        if (existing) {
+            return res.json({ success: true, received: true, duplicate: true, payment_id: existing.id });
+        }
+
+        const invoice = event.reference && await Invoice.findByReference(event.reference);
+        if (!invoice) {
+            return rejected('unmatched', `Payment ${event.transaction_id} does not reference a known invoice`);
+        }
+
+        if (invoice.currency !== event.currency) {
+            return rejected('currency_mismatch',
+                `Payment ${event.transaction_id} is in ${event.currency} but invoice ${invoice.invoice_number} is in ${invoice.currency}`,
+                { invoice_id: invoice.id });
+        }
+
+        let payment;
+        try {
+            payment = await Payment.create({
+                invoice_id: invoice.id,
+                payment_date: event.paid_at,
+                amount: event.amount,
+                payment_method: event.payment_method,
+                transaction_id: event.transaction_id,
+                notes: `${provider.name} event ${event.event_id}`,
+                created_by: `webhook:${provider.name}`
+            });
+        } catch (error) {
+            // A concurrent delivery of the same event got there first
+            if (error.code === '23505') {
+                const recorded = await Payment.findByTransactionId(event.transaction_id);
+                return res.json({ success: true, received: true, duplicate: true, payment_id: recorded?.id });
+            }
+            if (error.code === 'PAYMENT_INVALID') {
+                return rejected('invalid', error.message, { invoice_id: invoice.id });
+            }
+            throw error;
+        }
+
+        // Log payment
+        await auditManager.logPaymentReceived(
+            payment.id,
+            invoice.id,
+            event.amount,
+            {
+                currency: event.currency,
+                payment_method: event.payment_method,
+                transaction_id: event.transaction_id,
+                balance_due: payment.invoice.balance_due,
+                invoice_status: payment.invoice.status,
+                credited_to_customer: payment.unapplied_amount,
+                source: 'webhook',
+                provider: provider.name,
+                event_id: event.event_id
+            }
+        );
+
+        logInfo('Payment recorded from webhook', {
+            provider: provider.name,
+            invoice_id: invoice.id,
+            payment_id: payment.id
+        });
+
+        res.json({
+            success: true,
+            received: true,
+            recorded: true,
+            payment_id: payment.id,
+            invoice_status: payment.invoice.status
+        });
+    } catch (error) {
+        logError('Failed to process payment webhook', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process payment webhook'
+        });
+    }
+});
+
+export default router;
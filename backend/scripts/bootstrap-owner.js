@@ -0,0 +1,92 @@
+import readline from 'readline';
+import { Writable } from 'stream';
+import pool from '../database/connection.js';
+import { AdminUser } from '../database/models.js';
+import passwords from '../modules/auth/passwords.js';
+import auditManager from '../modules/audit/audit-manager.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Create the first dashboard owner on a fresh database
+ * Usage: npm run bootstrap:owner -- <username> <email> [full_name]
+ * The password is prompted for (without echo), or read from BOOTSTRAP_OWNER_PASSWORD for
+ * unattended setups. Refuses to run once an active owner exists; the owner invites everyone else.
+ */
+
+const [username, email, fullName] = process.argv.slice(2);
+
+if (!username || !email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    console.error('Usage: npm run bootstrap:owner -- <username> <email> [full_name]');
+    process.exit(1);
+}
+
+// Ask a question on the terminal without echoing the answer
+const askHidden = (question) => new Promise((resolve) => {
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            if (!output.muted) {
+                process.stdout.write(chunk);
+            }
+            callback();
+        }
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+
+    rl.question(question, (answer) => {
+        rl.close();
+        process.stdout.write('\n');
+        resolve(answer);
+    });
+    output.muted = true;
+});
+
+const readPassword = async () => {
+    if (process.env.BOOTSTRAP_OWNER_PASSWORD) {
+        return process.env.BOOTSTRAP_OWNER_PASSWORD;
+    }
+
+    const password = await askHidden('Password: ');
+    if (password !== await askHidden('Repeat password: ')) {
+        throw new Error('Passwords do not match');
+    }
+    return password;
+};
+
+try {
+    const password = await readPassword();
+    const passwordErrors = passwords.validate(password, { username, email });
+    if (passwordErrors.length > 0) {
+        throw new Error(passwordErrors.join('; '));
+    }
+
+    const user = await AdminUser.createInitialOwner({
+        username,
+        email,
+        password_hash: await passwords.hash(password),
+        full_name: fullName || username
+    });
+
+    await auditManager.logAdminAction(
+        user.id,
+        'OWNER_BOOTSTRAPPED',
+        'admin_user',
+        user.id,
+        `Initial owner ${user.username} created from the command line`,
+        { email: user.email }
+    );
+
+    console.log(`Owner ${user.username} (${user.email}) created. Sign in and invite the rest of the team.`);
+} catch (error) {
+    if (error.code === 'OWNER_EXISTS') {
+        console.error(error.message);
+    } else if (error.code === '23505') {
+        console.error('Username or email already exists');
+    } else {
+        console.error(`Bootstrap failed: ${error.message}`);
+    }
+    process.exitCode = 1;
+} finally {
+    await pool.end();
+}
@@ -0,0 +1,33 @@
+import paymentSimulator from '../modules/payments/providers/simulator.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Send a signed simulator payment to the local webhook endpoint
+ * Usage: npm run simulate:payment -- <invoice_number> <amount> [currency] [transaction_id]
+ * Pass the transaction_id of an earlier run to check that redeliveries are not recorded twice.
+ */
+
+const [reference, amount, currency, transactionId] = process.argv.slice(2);
+
+if (!reference || !amount) {
+    console.error('Usage: npm run simulate:payment -- <invoice_number> <amount> [currency] [transaction_id]');
+    process.exit(1);
+}
+
+if (!paymentSimulator.isEnabled()) {
+    console.error('The payment simulator is off: set PAYMENT_SIMULATOR_ENABLED=true and PAYMENT_SIMULATOR_SECRET (never in production)');
+    process.exit(1);
+}
+
+const event = paymentSimulator.buildEvent({
+    reference,
+    amount,
+    currency: currency || undefined,
+    transaction_id: transactionId
+});
+const response = await paymentSimulator.deliver(event);
+
+console.log(`Transaction ${event.data.object.id}: HTTP ${response.status}`);
+console.log(JSON.stringify(response.body, null, 2));
@@ -3,6 +3,7 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import pool from './database/connection.js';
 import logger, { logInfo, logError } from './modules/audit/logger.js';
+import { limitByIp } from './middleware/rate-limit.js';
 import billingScheduler from './modules/scheduler/billing-scheduler.js';
 import reminderScheduler from './modules/scheduler/reminder-scheduler.js';
 
@@ -10,9 +11,24 @@ import reminderScheduler from './modules/scheduler/reminder-scheduler.js';
 import authRoutes from './routes/auth.js';
 import invoiceRoutes from './routes/invoices.js';
 import customerRoutes from './routes/customers.js';
+import contractRoutes from './routes/contracts.js';
 import paymentRoutes from './routes/payments.js';
 import aiInsightsRoutes from './routes/ai-insights.js';
 import auditRoutes from './routes/audit.js';
+import usageRoutes from './routes/usage.js';
+import numberingSeriesRoutes from './routes/numbering-series.js';
+import exchangeRateRoutes from './routes/exchange-rates.js';
+import taxRuleRoutes from './routes/tax-rules.js';
+import creditNoteRoutes from './routes/credit-notes.js';
+import webhookRoutes from './routes/webhooks.js';
+import payRoutes from './routes/pay.js';
+import reconciliationRoutes from './routes/reconciliation.js';
+import dunningPolicyRoutes from './routes/dunning-policies.js';
+import lateFeeRuleRoutes from './routes/late-fee-rules.js';
+import paymentTermsRoutes from './routes/payment-terms.js';
+import portalRoutes from './routes/portal.js';
+import userRoutes from './routes/users.js';
+import apiKeyRoutes from './routes/api-keys.js';
 
 dotenv.config();
 
@@ -21,14 +37,26 @@ const PORT = process.env.PORT || 5000;
 
 // ==================== MIDDLEWARE ====================
 
+// Behind a load balancer or reverse proxy, take the client IP from X-Forwarded-For
+// (TRUST_PROXY: true, a hop count or a list of proxy addresses), so per-IP limits see real clients
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // CORS configuration
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
-// Body parser
-app.use(express.json());
+// Body parser (the raw body is kept for webhook signature checks)
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -40,6 +68,9 @@ app.use((req, res, next) => {
     next();
 });
 
+// Per-IP rate limit on the API (payment webhooks are signed and come from a few provider IPs)
+app.use('/api', (req, res, next) => (req.path.startsWith('/webhooks/') ? next() : limitByIp(req, res, next)));
+
 // ==================== ROUTES ====================
 
 // Health check
@@ -56,9 +87,24 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/customers', customerRoutes);
+app.use('/api/contracts', contractRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/insights', aiInsightsRoutes);
 app.use('/api/audit', auditRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/numbering-series', numberingSeriesRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/tax-rules', taxRuleRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/pay', payRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/dunning-policies', dunningPolicyRoutes);
+app.use('/api/late-fee-rules', lateFeeRuleRoutes);
+app.use('/api/payment-terms', paymentTermsRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -71,9 +117,23 @@ app.get('/', (req, res) => {
             auth: '/api/auth',
             invoices: '/api/invoices',
             customers: '/api/customers',
+            contracts: '/api/contracts',
             payments: '/api/payments',
             insights: '/api/insights',
-            audit: '/api/audit'
+            audit: '/api/audit',
+            usage: '/api/usage',
+            numbering_series: '/api/numbering-series',
+            exchange_rates: '/api/exchange-rates',
+            tax_rules: '/api/tax-rules',
+            credit_notes: '/api/credit-notes',
+            webhooks: '/api/webhooks',
+            pay: '/api/pay',
+            reconciliation: '/api/reconciliation',
+            dunning_policies: '/api/dunning-policies',
+            late_fee_rules: '/api/late-fee-rules',
+            payment_terms: '/api/payment-terms',
+            portal: '/api/portal',
+            users: '/api/users'
         }
     });
 });
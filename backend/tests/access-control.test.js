@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import accessControl from '../modules/auth/access-control.js';
+
+test('owners hold every permission', () => {
+    assert.deepEqual(accessControl.permissionsFor('owner'), accessControl.getPermissions());
+    assert.equal(accessControl.hasPermission('owner', 'users:manage'), true);
+});
+
+test('finance managers run billing but cannot manage users or read the audit trail', () => {
+    assert.equal(accessControl.hasPermission('finance_manager', 'payments:write'), true);
+    assert.equal(accessControl.hasPermission('finance_manager', 'settings:write'), true);
+    assert.equal(accessControl.hasPermission('finance_manager', 'users:manage'), false);
+    assert.equal(accessControl.hasPermission('finance_manager', 'audit:read'), false);
+});
+
+test('accountants prepare invoices and credit notes but do not record payments', () => {
+    assert.equal(accessControl.hasPermission('accountant', 'invoices:write'), true);
+    assert.equal(accessControl.hasPermission('accountant', 'credit_notes:write'), true);
+    assert.equal(accessControl.hasPermission('accountant', 'usage:write'), true);
+    assert.equal(accessControl.hasPermission('accountant', 'payments:read'), true);
+    assert.equal(accessControl.hasPermission('accountant', 'payments:write'), false);
+    assert.equal(accessControl.hasPermission('accountant', 'settings:write'), false);
+    assert.equal(accessControl.hasPermission('accountant', 'customers:write'), false);
+});
+
+test('support can update customers and use the assistant but not change billing', () => {
+    assert.equal(accessControl.hasPermission('support', 'customers:write'), true);
+    assert.equal(accessControl.hasPermission('support', 'assistant:use'), true);
+    assert.equal(accessControl.hasPermission('support', 'invoices:write'), false);
+    assert.equal(accessControl.hasPermission('support', 'contracts:write'), false);
+    assert.equal(accessControl.hasPermission('support', 'payments:write'), false);
+});
+
+test('auditors read everything and the audit trail, and write nothing', () => {
+    const permissions = accessControl.permissionsFor('auditor');
+
+    assert.ok(permissions.includes('audit:read'));
+    for (const permission of accessControl.getPermissions().filter(p => p.endsWith(':read'))) {
+        assert.ok(permissions.includes(permission), permission);
+    }
+    assert.deepEqual(permissions.filter(p => !p.endsWith(':read')), []);
+});
+
+test('only owners manage users', () => {
+    const managers = accessControl.getRoles().filter(role => accessControl.hasPermission(role, 'users:manage'));
+
+    assert.deepEqual(managers, ['owner']);
+});
+
+test('unknown roles are granted nothing', () => {
+    assert.equal(accessControl.isRole('admin'), false);
+    assert.deepEqual(accessControl.permissionsFor('admin'), []);
+    assert.equal(accessControl.hasPermission(undefined, 'invoices:read'), false);
+});
@@ -0,0 +1,86 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiKey } from '../database/models.js';
+import apiKeys from '../modules/auth/api-keys.js';
+import accessControl from '../modules/auth/access-control.js';
+
+const FUTURE = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+afterEach(() => mock.restoreAll());
+
+test('keys can be given any of the role\'s permissions except users:manage', () => {
+    const grantable = apiKeys.grantablePermissions('owner');
+
+    assert.ok(!grantable.includes('users:manage'));
+    assert.deepEqual(grantable, accessControl.permissionsFor('owner').filter(p => p !== 'users:manage'));
+    assert.deepEqual(apiKeys.grantablePermissions('support'), accessControl.permissionsFor('support'));
+    assert.deepEqual(apiKeys.grantablePermissions('unknown'), []);
+});
+
+test('a named key with grantable permissions and a future expiry is valid', () => {
+    assert.deepEqual(apiKeys.validate({ name: 'ERP sync', permissions: ['invoices:read', 'payments:write'], expires_at: FUTURE }, 'owner'), []);
+    assert.deepEqual(apiKeys.validate({ name: 'Warehouse', permissions: ['invoices:read'] }, 'owner'), []);
+});
+
+test('no key can hold users:manage, even one created by an owner', () => {
+    assert.deepEqual(
+        apiKeys.validate({ name: 'Admin', permissions: ['invoices:read', 'users:manage'] }, 'owner'),
+        ['permissions not allowed for API keys: users:manage']
+    );
+});
+
+test('a key cannot hold permissions its creator lacks', () => {
+    assert.deepEqual(
+        apiKeys.validate({ name: 'Reports', permissions: ['insights:read', 'audit:read'] }, 'finance_manager'),
+        ['permissions not allowed for API keys: audit:read']
+    );
+    assert.deepEqual(
+        apiKeys.validate({ name: 'Typo', permissions: ['invoices:delete'] }, 'owner'),
+        ['permissions not allowed for API keys: invoices:delete']
+    );
+});
+
+test('names, permission lists and expiry dates are checked', () => {
+    assert.deepEqual(apiKeys.validate({ name: ' ', permissions: [] }, 'owner'), [
+        'name is required (at most 80 characters)',
+        'permissions must be a non-empty list'
+    ]);
+    assert.deepEqual(apiKeys.validate({ name: 'x'.repeat(81), permissions: 'invoices:read' }, 'owner'), [
+        'name is required (at most 80 characters)',
+        'permissions must be a non-empty list'
+    ]);
+    assert.deepEqual(apiKeys.validate({ name: 'Old', permissions: ['invoices:read'], expires_at: '2020-01-01' }, 'owner'), [
+        'expires_at must be a future date'
+    ]);
+    assert.deepEqual(apiKeys.validate({ name: 'Bad', permissions: ['invoices:read'], expires_at: 'soon' }, 'owner'), [
+        'expires_at must be a future date'
+    ]);
+});
+
+test('generated keys carry the prefix and are stored by hash', () => {
+    const { key, key_prefix, key_hash } = apiKeys.generate();
+
+    assert.ok(apiKeys.isApiKey(key));
+    assert.equal(key_prefix, key.slice(0, 12));
+    assert.equal(key_hash, apiKeys.hashToken(key));
+    assert.equal(apiKeys.isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.sig'), false);
+    assert.equal(apiKeys.isApiKey(undefined), false);
+});
+
+test('short or non-key tokens are refused without a lookup', async () => {
+    const findActiveByHash = mock.method(ApiKey, 'findActiveByHash', async () => ({ id: 1 }));
+
+    assert.equal(await apiKeys.authenticate('bgk_short', '127.0.0.1'), null);
+    assert.equal(await apiKeys.authenticate('x'.repeat(60), '127.0.0.1'), null);
+    assert.equal(findActiveByHash.mock.callCount(), 0);
+});
+
+test('an active key is looked up by hash and its use recorded', async () => {
+    const { key, key_hash } = apiKeys.generate();
+    const findActiveByHash = mock.method(ApiKey, 'findActiveByHash', async () => ({ id: 3, permissions: ['invoices:read'] }));
+    const touch = mock.method(ApiKey, 'touch', async () => {});
+
+    assert.equal((await apiKeys.authenticate(key, '10.0.0.1')).id, 3);
+    assert.deepEqual(findActiveByHash.mock.calls[0].arguments, [key_hash]);
+    assert.deepEqual(touch.mock.calls[0].arguments, [3, '10.0.0.1']);
+});
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import creditNoteCalculator from '../modules/invoice/credit-note-calculator.js';
+
+const INVOICE = { invoice_number: 'INV-2026-0007', currency: 'EUR', total_amount: '348.00', credited_amount: '0.00' };
+
+// 10 seats at 20.00 (200.00), and a 100.00 setup fee with 10% off (90.00); both taxed at 20%
+const LINES = [
+    {
+        id: 'line-1', item_type: 'fixed', description: 'Seats', quantity: '10', unit_price: '20.00',
+        discount_percentage: '0', subtotal: '200.00', discount_amount: '0.00',
+        tax_details: [{ name: 'VAT', jurisdiction: 'DE', rate: '20', is_compound: false }]
+    },
+    {
+        id: 'line-2', item_type: 'fixed', description: 'Setup', quantity: '1', unit_price: '100.00',
+        discount_percentage: '10', subtotal: '100.00', discount_amount: '10.00', tax_rate: '20'
+    }
+];
+
+test('credit note requests need an invoice, a reason and a type', () => {
+    assert.deepEqual(creditNoteCalculator.validateRequest({ type: 'refund', issue_date: 'someday' }), [
+        'invoice_id is required',
+        'reason is required',
+        'type must be one of: full, partial',
+        'issue_date must be a valid date'
+    ]);
+});
+
+test('partial credits name each line with either a quantity or an amount', () => {
+    const request = { invoice_id: 'inv-1', reason: 'Goodwill', type: 'partial' };
+
+    assert.deepEqual(creditNoteCalculator.validateRequest({ ...request, lines: [] }), ['lines are required for a partial credit']);
+    assert.deepEqual(creditNoteCalculator.validateRequest({
+        ...request,
+        lines: [
+            { quantity: 1 },
+            { invoice_line_item_id: 'line-1', quantity: 1, amount: 5 },
+            { invoice_line_item_id: 'line-1', quantity: 0 },
+            { invoice_line_item_id: 'line-2', amount: -5 }
+        ]
+    }), [
+        'Line 1: invoice_line_item_id is required',
+        'Line 2: give either quantity or amount',
+        'Line 3: quantity must be greater than 0',
+        'Line 4: amount must be greater than 0'
+    ]);
+});
+
+test('a full credit reverses every line with its original tax', () => {
+    const { totals, errors } = creditNoteCalculator.build(INVOICE, LINES, { type: 'full' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(totals.subtotal, 300);
+    assert.equal(totals.discount_amount, 10);
+    assert.equal(totals.tax_amount, 58);
+    assert.equal(totals.total_amount, 348);
+    assert.deepEqual(totals.line_items.map(line => line.invoice_line_item_id), ['line-1', 'line-2']);
+    assert.equal(totals.line_items[0].tax_details[0].name, 'VAT');
+});
+
+test('a full credit after a partial one credits only what is left', () => {
+    const { totals, errors } = creditNoteCalculator.build(
+        { ...INVOICE, credited_amount: '48.00' },
+        LINES,
+        { type: 'full' },
+        { 'line-1': 40 }
+    );
+
+    assert.deepEqual(errors, []);
+    assert.equal(totals.line_items[0].description, 'Seats (remaining balance)');
+    assert.equal(totals.line_items[0].subtotal, 160);
+    assert.equal(totals.total_amount, 300);
+});
+
+test('a partial credit by quantity keeps the invoiced price and tax', () => {
+    const { totals, errors } = creditNoteCalculator.build(INVOICE, LINES, {
+        type: 'partial',
+        lines: [{ invoice_line_item_id: 'line-1', quantity: 2 }]
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(totals.subtotal, 40);
+    assert.equal(totals.total_amount, 48);
+});
+
+test('a partial credit by amount is a net price adjustment', () => {
+    const { totals, errors } = creditNoteCalculator.build(INVOICE, LINES, {
+        type: 'partial',
+        lines: [{ invoice_line_item_id: 'line-2', amount: 15 }]
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(totals.line_items[0].description, 'Setup (price adjustment)');
+    assert.equal(totals.subtotal, 15);
+    assert.equal(totals.total_amount, 18);
+});
+
+test('a line cannot be credited beyond its invoiced quantity or amount', () => {
+    const tooMany = creditNoteCalculator.build(INVOICE, LINES, {
+        type: 'partial',
+        lines: [{ invoice_line_item_id: 'line-1', quantity: 11 }]
+    });
+    assert.deepEqual(tooMany.errors, ['Line 1: cannot credit more than the invoiced quantity of 10']);
+    assert.equal(tooMany.totals, null);
+
+    const tooMuch = creditNoteCalculator.build(INVOICE, LINES, {
+        type: 'partial',
+        lines: [{ invoice_line_item_id: 'line-2', amount: 90.01 }]
+    });
+    assert.deepEqual(tooMuch.errors, ['Line 1: credits would exceed the invoiced amount of "Setup"']);
+});
+
+test('earlier credits and repeated lines count towards the limit', () => {
+    const afterEarlier = creditNoteCalculator.build(INVOICE, LINES, {
+        type: 'partial',
+        lines: [{ invoice_line_item_id: 'line-1', quantity: 3 }]
+    }, { 'line-1': 160 });
+    assert.deepEqual(afterEarlier.errors, ['Line 1: credits would exceed the invoiced amount of "Seats"']);
+
+    const repeated = creditNoteCalculator.build(INVOICE, LINES, {
+        type: 'partial',
+        lines: [
+            { invoice_line_item_id: 'line-1', quantity: 6 },
+            { invoice_line_item_id: 'line-1', quantity: 5 }
+        ]
+    });
+    assert.deepEqual(repeated.errors, ['Line 2: credits would exceed the invoiced amount of "Seats"']);
+});
+
+test('lines of other invoices are refused', () => {
+    const { errors } = creditNoteCalculator.build(INVOICE, LINES, {
+        type: 'partial',
+        lines: [{ invoice_line_item_id: 'line-9', quantity: 1 }]
+    });
+
+    assert.deepEqual(errors, ['Line 1: not a line of invoice INV-2026-0007']);
+});
+
+test('a fully credited invoice has nothing left to credit', () => {
+    const { errors } = creditNoteCalculator.build(
+        { ...INVOICE, credited_amount: '348.00' },
+        LINES,
+        { type: 'full' },
+        { 'line-1': 200, 'line-2': 90 }
+    );
+
+    assert.deepEqual(errors, ['Invoice INV-2026-0007 has nothing left to credit']);
+});
+
+test('a partial credit cannot exceed the uncredited invoice total', () => {
+    const { totals, errors } = creditNoteCalculator.build(
+        { ...INVOICE, credited_amount: '300.00' },
+        LINES,
+        { type: 'partial', lines: [{ invoice_line_item_id: 'line-1', quantity: 5 }] }
+    );
+
+    assert.equal(totals, null);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^Credit of .*120.* exceeds the uncredited invoice total of .*48/);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dunningManager from '../modules/billing/dunning-manager.js';
+
+// Ordered by day_offset, as the policy stores them
+const STAGES = [
+    { stage_order: 1, name: 'Friendly reminder', day_offset: 1, action: 'email' },
+    { stage_order: 2, name: 'Second notice', day_offset: 14, action: 'email', repeat_interval_days: 7 },
+    { stage_order: 3, name: 'Late fee', day_offset: 30, action: 'late_fee' }
+];
+
+const TODAY = new Date('2026-03-31T09:00:00Z');
+
+test('no stage runs before the first stage is due', () => {
+    assert.equal(dunningManager.selectStage(STAGES, 0, null, TODAY), null);
+});
+
+test('the furthest stage due runs first, skipping stages the invoice is already past', () => {
+    assert.equal(dunningManager.selectStage(STAGES, 1, null, TODAY).name, 'Friendly reminder');
+    assert.equal(dunningManager.selectStage(STAGES, 20, null, TODAY).name, 'Second notice');
+    assert.equal(dunningManager.selectStage(STAGES, 45, null, TODAY).name, 'Late fee');
+});
+
+test('the next stage runs once its day has come', () => {
+    const lastEvent = { stage_order: 1, created_at: '2026-03-20T09:00:00Z' };
+
+    assert.equal(dunningManager.selectStage(STAGES, 13, lastEvent, TODAY), null);
+    assert.equal(dunningManager.selectStage(STAGES, 14, lastEvent, TODAY).name, 'Second notice');
+});
+
+test('a stage without a repeat interval runs only once', () => {
+    assert.equal(dunningManager.selectStage(STAGES, 5, { stage_order: 1, created_at: '2026-01-01' }, TODAY), null);
+    assert.equal(dunningManager.selectStage(STAGES, 60, { stage_order: 3, created_at: '2026-01-01' }, TODAY), null);
+});
+
+test('a repeating stage runs again once its interval has passed', () => {
+    const stage = (createdAt) => dunningManager.selectStage(STAGES, 25, { stage_order: 2, created_at: createdAt }, TODAY);
+
+    assert.equal(stage('2026-03-25T23:00:00Z'), null);
+    assert.equal(stage('2026-03-24T23:00:00Z').name, 'Second notice');
+    assert.equal(stage('2026-03-01T09:00:00Z').name, 'Second notice');
+});
+
+test('an earlier stage does not run after a later one', () => {
+    assert.equal(dunningManager.selectStage(STAGES, 20, { stage_order: 3, created_at: '2026-01-01' }, TODAY), null);
+});
+
+test('days between count calendar days', () => {
+    assert.equal(dunningManager.daysBetween('2026-03-24T23:59:00Z', '2026-03-31T00:01:00Z'), 7);
+    assert.equal(dunningManager.daysBetween('2026-02-28', '2026-03-01'), 1);
+    assert.equal(dunningManager.daysBetween('2026-03-31', '2026-03-31T18:00:00Z'), 0);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import lateFeeManager from '../modules/billing/late-fee-manager.js';
+
+const INVOICE = {
+    id: 'inv-1',
+    invoice_number: 'INV-2026-0042',
+    currency: 'EUR',
+    due_date: '2026-03-01',
+    total_amount: '1000.00',
+    balance_due: '1000.00'
+};
+
+const rule = (overrides) => ({
+    id: 'rule-1',
+    recurrence: 'recurring',
+    interval_days: 30,
+    grace_days: 0,
+    ...overrides
+});
+
+const charge = (overrides) => ({ rule_id: 'rule-1', applied_as: 'fee_invoice', created_at: '2026-03-10T06:00:00Z', ...overrides });
+
+test('no fee is charged within the grace period', () => {
+    const flat = rule({ fee_type: 'flat', amount: '40.00', grace_days: 5 });
+
+    assert.deepEqual(lateFeeManager.calculateCharge(flat, INVOICE, [], 5), { skipped: 'in grace period' });
+    assert.equal(lateFeeManager.calculateCharge(flat, INVOICE, [], 6).amount, 40);
+});
+
+test('a percentage fee is on the unpaid balance without fees added as lines', () => {
+    const percentage = rule({ fee_type: 'percentage', rate: '2' });
+    const invoice = { ...INVOICE, balance_due: '1040.00' };
+    const lineFee = charge({ rule_id: 'rule-2', applied_as: 'invoice_line', amount: '40.00' });
+
+    const result = lateFeeManager.calculateCharge(percentage, invoice, [lineFee], 10, new Date(2026, 2, 11));
+
+    assert.equal(result.amount, 20);
+    assert.match(result.description, /^Late payment fee: 2% of .*1,000\.00.* unpaid on invoice INV-2026-0042$/);
+});
+
+test('interest runs from the end of the grace period to today', () => {
+    const interest = rule({ fee_type: 'interest', rate: '8', grace_days: 5 });
+
+    const result = lateFeeManager.calculateCharge(interest, INVOICE, [], 30, new Date(2026, 2, 31));
+
+    // 1000.00 at 8% a year for 25 days
+    assert.equal(result.amount, 5.48);
+    assert.equal(result.period_start, '2026-03-06');
+    assert.equal(result.period_end, '2026-03-31');
+    assert.match(result.description, /8% a year .* 2026-03-06 to 2026-03-31 \(25 days\)$/);
+});
+
+test('later interest picks up where the last charge stopped', () => {
+    const interest = rule({ fee_type: 'interest', rate: '8' });
+    const last = charge({ amount: '6.58', period_start: '2026-03-01', period_end: '2026-03-31', created_at: '2026-03-31T06:00:00Z' });
+
+    const result = lateFeeManager.calculateCharge(interest, INVOICE, [last], 60, new Date(2026, 3, 30));
+
+    assert.equal(result.period_start, '2026-03-31');
+    assert.equal(result.period_end, '2026-04-30');
+    assert.equal(result.amount, 6.58);
+});
+
+test('interest can add the reference rate', (t) => {
+    const previous = lateFeeManager.referenceRate;
+    lateFeeManager.referenceRate = 4;
+    t.after(() => { lateFeeManager.referenceRate = previous; });
+    const interest = rule({ fee_type: 'interest', rate: '8', add_reference_rate: true });
+
+    assert.equal(lateFeeManager.annualRate(interest), 12);
+    // 1000.00 at 12% a year for 30 days
+    assert.equal(lateFeeManager.calculateCharge(interest, INVOICE, [], 30, new Date(2026, 2, 31)).amount, 9.86);
+});
+
+test('a recurring rule waits for its interval and a one-time rule charges once', () => {
+    const recurring = rule({ fee_type: 'flat', amount: '10.00', interval_days: 14 });
+    const oneTime = rule({ fee_type: 'flat', amount: '10.00', recurrence: 'one_time' });
+    const earlier = [charge({ amount: '10.00' })];
+
+    assert.deepEqual(lateFeeManager.calculateCharge(recurring, INVOICE, earlier, 20, new Date(2026, 2, 23)), { skipped: 'next charge not due yet' });
+    assert.equal(lateFeeManager.calculateCharge(recurring, INVOICE, earlier, 20, new Date(2026, 2, 24)).amount, 10);
+    assert.deepEqual(lateFeeManager.calculateCharge(oneTime, INVOICE, earlier, 60, new Date(2026, 4, 1)), { skipped: 'already charged' });
+    // Charges under other rules do not count
+    assert.equal(lateFeeManager.calculateCharge(oneTime, INVOICE, [charge({ rule_id: 'rule-2', amount: '5.00' })], 20).amount, 10);
+});
+
+test('a capped rule charges up to its cap and then stops', () => {
+    const capped = rule({ fee_type: 'flat', amount: '40.00', cap_amount: '50.00', interval_days: 1 });
+
+    const partial = lateFeeManager.calculateCharge(capped, INVOICE, [charge({ amount: '40.00' })], 20, new Date(2026, 2, 20));
+    assert.equal(partial.amount, 10);
+    assert.match(partial.description, / \(capped\)$/);
+
+    const reached = lateFeeManager.calculateCharge(capped, INVOICE, [charge({ amount: '40.00' }), charge({ amount: '10.00' })], 20, new Date(2026, 2, 20));
+    assert.deepEqual(reached, { skipped: 'cap reached' });
+});
+
+test('a percentage cap is on the invoice total before fees, and the lower cap applies', () => {
+    const capped = rule({ fee_type: 'percentage', rate: '10', cap_percentage: '5', cap_amount: '80.00' });
+    const invoice = { ...INVOICE, total_amount: '1030.00', balance_due: '1030.00' };
+    const lineFee = charge({ rule_id: 'rule-2', applied_as: 'invoice_line', amount: '30.00' });
+
+    const result = lateFeeManager.calculateCharge(capped, invoice, [lineFee], 20, new Date(2026, 2, 21));
+
+    assert.equal(result.amount, 50);
+    assert.match(result.description, / \(capped\)$/);
+});
+
+test('fee invoices and invoices in other currencies are not charged', () => {
+    const flat = rule({ fee_type: 'flat', amount: '40.00' });
+
+    assert.deepEqual(
+        lateFeeManager.calculateCharge(flat, { ...INVOICE, fee_for_invoice_id: 'inv-0' }, [], 30),
+        { skipped: 'late-fee invoices are not charged fees' }
+    );
+    assert.deepEqual(
+        lateFeeManager.calculateCharge({ ...flat, currency: 'USD' }, INVOICE, [], 30),
+        { skipped: 'rule only applies to USD invoices' }
+    );
+});
+
+test('nothing is charged on a paid-off balance', () => {
+    const percentage = rule({ fee_type: 'percentage', rate: '2' });
+
+    assert.deepEqual(
+        lateFeeManager.calculateCharge(percentage, { ...INVOICE, balance_due: '0.00' }, [], 30),
+        { skipped: 'nothing to charge' }
+    );
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import invoiceLifecycle from '../modules/invoice/lifecycle.js';
+
+const invoice = (status, due_date = '2020-01-31') => ({
+    invoice_number: 'INV-2026-0001',
+    status,
+    due_date,
+    total_amount: '100.00',
+    credited_amount: '0.00',
+    discount_taken: '0.00'
+});
+
+test('drafts can be validated, sent or cancelled by hand', () => {
+    assert.deepEqual(invoiceLifecycle.manualTransitions('pending'), ['validated', 'sent', 'cancelled']);
+    assert.deepEqual(invoiceLifecycle.manualTransitions('validated'), ['pending', 'sent', 'cancelled']);
+    assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('pending'), 'cancelled'), []);
+});
+
+test('issued invoices cannot be cancelled or moved back to a draft', () => {
+    assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('sent'), 'cancelled'), [
+        'Invoice INV-2026-0001 has been issued; issue a credit note instead of cancelling it'
+    ]);
+    assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('sent'), 'pending'), [
+        'Cannot change invoice status from sent to pending'
+    ]);
+    assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('paid'), 'cancelled'), [
+        'Invoice INV-2026-0001 has been issued; issue a credit note instead of cancelling it'
+    ]);
+});
+
+test('payment statuses are never set by hand', () => {
+    for (const status of ['partially_paid', 'paid', 'credited']) {
+        assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('sent'), status), [
+            `${status} is set by recording payments and credit notes, not by changing the status`
+        ]);
+    }
+});
+
+test('an invoice can only be marked overdue after its due date', () => {
+    assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('sent', '2020-01-31'), 'overdue'), []);
+    assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('sent', '2999-01-31'), 'overdue'), [
+        'Invoice INV-2026-0001 is not past its due date'
+    ]);
+});
+
+test('unknown and unchanged statuses are refused', () => {
+    assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('sent'), 'archived'), [
+        'status must be one of: pending, validated, sent, overdue, cancelled'
+    ]);
+    assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('sent'), 'sent'), [
+        'Invoice INV-2026-0001 is already sent'
+    ]);
+    assert.deepEqual(invoiceLifecycle.validateManualTransition(invoice('cancelled'), 'pending'), [
+        'Cannot change invoice status from cancelled to pending'
+    ]);
+});
+
+test('allowed manual changes leave out those the invoice does not qualify for', () => {
+    assert.deepEqual(invoiceLifecycle.allowedManualChanges(invoice('sent', '2020-01-31')), ['overdue']);
+    assert.deepEqual(invoiceLifecycle.allowedManualChanges(invoice('sent', '2999-01-31')), []);
+    assert.deepEqual(invoiceLifecycle.allowedManualChanges(invoice('credited')), []);
+});
+
+test('the due date itself is not past due', () => {
+    const today = new Date(2026, 2, 15, 18, 30);
+
+    assert.equal(invoiceLifecycle.isPastDue({ due_date: '2026-03-15' }, today), false);
+    assert.equal(invoiceLifecycle.isPastDue({ due_date: '2026-03-14' }, today), true);
+    assert.equal(invoiceLifecycle.isPastDue({ due_date: new Date(2026, 2, 14) }, today), true);
+    assert.equal(invoiceLifecycle.isPastDue({ due_date: new Date(2026, 2, 15) }, today), false);
+});
+
+test('the settled status follows the amount paid and credited', () => {
+    const today = new Date(2026, 2, 15);
+
+    assert.equal(invoiceLifecycle.settledStatus(invoice('sent'), 0, today), 'sent');
+    assert.equal(invoiceLifecycle.settledStatus(invoice('sent'), 40, today), 'partially_paid');
+    assert.equal(invoiceLifecycle.settledStatus(invoice('sent'), 100, today), 'paid');
+    assert.equal(invoiceLifecycle.settledStatus({ ...invoice('sent'), credited_amount: '100.00' }, 0, today), 'credited');
+    assert.equal(invoiceLifecycle.settledStatus({ ...invoice('sent'), discount_taken: '2.00' }, 98, today), 'paid');
+    assert.equal(invoiceLifecycle.settledStatus(invoice('cancelled'), 100, today), 'cancelled');
+});
+
+test('a paid invoice whose payment is removed goes back to sent or overdue', () => {
+    const today = new Date(2026, 2, 15);
+
+    assert.equal(invoiceLifecycle.settledStatus(invoice('paid', '2026-03-31'), 0, today), 'sent');
+    assert.equal(invoiceLifecycle.settledStatus(invoice('paid', '2026-03-01'), 0, today), 'overdue');
+    assert.equal(invoiceLifecycle.settledStatus(invoice('partially_paid', '2026-03-01'), 0, today), 'overdue');
+});
+
+test('only sent invoices and later count as issued', () => {
+    assert.equal(invoiceLifecycle.isIssued(invoice('pending')), false);
+    assert.equal(invoiceLifecycle.isIssued(invoice('validated')), false);
+    assert.equal(invoiceLifecycle.isIssued(invoice('cancelled')), false);
+    assert.equal(invoiceLifecycle.isIssued(invoice('sent')), true);
+    assert.equal(invoiceLifecycle.isIssued(invoice('overdue')), true);
+});
@@ -0,0 +1,82 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdminUser } from '../database/models.js';
+import passwords from '../modules/auth/passwords.js';
+
+const USER = { username: 'alice', email: 'alice.smith@example.com' };
+
+afterEach(() => mock.restoreAll());
+
+test('a long password mixing letters and symbols passes the policy', () => {
+    assert.deepEqual(passwords.validate('correct horse 42 battery', USER), []);
+});
+
+test('passwords shorter than the minimum length are refused', () => {
+    assert.deepEqual(passwords.validate('short1!', USER), ['password must be at least 12 characters']);
+    assert.deepEqual(passwords.validate(undefined, USER), ['password must be at least 12 characters']);
+    assert.deepEqual(passwords.validate(123456789012345, USER), ['password must be at least 12 characters']);
+});
+
+test('passwords must mix letters with digits or symbols', () => {
+    assert.deepEqual(passwords.validate('onlylettershere', USER), ['password must mix letters with digits or symbols']);
+    assert.deepEqual(passwords.validate('4815162342108', USER), ['password must mix letters with digits or symbols']);
+});
+
+test('passwords longer than bcrypt can check are refused', () => {
+    assert.deepEqual(passwords.validate('a1'.repeat(37), USER), ['password must be at most 72 bytes']);
+    // Multi-byte characters count by their bytes
+    assert.deepEqual(passwords.validate('aä1'.repeat(19), USER), ['password must be at most 72 bytes']);
+});
+
+test('passwords must not contain the username or email', () => {
+    const error = 'password must not contain your username or email';
+
+    assert.deepEqual(passwords.validate('my-ALICE-password-9', USER), [error]);
+    assert.deepEqual(passwords.validate('alice.smith-rules-1', { username: 'as', email: USER.email }), [error]);
+    // Too short to count as personal
+    assert.deepEqual(passwords.validate('as-long-password-9', { username: 'as' }), []);
+});
+
+test('common passwords are refused', () => {
+    assert.deepEqual(passwords.validate('BillerAGI123', USER), ['password is too common']);
+});
+
+test('a password verifies against its own hash only', async () => {
+    const hash = await passwords.hash('correct horse 42 battery');
+
+    assert.equal(await passwords.verify('correct horse 42 battery', hash), true);
+    assert.equal(await passwords.verify('correct horse 42 batterY', hash), false);
+    assert.equal(await passwords.verifyDummy('correct horse 42 battery'), false);
+});
+
+test('an account is locked until locked_until', () => {
+    assert.equal(passwords.lockedFor({ locked_until: null }), 0);
+    assert.equal(passwords.lockedFor({ locked_until: new Date(Date.now() - 1000) }), 0);
+
+    const seconds = passwords.lockedFor({ locked_until: new Date(Date.now() + 120 * 1000) });
+    assert.ok(seconds > 118 && seconds <= 120, `locked for ${seconds}`);
+});
+
+test('a failure is counted with the lockout settings and reports how long the account is locked', async () => {
+    const recordFailedLogin = mock.method(AdminUser, 'recordFailedLogin', async () => ({
+        failed_login_count: 6,
+        locked_until: new Date(Date.now() + 120 * 1000)
+    }));
+
+    const state = await passwords.recordFailure(7);
+
+    assert.deepEqual(recordFailedLogin.mock.calls[0].arguments, [7, { threshold: 5, baseSeconds: 60, maxSeconds: 3600 }]);
+    assert.equal(state.failed_login_count, 6);
+    assert.ok(state.locked_for > 118 && state.locked_for <= 120);
+});
+
+test('failures below the threshold do not lock the account', async () => {
+    mock.method(AdminUser, 'recordFailedLogin', async () => ({ failed_login_count: 2, locked_until: null }));
+
+    assert.equal((await passwords.recordFailure(7)).locked_for, 0);
+});
+
+test('short reset tokens are refused without a lookup', async () => {
+    assert.equal(await passwords.findReset(undefined), null);
+    assert.equal(await passwords.findReset('abc'), null);
+});
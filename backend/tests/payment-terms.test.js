@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import paymentTermsCalculator from '../modules/billing/payment-terms.js';
+
+test('net terms are due a number of days after issue', () => {
+    const schedule = paymentTermsCalculator.schedule({ due_type: 'net', due_days: 30 }, '2026-01-15');
+
+    assert.deepEqual(schedule, { due_date: '2026-02-14', discount_date: null, discount_percentage: null });
+});
+
+test('end-of-month terms count from the last day of the issue month', () => {
+    const schedule = paymentTermsCalculator.schedule({ due_type: 'end_of_month', due_days: 10 }, '2026-01-15');
+
+    assert.equal(schedule.due_date, '2026-02-10');
+});
+
+test('due-on-receipt invoices are due on the issue date', () => {
+    const schedule = paymentTermsCalculator.schedule({ due_type: 'due_on_receipt', due_days: 0 }, '2026-03-05');
+
+    assert.equal(schedule.due_date, '2026-03-05');
+});
+
+test('without terms the invoice is due 30 days after issue', () => {
+    assert.equal(paymentTermsCalculator.schedule(null, '2026-01-31').due_date, '2026-03-02');
+});
+
+test('2/10 net 30 offers a discount until day 10', () => {
+    const schedule = paymentTermsCalculator.schedule(
+        { due_type: 'net', due_days: 30, discount_percentage: '2.00', discount_days: 10 },
+        '2026-01-15'
+    );
+
+    assert.equal(schedule.discount_date, '2026-01-25');
+    assert.equal(schedule.discount_percentage, 2);
+    assert.equal(paymentTermsCalculator.discountAmount(1234.5, schedule.discount_percentage, 'USD'), 24.69);
+    assert.equal(paymentTermsCalculator.discountAmount(1234.5, null, 'USD'), 0);
+});
+
+test('the discount is earned only when paid in full by the discount date', () => {
+    const invoice = {
+        total_amount: '1000.00',
+        credited_amount: '0',
+        currency: 'USD',
+        early_payment_discount_amount: '20.00',
+        early_payment_discount_date: '2026-01-25'
+    };
+
+    assert.equal(paymentTermsCalculator.discountEarned(invoice, [{ payment_date: '2026-01-25', applied: 980 }]), 20);
+    assert.equal(paymentTermsCalculator.discountEarned(invoice, [{ payment_date: '2026-01-26', applied: 980 }]), 0);
+    assert.equal(paymentTermsCalculator.discountEarned(invoice, [
+        { payment_date: '2026-01-20', applied: 500 },
+        { payment_date: '2026-01-30', applied: 480 }
+    ]), 0);
+});
+
+test('validateTerms checks the due type, days and discount', () => {
+    assert.deepEqual(paymentTermsCalculator.validateTerms({ code: 'NET30', name: 'Net 30', due_type: 'net', due_days: 30 }, true), []);
+    assert.deepEqual(paymentTermsCalculator.validateTerms({ due_type: 'net', due_days: 0 }), [
+        'net terms need due_days greater than 0 (use due_on_receipt for 0)'
+    ]);
+    assert.deepEqual(paymentTermsCalculator.validateTerms({ due_type: 'net', due_days: 30, discount_percentage: 2, discount_days: 30 }), [
+        'discount_days must be before the due date (less than due_days)'
+    ]);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import prorationCalculator from '../modules/billing/proration.js';
+
+const monthly = {
+    billing_frequency: 'monthly',
+    start_date: '2025-12-01',
+    next_billing_date: '2026-02-01',
+    currency: 'USD'
+};
+
+const format = (date) => prorationCalculator.formatDate(date);
+
+test('addMonths keeps the anchor day where the month allows it', () => {
+    const jan31 = prorationCalculator.toDate('2026-01-31');
+    const feb = prorationCalculator.addMonths(jan31, 1);
+
+    assert.equal(format(feb), '2026-02-28');
+    assert.equal(format(prorationCalculator.addMonths(feb, 1, 31)), '2026-03-31');
+});
+
+test('a full monthly period is not prorated', () => {
+    const period = prorationCalculator.getBillingPeriod(monthly);
+
+    assert.equal(format(period.start), '2026-02-01');
+    assert.equal(format(period.end), '2026-03-01');
+    assert.equal(period.days, 28);
+    assert.equal(period.factor, 1);
+    assert.equal(period.prorated, false);
+});
+
+test('a billing anchor day gives a short first period', () => {
+    const period = prorationCalculator.getBillingPeriod({
+        ...monthly,
+        next_billing_date: '2026-01-01',
+        billing_anchor_day: 15
+    });
+
+    assert.equal(format(period.end), '2026-01-15');
+    assert.equal(period.days, 14);
+    assert.equal(period.period_days, 31);
+    assert.equal(period.reason, 'first_period');
+});
+
+test('an end date inside the period shortens the last one', () => {
+    const period = prorationCalculator.getBillingPeriod({ ...monthly, end_date: '2026-02-10' });
+
+    assert.equal(format(period.end), '2026-02-11');
+    assert.equal(period.days, 10);
+    assert.equal(period.reason, 'last_period');
+});
+
+test('prorateLineItems scales fixed fees and labels the period', () => {
+    const period = prorationCalculator.getBillingPeriod({ ...monthly, end_date: '2026-02-13' });
+    const [line] = prorationCalculator.prorateLineItems(
+        [{ description: 'Platform fee', quantity: 1, unit_price: 280 }],
+        period,
+        'USD'
+    );
+
+    assert.equal(line.unit_price, 130);
+    assert.equal(line.period_start, '2026-02-01');
+    assert.equal(line.period_end, '2026-02-13');
+    assert.match(line.description, /final period, prorated 13\/28 days/);
+});
+
+test('getChangeWindow runs from the previous period to the end of the one being billed', () => {
+    assert.deepEqual(prorationCalculator.getChangeWindow(monthly), { from: '2026-01-01', to: '2026-02-28' });
+});
+
+test('getChangeWindow has no lower bound before the first invoice', () => {
+    const window = prorationCalculator.getChangeWindow({ ...monthly, next_billing_date: '2025-12-01' });
+
+    assert.deepEqual(window, { from: null, to: '2025-12-31' });
+});
+
+test('getChangeWindow leaves out effective dates two periods ahead', () => {
+    const window = prorationCalculator.getChangeWindow(monthly);
+    const twoPeriodsAhead = format(prorationCalculator.addMonths(prorationCalculator.toDate(monthly.next_billing_date), 2));
+
+    assert.equal(twoPeriodsAhead, '2026-04-01');
+    assert.ok(twoPeriodsAhead > window.to);
+});
+
+test('getChangeWindow is null for one-time contracts', () => {
+    assert.equal(prorationCalculator.getChangeWindow({ ...monthly, billing_frequency: 'one-time' }), null);
+});
+
+test('a change in the billed period credits the old price and charges the new one', () => {
+    const { line_items, change_ids } = prorationCalculator.buildChangeAdjustments(monthly, [
+        { id: 'c1', effective_date: '2026-01-16', old_amount: '100', new_amount: '200' }
+    ]);
+
+    assert.deepEqual(change_ids, ['c1']);
+    assert.equal(line_items.length, 2);
+    assert.equal(line_items[0].unit_price, -51.61);
+    assert.equal(line_items[1].unit_price, 103.23);
+    assert.equal(line_items[0].period_start, '2026-01-16');
+    assert.equal(line_items[0].period_end, '2026-01-31');
+});
+
+test('a change inside the period being billed swaps back to the old price until it applies', () => {
+    const { line_items } = prorationCalculator.buildChangeAdjustments(monthly, [
+        { id: 'c1', effective_date: '2026-02-15', old_amount: '100', new_amount: '200' }
+    ]);
+
+    assert.equal(line_items[0].unit_price, -100);
+    assert.equal(line_items[1].unit_price, 50);
+    assert.equal(line_items[1].period_end, '2026-02-14');
+});
+
+test('a change after the period being billed is left for a later invoice', () => {
+    const { line_items, change_ids } = prorationCalculator.buildChangeAdjustments(monthly, [
+        { id: 'c1', effective_date: '2026-04-01', old_amount: '100', new_amount: '200' }
+    ]);
+
+    assert.deepEqual(line_items, []);
+    assert.deepEqual(change_ids, []);
+});
@@ -0,0 +1,114 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryStore from '../modules/rate-limit/memory-store.js';
+import rateLimiter from '../modules/rate-limit/rate-limiter.js';
+
+const START = Date.parse('2026-10-19T12:00:00Z');
+
+/**
+ * Freeze Date.now at START; the returned function moves it to a number of seconds after START
+ */
+const useClock = () => {
+    let seconds = 0;
+    mock.method(Date, 'now', () => START + seconds * 1000);
+    return (value) => { seconds = value; };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('hits in one window are counted together and a new window starts afresh', () => {
+    const setSeconds = useClock();
+    const store = new MemoryStore();
+
+    assert.deepEqual(store.hit('ip:1', 60), { count: 1, reset_at: new Date(START + 60 * 1000) });
+    setSeconds(59);
+    assert.equal(store.hit('ip:1', 60).count, 2);
+    setSeconds(60);
+    assert.deepEqual(store.hit('ip:1', 60), { count: 1, reset_at: new Date(START + 120 * 1000) });
+});
+
+test('keys are counted separately and can be reset', () => {
+    useClock();
+    const store = new MemoryStore();
+
+    store.hit('ip:1', 60);
+    store.hit('ip:1', 60);
+    assert.equal(store.hit('ip:2', 60).count, 1);
+
+    store.reset('ip:1');
+    assert.equal(store.hit('ip:1', 60).count, 1);
+});
+
+test('sweeping drops finished windows only', () => {
+    const setSeconds = useClock();
+    const store = new MemoryStore();
+
+    store.hit('short', 10);
+    store.hit('long', 60);
+    setSeconds(30);
+    store.sweep();
+
+    assert.deepEqual([...store.windows.keys()], ['long']);
+});
+
+test('requests are allowed up to the bucket limit, then refused until the window resets', async (t) => {
+    const setSeconds = useClock();
+    rateLimiter.setStore(new MemoryStore());
+    t.after(() => rateLimiter.setStore(new MemoryStore()));
+    const { limit, windowSeconds } = rateLimiter.buckets.login;
+
+    let result;
+    for (let i = 1; i <= limit; i++) {
+        result = await rateLimiter.consume('login', '10.0.0.1');
+        assert.equal(result.allowed, true);
+        assert.equal(result.remaining, limit - i);
+    }
+    assert.equal(result.limit, limit);
+
+    setSeconds(windowSeconds - 30);
+    result = await rateLimiter.consume('login', '10.0.0.1');
+    assert.equal(result.allowed, false);
+    assert.equal(result.remaining, 0);
+    assert.equal(result.retry_after, 30);
+    assert.deepEqual(result.reset_at, new Date(START + windowSeconds * 1000));
+
+    // Other identities and buckets are unaffected
+    assert.equal((await rateLimiter.consume('login', '10.0.0.2')).allowed, true);
+    assert.equal((await rateLimiter.consume('refresh', '10.0.0.1')).allowed, true);
+
+    setSeconds(windowSeconds);
+    assert.equal((await rateLimiter.consume('login', '10.0.0.1')).allowed, true);
+});
+
+test('resetting an identity lifts its limit', async (t) => {
+    useClock();
+    rateLimiter.setStore(new MemoryStore());
+    t.after(() => rateLimiter.setStore(new MemoryStore()));
+    const { limit } = rateLimiter.buckets.ai;
+
+    for (let i = 0; i <= limit; i++) {
+        await rateLimiter.consume('ai', 'user:7');
+    }
+    assert.equal((await rateLimiter.consume('ai', 'user:7')).allowed, false);
+
+    await rateLimiter.reset('ai', 'user:7');
+    assert.equal((await rateLimiter.consume('ai', 'user:7')).allowed, true);
+});
+
+test('retry_after is at least a second', async (t) => {
+    const setSeconds = useClock();
+    rateLimiter.setStore({ hit: () => ({ count: 1, reset_at: new Date(START) }), reset: () => {} });
+    t.after(() => rateLimiter.setStore(new MemoryStore()));
+    setSeconds(0.2);
+
+    assert.equal((await rateLimiter.consume('ip', '10.0.0.1')).retry_after, 1);
+});
+
+test('every documented bucket is configured and unknown buckets are an error', async () => {
+    for (const name of ['ip', 'user', 'api_key', 'login', 'refresh', 'ai']) {
+        const bucket = rateLimiter.buckets[name];
+        assert.ok(bucket.limit > 0 && bucket.windowSeconds > 0, name);
+    }
+
+    await assert.rejects(rateLimiter.consume('uploads', '10.0.0.1'), /Unknown rate limit bucket: uploads/);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import usageRater from '../modules/usage/rater.js';
+
+const tiers = [
+    { up_to: 1000, unit_price: 0.1 },
+    { up_to: 5000, unit_price: 0.08 },
+    { up_to: null, unit_price: 0.05 }
+];
+
+test('per-unit usage is charged beyond the included allowance', () => {
+    const lines = usageRater.rate({
+        description: 'API calls',
+        pricing_model: 'per_unit',
+        unit_price: '0.02',
+        unit_name: 'calls',
+        included_quantity: '1000'
+    }, 1500);
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].quantity, 500);
+    assert.equal(lines[0].unit_price, 0.02);
+    assert.equal(lines[0].description, 'API calls (500 calls, 1,000 included)');
+});
+
+test('usage within the allowance is not charged', () => {
+    assert.deepEqual(usageRater.rate({ pricing_model: 'per_unit', unit_price: 1, included_quantity: 100 }, 80), []);
+});
+
+test('tiered usage charges each slice at its own tier price', () => {
+    const lines = usageRater.rate({ description: 'Storage', pricing_model: 'tiered', tiers }, 6000);
+
+    assert.deepEqual(lines.map(line => [line.quantity, line.unit_price]), [[1000, 0.1], [4000, 0.08], [1000, 0.05]]);
+    assert.match(lines[1].description, /1,001–5,000 units/);
+    assert.match(lines[2].description, /over 5,000 units/);
+});
+
+test('volume usage charges every unit at the tier the total falls into', () => {
+    const lines = usageRater.rate({ description: 'Storage', pricing_model: 'volume', tiers }, 3000);
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].quantity, 3000);
+    assert.equal(lines[0].unit_price, 0.08);
+});
+
+test('rateUsage tags lines with the price tax settings and refuses unknown metrics', () => {
+    const prices = [{ metric_code: 'api_calls', description: 'API calls', pricing_model: 'per_unit', unit_price: 1, tax_rate: 20, tax_category: 'digital' }];
+
+    const [line] = usageRater.rateUsage(prices, [{ metric_code: 'api_calls', total_quantity: '3' }]);
+    assert.equal(line.item_type, 'usage');
+    assert.equal(line.tax_category, 'digital');
+
+    assert.throws(() => usageRater.rateUsage(prices, [{ metric_code: 'seats', total_quantity: 1 }]), /No usage price defined for metric seats/);
+});
+
+test('validatePrice requires ascending tiers ending open-ended', () => {
+    const errors = usageRater.validatePrice({
+        metric_code: 'storage',
+        description: 'Storage',
+        pricing_model: 'tiered',
+        tiers: [{ up_to: 100, unit_price: 1 }, { up_to: 50, unit_price: 0.5 }, { up_to: 200, unit_price: 0.2 }]
+    });
+
+    assert.deepEqual(errors, [
+        'Tier 2: up_to must be greater than the previous tier',
+        'Tier 3: the last tier must be open-ended (up_to: null)'
+    ]);
+    assert.deepEqual(usageRater.validatePrice({ metric_code: 'storage', description: 'Storage', pricing_model: 'tiered', tiers }), []);
+});
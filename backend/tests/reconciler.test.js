@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import reconciliationEngine from '../modules/reconciliation/reconciler.js';
+
+const invoice = (overrides = {}) => ({
+    id: '6f1c2a8e-0b1d-4c53-9a5e-3d2f7e8b9c10',
+    invoice_number: 'INV-2026-0042',
+    customer_name: 'Acme Widgets GmbH',
+    balance_due: '150.00',
+    total_amount: '150.00',
+    currency: 'EUR',
+    ...overrides
+});
+
+const line = (overrides = {}) => ({
+    reference: 'Payment inv 2026 0042',
+    amount: 150,
+    currency: 'EUR',
+    counterparty_name: 'ACME WIDGETS',
+    ...overrides
+});
+
+test('referencesInvoice finds the invoice number with any separators', () => {
+    assert.equal(reconciliationEngine.referencesInvoice('inv/2026/0042 thanks', invoice()), true);
+    assert.equal(reconciliationEngine.referencesInvoice('INV-2026-00421', invoice()), false);
+    assert.equal(reconciliationEngine.referencesInvoice('ref 6f1c2a8e-0b1d-4c53-9a5e-3d2f7e8b9c10', invoice()), true);
+    assert.equal(reconciliationEngine.referencesInvoice(null, invoice()), false);
+});
+
+test('nameSimilarity ignores legal forms and accents', () => {
+    assert.equal(reconciliationEngine.nameSimilarity('ACME WIDGETS', 'Acme Widgets GmbH'), 1);
+    assert.equal(reconciliationEngine.nameSimilarity('Müller', 'Muller AG'), 1);
+    assert.equal(reconciliationEngine.nameSimilarity('Acme Tools', 'Acme Widgets GmbH'), 0.5);
+    assert.equal(reconciliationEngine.nameSimilarity('', 'Acme'), 0);
+});
+
+test('scoreInvoice adds up the reference, amount and name', () => {
+    assert.deepEqual(reconciliationEngine.scoreInvoice(line(), invoice()), {
+        score: 110,
+        reasons: ['invoice number in reference', 'amount equals balance due', 'payer name matches customer']
+    });
+    assert.deepEqual(reconciliationEngine.scoreInvoice(line({ reference: null, amount: 50, counterparty_name: 'Acme Tools' }), invoice()), {
+        score: 15,
+        reasons: ['amount is a part payment', 'payer name resembles customer']
+    });
+});
+
+test('a clear best invoice is matched automatically', () => {
+    const result = reconciliationEngine.match(line(), [
+        invoice(),
+        invoice({ id: 'other', invoice_number: 'INV-2026-0043', customer_name: 'Other Ltd' })
+    ]);
+
+    assert.equal(result.status, 'matched');
+    assert.equal(result.invoice.invoice_number, 'INV-2026-0042');
+    assert.equal(result.candidates.length, 2);
+});
+
+test('close candidates go to review', () => {
+    const result = reconciliationEngine.match(line({ reference: 'March services' }), [
+        invoice(),
+        invoice({ id: 'second', invoice_number: 'INV-2026-0050' })
+    ]);
+
+    assert.equal(result.status, 'review');
+    assert.equal(result.score, 50);
+    assert.equal(result.candidates.length, 2);
+});
+
+test('invoices in another currency or without a balance are not candidates', () => {
+    const result = reconciliationEngine.match(line(), [
+        invoice({ currency: 'USD' }),
+        invoice({ balance_due: '0.00' })
+    ]);
+
+    assert.equal(result.status, 'unmatched');
+    assert.deepEqual(result.candidates, []);
+});
@@ -0,0 +1,138 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import pool from '../database/connection.js';
+import { AdminUser, AdminSession } from '../database/models.js';
+import sessions from '../modules/auth/sessions.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const REFRESH_TOKEN = 'a'.repeat(43);
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stand in for the database behind AdminSession.rotate: `token` is the stored refresh token
+ * row (or undefined), and every statement is recorded
+ */
+const fakeDatabase = (token) => {
+    const statements = [];
+    const client = {
+        query: async (sql, params = []) => {
+            statements.push({ sql: sql.trim(), params });
+            if (sql.includes('FROM admin_refresh_tokens rt')) {
+                return { rows: token ? [token] : [] };
+            }
+            if (sql.includes('UPDATE admin_sessions')) {
+                return { rows: [{ id: token.session_id, admin_user_id: 7, revoked_at: sql.includes('revoked_at =') ? new Date() : null }] };
+            }
+            return { rows: [], rowCount: 1 };
+        },
+        release: () => {}
+    };
+    mock.method(pool, 'connect', async () => client);
+    return statements;
+};
+
+const storedToken = (overrides = {}) => ({
+    id: 11,
+    used_at: null,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    session_id: 'session-1',
+    revoked_at: null,
+    is_active: true,
+    ...overrides
+});
+
+test('rotating a fresh refresh token marks it used and stores the next one', async () => {
+    const statements = fakeDatabase(storedToken());
+
+    const result = await AdminSession.rotate('old-hash', 'new-hash', new Date('2026-11-01'));
+
+    assert.equal(result.status, 'rotated');
+    assert.equal(result.session.id, 'session-1');
+    assert.ok(statements.some(s => s.sql.startsWith('UPDATE admin_refresh_tokens SET used_at') && s.params[0] === 11));
+    assert.ok(statements.some(s => s.sql.startsWith('INSERT INTO admin_refresh_tokens') && s.params[1] === 'new-hash'));
+    assert.equal(statements.at(-1).sql, 'COMMIT');
+});
+
+test('presenting a used refresh token revokes the whole session', async () => {
+    const statements = fakeDatabase(storedToken({ used_at: new Date() }));
+
+    const result = await AdminSession.rotate('old-hash', 'new-hash', new Date('2026-11-01'));
+
+    assert.equal(result.status, 'reused');
+    assert.ok(result.session.revoked_at);
+    assert.ok(statements.some(s => s.sql.includes("revoked_reason = 'refresh_token_reuse'") && s.params[0] === 'session-1'));
+    assert.ok(!statements.some(s => s.sql.startsWith('INSERT INTO admin_refresh_tokens')));
+});
+
+test('unknown, expired and revoked refresh tokens and inactive users are invalid', async () => {
+    const cases = [
+        undefined,
+        storedToken({ expires_at: new Date(Date.now() - 1000) }),
+        storedToken({ revoked_at: new Date() }),
+        storedToken({ is_active: false })
+    ];
+
+    for (const token of cases) {
+        const statements = fakeDatabase(token);
+        const result = await AdminSession.rotate('old-hash', 'new-hash', new Date('2026-11-01'));
+
+        assert.equal(result.status, 'invalid');
+        assert.ok(!statements.some(s => s.sql.startsWith('INSERT INTO admin_refresh_tokens')));
+        mock.restoreAll();
+    }
+});
+
+test('refresh hashes the token and returns a new access and refresh token', async () => {
+    const rotate = mock.method(AdminSession, 'rotate', async () => ({
+        status: 'rotated', session: { id: 'session-1', admin_user_id: 7 }
+    }));
+    mock.method(AdminUser, 'findById', async () => ({ id: 7, username: 'alice', role: 'owner', is_active: true }));
+
+    const result = await sessions.refresh(REFRESH_TOKEN);
+
+    assert.equal(result.status, 'rotated');
+    assert.equal(rotate.mock.calls[0].arguments[0], sessions.hashToken(REFRESH_TOKEN));
+    assert.equal(rotate.mock.calls[0].arguments[1], sessions.hashToken(result.tokens.refresh_token));
+    assert.notEqual(result.tokens.refresh_token, REFRESH_TOKEN);
+    assert.equal(jwt.decode(result.tokens.token).sid, 'session-1');
+});
+
+test('refresh passes reuse through without issuing tokens', async () => {
+    mock.method(AdminSession, 'rotate', async () => ({ status: 'reused', session: { id: 'session-1' } }));
+    const findById = mock.method(AdminUser, 'findById', async () => null);
+
+    const result = await sessions.refresh(REFRESH_TOKEN);
+
+    assert.equal(result.status, 'reused');
+    assert.equal(result.tokens, undefined);
+    assert.equal(findById.mock.callCount(), 0);
+});
+
+test('refresh revokes the session of a deleted or deactivated user', async () => {
+    for (const user of [null, { id: 7, is_active: false }]) {
+        mock.method(AdminSession, 'rotate', async () => ({
+            status: 'rotated', session: { id: 'session-1', admin_user_id: 7 }
+        }));
+        mock.method(AdminUser, 'findById', async () => user);
+        const revoke = mock.method(AdminSession, 'revoke', async () => ({ id: 'session-1' }));
+
+        const result = await sessions.refresh(REFRESH_TOKEN);
+
+        assert.equal(result.status, 'invalid');
+        assert.equal(result.tokens, undefined);
+        assert.deepEqual(revoke.mock.calls[0].arguments, ['session-1', 'deactivated']);
+        mock.restoreAll();
+    }
+});
+
+test('refresh refuses missing, short and non-string tokens without a lookup', async () => {
+    const rotate = mock.method(AdminSession, 'rotate', async () => ({ status: 'rotated' }));
+
+    for (const token of [undefined, null, 'short', ['a'.repeat(43)], { token: REFRESH_TOKEN }]) {
+        assert.deepEqual(await sessions.refresh(token), { status: 'invalid' });
+    }
+    assert.equal(rotate.mock.callCount(), 0);
+});
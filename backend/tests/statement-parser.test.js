@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import statementParser from '../modules/reconciliation/statement-parser.js';
+
+const csv = [
+    'Booking Date;Amount;Reference;Counterparty;Transaction ID',
+    '15.01.2026;"1.234,56";Invoice INV-2026-0042;Acme GmbH;TX-1',
+    '16.01.2026;-20,00;Bank charges;;TX-2'
+].join('\n');
+
+test('detectFormat recognises each format', () => {
+    assert.equal(statementParser.detectFormat('<Document><BkToCstmrStmt>'), 'camt053');
+    assert.equal(statementParser.detectFormat('OFXHEADER:100\n<OFX>'), 'ofx');
+    assert.equal(statementParser.detectFormat(':20:STMT\n:61:2601150115C100,00NTRFNONREF'), 'mt940');
+    assert.equal(statementParser.detectFormat(csv), 'csv');
+    assert.equal(statementParser.detectFormat('plain text'), null);
+});
+
+test('parseAmount and parseDate read common bank notations', () => {
+    assert.equal(statementParser.parseAmount('1.234,56'), 1234.56);
+    assert.equal(statementParser.parseAmount('1,234.56'), 1234.56);
+    assert.equal(statementParser.parseAmount('-20,00'), -20);
+    assert.equal(statementParser.parseDate('31.01.2026'), '2026-01-31');
+    assert.equal(statementParser.parseDate('20260131'), '2026-01-31');
+    assert.equal(statementParser.parseDate('260131'), '2026-01-31');
+});
+
+test('CSV statements are parsed into normalised lines', () => {
+    const statement = statementParser.parse(csv, null, 'eur', 'DE89370400440532013000');
+
+    assert.equal(statement.format, 'csv');
+    assert.equal(statement.account_identifier, 'DE89370400440532013000');
+    assert.equal(statement.currency, 'EUR');
+    assert.equal(statement.statement_date, '2026-01-16');
+    assert.deepEqual(
+        statement.lines.map(({ transaction_key, ...line }) => line),
+        [
+            { line_number: 1, booking_date: '2026-01-15', amount: 1234.56, currency: 'EUR', reference: 'Invoice INV-2026-0042', counterparty_name: 'Acme GmbH', bank_reference: 'TX-1' },
+            { line_number: 2, booking_date: '2026-01-16', amount: -20, currency: 'EUR', reference: 'Bank charges', counterparty_name: null, bank_reference: 'TX-2' }
+        ]
+    );
+    assert.match(statement.lines[0].transaction_key, /^bank:[0-9a-f]{40}$/);
+});
+
+test('transaction keys are scoped to the statement account', () => {
+    const [first] = statementParser.parse(csv, 'csv', 'EUR', 'ACCOUNT-1').lines;
+    const [sameAccount] = statementParser.parse(csv, 'csv', 'EUR', 'ACCOUNT-1').lines;
+    const [otherAccount] = statementParser.parse(csv, 'csv', 'EUR', 'ACCOUNT-2').lines;
+    const [noAccount] = statementParser.parse(csv, 'csv', 'EUR').lines;
+
+    assert.equal(first.transaction_key, sameAccount.transaction_key);
+    assert.notEqual(first.transaction_key, otherAccount.transaction_key);
+    assert.notEqual(first.transaction_key, noAccount.transaction_key);
+});
+
+test('a bare id column is not read as the bank reference', () => {
+    const statement = statementParser.parse('id,date,amount,reference\n1,2026-01-15,100.00,INV-1', 'csv', 'USD');
+
+    assert.equal(statement.lines[0].bank_reference, null);
+});
+
+test('unreadable statements are refused with STATEMENT_INVALID', () => {
+    assert.throws(
+        () => statementParser.parse('date,amount\n', 'csv', 'USD'),
+        error => error.code === 'STATEMENT_INVALID' && /header row and at least one transaction/.test(error.details[0])
+    );
+    assert.throws(
+        () => statementParser.parse('date,amount\nnot a date,100', 'csv', 'USD'),
+        error => error.code === 'STATEMENT_INVALID' && error.details[0] === 'line 1: missing date or amount'
+    );
+    assert.throws(() => statementParser.parse('plain text', null, 'USD'), error => error.code === 'STATEMENT_INVALID');
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import taxEngine from '../modules/tax/tax-engine.js';
+
+// An EU country other than the seller's, so the sale crosses a border
+const otherEuCountry = taxEngine.sellerCountry === 'DE' ? 'FR' : 'DE';
+
+const rules = [
+    { name: 'State tax', country: 'US', state: 'NY', rate: '4', tax_category: 'standard', is_compound: false, priority: 1 },
+    { name: 'County tax', country: 'US', state: 'NY', rate: '4.5', tax_category: 'standard', is_compound: false, priority: 2 },
+    { name: 'Surcharge', country: 'US', state: 'NY', rate: '1', tax_category: 'standard', is_compound: true, priority: 0 },
+    { name: 'Digital tax', country: 'US', state: null, rate: '7', tax_category: 'digital', is_compound: false }
+];
+
+test('normalizeCountry maps stored spellings to ISO codes', () => {
+    assert.equal(taxEngine.normalizeCountry('Germany'), 'DE');
+    assert.equal(taxEngine.normalizeCountry(' united states '), 'US');
+    assert.equal(taxEngine.normalizeCountry('de'), 'DE');
+    assert.equal(taxEngine.normalizeCountry(''), null);
+});
+
+test('B2B sales to another EU country are reverse charged', () => {
+    const { treatment, note } = taxEngine.determineTreatment({ country: otherEuCountry, tax_id: 'EU123456789' });
+
+    assert.equal(treatment, 'reverse_charge');
+    assert.match(note, /EU123456789/);
+    assert.equal(taxEngine.determineTreatment({ country: otherEuCountry }).treatment, 'standard');
+});
+
+test('an exemption certificate wins over everything', () => {
+    const { treatment, note } = taxEngine.determineTreatment(
+        { country: otherEuCountry, tax_id: 'EU123456789' },
+        { certificate_number: 'EX-1' }
+    );
+
+    assert.equal(treatment, 'exempt');
+    assert.equal(note, 'Tax exempt: certificate EX-1');
+});
+
+test('rules are charged by category, compound taxes last', () => {
+    const { line_items, tax_treatment } = taxEngine.applyTaxes(
+        [{ description: 'Hosting' }, { description: 'E-book', tax_category: 'digital' }, { description: 'Fee', tax_category: 'exempt' }],
+        { customer: { country: 'USA', state: 'NY' }, rules }
+    );
+
+    assert.equal(tax_treatment, 'standard');
+    assert.deepEqual(line_items[0].taxes.map(tax => tax.name), ['State tax', 'County tax', 'Surcharge']);
+    assert.equal(line_items[0].taxes[0].jurisdiction, 'US-NY');
+    assert.deepEqual(line_items[1].taxes.map(tax => tax.name), ['Digital tax']);
+    assert.deepEqual(line_items[2].taxes, []);
+});
+
+test('without rules the contract or line rate applies', () => {
+    const { line_items } = taxEngine.applyTaxes(
+        [{ description: 'Support', tax_rate: '10' }, { description: 'Setup', tax_rate: 0 }],
+        { customer: { country: 'Japan' } }
+    );
+
+    assert.deepEqual(line_items[0].taxes, [{ name: 'Tax', jurisdiction: 'JP', rate: 10, is_compound: false }]);
+    assert.deepEqual(line_items[1].taxes, []);
+});
+
+test('reverse-charged lines carry no taxes', () => {
+    const { line_items, tax_treatment } = taxEngine.applyTaxes(
+        [{ description: 'Hosting', tax_rate: '19' }],
+        { customer: { country: otherEuCountry, tax_id: 'EU123456789' }, rules }
+    );
+
+    assert.equal(tax_treatment, 'reverse_charge');
+    assert.deepEqual(line_items[0].taxes, []);
+});
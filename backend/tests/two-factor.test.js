@@ -0,0 +1,109 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdminUser, AdminRecoveryCode } from '../database/models.js';
+import twoFactor from '../modules/auth/two-factor.js';
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+afterEach(() => mock.restoreAll());
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+    assert.equal(twoFactor.codeAt(SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(twoFactor.codeAt(SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(twoFactor.codeAt(SECRET, Math.floor(1234567890 / 30)), '005924');
+});
+
+test('a code is accepted one step either side of the current time', () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+
+    assert.equal(twoFactor.verifyCode(SECRET, twoFactor.codeAt(SECRET, step), null, now), step);
+    assert.equal(twoFactor.verifyCode(SECRET, twoFactor.codeAt(SECRET, step - 1), null, now), step - 1);
+    assert.equal(twoFactor.verifyCode(SECRET, twoFactor.codeAt(SECRET, step + 1), null, now), step + 1);
+    assert.equal(twoFactor.verifyCode(SECRET, twoFactor.codeAt(SECRET, step - 2), null, now), null);
+    assert.equal(twoFactor.verifyCode(SECRET, twoFactor.codeAt(SECRET, step + 2), null, now), null);
+});
+
+test('codes at or before the last accepted step are refused', () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+    const code = twoFactor.codeAt(SECRET, step);
+
+    assert.equal(twoFactor.verifyCode(SECRET, code, step, now), null);
+    assert.equal(twoFactor.verifyCode(SECRET, code, String(step - 1), now), step);
+    assert.equal(twoFactor.verifyCode(SECRET, twoFactor.codeAt(SECRET, step - 1), step - 1, now), null);
+});
+
+test('spaces in a code are ignored and malformed codes are refused', () => {
+    const now = 59 * 1000;
+
+    assert.equal(twoFactor.verifyCode(SECRET, '287 082', null, now), 1);
+    assert.equal(twoFactor.verifyCode(SECRET, '28708', null, now), null);
+    assert.equal(twoFactor.verifyCode(SECRET, '2870822', null, now), null);
+    assert.equal(twoFactor.verifyCode(SECRET, 'abcdef', null, now), null);
+    assert.equal(twoFactor.verifyCode(SECRET, undefined, null, now), null);
+    assert.equal(twoFactor.verifyCode(null, '287082', null, now), null);
+});
+
+test('recovery codes come with their hashes, and hashing ignores case and separators', () => {
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    assert.deepEqual(hashes, codes.map(code => twoFactor.hashRecoveryCode(code)));
+    assert.equal(twoFactor.hashRecoveryCode('ABCDE-12345'), twoFactor.hashRecoveryCode(' abcde12345 '));
+});
+
+test('a recovery code is consumed once', async () => {
+    mock.method(AdminUser, 'findTwoFactor', async () => ({
+        id: 7, is_active: true, totp_enabled_at: new Date(), totp_secret: SECRET, totp_last_step: null
+    }));
+    const used = new Set();
+    const consume = mock.method(AdminRecoveryCode, 'consume', async (userId, hash) => {
+        if (used.has(hash)) {
+            return null;
+        }
+        used.add(hash);
+        return { id: 1 };
+    });
+
+    assert.equal(await twoFactor.verifyLogin(7, { recovery_code: 'ABCDE-12345' }), 'recovery_code');
+    assert.equal(await twoFactor.verifyLogin(7, { recovery_code: 'abcde-12345' }), null);
+    assert.deepEqual(consume.mock.calls[0].arguments, [7, twoFactor.hashRecoveryCode('abcde-12345')]);
+});
+
+test('a TOTP login records the accepted step', async () => {
+    mock.method(AdminUser, 'findTwoFactor', async () => ({
+        id: 7, is_active: true, totp_enabled_at: new Date(), totp_secret: SECRET, totp_last_step: null
+    }));
+    const useStep = mock.method(AdminUser, 'useTotpStep', async () => true);
+    const step = Math.floor(Date.now() / 1000 / 30);
+
+    assert.equal(await twoFactor.verifyLogin(7, { code: twoFactor.codeAt(SECRET, step) }), 'totp');
+    assert.deepEqual(useStep.mock.calls[0].arguments, [7, step]);
+});
+
+test('users without two-factor enabled or inactive users cannot pass the second step', async () => {
+    const users = [
+        { id: 7, is_active: true, totp_enabled_at: null },
+        { id: 7, is_active: false, totp_enabled_at: new Date() }
+    ];
+    mock.method(AdminUser, 'findTwoFactor', async () => users.shift());
+    const consume = mock.method(AdminRecoveryCode, 'consume', async () => ({ id: 1 }));
+
+    assert.equal(await twoFactor.verifyLogin(7, { recovery_code: 'abcde-12345' }), null);
+    assert.equal(await twoFactor.verifyLogin(7, { recovery_code: 'abcde-12345' }), null);
+    assert.equal(consume.mock.callCount(), 0);
+});
+
+test('challenge tokens only pass for their own stage', () => {
+    const token = twoFactor.issueChallenge({ id: 7, username: 'alice' }, 'verify');
+
+    assert.equal(twoFactor.verifyChallenge(token, 'verify').id, 7);
+    assert.equal(twoFactor.verifyChallenge(token, 'enroll'), null);
+    assert.equal(twoFactor.verifyChallenge('not-a-token', 'verify'), null);
+});
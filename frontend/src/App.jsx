@@ -2,7 +2,13 @@ import { useState, useEffect } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import LoginPage from './components/LoginPage';
 import Dashboard from './components/Dashboard';
-import { authAPI } from './utils/api';
+import ContractsPage from './components/ContractsPage';
+import PayInvoicePage from './components/PayInvoicePage';
+import PortalLoginPage from './components/PortalLoginPage';
+import PortalPage from './components/PortalPage';
+import AcceptInvitationPage from './components/AcceptInvitationPage';
+import ResetPasswordPage from './components/ResetPasswordPage';
+import { authAPI, clearSession } from './utils/api';
 
 function App() {
     const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -17,8 +23,7 @@ function App() {
                     setIsAuthenticated(true);
                 })
                 .catch(() => {
-                    localStorage.removeItem('token');
-                    localStorage.removeItem('user');
+                    clearSession();
                     setIsAuthenticated(false);
                 })
                 .finally(() => {
@@ -65,6 +70,21 @@ function App() {
                     )
                 }
             />
+            <Route
+                path="/contracts"
+                element={
+                    isAuthenticated ? (
+                        <ContractsPage />
+                    ) : (
+                        <Navigate to="/login" replace />
+                    )
+                }
+            />
+            <Route path="/accept-invitation" element={<AcceptInvitationPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
+            <Route path="/pay/:token" element={<PayInvoicePage />} />
+            <Route path="/portal/login" element={<PortalLoginPage />} />
+            <Route path="/portal" element={<PortalPage />} />
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
         </Routes>
     );
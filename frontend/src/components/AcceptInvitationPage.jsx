@@ -0,0 +1,126 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../utils/api';
+import { fadeIn } from '../utils/animations';
+import { User, Lock, UserPlus } from 'lucide-react';
+
+const labelStyle = { display: 'block', marginBottom: '0.5rem', fontWeight: '500', color: '#374151', fontSize: '0.875rem' };
+const iconStyle = { position: 'absolute', left: '1rem', top: '50%', transform: 'translateY(-50%)', color: '#9ca3af' };
+
+// Dashboard sign-up from an emailed invitation; the email and role come from the invitation
+function AcceptInvitationPage() {
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const [invitation, setInvitation] = useState(null);
+    const [form, setForm] = useState({ username: '', full_name: '', password: '', confirm: '' });
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+
+    const cardRef = useRef(null);
+    const token = searchParams.get('token');
+
+    useEffect(() => {
+        if (cardRef.current) {
+            fadeIn(cardRef.current, 0.6);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!token) {
+            setError('This page needs the link from your invitation email.');
+            setLoading(false);
+            return;
+        }
+
+        authAPI.getInvitation(token)
+            .then((response) => setInvitation(response.data.invitation))
+            .catch((err) => setError(err.response?.data?.error || 'This invitation is invalid or has expired.'))
+            .finally(() => setLoading(false));
+    }, [token]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (form.password !== form.confirm) {
+            setError('Passwords do not match.');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await authAPI.register({ token, username: form.username, full_name: form.full_name, password: form.password });
+            navigate('/login', { replace: true });
+        } catch (err) {
+            setError(err.response?.data?.error || 'Unable to create your account.');
+            setLoading(false);
+        }
+    };
+
+    const field = (name) => ({
+        value: form[name],
+        onChange: (e) => setForm({ ...form, [name]: e.target.value })
+    });
+
+    return (
+        <div style={{
+            minHeight: '100vh',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            padding: '2rem'
+        }}>
+            <div ref={cardRef} className="card" style={{ maxWidth: '420px', width: '100%', opacity: 0 }}>
+                <h1 style={{ fontSize: '1.5rem', fontWeight: '700', color: '#111827', marginBottom: '0.25rem' }}>
+                    Join BillerAGI
+                </h1>
+                {invitation && (
+                    <p style={{ color: '#6b7280', fontSize: '0.875rem', marginBottom: '1.5rem' }}>
+                        {invitation.invited_by || 'An owner'} invited {invitation.email} as {invitation.role.replace('_', ' ')}.
+                    </p>
+                )}
+
+                {error && (
+                    <div style={{ background: '#fee2e2', color: '#991b1b', padding: '0.75rem', borderRadius: '8px', marginBottom: '1rem', fontSize: '0.875rem' }}>
+                        {error}
+                    </div>
+                )}
+
+                {invitation && (
+                    <form onSubmit={handleSubmit}>
+                        <label style={labelStyle}>Username</label>
+                        <div style={{ position: 'relative', marginBottom: '1rem' }}>
+                            <User size={18} style={iconStyle} />
+                            <input type="text" {...field('username')} required style={{ paddingLeft: '3rem' }} placeholder="Choose a username" />
+                        </div>
+
+                        <label style={labelStyle}>Full name</label>
+                        <input type="text" {...field('full_name')} className="mb-4" placeholder="Your name" />
+
+                        <label style={labelStyle}>Password</label>
+                        <div style={{ position: 'relative', marginBottom: '1rem' }}>
+                            <Lock size={18} style={iconStyle} />
+                            <input type="password" {...field('password')} required style={{ paddingLeft: '3rem' }} placeholder="Choose a password" />
+                        </div>
+
+                        <label style={labelStyle}>Repeat password</label>
+                        <div style={{ position: 'relative', marginBottom: '1rem' }}>
+                            <Lock size={18} style={iconStyle} />
+                            <input type="password" {...field('confirm')} required style={{ paddingLeft: '3rem' }} placeholder="Repeat the password" />
+                        </div>
+
+                        <button type="submit" disabled={loading} className="btn btn-primary" style={{ width: '100%', justifyContent: 'center' }}>
+                            <UserPlus size={18} />
+                            {loading ? 'Please wait...' : 'Create Account'}
+                        </button>
+                    </form>
+                )}
+
+                {!invitation && loading && <div className="spinner"></div>}
+            </div>
+        </div>
+    );
+}
+
+export default AcceptInvitationPage;
@@ -60,6 +60,7 @@ export function PaymentStatusChart({ data, isLoading }) {
 
     const COLORS = {
         paid: '#10b981',
+        partially_paid: '#8b5cf6',
         sent: '#06b6d4',
         pending: '#f59e0b',
         overdue: '#ef4444'
@@ -0,0 +1,220 @@
+import { useState } from 'react';
+import { Save, X } from 'lucide-react';
+
+const emptyContract = {
+    customer_id: '',
+    contract_number: '',
+    service_description: '',
+    amount: '',
+    currency: '',
+    billing_frequency: 'monthly',
+    start_date: '',
+    end_date: '',
+    tax_rate: '0',
+    tax_category: 'standard',
+    discount_percentage: '0',
+    billing_anchor_day: '',
+    auto_renew: false,
+    renewal_term_months: '12',
+    renewal_notice_days: '30',
+    renewal_uplift_percentage: '0'
+};
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'JPY', 'INR'];
+
+const toDateInput = (value) => (value ? String(value).slice(0, 10) : '');
+
+// Today, moved into the dates the next invoice can prorate a new amount from
+const defaultEffectiveDate = (window) => {
+    const today = new Date().toISOString().slice(0, 10);
+    if (window?.from && today < window.from) {
+        return window.from;
+    }
+    return window?.to && today > window.to ? window.to : today;
+};
+
+function ContractForm({ contract, customers, onSubmit, onCancel }) {
+    const isEdit = Boolean(contract);
+    const [form, setForm] = useState(() => (isEdit ? {
+        ...emptyContract,
+        ...contract,
+        start_date: toDateInput(contract.start_date),
+        end_date: toDateInput(contract.end_date),
+        billing_anchor_day: contract.billing_anchor_day || '',
+        effective_date: defaultEffectiveDate(contract.amount_change_window)
+    } : emptyContract));
+    const changeWindow = contract?.amount_change_window;
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+
+        const fields = isEdit
+            ? ['service_description', 'amount', 'effective_date', 'billing_frequency', 'end_date', 'tax_rate',
+                'tax_category', 'discount_percentage', 'billing_anchor_day', 'auto_renew', 'renewal_term_months',
+                'renewal_notice_days', 'renewal_uplift_percentage']
+            : Object.keys(emptyContract);
+
+        // Empty optional fields are sent as null so they clear the stored value; rates fall back to 0, the tax category to standard
+        const data = Object.fromEntries(fields.map((field) => {
+            if (form[field] !== '') {
+                return [field, form[field]];
+            }
+            if (field === 'tax_category') {
+                return [field, 'standard'];
+            }
+            return [field, ['tax_rate', 'discount_percentage'].includes(field) ? 0 : null];
+        }));
+
+        try {
+            await onSubmit(data);
+        } catch (err) {
+            const details = err.response?.data?.details;
+            setError(details ? details.join(', ') : err.response?.data?.error || 'Failed to save contract');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const field = (label, name, props = {}) => (
+        <div>
+            <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.875rem', fontWeight: '500' }}>
+                {label}
+            </label>
+            <input name={name} value={form[name] ?? ''} onChange={handleChange} {...props} />
+        </div>
+    );
+
+    return (
+        <div className="card" style={{ marginBottom: '2rem' }}>
+            <h2 style={{ fontSize: '1.25rem', marginTop: 0 }}>
+                {isEdit ? `Edit Contract ${contract.contract_number}` : 'New Contract'}
+            </h2>
+            <form onSubmit={handleSubmit}>
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+                    gap: '1rem',
+                    marginBottom: '1.5rem'
+                }}>
+                    {!isEdit && (
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.875rem', fontWeight: '500' }}>
+                                Customer
+                            </label>
+                            <select name="customer_id" value={form.customer_id} onChange={handleChange} required>
+                                <option value="">Select a customer</option>
+                                {customers.map((customer) => (
+                                    <option key={customer.id} value={customer.id}>{customer.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    {!isEdit && field('Contract Number', 'contract_number', { required: true, placeholder: 'CNT-2024-004' })}
+                    {field('Service Description', 'service_description', { required: true })}
+                    {field('Amount', 'amount', { type: 'number', step: '0.01', min: '0', required: true })}
+                    {!isEdit && (
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.875rem', fontWeight: '500' }}>
+                                Currency
+                            </label>
+                            <select name="currency" value={form.currency} onChange={handleChange}>
+                                <option value="">Customer's currency</option>
+                                {CURRENCIES.map((currency) => (
+                                    <option key={currency} value={currency}>{currency}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    {isEdit && field('Amount Effective From', 'effective_date', {
+                        type: 'date',
+                        required: true,
+                        min: changeWindow?.from || undefined,
+                        max: changeWindow?.to || undefined,
+                        title: changeWindow ? `Up to ${changeWindow.to}; later changes cannot be prorated on the next invoice` : undefined
+                    })}
+                    <div>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.875rem', fontWeight: '500' }}>
+                            Billing Frequency
+                        </label>
+                        <select name="billing_frequency" value={form.billing_frequency} onChange={handleChange}>
+                            <option value="monthly">Monthly</option>
+                            <option value="quarterly">Quarterly</option>
+                            <option value="yearly">Yearly</option>
+                            <option value="one-time">One-time</option>
+                        </select>
+                    </div>
+                    {!isEdit && field('Start Date', 'start_date', { type: 'date', required: true })}
+                    {field('End Date', 'end_date', { type: 'date' })}
+                    {field('Billing Day', 'billing_anchor_day', { type: 'number', min: '1', max: '31', placeholder: 'Start date' })}
+                    {field('Tax Category', 'tax_category', { placeholder: 'standard', list: 'tax-categories' })}
+                    <datalist id="tax-categories">
+                        <option value="standard" />
+                        <option value="reduced" />
+                        <option value="exempt" />
+                    </datalist>
+                    {field('Fallback Tax Rate (%)', 'tax_rate', { type: 'number', step: '0.01', min: '0', max: '100', title: 'Used only where no tax rule covers the customer\'s location' })}
+                    {field('Discount (%)', 'discount_percentage', { type: 'number', step: '0.01', min: '0', max: '100' })}
+                </div>
+
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem', fontSize: '0.875rem', fontWeight: '500' }}>
+                    <input
+                        type="checkbox"
+                        name="auto_renew"
+                        checked={Boolean(form.auto_renew)}
+                        onChange={handleChange}
+                        style={{ width: 'auto' }}
+                    />
+                    Renew automatically at the end date
+                </label>
+
+                {form.auto_renew && (
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+                        gap: '1rem',
+                        marginBottom: '1.5rem'
+                    }}>
+                        {field('Renewal Term (months)', 'renewal_term_months', { type: 'number', min: '1' })}
+                        {field('Notice Period (days)', 'renewal_notice_days', { type: 'number', min: '0' })}
+                        {field('Renewal Uplift (%)', 'renewal_uplift_percentage', { type: 'number', step: '0.01' })}
+                    </div>
+                )}
+
+                {error && (
+                    <div style={{
+                        background: '#fee2e2',
+                        color: '#991b1b',
+                        padding: '0.75rem',
+                        borderRadius: '8px',
+                        marginBottom: '1.5rem',
+                        fontSize: '0.875rem'
+                    }}>
+                        {error}
+                    </div>
+                )}
+
+                <div style={{ display: 'flex', gap: '1rem' }}>
+                    <button type="submit" disabled={saving} className="btn btn-primary">
+                        <Save size={18} />
+                        {saving ? 'Saving...' : 'Save Contract'}
+                    </button>
+                    <button type="button" onClick={onCancel} className="btn btn-secondary">
+                        <X size={18} />
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default ContractForm;
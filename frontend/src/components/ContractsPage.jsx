@@ -0,0 +1,319 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import ContractForm from './ContractForm';
+import { contractsAPI, customersAPI } from '../utils/api';
+import { pageTransition, staggerFadeIn } from '../utils/animations';
+import { formatCurrency } from '../utils/format';
+import {
+    ArrowLeft,
+    FileSignature,
+    Plus,
+    Pencil,
+    Pause,
+    Play,
+    XCircle,
+    RefreshCw,
+    Search
+} from 'lucide-react';
+
+const statusConfig = {
+    active: { class: 'badge-success', text: 'Active' },
+    paused: { class: 'badge-warning', text: 'Paused' },
+    expired: { class: 'badge-info', text: 'Expired' },
+    terminated: { class: 'badge-danger', text: 'Terminated' }
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+function ContractsPage() {
+    const [loading, setLoading] = useState(true);
+    const [contracts, setContracts] = useState([]);
+    const [customers, setCustomers] = useState([]);
+    const [filters, setFilters] = useState({ status: '', search: '' });
+    const [editing, setEditing] = useState(null);
+    const [error, setError] = useState('');
+    const navigate = useNavigate();
+    const containerRef = useRef(null);
+    const rowsRef = useRef([]);
+
+    useEffect(() => {
+        if (containerRef.current) {
+            pageTransition(containerRef.current);
+        }
+        customersAPI.getAll()
+            .then((res) => setCustomers(res.data.customers || []))
+            .catch((err) => console.error('Failed to fetch customers:', err));
+    }, []);
+
+    useEffect(() => {
+        fetchContracts();
+    }, [filters.status]);
+
+    useEffect(() => {
+        if (!loading && rowsRef.current.length > 0) {
+            staggerFadeIn(rowsRef.current.filter(Boolean), 0.05);
+        }
+    }, [contracts, loading]);
+
+    const fetchContracts = async () => {
+        setLoading(true);
+        try {
+            const params = {};
+            if (filters.status) params.status = filters.status;
+            if (filters.search) params.search = filters.search;
+
+            const res = await contractsAPI.getAll(params);
+            rowsRef.current = [];
+            setContracts(res.data.contracts || []);
+        } catch (err) {
+            console.error('Failed to fetch contracts:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSave = async (data) => {
+        if (editing === 'new') {
+            await contractsAPI.create(data);
+        } else {
+            await contractsAPI.update(editing.id, data);
+        }
+        setEditing(null);
+        fetchContracts();
+    };
+
+    const runAction = async (action) => {
+        setError('');
+        try {
+            await action();
+            fetchContracts();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Action failed');
+        }
+    };
+
+    const handleTerminate = (contract) => {
+        const terminationDate = window.prompt(
+            `Terminate ${contract.contract_number} on (YYYY-MM-DD):`,
+            new Date().toISOString().slice(0, 10)
+        );
+        if (!terminationDate) return;
+
+        const reason = window.prompt('Reason for termination (optional):') || undefined;
+        runAction(() => contractsAPI.terminate(contract.id, { termination_date: terminationDate, reason }));
+    };
+
+    const getStatusBadge = (status) => {
+        const config = statusConfig[status] || statusConfig.active;
+        return <span className={`badge ${config.class}`}>{config.text}</span>;
+    };
+
+    const actionButton = (title, Icon, onClick) => (
+        <button
+            title={title}
+            className="btn btn-secondary"
+            style={{ padding: '0.5rem', fontSize: '0.75rem' }}
+            onClick={onClick}
+        >
+            <Icon size={14} />
+        </button>
+    );
+
+    return (
+        <div ref={containerRef} style={{ minHeight: '100vh', background: 'var(--bg-secondary)' }}>
+            {/* Header */}
+            <header style={{
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                padding: '1.5rem 2rem',
+                boxShadow: 'var(--shadow-lg)'
+            }}>
+                <div className="container" style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center'
+                }}>
+                    <div>
+                        <h1 style={{ color: 'white', margin: 0, fontSize: '1.75rem' }}>
+                            Contracts
+                        </h1>
+                        <p style={{ color: 'rgba(255,255,255,0.9)', margin: '0.25rem 0 0 0', fontSize: '0.875rem' }}>
+                            Recurring terms, renewals and billing schedules
+                        </p>
+                    </div>
+                    <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+                        <button
+                            onClick={() => navigate('/dashboard')}
+                            className="btn"
+                            style={{
+                                background: 'rgba(255,255,255,0.2)',
+                                color: 'white',
+                                backdropFilter: 'blur(10px)'
+                            }}
+                        >
+                            <ArrowLeft size={18} />
+                            Dashboard
+                        </button>
+                        <button
+                            onClick={fetchContracts}
+                            className="btn"
+                            style={{
+                                background: 'rgba(255,255,255,0.2)',
+                                color: 'white',
+                                backdropFilter: 'blur(10px)'
+                            }}
+                        >
+                            <RefreshCw size={18} />
+                            Refresh
+                        </button>
+                    </div>
+                </div>
+            </header>
+
+            <div className="container" style={{ padding: '2rem' }}>
+                {editing && (
+                    <ContractForm
+                        key={editing === 'new' ? 'new' : editing.id}
+                        contract={editing === 'new' ? null : editing}
+                        customers={customers}
+                        onSubmit={handleSave}
+                        onCancel={() => setEditing(null)}
+                    />
+                )}
+
+                {/* Filters */}
+                <div style={{
+                    display: 'flex',
+                    gap: '1rem',
+                    alignItems: 'center',
+                    marginBottom: '1rem'
+                }}>
+                    <form
+                        onSubmit={(e) => {
+                            e.preventDefault();
+                            fetchContracts();
+                        }}
+                        style={{ display: 'flex', gap: '0.5rem', flex: 1 }}
+                    >
+                        <input
+                            value={filters.search}
+                            onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+                            placeholder="Search by number, service or customer"
+                        />
+                        <button type="submit" className="btn btn-secondary">
+                            <Search size={18} />
+                        </button>
+                    </form>
+                    <select
+                        value={filters.status}
+                        onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                        style={{ width: '180px' }}
+                    >
+                        <option value="">All statuses</option>
+                        {Object.entries(statusConfig).map(([status, config]) => (
+                            <option key={status} value={status}>{config.text}</option>
+                        ))}
+                    </select>
+                    <button className="btn btn-primary" onClick={() => setEditing('new')}>
+                        <Plus size={18} />
+                        New Contract
+                    </button>
+                </div>
+
+                {error && (
+                    <div style={{
+                        background: '#fee2e2',
+                        color: '#991b1b',
+                        padding: '0.75rem',
+                        borderRadius: '8px',
+                        marginBottom: '1rem',
+                        fontSize: '0.875rem'
+                    }}>
+                        {error}
+                    </div>
+                )}
+
+                {loading ? (
+                    <div className="card">
+                        <div style={{ textAlign: 'center', padding: '3rem' }}>
+                            <div className="spinner" style={{ margin: '0 auto' }}></div>
+                            <p style={{ marginTop: '1rem', color: 'var(--text-secondary)' }}>
+                                Loading contracts...
+                            </p>
+                        </div>
+                    </div>
+                ) : contracts.length === 0 ? (
+                    <div className="card">
+                        <div style={{ textAlign: 'center', padding: '3rem' }}>
+                            <FileSignature size={48} color="var(--gray-400)" style={{ margin: '0 auto 1rem' }} />
+                            <p style={{ color: 'var(--text-secondary)' }}>No contracts found</p>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+                        <div style={{ overflowX: 'auto' }}>
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Contract #</th>
+                                        <th>Customer</th>
+                                        <th>Service</th>
+                                        <th>Amount</th>
+                                        <th>Next Billing</th>
+                                        <th>End Date</th>
+                                        <th>Status</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {contracts.map((contract, index) => (
+                                        <tr
+                                            key={contract.id}
+                                            ref={(el) => (rowsRef.current[index] = el)}
+                                            style={{ opacity: 0 }}
+                                        >
+                                            <td style={{ fontWeight: '600', color: 'var(--primary-blue)' }}>
+                                                {contract.contract_number}
+                                            </td>
+                                            <td>{contract.customer_name}</td>
+                                            <td>{contract.service_description}</td>
+                                            <td style={{ fontWeight: '600' }}>
+                                                {formatCurrency(contract.amount, contract.currency || contract.customer_currency)}
+                                                <span style={{ fontWeight: 'normal', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                                    {' '}/ {contract.billing_frequency}
+                                                </span>
+                                            </td>
+                                            <td>{contract.status === 'active' ? formatDate(contract.next_billing_date) : '—'}</td>
+                                            <td>
+                                                {formatDate(contract.end_date)}
+                                                {contract.auto_renew && (
+                                                    <span style={{ display: 'block', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                                                        Auto-renews
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td>{getStatusBadge(contract.status)}</td>
+                                            <td>
+                                                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                                    {['active', 'paused'].includes(contract.status) &&
+                                                        actionButton('Edit', Pencil, () => setEditing(contract))}
+                                                    {contract.status === 'active' &&
+                                                        actionButton('Pause', Pause, () => runAction(() => contractsAPI.pause(contract.id)))}
+                                                    {contract.status === 'paused' &&
+                                                        actionButton('Resume', Play, () => runAction(() => contractsAPI.resume(contract.id)))}
+                                                    {['active', 'paused'].includes(contract.status) &&
+                                                        actionButton('Terminate', XCircle, () => handleTerminate(contract))}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ContractsPage;
@@ -4,8 +4,9 @@ import MetricCard from './MetricCard';
 import InvoiceTable from './InvoiceTable';
 import AIInsights from './AIInsights';
 import { RevenueChart, PaymentStatusChart, InvoiceVolumeChart } from './Charts';
-import { invoicesAPI, insightsAPI } from '../utils/api';
+import { authAPI, invoicesAPI, insightsAPI, clearSession } from '../utils/api';
 import { pageTransition } from '../utils/animations';
+import { formatCurrency } from '../utils/format';
 import {
     DollarSign,
     FileText,
@@ -13,7 +14,8 @@ import {
     AlertCircle,
     LogOut,
     RefreshCw,
-    BarChart3
+    BarChart3,
+    FileSignature
 } from 'lucide-react';
 
 function Dashboard({ setIsAuthenticated }) {
@@ -64,9 +66,14 @@ function Dashboard({ setIsAuthenticated }) {
         }
     };
 
-    const handleLogout = () => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+    const handleLogout = async () => {
+        try {
+            // Ends the session on the server, so the tokens stop working
+            await authAPI.logout();
+        } catch (error) {
+            console.error('Logout failed:', error);
+        }
+        clearSession();
         setIsAuthenticated(false);
         navigate('/login');
     };
@@ -113,6 +120,18 @@ function Dashboard({ setIsAuthenticated }) {
                         </p>
                     </div>
                     <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+                        <button
+                            onClick={() => navigate('/contracts')}
+                            className="btn"
+                            style={{
+                                background: 'rgba(255,255,255,0.2)',
+                                color: 'white',
+                                backdropFilter: 'blur(10px)'
+                            }}
+                        >
+                            <FileSignature size={18} />
+                            Contracts
+                        </button>
                         <button
                             onClick={fetchDashboardData}
                             className="btn"
@@ -152,7 +171,7 @@ function Dashboard({ setIsAuthenticated }) {
                 }}>
                     <MetricCard
                         title="Total Revenue"
-                        value={`$${metrics.totalRevenue?.toLocaleString() || 0}`}
+                        value={formatCurrency(metrics.totalRevenue, trends.base_currency)}
                         icon={DollarSign}
                         color="var(--success)"
                         trend={{ value: 12.5, isPositive: true }}
@@ -168,7 +187,7 @@ function Dashboard({ setIsAuthenticated }) {
                     />
                     <MetricCard
                         title="Average Invoice"
-                        value={`$${metrics.avgInvoice?.toLocaleString() || 0}`}
+                        value={formatCurrency(metrics.avgInvoice, trends.base_currency)}
                         icon={TrendingUp}
                         color="var(--info)"
                         isLoading={loading}
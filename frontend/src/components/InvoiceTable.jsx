@@ -1,6 +1,7 @@
 import { useEffect, useRef } from 'react';
 import { staggerFadeIn } from '../utils/animations';
-import { FileText, Download, Send, CheckCircle, Clock, AlertCircle } from 'lucide-react';
+import { formatCurrency } from '../utils/format';
+import { FileText, Download, Send, CheckCircle, Clock, AlertCircle, RotateCcw } from 'lucide-react';
 
 function InvoiceTable({ invoices, isLoading, onViewInvoice }) {
     const rowsRef = useRef([]);
@@ -15,9 +16,11 @@ function InvoiceTable({ invoices, isLoading, onViewInvoice }) {
         const statusConfig = {
             paid: { class: 'badge-success', icon: CheckCircle, text: 'Paid' },
             sent: { class: 'badge-info', icon: Send, text: 'Sent' },
+            partially_paid: { class: 'badge-warning', icon: Clock, text: 'Partially Paid' },
             pending: { class: 'badge-warning', icon: Clock, text: 'Pending' },
             overdue: { class: 'badge-danger', icon: AlertCircle, text: 'Overdue' },
-            validated: { class: 'badge-info', icon: CheckCircle, text: 'Validated' }
+            validated: { class: 'badge-info', icon: CheckCircle, text: 'Validated' },
+            credited: { class: 'badge-info', icon: RotateCcw, text: 'Credited' }
         };
 
         const config = statusConfig[status] || statusConfig.pending;
@@ -68,6 +71,7 @@ function InvoiceTable({ invoices, isLoading, onViewInvoice }) {
                             <th>Invoice #</th>
                             <th>Customer</th>
                             <th>Amount</th>
+                            <th>Balance Due</th>
                             <th>Due Date</th>
                             <th>Status</th>
                             <th>AI Score</th>
@@ -90,8 +94,9 @@ function InvoiceTable({ invoices, isLoading, onViewInvoice }) {
                                 </td>
                                 <td>{invoice.customer_name}</td>
                                 <td style={{ fontWeight: '600' }}>
-                                    ${parseFloat(invoice.total_amount).toFixed(2)}
+                                    {formatCurrency(invoice.total_amount, invoice.currency)}
                                 </td>
+                                <td>{formatCurrency(invoice.balance_due, invoice.currency)}</td>
                                 <td>{new Date(invoice.due_date).toLocaleDateString()}</td>
                                 <td>{getStatusBadge(invoice.status)}</td>
                                 <td>
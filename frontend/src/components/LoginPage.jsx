@@ -1,14 +1,22 @@
 import { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { authAPI } from '../utils/api';
 import { fadeIn, slideInLeft } from '../utils/animations';
-import { Lock, Mail, LogIn } from 'lucide-react';
+import { Lock, Mail, LogIn, ShieldCheck } from 'lucide-react';
 
 function LoginPage({ setIsAuthenticated }) {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    // Second step: 'verify' a code, or 'enroll' an authenticator (then show 'recovery_codes')
+    const [step, setStep] = useState('password');
+    const [challengeToken, setChallengeToken] = useState('');
+    const [code, setCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const [provisioning, setProvisioning] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState([]);
+    const [session, setSession] = useState(null);
     const navigate = useNavigate();
 
     const containerRef = useRef(null);
@@ -24,6 +32,14 @@ function LoginPage({ setIsAuthenticated }) {
         }
     }, []);
 
+    const finishLogin = (data) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refresh_token);
+        localStorage.setItem('user', JSON.stringify(data.user));
+        setIsAuthenticated(true);
+        navigate('/dashboard');
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
@@ -32,11 +48,16 @@ function LoginPage({ setIsAuthenticated }) {
         try {
             const response = await authAPI.login({ username, password });
 
-            if (response.data.success) {
-                localStorage.setItem('token', response.data.token);
-                localStorage.setItem('user', JSON.stringify(response.data.user));
-                setIsAuthenticated(true);
-                navigate('/dashboard');
+            if (response.data.two_factor_required) {
+                setChallengeToken(response.data.challenge_token);
+                setStep('verify');
+            } else if (response.data.two_factor_setup_required) {
+                const setup = await authAPI.setupTwoFactor(response.data.challenge_token);
+                setChallengeToken(response.data.challenge_token);
+                setProvisioning(setup.data);
+                setStep('enroll');
+            } else if (response.data.success) {
+                finishLogin(response.data);
             }
         } catch (err) {
             setError(err.response?.data?.error || 'Login failed. Please try again.');
@@ -45,6 +66,32 @@ function LoginPage({ setIsAuthenticated }) {
         }
     };
 
+    const handleCodeSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            if (step === 'verify') {
+                const response = await authAPI.verifyTwoFactor({
+                    challenge_token: challengeToken,
+                    ...(useRecoveryCode ? { recovery_code: code } : { code })
+                });
+                finishLogin(response.data);
+            } else {
+                const response = await authAPI.enableTwoFactor(code, challengeToken);
+                setRecoveryCodes(response.data.recovery_codes);
+                setSession(response.data);
+                setStep('recovery_codes');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Verification failed. Please try again.');
+            setCode('');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     return (
         <div
             ref={containerRef}
@@ -84,110 +131,210 @@ function LoginPage({ setIsAuthenticated }) {
                     </p>
                 </div>
 
-                <form onSubmit={handleSubmit}>
-                    <div style={{ marginBottom: '1.5rem' }}>
-                        <label style={{
-                            display: 'block',
-                            marginBottom: '0.5rem',
-                            fontWeight: '500',
-                            color: '#374151',
-                            fontSize: '0.875rem'
-                        }}>
-                            Username
-                        </label>
-                        <div style={{ position: 'relative' }}>
-                            <Mail
-                                size={18}
-                                style={{
-                                    position: 'absolute',
-                                    left: '1rem',
-                                    top: '50%',
-                                    transform: 'translateY(-50%)',
-                                    color: '#9ca3af'
-                                }}
-                            />
-                            <input
-                                type="text"
-                                value={username}
-                                onChange={(e) => setUsername(e.target.value)}
-                                required
-                                style={{
-                                    paddingLeft: '3rem'
-                                }}
-                                placeholder="Enter your username"
-                            />
+                {step === 'password' && (
+                    <form onSubmit={handleSubmit}>
+                        <div style={{ marginBottom: '1.5rem' }}>
+                            <label style={{
+                                display: 'block',
+                                marginBottom: '0.5rem',
+                                fontWeight: '500',
+                                color: '#374151',
+                                fontSize: '0.875rem'
+                            }}>
+                                Username
+                            </label>
+                            <div style={{ position: 'relative' }}>
+                                <Mail
+                                    size={18}
+                                    style={{
+                                        position: 'absolute',
+                                        left: '1rem',
+                                        top: '50%',
+                                        transform: 'translateY(-50%)',
+                                        color: '#9ca3af'
+                                    }}
+                                />
+                                <input
+                                    type="text"
+                                    value={username}
+                                    onChange={(e) => setUsername(e.target.value)}
+                                    required
+                                    style={{
+                                        paddingLeft: '3rem'
+                                    }}
+                                    placeholder="Enter your username"
+                                />
+                            </div>
                         </div>
-                    </div>
 
-                    <div style={{ marginBottom: '1.5rem' }}>
-                        <label style={{
-                            display: 'block',
-                            marginBottom: '0.5rem',
-                            fontWeight: '500',
-                            color: '#374151',
-                            fontSize: '0.875rem'
-                        }}>
-                            Password
-                        </label>
-                        <div style={{ position: 'relative' }}>
-                            <Lock
+                        <div style={{ marginBottom: '1.5rem' }}>
+                            <label style={{
+                                display: 'block',
+                                marginBottom: '0.5rem',
+                                fontWeight: '500',
+                                color: '#374151',
+                                fontSize: '0.875rem'
+                            }}>
+                                Password
+                            </label>
+                            <div style={{ position: 'relative' }}>
+                                <Lock
+                                    size={18}
+                                    style={{
+                                        position: 'absolute',
+                                        left: '1rem',
+                                        top: '50%',
+                                        transform: 'translateY(-50%)',
+                                        color: '#9ca3af'
+                                    }}
+                                />
+                                <input
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    required
+                                    style={{
+                                        paddingLeft: '3rem'
+                                    }}
+                                    placeholder="Enter your password"
+                                />
+                            </div>
+                        </div>
+
+                        {error && (
+                            <div style={{
+                                background: '#fee2e2',
+                                color: '#991b1b',
+                                padding: '0.75rem',
+                                borderRadius: '8px',
+                                marginBottom: '1.5rem',
+                                fontSize: '0.875rem'
+                            }}>
+                                {error}
+                            </div>
+                        )}
+
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="btn btn-primary"
+                            style={{
+                                width: '100%',
+                                justifyContent: 'center',
+                                padding: '0.875rem',
+                                fontSize: '1rem',
+                                fontWeight: '600'
+                            }}
+                        >
+                            {loading ? (
+                                'Signing in...'
+                            ) : (
+                                <>
+                                    <LogIn size={20} />
+                                    Sign In
+                                </>
+                            )}
+                        </button>
+
+                        <Link to="/reset-password" style={{ display: 'block', textAlign: 'center', marginTop: '1rem', color: '#2563eb', fontSize: '0.875rem' }}>
+                            Forgot your password?
+                        </Link>
+                    </form>
+                )}
+
+                {(step === 'verify' || step === 'enroll') && (
+                    <form onSubmit={handleCodeSubmit}>
+                        {step === 'enroll' ? (
+                            <div style={{ textAlign: 'center', marginBottom: '1.5rem', fontSize: '0.875rem', color: '#374151' }}>
+                                <p style={{ marginBottom: '1rem' }}>
+                                    Two-factor authentication is required. Scan this code with an authenticator app, then enter the 6-digit code it shows.
+                                </p>
+                                <img src={provisioning?.qr_code} alt="Authenticator QR code" style={{ width: '180px', height: '180px' }} />
+                                <p style={{ color: '#6b7280', fontSize: '0.75rem', wordBreak: 'break-all' }}>
+                                    Or enter this key: <code>{provisioning?.secret}</code>
+                                </p>
+                            </div>
+                        ) : (
+                            <p style={{ marginBottom: '1.5rem', fontSize: '0.875rem', color: '#374151' }}>
+                                {useRecoveryCode
+                                    ? 'Enter one of your recovery codes. Each code works once.'
+                                    : 'Enter the 6-digit code from your authenticator app.'}
+                            </p>
+                        )}
+
+                        <div style={{ position: 'relative', marginBottom: '1.5rem' }}>
+                            <ShieldCheck
                                 size={18}
-                                style={{
-                                    position: 'absolute',
-                                    left: '1rem',
-                                    top: '50%',
-                                    transform: 'translateY(-50%)',
-                                    color: '#9ca3af'
-                                }}
+                                style={{ position: 'absolute', left: '1rem', top: '50%', transform: 'translateY(-50%)', color: '#9ca3af' }}
                             />
                             <input
-                                type="password"
-                                value={password}
-                                onChange={(e) => setPassword(e.target.value)}
+                                type="text"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
                                 required
-                                style={{
-                                    paddingLeft: '3rem'
-                                }}
-                                placeholder="Enter your password"
+                                autoFocus
+                                autoComplete="one-time-code"
+                                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                                style={{ paddingLeft: '3rem', letterSpacing: '0.2em' }}
+                                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
                             />
                         </div>
-                    </div>
 
-                    {error && (
+                        {error && (
+                            <div style={{ background: '#fee2e2', color: '#991b1b', padding: '0.75rem', borderRadius: '8px', marginBottom: '1.5rem', fontSize: '0.875rem' }}>
+                                {error}
+                            </div>
+                        )}
+
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="btn btn-primary"
+                            style={{ width: '100%', justifyContent: 'center', padding: '0.875rem', fontSize: '1rem', fontWeight: '600' }}
+                        >
+                            {loading ? 'Verifying...' : step === 'enroll' ? 'Turn On Two-Factor' : 'Verify'}
+                        </button>
+
+                        {step === 'verify' && (
+                            <button
+                                type="button"
+                                onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}
+                                style={{ marginTop: '1rem', background: 'none', border: 'none', color: '#2563eb', fontSize: '0.875rem', cursor: 'pointer' }}
+                            >
+                                {useRecoveryCode ? 'Use your authenticator app instead' : 'Use a recovery code instead'}
+                            </button>
+                        )}
+                    </form>
+                )}
+
+                {step === 'recovery_codes' && (
+                    <div style={{ fontSize: '0.875rem', color: '#374151' }}>
+                        <p style={{ marginBottom: '1rem' }}>
+                            Two-factor authentication is on. Save these recovery codes somewhere safe: each one signs you in once
+                            if you lose your phone, and they will not be shown again.
+                        </p>
                         <div style={{
-                            background: '#fee2e2',
-                            color: '#991b1b',
-                            padding: '0.75rem',
+                            display: 'grid',
+                            gridTemplateColumns: '1fr 1fr',
+                            gap: '0.5rem',
+                            background: '#f3f4f6',
+                            padding: '1rem',
                             borderRadius: '8px',
-                            marginBottom: '1.5rem',
-                            fontSize: '0.875rem'
+                            fontFamily: 'monospace',
+                            marginBottom: '1.5rem'
                         }}>
-                            {error}
+                            {recoveryCodes.map((recoveryCode) => <span key={recoveryCode}>{recoveryCode}</span>)}
                         </div>
-                    )}
-
-                    <button
-                        type="submit"
-                        disabled={loading}
-                        className="btn btn-primary"
-                        style={{
-                            width: '100%',
-                            justifyContent: 'center',
-                            padding: '0.875rem',
-                            fontSize: '1rem',
-                            fontWeight: '600'
-                        }}
-                    >
-                        {loading ? (
-                            'Signing in...'
-                        ) : (
-                            <>
-                                <LogIn size={20} />
-                                Sign In
-                            </>
-                        )}
-                    </button>
-                </form>
+                        <button
+                            type="button"
+                            className="btn btn-primary"
+                            onClick={() => finishLogin(session)}
+                            style={{ width: '100%', justifyContent: 'center', padding: '0.875rem', fontSize: '1rem', fontWeight: '600' }}
+                        >
+                            I Have Saved My Codes
+                        </button>
+                    </div>
+                )}
 
                 <div style={{
                     marginTop: '2rem',
@@ -198,9 +345,8 @@ function LoginPage({ setIsAuthenticated }) {
                     color: '#6b7280'
                 }}>
                     <p style={{ margin: 0 }}>
-                        <strong>Demo Credentials:</strong><br />
-                        Username: admin<br />
-                        Password: admin123
+                        <strong>New here?</strong><br />
+                        Accounts are by invitation: ask an owner to invite you, then use the link in the email.
                     </p>
                 </div>
             </div>
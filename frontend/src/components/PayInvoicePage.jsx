@@ -0,0 +1,174 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { payAPI } from '../utils/api';
+import { formatCurrency } from '../utils/format';
+import { fadeIn } from '../utils/animations';
+import { CreditCard, Download, CheckCircle, AlertCircle } from 'lucide-react';
+
+function PayInvoicePage() {
+    const { token } = useParams();
+    const [searchParams] = useSearchParams();
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [paying, setPaying] = useState(false);
+
+    const cardRef = useRef(null);
+    const paymentResult = searchParams.get('payment');
+
+    useEffect(() => {
+        payAPI.getInvoice(token)
+            .then((response) => setData(response.data))
+            .catch((err) => setError(err.response?.data?.error || 'Unable to load this invoice.'))
+            .finally(() => setLoading(false));
+    }, [token]);
+
+    useEffect(() => {
+        if (!loading && cardRef.current) {
+            fadeIn(cardRef.current, 0.6);
+        }
+    }, [loading]);
+
+    const handlePay = async () => {
+        setError('');
+        setPaying(true);
+
+        try {
+            const response = await payAPI.checkout(token);
+            window.location.href = response.data.checkout_url;
+        } catch (err) {
+            setError(err.response?.data?.error || 'Unable to start the payment. Please try again.');
+            setPaying(false);
+        }
+    };
+
+    const pageStyle = {
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        padding: '2rem'
+    };
+
+    if (loading) {
+        return (
+            <div style={pageStyle}>
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
+    if (!data) {
+        return (
+            <div style={pageStyle}>
+                <div className="card" style={{ maxWidth: '450px', width: '100%', textAlign: 'center' }}>
+                    <AlertCircle size={40} style={{ color: '#ef4444', marginBottom: '1rem' }} />
+                    <p style={{ color: '#374151' }}>{error}</p>
+                </div>
+            </div>
+        );
+    }
+
+    const { invoice } = data;
+    const currency = invoice.currency;
+    const hasBalance = parseFloat(invoice.balance_due) > 0;
+
+    return (
+        <div style={pageStyle}>
+            <div ref={cardRef} className="card" style={{ maxWidth: '640px', width: '100%', opacity: 0 }}>
+                <div className="flex justify-between items-center" style={{ marginBottom: '1.5rem' }}>
+                    <div>
+                        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>{data.company_name}</p>
+                        <h1 style={{ fontSize: '1.5rem', fontWeight: '700', color: '#111827' }}>
+                            Invoice {invoice.invoice_number}
+                        </h1>
+                        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>
+                            For {invoice.customer_name} · Due {new Date(invoice.due_date).toLocaleDateString()}
+                        </p>
+                    </div>
+                    <div style={{ textAlign: 'right' }}>
+                        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>Balance due</p>
+                        <p style={{ fontSize: '1.75rem', fontWeight: '700', color: hasBalance ? '#2563eb' : '#10b981' }}>
+                            {formatCurrency(invoice.balance_due, currency)}
+                        </p>
+                    </div>
+                </div>
+
+                {paymentResult === 'success' && (
+                    <div className="badge badge-success" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.75rem', marginBottom: '1rem' }}>
+                        <CheckCircle size={16} />
+                        Thank you! Your payment is being processed and will appear here shortly.
+                    </div>
+                )}
+                {paymentResult === 'cancelled' && (
+                    <div className="badge badge-warning" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.75rem', marginBottom: '1rem' }}>
+                        <AlertCircle size={16} />
+                        The payment was cancelled. You can try again below.
+                    </div>
+                )}
+
+                <table style={{ marginBottom: '1.5rem' }}>
+                    <thead>
+                        <tr>
+                            <th>Description</th>
+                            <th style={{ textAlign: 'right' }}>Qty</th>
+                            <th style={{ textAlign: 'right' }}>Amount</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {invoice.line_items.map((item, index) => (
+                            <tr key={index}>
+                                <td>{item.description}</td>
+                                <td style={{ textAlign: 'right' }}>{parseFloat(item.quantity)}</td>
+                                <td style={{ textAlign: 'right' }}>{formatCurrency(item.total_amount, currency)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <div style={{ marginLeft: 'auto', maxWidth: '280px', fontSize: '0.875rem', color: '#374151' }}>
+                    <div className="flex justify-between"><span>Subtotal</span><span>{formatCurrency(invoice.subtotal, currency)}</span></div>
+                    {(invoice.tax_breakdown || []).map((tax, index) => (
+                        <div key={index} className="flex justify-between">
+                            <span>{tax.name} ({parseFloat(tax.rate)}%)</span>
+                            <span>{formatCurrency(tax.tax_amount, currency)}</span>
+                        </div>
+                    ))}
+                    <div className="flex justify-between" style={{ fontWeight: '600' }}><span>Total</span><span>{formatCurrency(invoice.total_amount, currency)}</span></div>
+                    {parseFloat(invoice.credited_amount) > 0 && (
+                        <div className="flex justify-between"><span>Credited</span><span>-{formatCurrency(invoice.credited_amount, currency)}</span></div>
+                    )}
+                    {parseFloat(invoice.amount_paid) > 0 && (
+                        <div className="flex justify-between"><span>Paid</span><span>-{formatCurrency(invoice.amount_paid, currency)}</span></div>
+                    )}
+                </div>
+
+                {invoice.tax_note && (
+                    <p style={{ color: '#6b7280', fontSize: '0.75rem', marginTop: '1rem' }}>{invoice.tax_note}</p>
+                )}
+
+                {error && (
+                    <p style={{ color: '#ef4444', fontSize: '0.875rem', marginTop: '1rem' }}>{error}</p>
+                )}
+
+                <div className="flex" style={{ gap: '0.75rem', marginTop: '1.5rem', justifyContent: 'flex-end' }}>
+                    {data.has_pdf && (
+                        <a className="btn btn-secondary" href={payAPI.pdfUrl(token)} target="_blank" rel="noreferrer">
+                            <Download size={16} />
+                            Download PDF
+                        </a>
+                    )}
+                    {data.can_pay && (
+                        <button className="btn btn-primary" onClick={handlePay} disabled={paying}>
+                            <CreditCard size={16} />
+                            {paying ? 'Redirecting...' : `Pay ${formatCurrency(invoice.balance_due, currency)}`}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PayInvoicePage;
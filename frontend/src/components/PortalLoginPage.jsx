@@ -0,0 +1,148 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { portalAPI } from '../utils/api';
+import { fadeIn } from '../utils/animations';
+import { Mail, Lock, LogIn, Send } from 'lucide-react';
+
+// Customer portal sign-in: a magic link by email, or email and password once one is set
+function PortalLoginPage() {
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const [mode, setMode] = useState('link');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const cardRef = useRef(null);
+    const linkToken = searchParams.get('token');
+
+    const signIn = (response) => {
+        localStorage.setItem('portalToken', response.data.token);
+        navigate('/portal', { replace: true });
+    };
+
+    useEffect(() => {
+        if (cardRef.current) {
+            fadeIn(cardRef.current, 0.6);
+        }
+    }, []);
+
+    // Arriving from the emailed link
+    useEffect(() => {
+        if (!linkToken) {
+            return;
+        }
+
+        setLoading(true);
+        portalAPI.verifyMagicLink(linkToken)
+            .then(signIn)
+            .catch((err) => {
+                setError(err.response?.data?.error || 'This sign-in link is invalid or has expired.');
+                setLoading(false);
+            });
+    }, [linkToken]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+        setLoading(true);
+
+        try {
+            if (mode === 'link') {
+                const response = await portalAPI.requestMagicLink(email);
+                setMessage(response.data.message);
+            } else {
+                signIn(await portalAPI.login({ email, password }));
+                return;
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Sign-in failed. Please try again.');
+        }
+        setLoading(false);
+    };
+
+    return (
+        <div style={{
+            minHeight: '100vh',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            padding: '2rem'
+        }}>
+            <div ref={cardRef} className="card" style={{ maxWidth: '420px', width: '100%', opacity: 0 }}>
+                <h1 style={{ fontSize: '1.5rem', fontWeight: '700', color: '#111827', marginBottom: '0.25rem' }}>
+                    Billing Portal
+                </h1>
+                <p style={{ color: '#6b7280', fontSize: '0.875rem', marginBottom: '1.5rem' }}>
+                    View your invoices and payments and update your billing contacts.
+                </p>
+
+                <form onSubmit={handleSubmit}>
+                    <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: '500', color: '#374151', fontSize: '0.875rem' }}>
+                        Email
+                    </label>
+                    <div style={{ position: 'relative', marginBottom: '1rem' }}>
+                        <Mail size={18} style={{ position: 'absolute', left: '1rem', top: '50%', transform: 'translateY(-50%)', color: '#9ca3af' }} />
+                        <input
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            required
+                            style={{ paddingLeft: '3rem' }}
+                            placeholder="you@company.com"
+                        />
+                    </div>
+
+                    {mode === 'password' && (
+                        <>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: '500', color: '#374151', fontSize: '0.875rem' }}>
+                                Password
+                            </label>
+                            <div style={{ position: 'relative', marginBottom: '1rem' }}>
+                                <Lock size={18} style={{ position: 'absolute', left: '1rem', top: '50%', transform: 'translateY(-50%)', color: '#9ca3af' }} />
+                                <input
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    required
+                                    style={{ paddingLeft: '3rem' }}
+                                    placeholder="Enter your password"
+                                />
+                            </div>
+                        </>
+                    )}
+
+                    {message && (
+                        <div className="badge badge-success" style={{ display: 'block', padding: '0.75rem', marginBottom: '1rem' }}>
+                            {message}
+                        </div>
+                    )}
+                    {error && (
+                        <div style={{ background: '#fee2e2', color: '#991b1b', padding: '0.75rem', borderRadius: '8px', marginBottom: '1rem', fontSize: '0.875rem' }}>
+                            {error}
+                        </div>
+                    )}
+
+                    <button type="submit" disabled={loading} className="btn btn-primary" style={{ width: '100%', justifyContent: 'center' }}>
+                        {mode === 'link' ? <Send size={18} /> : <LogIn size={18} />}
+                        {loading ? 'Please wait...' : mode === 'link' ? 'Email me a sign-in link' : 'Sign In'}
+                    </button>
+                </form>
+
+                <button
+                    type="button"
+                    onClick={() => { setMode(mode === 'link' ? 'password' : 'link'); setError(''); setMessage(''); }}
+                    style={{ marginTop: '1rem', background: 'none', border: 'none', color: '#2563eb', fontSize: '0.875rem', cursor: 'pointer' }}
+                >
+                    {mode === 'link' ? 'Sign in with a password instead' : 'Email me a sign-in link instead'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default PortalLoginPage;
@@ -0,0 +1,278 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { portalAPI } from '../utils/api';
+import { formatCurrency } from '../utils/format';
+import { FileText, CreditCard, User, MessageCircle, Download, LogOut, Send } from 'lucide-react';
+
+const TABS = [
+    { id: 'invoices', label: 'Invoices', icon: FileText },
+    { id: 'payments', label: 'Payments', icon: CreditCard },
+    { id: 'account', label: 'Billing Contacts', icon: User },
+    { id: 'assistant', label: 'Ask Billing', icon: MessageCircle }
+];
+
+const CONTACT_FIELDS = [
+    ['billing_contact_name', 'Billing contact name'],
+    ['billing_email', 'Billing email (invoices are sent here)'],
+    ['phone', 'Phone'],
+    ['address', 'Address'],
+    ['city', 'City'],
+    ['state', 'State / Province'],
+    ['zip_code', 'Postal code']
+];
+
+const statusBadge = (status) => ({
+    paid: 'badge-success',
+    partially_paid: 'badge-info',
+    overdue: 'badge-danger',
+    credited: 'badge-info'
+}[status] || 'badge-warning');
+
+// Customer self-service portal: the signed-in customer's own invoices, payments and contacts
+function PortalPage() {
+    const navigate = useNavigate();
+    const [tab, setTab] = useState('invoices');
+    const [user, setUser] = useState(null);
+    const [invoices, setInvoices] = useState([]);
+    const [payments, setPayments] = useState([]);
+    const [account, setAccount] = useState(null);
+    const [contacts, setContacts] = useState({});
+    const [notice, setNotice] = useState('');
+    const [error, setError] = useState('');
+    const [question, setQuestion] = useState('');
+    const [questionInvoice, setQuestionInvoice] = useState('');
+    const [conversation, setConversation] = useState([]);
+    const [asking, setAsking] = useState(false);
+
+    useEffect(() => {
+        if (!localStorage.getItem('portalToken')) {
+            navigate('/portal/login', { replace: true });
+            return;
+        }
+
+        Promise.all([portalAPI.me(), portalAPI.getInvoices(), portalAPI.getPayments(), portalAPI.getAccount()])
+            .then(([me, invoiceList, paymentList, accountData]) => {
+                setUser(me.data.user);
+                setInvoices(invoiceList.data.invoices);
+                setPayments(paymentList.data.payments);
+                setAccount(accountData.data.account);
+                setContacts(accountData.data.account);
+            })
+            .catch((err) => setError(err.response?.data?.error || 'Unable to load your account.'));
+    }, []);
+
+    const handleSignOut = () => {
+        localStorage.removeItem('portalToken');
+        navigate('/portal/login', { replace: true });
+    };
+
+    const openPdf = async (invoice) => {
+        try {
+            const response = await portalAPI.getInvoicePdf(invoice.id);
+            window.open(response.data.url, '_blank');
+        } catch (err) {
+            setError(err.response?.data?.error || 'PDF not available.');
+        }
+    };
+
+    const payInvoice = async (invoice) => {
+        try {
+            const response = await portalAPI.createPaymentLink(invoice.id);
+            window.location.href = response.data.url;
+        } catch (err) {
+            setError(err.response?.data?.error || 'Unable to start the payment.');
+        }
+    };
+
+    const saveContacts = async (e) => {
+        e.preventDefault();
+        setError('');
+        setNotice('');
+
+        try {
+            const changes = Object.fromEntries(CONTACT_FIELDS.map(([field]) => [field, contacts[field] ?? '']));
+            const response = await portalAPI.updateContacts(changes);
+            setAccount(response.data.account);
+            setNotice('Billing contacts saved.');
+        } catch (err) {
+            setError(err.response?.data?.details?.join(', ') || err.response?.data?.error || 'Unable to save contacts.');
+        }
+    };
+
+    const askQuestion = async (e) => {
+        e.preventDefault();
+        if (!question.trim()) {
+            return;
+        }
+
+        setAsking(true);
+        setError('');
+        try {
+            const response = await portalAPI.askAssistant({ query_text: question, invoice_id: questionInvoice || undefined });
+            setConversation([...conversation, { question, answer: response.data.result.response }]);
+            setQuestion('');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Unable to answer right now.');
+        } finally {
+            setAsking(false);
+        }
+    };
+
+    if (!user && !error) {
+        return (
+            <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh' }}>
+                <div className="spinner"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="container" style={{ padding: '2rem 1rem' }}>
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h1 style={{ fontSize: '1.5rem', fontWeight: '700', color: '#111827' }}>{account?.name || 'Billing Portal'}</h1>
+                    <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>Signed in as {user?.email}</p>
+                </div>
+                <button className="btn btn-secondary" onClick={handleSignOut}>
+                    <LogOut size={16} />
+                    Sign Out
+                </button>
+            </div>
+
+            <div className="flex gap-4 mb-4">
+                {TABS.map(({ id, label, icon: Icon }) => (
+                    <button key={id} className={`btn ${tab === id ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab(id)}>
+                        <Icon size={16} />
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {error && (
+                <div style={{ background: '#fee2e2', color: '#991b1b', padding: '0.75rem', borderRadius: '8px', marginBottom: '1rem', fontSize: '0.875rem' }}>
+                    {error}
+                </div>
+            )}
+
+            {tab === 'invoices' && (
+                <div className="card">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Invoice</th>
+                                <th>Issued</th>
+                                <th>Due</th>
+                                <th>Status</th>
+                                <th style={{ textAlign: 'right' }}>Total</th>
+                                <th style={{ textAlign: 'right' }}>Balance</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {invoices.map((invoice) => (
+                                <tr key={invoice.id}>
+                                    <td>{invoice.invoice_number}</td>
+                                    <td>{new Date(invoice.issue_date).toLocaleDateString()}</td>
+                                    <td>{new Date(invoice.due_date).toLocaleDateString()}</td>
+                                    <td><span className={`badge ${statusBadge(invoice.status)}`}>{invoice.status.replace('_', ' ')}</span></td>
+                                    <td style={{ textAlign: 'right' }}>{formatCurrency(invoice.total_amount, invoice.currency)}</td>
+                                    <td style={{ textAlign: 'right' }}>{formatCurrency(invoice.balance_due, invoice.currency)}</td>
+                                    <td className="flex gap-4" style={{ justifyContent: 'flex-end' }}>
+                                        {invoice.has_pdf && (
+                                            <button className="btn btn-secondary" onClick={() => openPdf(invoice)} title="Download PDF">
+                                                <Download size={14} />
+                                            </button>
+                                        )}
+                                        {parseFloat(invoice.balance_due) > 0 && !['paid', 'credited'].includes(invoice.status) && (
+                                            <button className="btn btn-primary" onClick={() => payInvoice(invoice)}>
+                                                Pay
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {invoices.length === 0 && <p className="text-center mt-4" style={{ color: '#6b7280' }}>No invoices yet.</p>}
+                </div>
+            )}
+
+            {tab === 'payments' && (
+                <div className="card">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Invoice</th>
+                                <th>Method</th>
+                                <th style={{ textAlign: 'right' }}>Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {payments.map((payment) => (
+                                <tr key={payment.id}>
+                                    <td>{new Date(payment.payment_date).toLocaleDateString()}</td>
+                                    <td>{payment.invoice_number}</td>
+                                    <td>{payment.payment_method || '-'}</td>
+                                    <td style={{ textAlign: 'right' }}>{formatCurrency(payment.amount, payment.currency)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {payments.length === 0 && <p className="text-center mt-4" style={{ color: '#6b7280' }}>No payments yet.</p>}
+                </div>
+            )}
+
+            {tab === 'account' && (
+                <form className="card" onSubmit={saveContacts} style={{ maxWidth: '560px' }}>
+                    {CONTACT_FIELDS.map(([field, label]) => (
+                        <div key={field} className="mb-4">
+                            <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: '500', color: '#374151', fontSize: '0.875rem' }}>
+                                {label}
+                            </label>
+                            <input
+                                type={field === 'billing_email' ? 'email' : 'text'}
+                                value={contacts[field] || ''}
+                                onChange={(e) => setContacts({ ...contacts, [field]: e.target.value })}
+                            />
+                        </div>
+                    ))}
+                    {notice && <p className="mb-4" style={{ color: '#10b981', fontSize: '0.875rem' }}>{notice}</p>}
+                    <button type="submit" className="btn btn-primary">Save Contacts</button>
+                </form>
+            )}
+
+            {tab === 'assistant' && (
+                <div className="card" style={{ maxWidth: '720px' }}>
+                    {conversation.map((entry, index) => (
+                        <div key={index} className="mb-4">
+                            <p style={{ fontWeight: '600', color: '#111827' }}>{entry.question}</p>
+                            <p style={{ color: '#374151', whiteSpace: 'pre-wrap' }}>{entry.answer}</p>
+                        </div>
+                    ))}
+                    <form onSubmit={askQuestion}>
+                        <select value={questionInvoice} onChange={(e) => setQuestionInvoice(e.target.value)} className="mb-4">
+                            <option value="">About my account in general</option>
+                            {invoices.map((invoice) => (
+                                <option key={invoice.id} value={invoice.id}>About invoice {invoice.invoice_number}</option>
+                            ))}
+                        </select>
+                        <textarea
+                            rows={3}
+                            value={question}
+                            onChange={(e) => setQuestion(e.target.value)}
+                            placeholder="Ask a question about your billing"
+                            className="mb-4"
+                        />
+                        <button type="submit" className="btn btn-primary" disabled={asking}>
+                            <Send size={16} />
+                            {asking ? 'Asking...' : 'Ask'}
+                        </button>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default PortalPage;
@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../utils/api';
+import { fadeIn } from '../utils/animations';
+import { Mail, Lock, Send, KeyRound } from 'lucide-react';
+
+const labelStyle = { display: 'block', marginBottom: '0.5rem', fontWeight: '500', color: '#374151', fontSize: '0.875rem' };
+const iconStyle = { position: 'absolute', left: '1rem', top: '50%', transform: 'translateY(-50%)', color: '#9ca3af' };
+
+// Forgotten dashboard password: ask for a reset link, or (arriving from the link) choose a new password
+function ResetPasswordPage() {
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const cardRef = useRef(null);
+    const token = searchParams.get('token');
+
+    useEffect(() => {
+        if (cardRef.current) {
+            fadeIn(cardRef.current, 0.6);
+        }
+    }, []);
+
+    const requestLink = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+        setLoading(true);
+
+        try {
+            const response = await authAPI.forgotPassword(email);
+            setMessage(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Unable to send a reset link.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const resetPassword = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password !== confirm) {
+            setError('Passwords do not match.');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await authAPI.resetPassword({ token, password });
+            navigate('/login', { replace: true });
+        } catch (err) {
+            setError(err.response?.data?.details?.join(', ') || err.response?.data?.error || 'Unable to reset your password.');
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div style={{
+            minHeight: '100vh',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            padding: '2rem'
+        }}>
+            <div ref={cardRef} className="card" style={{ maxWidth: '420px', width: '100%', opacity: 0 }}>
+                <h1 style={{ fontSize: '1.5rem', fontWeight: '700', color: '#111827', marginBottom: '0.25rem' }}>
+                    Reset Password
+                </h1>
+                <p style={{ color: '#6b7280', fontSize: '0.875rem', marginBottom: '1.5rem' }}>
+                    {token
+                        ? 'Choose a new password. You will be signed out of every session.'
+                        : 'Enter your account email and we will send you a reset link.'}
+                </p>
+
+                {message && (
+                    <div className="badge badge-success" style={{ display: 'block', padding: '0.75rem', marginBottom: '1rem' }}>
+                        {message}
+                    </div>
+                )}
+                {error && (
+                    <div style={{ background: '#fee2e2', color: '#991b1b', padding: '0.75rem', borderRadius: '8px', marginBottom: '1rem', fontSize: '0.875rem' }}>
+                        {error}
+                    </div>
+                )}
+
+                {token ? (
+                    <form onSubmit={resetPassword}>
+                        <label style={labelStyle}>New password</label>
+                        <div style={{ position: 'relative', marginBottom: '1rem' }}>
+                            <Lock size={18} style={iconStyle} />
+                            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} required style={{ paddingLeft: '3rem' }} placeholder="At least 12 characters" />
+                        </div>
+
+                        <label style={labelStyle}>Repeat password</label>
+                        <div style={{ position: 'relative', marginBottom: '1rem' }}>
+                            <Lock size={18} style={iconStyle} />
+                            <input type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} required style={{ paddingLeft: '3rem' }} placeholder="Repeat the password" />
+                        </div>
+
+                        <button type="submit" disabled={loading} className="btn btn-primary" style={{ width: '100%', justifyContent: 'center' }}>
+                            <KeyRound size={18} />
+                            {loading ? 'Please wait...' : 'Set New Password'}
+                        </button>
+                    </form>
+                ) : (
+                    <form onSubmit={requestLink}>
+                        <label style={labelStyle}>Email</label>
+                        <div style={{ position: 'relative', marginBottom: '1rem' }}>
+                            <Mail size={18} style={iconStyle} />
+                            <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required style={{ paddingLeft: '3rem' }} placeholder="you@company.com" />
+                        </div>
+
+                        <button type="submit" disabled={loading} className="btn btn-primary" style={{ width: '100%', justifyContent: 'center' }}>
+                            <Send size={18} />
+                            {loading ? 'Please wait...' : 'Email Me a Reset Link'}
+                        </button>
+                    </form>
+                )}
+
+                <Link to="/login" style={{ display: 'inline-block', marginTop: '1rem', color: '#2563eb', fontSize: '0.875rem' }}>
+                    Back to sign in
+                </Link>
+            </div>
+        </div>
+    );
+}
+
+export default ResetPasswordPage;
@@ -13,7 +13,7 @@ const api = axios.create({
 api.interceptors.request.use(
     (config) => {
         const token = localStorage.getItem('token');
-        if (token) {
+        if (token && !config.headers.Authorization) {
             config.headers.Authorization = `Bearer ${token}`;
         }
         return config;
@@ -23,14 +23,52 @@ api.interceptors.request.use(
     }
 );
 
+// One refresh at a time: requests that fail together wait for the same new access token
+let refreshing = null;
+
+const refreshAccessToken = () => {
+    if (!refreshing) {
+        refreshing = axios.post(`${api.defaults.baseURL}/auth/refresh`, { refresh_token: localStorage.getItem('refreshToken') })
+            .then((response) => {
+                localStorage.setItem('token', response.data.token);
+                localStorage.setItem('refreshToken', response.data.refresh_token);
+                return response.data.token;
+            })
+            .finally(() => {
+                refreshing = null;
+            });
+    }
+    return refreshing;
+};
+
+export const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+};
+
 // Response interceptor - Handle errors
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            // Token expired or invalid
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
+    async (error) => {
+        const request = error.config;
+
+        // Access tokens are short-lived: refresh once and retry the request
+        if (error.response?.data?.token_expired && localStorage.getItem('refreshToken') && !request._retried) {
+            request._retried = true;
+            try {
+                request.headers.Authorization = `Bearer ${await refreshAccessToken()}`;
+                return api(request);
+            } catch (refreshError) {
+                clearSession();
+                window.location.href = '/login';
+                return Promise.reject(refreshError);
+            }
+        }
+
+        // Session ended or invalid, or an owner now requires two-factor (set up at the next login)
+        if (error.response?.status === 401 || error.response?.data?.two_factor_setup_required) {
+            clearSession();
             window.location.href = '/login';
         }
         return Promise.reject(error);
@@ -40,9 +78,23 @@ api.interceptors.response.use(
 // Auth API
 export const authAPI = {
     login: (credentials) => api.post('/auth/login', credentials),
+    verifyTwoFactor: (data) => api.post('/auth/login/2fa', data),
+    // During a login's enrollment step the challenge token stands in for the session
+    setupTwoFactor: (challengeToken) => api.post('/auth/2fa/setup', {}, challengeToken
+        ? { headers: { Authorization: `Bearer ${challengeToken}` } }
+        : undefined),
+    enableTwoFactor: (code, challengeToken) => api.post('/auth/2fa/enable', { code }, challengeToken
+        ? { headers: { Authorization: `Bearer ${challengeToken}` } }
+        : undefined),
+    getInvitation: (token) => api.get('/auth/invitation', { params: { token } }),
     register: (userData) => api.post('/auth/register', userData),
     verify: () => api.get('/auth/verify'),
-    logout: () => api.post('/auth/logout')
+    forgotPassword: (email) => api.post('/auth/password/forgot', { email }),
+    resetPassword: (data) => api.post('/auth/password/reset', data),
+    changePassword: (data) => api.post('/auth/password/change', data),
+    logout: () => api.post('/auth/logout'),
+    logoutAll: () => api.post('/auth/logout-all'),
+    getSessions: () => api.get('/auth/sessions')
 };
 
 // Invoices API
@@ -56,6 +108,7 @@ export const invoicesAPI = {
     generatePDF: (id) => api.post(`/invoices/${id}/generate-pdf`),
     validate: (id) => api.post(`/invoices/${id}/validate`),
     send: (id) => api.post(`/invoices/${id}/send`),
+    createPaymentLink: (id) => api.post(`/invoices/${id}/payment-link`),
     downloadPDF: (id) => api.get(`/invoices/${id}/pdf`)
 };
 
@@ -68,6 +121,17 @@ export const customersAPI = {
     delete: (id) => api.delete(`/customers/${id}`)
 };
 
+// Contracts API
+export const contractsAPI = {
+    getAll: (params) => api.get('/contracts', { params }),
+    getById: (id) => api.get(`/contracts/${id}`),
+    create: (data) => api.post('/contracts', data),
+    update: (id, data) => api.put(`/contracts/${id}`, data),
+    pause: (id, data) => api.post(`/contracts/${id}/pause`, data),
+    resume: (id) => api.post(`/contracts/${id}/resume`),
+    terminate: (id, data) => api.post(`/contracts/${id}/terminate`, data)
+};
+
 // Payments API
 export const paymentsAPI = {
     getAll: () => api.get('/payments'),
@@ -75,6 +139,60 @@ export const paymentsAPI = {
     create: (data) => api.post('/payments', data)
 };
 
+// Public payment page API (no login; the link token identifies the invoice)
+export const payAPI = {
+    getInvoice: (token) => api.get(`/pay/${token}`),
+    checkout: (token) => api.post(`/pay/${token}/checkout`),
+    pdfUrl: (token) => `${api.defaults.baseURL}/pay/${token}/pdf`
+};
+
+// Customer portal client: its own token, kept apart from the admin session
+const portalApi = axios.create({
+    baseURL: api.defaults.baseURL,
+    timeout: 10000,
+    headers: {
+        'Content-Type': 'application/json'
+    }
+});
+
+portalApi.interceptors.request.use((config) => {
+    const token = localStorage.getItem('portalToken');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+portalApi.interceptors.response.use(
+    (response) => response,
+    (error) => {
+        const status = error.response?.status;
+        if ((status === 401 || status === 403) && localStorage.getItem('portalToken')) {
+            // Portal session expired
+            localStorage.removeItem('portalToken');
+            window.location.href = '/portal/login';
+        }
+        return Promise.reject(error);
+    }
+);
+
+// Customer portal API
+export const portalAPI = {
+    requestMagicLink: (email) => portalApi.post('/portal/auth/magic-link', { email }),
+    verifyMagicLink: (token) => portalApi.post('/portal/auth/magic-link/verify', { token }),
+    login: (credentials) => portalApi.post('/portal/auth/login', credentials),
+    me: () => portalApi.get('/portal/auth/me'),
+    setPassword: (data) => portalApi.put('/portal/auth/password', data),
+    getAccount: () => portalApi.get('/portal/account'),
+    updateContacts: (data) => portalApi.put('/portal/account/contacts', data),
+    getInvoices: (params) => portalApi.get('/portal/invoices', { params }),
+    getInvoice: (id) => portalApi.get(`/portal/invoices/${id}`),
+    getInvoicePdf: (id) => portalApi.get(`/portal/invoices/${id}/pdf`),
+    createPaymentLink: (id) => portalApi.post(`/portal/invoices/${id}/pay`),
+    getPayments: () => portalApi.get('/portal/payments'),
+    askAssistant: (data) => portalApi.post('/portal/assistant/query', data)
+};
+
 // AI Insights API
 export const insightsAPI = {
     getValidation: () => api.get('/insights/validation'),
@@ -0,0 +1,16 @@
+/**
+ * Formatting Utilities
+ * Display helpers for amounts in an invoice's currency
+ */
+
+// Format an amount with its currency symbol and the currency's own decimals (USD 2, JPY 0)
+export const formatCurrency = (amount, currency = 'USD') => {
+    try {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: currency || 'USD'
+        }).format(parseFloat(amount) || 0);
+    } catch {
+        return `${currency} ${(parseFloat(amount) || 0).toFixed(2)}`;
+    }
+};